@@ -0,0 +1,115 @@
+(function(global) {
+    'use strict';
+
+    // Module 7: Analysis Worker (`analysis-worker.js`)
+    // Runs statistical analyses off the main thread. Loaded with `new Worker(...)`
+    // it listens for messages; loaded with a <script> tag it only exposes
+    // `createTaskRunner`, which the UI uses where workers are unavailable
+    // (e.g. some browsers refuse to start workers from pages opened via file://).
+    //
+    // Protocol (main thread -> worker):
+    //   { type: 'start', task: 'analysis' | 'sweep' | 'spanning', ...payload }
+    //   { type: 'cancel' }
+    // Protocol (worker -> main thread):
+    //   { type: 'progress', current, total, record }   (`record` only for 'analysis')
+    //   { type: 'complete', result }
+    //   { type: 'error', message }
+
+    const isWorker = typeof WorkerGlobalScope !== 'undefined' && global instanceof WorkerGlobalScope;
+    if (isWorker) {
+        importScripts('utils.js', 'spatial.js', 'shapes.js', 'obstacles.js', 'terminals.js', 'bridge-area.js', 'distributions.js', 'placement.js', 'validation.js', 'engine.js', 'statistics.js', 'export.js', 'sweep.js');
+    }
+
+    /**
+     * Task implementations, keyed by the `task` field of the start message.
+     * Each receives the message and a context with `progress(data)` and `onCancel(handler)`.
+     */
+    const TASKS = {
+        /**
+         * Runs a batch of simulations and returns its report.
+         * @returns {Promise<{report: object, cancelled: boolean}>}
+         */
+        async analysis({ canvasDimensions, simulationParameters, statisticsOptions, numSimulations }, context) {
+            const statsEngine = new StatisticsEngine(canvasDimensions, simulationParameters, statisticsOptions);
+            context.onCancel(() => statsEngine.cancel());
+            const stats = await statsEngine.runSimulationsAsync(numSimulations, (current, total, record) => {
+                context.progress({ current, total, record });
+            });
+            return { report: buildReport(statsEngine, stats), cancelled: statsEngine.cancelled };
+        },
+
+        /**
+         * Runs a parameter sweep; cancelling stops after the current grid point.
+         * @returns {Promise<{rows: object[], cancelled: boolean}>}
+         */
+        async sweep({ canvasDimensions, simulationParameters, statisticsOptions, axes, runsPerPoint }, context) {
+            let cancelled = false;
+            context.onCancel(() => { cancelled = true; });
+            const rows = await runSweep(canvasDimensions, simulationParameters, axes, runsPerPoint, {
+                statisticsOptions,
+                isCancelled: () => cancelled,
+                progressCallback: (current, total) => context.progress({ current, total }),
+            });
+            return { rows, cancelled };
+        },
+
+        /**
+         * Runs fixed-density trials and returns the spanning probability curve.
+         * @returns {Promise<{trials: number, seed: number, curve: object[], crossing: object|null, cancelled: boolean}>}
+         */
+        async spanning({ canvasDimensions, simulationParameters, lineCounts, numTrials }, context) {
+            const statsEngine = new StatisticsEngine(canvasDimensions, simulationParameters);
+            context.onCancel(() => statsEngine.cancel());
+            const result = await statsEngine.runSpanningProbabilityAsync(lineCounts, numTrials, (current, total) => {
+                context.progress({ current, total });
+            });
+            return { ...result, cancelled: statsEngine.cancelled };
+        },
+    };
+
+    /**
+     * Creates a runner that executes tasks and reports through `post`,
+     * using the same messages a worker would send.
+     * @param {function(object)} post - Receives every outgoing message.
+     * @returns {{start: function(object), cancel: function()}}
+     */
+    function createTaskRunner(post) {
+        let cancelHandler = null;
+        return {
+            async start(message) {
+                const task = TASKS[message.task];
+                if (!task) {
+                    post({ type: 'error', message: `Unknown task "${message.task}".` });
+                    return;
+                }
+                try {
+                    const result = await task(message, {
+                        progress: data => post({ type: 'progress', ...data }),
+                        onCancel: handler => { cancelHandler = handler; },
+                    });
+                    post({ type: 'complete', result });
+                } catch (error) {
+                    post({ type: 'error', message: error.message });
+                } finally {
+                    cancelHandler = null;
+                }
+            },
+            cancel() {
+                if (cancelHandler) cancelHandler();
+            },
+        };
+    }
+
+    // --- Worker Entry Point / Module Export ---
+    if (isWorker) {
+        const runner = createTaskRunner(message => global.postMessage(message));
+        global.onmessage = event => {
+            if (event.data.type === 'start') runner.start(event.data);
+            else if (event.data.type === 'cancel') runner.cancel();
+        };
+    } else {
+        // Browser main thread
+        global.createTaskRunner = createTaskRunner;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,414 @@
+(function(global) {
+    'use strict';
+
+    // --- Dependency Loading ---
+    // This pattern allows the module to work in both Node.js and the browser.
+    let getShapeGeometry, resolveTerminals, checkStopRule, touchesTerminal;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        // We are in a Node.js environment, so we load dependencies with require.
+        getShapeGeometry = require('./shapes.js').getShapeGeometry;
+        const terminals = require('./terminals.js');
+        resolveTerminals = terminals.resolveTerminals;
+        checkStopRule = terminals.checkStopRule;
+        touchesTerminal = terminals.touchesTerminal;
+    } else {
+        // We are in a browser environment, so we'll use the global variables.
+        getShapeGeometry = global.getShapeGeometry;
+        resolveTerminals = global.resolveTerminals;
+        checkStopRule = global.checkStopRule;
+        touchesTerminal = global.touchesTerminal;
+    }
+
+    // --- Module Definition ---
+    // Module 11: Bridge Area (`bridge-area.js`)
+    // Turns a bridge area specification (the `bridgeArea` simulation parameter) into
+    // pixel geometry, and turns its start and finish edges into the terminals a bridge joins
+    // (see `terminals.js`).
+    //
+    // Specifications, with `units` either 'px' (the default) or 'fraction' of the canvas:
+    //   { shape: 'rectangle', x, y, width, height }
+    //   { shape: 'circle', cx, cy, radius, start, finish }     (a fractional radius is relative to the shorter side)
+    //   { shape: 'polygon', points: [[x, y], ...], start, finish }
+    // A circle's `start`/`finish` are arcs ({ from, to } in degrees, clockwise on screen
+    // from the +x axis, like line angles); a polygon's are edge indices (edge i runs from
+    // point i to point i + 1). When left out they are the parts of the outline facing
+    // (within 45 degrees) the sides the bridge type connects, or for a polygon with no
+    // such edge, the edges facing them most closely. A rectangle's edges are always its sides.
+
+    const BRIDGE_AREA_SHAPES = ['rectangle', 'circle', 'polygon'];
+    const BRIDGE_AREA_UNITS = ['px', 'fraction'];
+
+    // The named numbers of each shape, in the order the text form lists them.
+    const SHAPE_FIELDS = {
+        rectangle: ['x', 'y', 'width', 'height'],
+        circle: ['cx', 'cy', 'radius'],
+    };
+
+    // For each bridge type, the directions (in degrees) the start and finish edges face.
+    const EDGE_DIRECTIONS = {
+        'left-to-right': { start: 180, finish: 0 },
+        'top-to-bottom': { start: 270, finish: 90 },
+        'top-left-to-bottom-right': { start: 225, finish: 45 },
+    };
+    const BOUNDARY_CONDITIONS = Object.keys(EDGE_DIRECTIONS);
+    // Outline within this many degrees of an edge direction belongs to that edge by default.
+    const EDGE_HALF_WIDTH = 45;
+    // For the diagonal bridge type, a rectangle's start and finish are circles of this radius
+    // (in pixels) around its top-left and bottom-right corners, unless `cornerRadius` says otherwise.
+    const DEFAULT_CORNER_RADIUS = 15;
+
+    const TOLERANCE = 1e-9;
+
+    /**
+     * Resolves a bridge area specification into pixel geometry for a canvas.
+     * Without a specification the area is the canvas with a 10% margin on every side.
+     * @param {object} [spec] - The specification (see the module comment).
+     * @param {{width: number, height: number}} canvasDimensions - The canvas it is placed on.
+     * @param {string} [boundaryCondition='left-to-right'] - The bridge type, which picks the default edges.
+     * @returns {object} `{ shape: 'rectangle', x, y, width, height }`,
+     *     `{ shape: 'circle', cx, cy, radius, start, finish }` (arcs) or
+     *     `{ shape: 'polygon', points, start, finish }` (points as { x, y }, edges as indices).
+     * @throws {Error} If the specification is malformed or the area does not fit on the canvas.
+     */
+    function resolveBridgeArea(spec, canvasDimensions, boundaryCondition = 'left-to-right') {
+        const { width, height } = canvasDimensions;
+        if (spec === undefined || spec === null) {
+            const margin = { x: width * 0.1, y: height * 0.1 };
+            return { shape: 'rectangle', x: margin.x, y: margin.y, width: width - 2 * margin.x, height: height - 2 * margin.y };
+        }
+        if (typeof spec !== 'object' || !BRIDGE_AREA_SHAPES.includes(spec.shape)) {
+            throw new Error(`The bridge area shape must be one of ${BRIDGE_AREA_SHAPES.join(', ')}.`);
+        }
+        const units = spec.units === undefined ? 'px' : spec.units;
+        if (!BRIDGE_AREA_UNITS.includes(units)) {
+            throw new Error(`The bridge area units must be one of ${BRIDGE_AREA_UNITS.join(', ')} (got "${units}").`);
+        }
+        const scale = units === 'fraction' ? { x: width, y: height, r: Math.min(width, height) } : { x: 1, y: 1, r: 1 };
+        const number = (value, name) => {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`The bridge area ${spec.shape} needs a number for "${name}" (got ${JSON.stringify(value)}).`);
+            }
+            return value;
+        };
+        const directions = EDGE_DIRECTIONS[boundaryCondition] || EDGE_DIRECTIONS['left-to-right'];
+
+        let area;
+        if (spec.shape === 'rectangle') {
+            area = {
+                shape: 'rectangle',
+                x: number(spec.x, 'x') * scale.x,
+                y: number(spec.y, 'y') * scale.y,
+                width: number(spec.width, 'width') * scale.x,
+                height: number(spec.height, 'height') * scale.y,
+            };
+            if (!(area.width > 0 && area.height > 0)) throw new Error('The bridge area rectangle must have a positive width and height.');
+        } else if (spec.shape === 'circle') {
+            area = {
+                shape: 'circle',
+                cx: number(spec.cx, 'cx') * scale.x,
+                cy: number(spec.cy, 'cy') * scale.y,
+                radius: number(spec.radius, 'radius') * scale.r,
+            };
+            if (!(area.radius > 0)) throw new Error('The bridge area circle must have a positive radius.');
+            const arcs = (list, name, direction) => {
+                if (list === undefined || list === null) return [{ from: direction - EDGE_HALF_WIDTH, to: direction + EDGE_HALF_WIDTH }];
+                if (!Array.isArray(list) || list.length === 0) throw new Error(`The circle's ${name} edges must be a list of arcs.`);
+                return list.map(arc => {
+                    if (!arc || typeof arc !== 'object') throw new Error(`The circle's ${name} edges must be arcs like { from: 135, to: 225 }.`);
+                    return { from: number(arc.from, `${name} arc from`), to: number(arc.to, `${name} arc to`) };
+                });
+            };
+            area.start = arcs(spec.start, 'start', directions.start);
+            area.finish = arcs(spec.finish, 'finish', directions.finish);
+        } else {
+            if (!Array.isArray(spec.points) || spec.points.length < 3) {
+                throw new Error('The bridge area polygon needs at least three points.');
+            }
+            const points = spec.points.map((point, i) => {
+                const [x, y] = Array.isArray(point) ? point : [point && point.x, point && point.y];
+                return { x: number(x, `points[${i}] x`) * scale.x, y: number(y, `points[${i}] y`) * scale.y };
+            });
+            if (Math.abs(signedArea(points)) <= TOLERANCE) throw new Error('The bridge area polygon must enclose an area.');
+            area = { shape: 'polygon', points };
+            const edges = (list, name, direction) => {
+                if (list === undefined || list === null) {
+                    // The edges facing the side; if none does within EDGE_HALF_WIDTH, those facing it most closely.
+                    const distances = polygonEdgeDirections(points).map(edgeDirection => angleDistance(edgeDirection, direction));
+                    const limit = Math.max(EDGE_HALF_WIDTH, Math.min(...distances)) + TOLERANCE;
+                    return distances.map((distance, i) => (distance <= limit ? i : -1)).filter(i => i >= 0);
+                }
+                if (!Array.isArray(list) || list.length === 0 ||
+                    list.some(i => !Number.isInteger(i) || i < 0 || i >= points.length)) {
+                    throw new Error(`The polygon's ${name} edges must be edge indices from 0 to ${points.length - 1}.`);
+                }
+                return list.slice();
+            };
+            area.start = edges(spec.start, 'start', directions.start);
+            area.finish = edges(spec.finish, 'finish', directions.finish);
+        }
+
+        const bounds = getBounds(area);
+        if (bounds.minX < -TOLERANCE || bounds.minY < -TOLERANCE || bounds.maxX > width + TOLERANCE || bounds.maxY > height + TOLERANCE) {
+            throw new Error(`The bridge area must lie within the ${width}x${height} canvas.`);
+        }
+        return area;
+    }
+
+    /**
+     * Returns the bounding box of a resolved bridge area.
+     * @param {object} area - The resolved area.
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+     */
+    function getBounds(area) {
+        if (area.shape === 'rectangle') {
+            return { minX: area.x, minY: area.y, maxX: area.x + area.width, maxY: area.y + area.height };
+        }
+        if (area.shape === 'circle') {
+            return { minX: area.cx - area.radius, minY: area.cy - area.radius, maxX: area.cx + area.radius, maxY: area.cy + area.radius };
+        }
+        const xs = area.points.map(p => p.x);
+        const ys = area.points.map(p => p.y);
+        return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+    }
+
+    function signedArea(points) {
+        let sum = 0;
+        points.forEach((p, i) => {
+            const q = points[(i + 1) % points.length];
+            sum += p.x * q.y - q.x * p.y;
+        });
+        return sum / 2;
+    }
+
+    /**
+     * The direction (in degrees) each polygon edge's outward normal points in.
+     * @param {{x: number, y: number}[]} points - The polygon's points.
+     * @returns {number[]} One direction per edge.
+     */
+    function polygonEdgeDirections(points) {
+        const orientation = Math.sign(signedArea(points));
+        return points.map((p, i) => {
+            const q = points[(i + 1) % points.length];
+            const normal = { x: (q.y - p.y) * orientation, y: -(q.x - p.x) * orientation };
+            return Math.atan2(normal.y, normal.x) * 180 / Math.PI;
+        });
+    }
+
+    function angleDistance(a, b) {
+        const difference = ((a - b) % 360 + 360) % 360;
+        return Math.min(difference, 360 - difference);
+    }
+
+    /**
+     * The terminals a bridge area's bridge joins (see `terminals.js`): its start and finish
+     * edges, or for the four-sides stop rule all four sides of a rectangle. A rectangle's
+     * start and finish are the sides the bridge type connects, touched by reaching or passing
+     * them; for the diagonal bridge type they are circle terminals of `cornerRadius` around its
+     * top-left and bottom-right corners. A circle's are its start and finish arcs and a
+     * polygon's its start and finish edges, touched by crossing them.
+     * @param {object} area - The resolved bridge area.
+     * @param {string} [boundaryCondition='left-to-right'] - The bridge type.
+     * @param {string} [stopRule='a-to-b'] - The stop rule.
+     * @param {number} [cornerRadius=15] - The radius of the diagonal bridge type's corners, in pixels.
+     * @returns {{name: string, regions: object[]}[]} The terminals: start and finish, or left, top, right and bottom.
+     * @throws {Error} If the four-sides rule is used with an area other than a rectangle.
+     */
+    function bridgeAreaTerminals(area, boundaryCondition = 'left-to-right', stopRule = 'a-to-b', cornerRadius = DEFAULT_CORNER_RADIUS) {
+        const terminal = (name, regions) => ({ name, regions });
+        if (stopRule === 'four-sides') {
+            if (area.shape !== 'rectangle') {
+                throw new Error(`The four-sides stop rule needs a rectangular bridge area (got a ${area.shape}).`);
+            }
+            return [
+                terminal('left', [{ type: 'side', side: 'left', at: area.x }]),
+                terminal('top', [{ type: 'side', side: 'top', at: area.y }]),
+                terminal('right', [{ type: 'side', side: 'right', at: area.x + area.width }]),
+                terminal('bottom', [{ type: 'side', side: 'bottom', at: area.y + area.height }]),
+            ];
+        }
+        if (area.shape === 'circle') {
+            const arcs = list => list.map(arc => ({ type: 'arc', cx: area.cx, cy: area.cy, radius: area.radius, from: arc.from, to: arc.to }));
+            return [terminal('start', arcs(area.start)), terminal('finish', arcs(area.finish))];
+        }
+        if (area.shape === 'polygon') {
+            const { points } = area;
+            const edges = list => list.map(i => {
+                const p = points[i];
+                const q = points[(i + 1) % points.length];
+                return { type: 'segment', x1: p.x, y1: p.y, x2: q.x, y2: q.y };
+            });
+            return [terminal('start', edges(area.start)), terminal('finish', edges(area.finish))];
+        }
+
+        const right = area.x + area.width;
+        const bottom = area.y + area.height;
+        switch (boundaryCondition) {
+            case 'top-to-bottom':
+                return [terminal('start', [{ type: 'side', side: 'top', at: area.y }]), terminal('finish', [{ type: 'side', side: 'bottom', at: bottom }])];
+            case 'top-left-to-bottom-right':
+                return [
+                    terminal('start', [{ type: 'circle', cx: area.x, cy: area.y, radius: cornerRadius }]),
+                    terminal('finish', [{ type: 'circle', cx: right, cy: bottom, radius: cornerRadius }]),
+                ];
+            case 'left-to-right':
+            default:
+                return [terminal('start', [{ type: 'side', side: 'left', at: area.x }]), terminal('finish', [{ type: 'side', side: 'right', at: right }])];
+        }
+    }
+
+    /**
+     * Resolves the stop rule of a run and the terminals it joins: the `terminals` parameter
+     * if given, otherwise the bridge area's (see `bridgeAreaTerminals`). With periodic
+     * boundaries a bridge wraps around the canvas instead, so there are no terminals.
+     * @param {object} simulationParameters - The parameters (`terminals`, `stopRule`, `bridgeArea`,
+     *     `boundaryCondition`, `cornerRadius` and `periodic`).
+     * @param {{width: number, height: number}} canvasDimensions - The canvas.
+     * @param {object} area - The resolved bridge area.
+     * @returns {{stopRule: string, terminals: {name: string, regions: object[]}[]}}
+     * @throws {Error} If the terminals or stop rule are malformed or do not fit together.
+     */
+    function resolveBridgeTerminals(simulationParameters, canvasDimensions, area) {
+        const { terminals, stopRule, bridgeArea, boundaryCondition, cornerRadius, periodic } = simulationParameters;
+        const hasTerminals = terminals !== undefined && terminals !== null;
+        if (periodic) {
+            if (hasTerminals || (stopRule !== undefined && stopRule !== null && stopRule !== 'a-to-b')) {
+                throw new Error('With periodic boundaries a bridge wraps around the canvas, so it takes no terminals or stop rule.');
+            }
+            return { stopRule: 'a-to-b', terminals: [] };
+        }
+        if (!hasTerminals) {
+            const rule = checkStopRule(stopRule, stopRule === 'four-sides' ? 4 : 2);
+            return { stopRule: rule, terminals: bridgeAreaTerminals(area, boundaryCondition, rule, cornerRadius) };
+        }
+        if (bridgeArea !== undefined && bridgeArea !== null) {
+            throw new Error('Terminals take the place of the bridge area; give one or the other.');
+        }
+        if (stopRule === 'four-sides') {
+            throw new Error('The four-sides stop rule joins the sides of the bridge area, so it takes no terminals.');
+        }
+        const resolved = resolveTerminals(terminals, canvasDimensions);
+        return { stopRule: checkStopRule(stopRule, resolved.length), terminals: resolved };
+    }
+
+    /**
+     * Decides whether a line touches the start and finish edges of a bridge area
+     * (the terminals of `bridgeAreaTerminals`).
+     * @param {object} area - The resolved bridge area.
+     * @param {{x1: number, y1: number, x2: number, y2: number}} line - The line (or other shape).
+     * @param {string} boundaryCondition - The bridge type.
+     * @param {object} [geometry] - The shape's entry in the shape registry; a line segment by default.
+     * @returns {{touchesStart: boolean, touchesFinish: boolean}}
+     */
+    function getEdgeContacts(area, line, boundaryCondition, geometry = getShapeGeometry('segment')) {
+        const [start, finish] = bridgeAreaTerminals(area, boundaryCondition);
+        return { touchesStart: touchesTerminal(start, line, geometry), touchesFinish: touchesTerminal(finish, line, geometry) };
+    }
+
+    /**
+     * Parses the text form of a bridge area, `shape:numbers`, as used by the `--bridge-area`
+     * flag and the UI: `rectangle:x,y,width,height`, `circle:cx,cy,radius` or
+     * `polygon:x1,y1,x2,y2,...`. Units and edges are given separately.
+     * @param {string} text - The text form.
+     * @returns {object} A specification without `units`, `start` or `finish`.
+     * @throws {Error} If the text is malformed.
+     */
+    function parseBridgeArea(text) {
+        const match = String(text).trim().match(/^(\w+)\s*:(.*)$/);
+        const shape = match && (match[1] === 'rect' ? 'rectangle' : match[1]);
+        if (!match || !BRIDGE_AREA_SHAPES.includes(shape)) {
+            throw new Error(`A bridge area is written shape:numbers with shape ${BRIDGE_AREA_SHAPES.join(', ')}, e.g. circle:400,300,200 (got "${text}").`);
+        }
+        const numbers = match[2].split(',').map(item => (item.trim() === '' ? NaN : Number(item)));
+        if (numbers.some(value => !Number.isFinite(value))) {
+            throw new Error(`The bridge area "${text}" must list numbers separated by commas.`);
+        }
+        if (shape === 'polygon') {
+            if (numbers.length < 6 || numbers.length % 2 !== 0) {
+                throw new Error(`A polygon bridge area needs x,y pairs for at least three points (got "${text}").`);
+            }
+            const points = [];
+            for (let i = 0; i < numbers.length; i += 2) points.push([numbers[i], numbers[i + 1]]);
+            return { shape, points };
+        }
+        const fields = SHAPE_FIELDS[shape];
+        if (numbers.length !== fields.length) {
+            throw new Error(`A ${shape} bridge area needs ${fields.join(',')} (got "${text}").`);
+        }
+        return { shape, ...Object.fromEntries(fields.map((field, i) => [field, numbers[i]])) };
+    }
+
+    /**
+     * Writes a specification in the text form read by `parseBridgeArea`.
+     * @param {object} spec - The specification.
+     * @returns {string}
+     */
+    function formatBridgeArea(spec) {
+        const numbers = spec.shape === 'polygon'
+            ? spec.points.flatMap(point => (Array.isArray(point) ? point : [point.x, point.y]))
+            : SHAPE_FIELDS[spec.shape].map(field => spec[field]);
+        return `${spec.shape}:${numbers.join(',')}`;
+    }
+
+    /**
+     * Parses a comma-separated list of start or finish edges: polygon edge indices
+     * (`0,3`) or circle arcs in degrees (`135:225,300:330`).
+     * @param {string} text - The list.
+     * @returns {Array<number|{from: number, to: number}>}
+     * @throws {Error} If an item is neither an integer nor an arc.
+     */
+    function parseEdgeList(text) {
+        return String(text).split(',').map(item => {
+            const arc = item.trim().match(/^(-?[\d.]+):(-?[\d.]+)$/);
+            if (arc) return { from: Number(arc[1]), to: Number(arc[2]) };
+            const index = item.trim() === '' ? NaN : Number(item);
+            if (!Number.isInteger(index)) {
+                throw new Error(`Edges are polygon edge indices (e.g. 0,3) or circle arcs from:to in degrees (e.g. 135:225); got "${item.trim()}".`);
+            }
+            return index;
+        });
+    }
+
+    /**
+     * Writes a list of edges in the text form read by `parseEdgeList`.
+     * @param {Array<number|{from: number, to: number}>} edges - The edges.
+     * @returns {string}
+     */
+    function formatEdgeList(edges) {
+        return edges.map(edge => (typeof edge === 'number' ? String(edge) : `${edge.from}:${edge.to}`)).join(',');
+    }
+
+    /**
+     * Describes a resolved bridge area in a few words, e.g. for status displays.
+     * @param {object} area - The resolved area.
+     * @returns {string}
+     */
+    function describeBridgeArea(area) {
+        const round = value => Math.round(value * 10) / 10;
+        if (area.shape === 'circle') return `circle, radius ${round(area.radius)} at (${round(area.cx)}, ${round(area.cy)})`;
+        if (area.shape === 'polygon') return `polygon, ${area.points.length} points`;
+        return `${round(area.width)} x ${round(area.height)} at (${round(area.x)}, ${round(area.y)})`;
+    }
+
+    // --- Module Export ---
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js
+        module.exports = {
+            BRIDGE_AREA_SHAPES, BRIDGE_AREA_UNITS, BOUNDARY_CONDITIONS, resolveBridgeArea, bridgeAreaTerminals, resolveBridgeTerminals,
+            getEdgeContacts, parseBridgeArea, formatBridgeArea, parseEdgeList, formatEdgeList, describeBridgeArea,
+        };
+    } else {
+        // Browser
+        global.BOUNDARY_CONDITIONS = BOUNDARY_CONDITIONS;
+        global.resolveBridgeArea = resolveBridgeArea;
+        global.bridgeAreaTerminals = bridgeAreaTerminals;
+        global.resolveBridgeTerminals = resolveBridgeTerminals;
+        global.getEdgeContacts = getEdgeContacts;
+        global.parseBridgeArea = parseBridgeArea;
+        global.formatBridgeArea = formatBridgeArea;
+        global.parseEdgeList = parseEdgeList;
+        global.formatEdgeList = formatEdgeList;
+        global.describeBridgeArea = describeBridgeArea;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,240 @@
+// Module 9: 📈 Charts (`charts.js`)
+
+const CHART_MARGIN = { top: 20, right: 15, bottom: 40, left: 55 };
+
+/**
+ * Picks round tick values covering a range.
+ * @param {number} min The lower end of the range.
+ * @param {number} max The upper end of the range.
+ * @param {number} [count=5] The approximate number of ticks.
+ * @returns {number[]} The tick values.
+ */
+function niceTicks(min, max, count = 5) {
+    if (min === max) return [min];
+    const rawStep = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rawStep);
+    const ticks = [];
+    for (let tick = Math.ceil(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+        ticks.push(Number(tick.toPrecision(12)));
+    }
+    return ticks;
+}
+
+/**
+ * Clears the canvas, draws labelled axes for the given ranges and returns the
+ * functions that map data coordinates to canvas pixels.
+ * @param {CanvasRenderingContext2D} ctx The chart canvas's rendering context.
+ * @param {HTMLCanvasElement} canvas The chart canvas.
+ * @param {{min: number, max: number}} xRange The data range along x.
+ * @param {{min: number, max: number}} yRange The data range along y.
+ * @param {object} [options] Axis labels ({ xLabel, yLabel, title }).
+ * @returns {{toX: function(number): number, toY: function(number): number, plot: object}}
+ */
+function createChartFrame(ctx, canvas, xRange, yRange, options = {}) {
+    const plot = {
+        left: CHART_MARGIN.left,
+        top: CHART_MARGIN.top,
+        right: canvas.width - CHART_MARGIN.right,
+        bottom: canvas.height - CHART_MARGIN.bottom,
+    };
+    const xSpan = (xRange.max - xRange.min) || 1;
+    const ySpan = (yRange.max - yRange.min) || 1;
+    const toX = x => plot.left + (x - xRange.min) / xSpan * (plot.right - plot.left);
+    const toY = y => plot.bottom - (y - yRange.min) / ySpan * (plot.bottom - plot.top);
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(plot.left, plot.top);
+    ctx.lineTo(plot.left, plot.bottom);
+    ctx.lineTo(plot.right, plot.bottom);
+    ctx.stroke();
+
+    ctx.fillStyle = '#333';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    niceTicks(xRange.min, xRange.max).forEach(tick => {
+        ctx.fillText(String(tick), toX(tick), plot.bottom + 4);
+    });
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    niceTicks(yRange.min, yRange.max).forEach(tick => {
+        ctx.fillText(String(tick), plot.left - 4, toY(tick));
+    });
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    if (options.xLabel) ctx.fillText(options.xLabel, (plot.left + plot.right) / 2, canvas.height - 4);
+    if (options.title) {
+        ctx.textBaseline = 'top';
+        ctx.fillText(options.title, (plot.left + plot.right) / 2, 2);
+    }
+    if (options.yLabel) {
+        ctx.save();
+        ctx.translate(12, (plot.top + plot.bottom) / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textBaseline = 'middle';
+        ctx.fillText(options.yLabel, 0, 0);
+        ctx.restore();
+    }
+    return { toX, toY, plot };
+}
+
+/**
+ * Draws one or more data series as lines with point markers and optional error bars.
+ * @param {CanvasRenderingContext2D} ctx The chart canvas's rendering context.
+ * @param {HTMLCanvasElement} canvas The chart canvas.
+ * @param {Array<{label: string, color: string, points: Array<{x: number, y: number, yLower: number, yUpper: number}>}>} series
+ *     The series to draw; `yLower`/`yUpper` are optional error bar ends.
+ * @param {object} [options] Axis labels ({ xLabel, yLabel, title }), and `markers: false` to leave out
+ *     the point markers of long series.
+ * @returns {{toX: function(number): number, toY: function(number): number, plot: object}} The frame,
+ *     e.g. for `drawMarkers`.
+ */
+function drawLineChart(ctx, canvas, series, options = {}) {
+    const points = series.flatMap(s => s.points);
+    if (points.length === 0) {
+        return createChartFrame(ctx, canvas, { min: 0, max: 1 }, { min: 0, max: 1 }, options);
+    }
+    const xs = points.map(p => p.x);
+    const ys = points.flatMap(p => [p.y, p.yLower, p.yUpper]).filter(y => Number.isFinite(y));
+    const yPadding = (Math.max(...ys) - Math.min(...ys)) * 0.05 || 1;
+    const frame = createChartFrame(ctx, canvas,
+        { min: Math.min(...xs), max: Math.max(...xs) },
+        { min: Math.max(0, Math.min(...ys) - yPadding), max: Math.max(...ys) + yPadding },
+        options);
+    const { toX, toY, plot } = frame;
+
+    series.forEach((s, seriesIndex) => {
+        ctx.strokeStyle = s.color;
+        ctx.fillStyle = s.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        s.points.forEach((p, i) => (i === 0 ? ctx.moveTo(toX(p.x), toY(p.y)) : ctx.lineTo(toX(p.x), toY(p.y))));
+        ctx.stroke();
+
+        ctx.lineWidth = 1;
+        s.points.forEach(p => {
+            if (Number.isFinite(p.yLower) && Number.isFinite(p.yUpper)) {
+                ctx.beginPath();
+                ctx.moveTo(toX(p.x), toY(p.yLower));
+                ctx.lineTo(toX(p.x), toY(p.yUpper));
+                ctx.moveTo(toX(p.x) - 3, toY(p.yLower));
+                ctx.lineTo(toX(p.x) + 3, toY(p.yLower));
+                ctx.moveTo(toX(p.x) - 3, toY(p.yUpper));
+                ctx.lineTo(toX(p.x) + 3, toY(p.yUpper));
+                ctx.stroke();
+            }
+            if (options.markers === false) return;
+            ctx.beginPath();
+            ctx.arc(toX(p.x), toY(p.y), 3, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+
+        if (s.label && series.length > 1) {
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'top';
+            ctx.fillText(s.label, plot.right, plot.top + seriesIndex * 14);
+        }
+    });
+    return frame;
+}
+
+/**
+ * Draws labelled vertical marker lines (e.g. the mean and median) across the plot area.
+ * @param {CanvasRenderingContext2D} ctx The chart canvas's rendering context.
+ * @param {{toX: function(number): number, plot: object}} frame The frame from `createChartFrame`.
+ * @param {Array<{value: number, label: string, color: string}>} markers The markers to draw.
+ */
+function drawMarkers(ctx, frame, markers) {
+    const { toX, plot } = frame;
+    ctx.save();
+    ctx.lineWidth = 2;
+    ctx.setLineDash([5, 3]);
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    markers.forEach((marker, i) => {
+        const x = toX(marker.value);
+        ctx.strokeStyle = marker.color;
+        ctx.fillStyle = marker.color;
+        ctx.beginPath();
+        ctx.moveTo(x, plot.top);
+        ctx.lineTo(x, plot.bottom);
+        ctx.stroke();
+        ctx.fillText(marker.label, x + 3, plot.top + i * 14);
+    });
+    ctx.restore();
+}
+
+/**
+ * Draws a histogram as adjacent bars, with optional markers.
+ * @param {CanvasRenderingContext2D} ctx The chart canvas's rendering context.
+ * @param {HTMLCanvasElement} canvas The chart canvas.
+ * @param {{bins: Array<{start: number, end: number, count: number}>}} histogram A histogram from `describeSample`.
+ * @param {Array<{value: number, label: string, color: string}>} [markers=[]] Vertical markers to overlay.
+ * @param {object} [options] Axis labels ({ xLabel, yLabel, title }).
+ */
+function drawHistogram(ctx, canvas, histogram, markers = [], options = {}) {
+    const { bins } = histogram;
+    if (bins.length === 0) {
+        createChartFrame(ctx, canvas, { min: 0, max: 1 }, { min: 0, max: 1 }, options);
+        return;
+    }
+    const maxCount = Math.max(...bins.map(bin => bin.count));
+    const frame = createChartFrame(ctx, canvas,
+        { min: bins[0].start, max: bins[bins.length - 1].end },
+        { min: 0, max: maxCount },
+        options);
+    const { toX, toY } = frame;
+
+    ctx.fillStyle = 'rgba(70, 130, 180, 0.7)';
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 1;
+    bins.forEach(bin => {
+        if (bin.count === 0) return;
+        const x = toX(bin.start);
+        const width = toX(bin.end) - x;
+        const y = toY(bin.count);
+        ctx.fillRect(x, y, width, toY(0) - y);
+        ctx.strokeRect(x, y, width, toY(0) - y);
+    });
+    drawMarkers(ctx, frame, markers);
+}
+
+/**
+ * Draws the empirical cumulative distribution function of a sample as a step curve.
+ * @param {CanvasRenderingContext2D} ctx The chart canvas's rendering context.
+ * @param {HTMLCanvasElement} canvas The chart canvas.
+ * @param {number[]} sorted The sample, in ascending order.
+ * @param {Array<{value: number, label: string, color: string}>} [markers=[]] Vertical markers to overlay.
+ * @param {object} [options] Axis labels ({ xLabel, yLabel, title }).
+ */
+function drawECDF(ctx, canvas, sorted, markers = [], options = {}) {
+    if (sorted.length === 0) {
+        createChartFrame(ctx, canvas, { min: 0, max: 1 }, { min: 0, max: 1 }, options);
+        return;
+    }
+    const frame = createChartFrame(ctx, canvas,
+        { min: sorted[0], max: sorted[sorted.length - 1] },
+        { min: 0, max: 1 },
+        options);
+    const { toX, toY } = frame;
+
+    ctx.strokeStyle = 'steelblue';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(toX(sorted[0]), toY(0));
+    sorted.forEach((value, i) => {
+        ctx.lineTo(toX(value), toY(i / sorted.length));
+        ctx.lineTo(toX(value), toY((i + 1) / sorted.length));
+    });
+    ctx.stroke();
+    drawMarkers(ctx, frame, markers);
+}
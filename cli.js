@@ -0,0 +1,464 @@
+// Command-line argument parsing for `headless.js`.
+// This module is Node.js only; it is not loaded by the browser UI.
+
+const fs = require('fs');
+const { parseSweepValues, expandGrid } = require('./sweep.js');
+const { BRIDGE_AREA_UNITS, BOUNDARY_CONDITIONS, parseBridgeArea, parseEdgeList } = require('./bridge-area.js');
+const { STOP_RULES, parseTerminal } = require('./terminals.js');
+const { LENGTH_DISTRIBUTIONS, ANGLE_DISTRIBUTIONS, parseDistribution } = require('./distributions.js');
+const { SHAPES, parseShape } = require('./shapes.js');
+const { OBSTACLE_POLICIES, parseObstacle } = require('./obstacles.js');
+const { EDGE_POLICIES } = require('./placement.js');
+const { validateParameters } = require('./validation.js');
+const { meanSquaredLength, scaledCanvas } = require('./scaling.js');
+
+const DEFAULT_CANVAS_DIMENSIONS = { width: 800, height: 600 };
+const DEFAULT_SIMULATION_PARAMS = {
+    minLength: 10,
+    maxLength: 50,
+    minAngle: 0,
+    maxAngle: 360,
+    boundaryCondition: 'left-to-right',
+};
+const DEFAULT_RUNS = 100;
+const DEFAULT_SCALING_SIZES = [5, 10, 20, 40];
+
+const COMMANDS = ['run', 'sweep', 'scaling', 'spanning', 'benchmark'];
+
+/**
+ * Describes every supported flag: where its value goes (`section`/`key`),
+ * how it is parsed (`type`) and the help text shown by `--help`.
+ */
+const OPTIONS = [
+    { flag: '--runs', alias: '-n', section: 'options', key: 'runs', type: 'integer', min: 1, arg: '<n>', help: `Number of simulations to run (default ${DEFAULT_RUNS})` },
+    { flag: '--width', section: 'canvasDimensions', key: 'width', type: 'integer', min: 1, arg: '<px>', help: `Canvas width (default ${DEFAULT_CANVAS_DIMENSIONS.width})` },
+    { flag: '--height', section: 'canvasDimensions', key: 'height', type: 'integer', min: 1, arg: '<px>', help: `Canvas height (default ${DEFAULT_CANVAS_DIMENSIONS.height})` },
+    { flag: '--min-length', section: 'simulationParameters', key: 'minLength', type: 'number', min: 0, exclusiveMin: true, arg: '<px>', help: `Minimum line length (default ${DEFAULT_SIMULATION_PARAMS.minLength})` },
+    { flag: '--max-length', section: 'simulationParameters', key: 'maxLength', type: 'number', min: 0, exclusiveMin: true, arg: '<px>', help: `Maximum line length (default ${DEFAULT_SIMULATION_PARAMS.maxLength})` },
+    { flag: '--min-angle', section: 'simulationParameters', key: 'minAngle', type: 'number', arg: '<deg>', help: `Minimum line angle in degrees (default ${DEFAULT_SIMULATION_PARAMS.minAngle})` },
+    { flag: '--max-angle', section: 'simulationParameters', key: 'maxAngle', type: 'number', arg: '<deg>', help: `Maximum line angle in degrees (default ${DEFAULT_SIMULATION_PARAMS.maxAngle})` },
+    { flag: '--length-dist', section: 'simulationParameters', key: 'lengthDistribution', type: 'distribution', arg: '<type[:name=value,...]>', help: `Length distribution within the min/max length: ${Object.keys(LENGTH_DISTRIBUTIONS).join(', ')} (default uniform)` },
+    { flag: '--angle-dist', section: 'simulationParameters', key: 'angleDistribution', type: 'distribution', arg: '<type[:name=value,...]>', help: `Angle distribution: ${Object.keys(ANGLE_DISTRIBUTIONS).join(', ')} (default uniform within the min/max angle)` },
+    { flag: '--shape', section: 'simulationParameters', key: 'shape', type: 'shape', arg: '<type[:name=value,...]>', help: `Shape to drop: ${Object.keys(SHAPES).join(', ')} (default segment; the length is a disk's diameter)` },
+    { flag: '--boundary', section: 'simulationParameters', key: 'boundaryCondition', type: 'choice', choices: BOUNDARY_CONDITIONS, arg: '<type>', help: `Bridge type: ${BOUNDARY_CONDITIONS.join(', ')}` },
+    { flag: '--corner-radius', section: 'simulationParameters', key: 'cornerRadius', type: 'number', min: 0, exclusiveMin: true, arg: '<px>', help: 'Radius of the start and finish corners of the top-left-to-bottom-right bridge type (default 15)' },
+    { flag: '--bridge-area', section: 'simulationParameters', key: 'bridgeArea', type: 'bridge-area', arg: '<shape:list>', help: 'Red area: rectangle:x,y,w,h, circle:cx,cy,r or polygon:x1,y1,x2,y2,... (default: 10% margin)' },
+    { flag: '--bridge-units', section: 'simulationParameters', key: 'bridgeArea', field: 'units', type: 'choice', choices: BRIDGE_AREA_UNITS, arg: '<units>', help: 'Units of --bridge-area: px (default) or fraction of the canvas' },
+    { flag: '--start-edges', section: 'simulationParameters', key: 'bridgeArea', field: 'start', type: 'edge-list', arg: '<list>', help: 'Start edges of a circle (arcs from:to in degrees) or polygon (edge indices)' },
+    { flag: '--finish-edges', section: 'simulationParameters', key: 'bridgeArea', field: 'finish', type: 'edge-list', arg: '<list>', help: 'Finish edges, as for --start-edges (default: the outline facing the bridge type\'s sides)' },
+    { flag: '--terminal', section: 'simulationParameters', key: 'terminals', type: 'terminal', repeatable: true, arg: '<[name=]type:list>', help: 'Add a terminal in pixels, replacing the bridge area: segment:x1,y1,x2,y2, rect:x,y,w,h or circle:cx,cy,r (repeatable)' },
+    { flag: '--stop-rule', section: 'simulationParameters', key: 'stopRule', type: 'choice', choices: STOP_RULES, arg: '<rule>', help: `When a run stops: ${STOP_RULES.join(', ')} (default a-to-b)` },
+    { flag: '--obstacle', section: 'simulationParameters', key: 'obstacles', type: 'obstacle', repeatable: true, arg: '<x1,y1,x2,y2,...>', help: 'Add an obstacle polygon, in pixels, that no line may overlap (repeatable)' },
+    { flag: '--obstacle-policy', section: 'simulationParameters', key: 'obstaclePolicy', type: 'choice', choices: OBSTACLE_POLICIES, arg: '<policy>', help: 'What happens to a line that would overlap an obstacle: reject (draw again, default) or clip' },
+    { flag: '--edge-policy', section: 'simulationParameters', key: 'edgePolicy', type: 'choice', choices: EDGE_POLICIES, arg: '<policy>', help: 'What happens to a line that would cross the canvas edge: reject (keep lines on the canvas, default), clip or extend' },
+    { flag: '--periodic', section: 'simulationParameters', key: 'periodic', type: 'boolean', help: 'Wrap lines around the canvas edges; a bridge is a cluster that wraps around' },
+    { flag: '--seed', section: 'simulationParameters', key: 'seed', type: 'integer', min: 0, arg: '<n>', help: 'Master seed for reproducible runs (default: random)' },
+    { flag: '--percentiles', section: 'statisticsOptions', key: 'percentiles', type: 'number-list', min: 0, max: 100, arg: '<list>', help: 'Comma-separated percentiles to report (default 5,25,50,75,95)' },
+    { flag: '--bin-width', section: 'statisticsOptions', key: 'binWidth', type: 'number', min: 0, exclusiveMin: true, arg: '<n>', help: 'Histogram bin width in lines (default: automatic)' },
+    { flag: '--bootstrap', section: 'statisticsOptions', key: 'bootstrap', type: 'integer', min: 0, arg: '<n>', help: 'Bootstrap resamples for the confidence interval of the mean (default 0: off)' },
+    { flag: '--vary', section: 'options', key: 'sweep', type: 'sweep', repeatable: true, arg: '<name=values>', help: 'Sweep a parameter over a range start:end:step or a list a,b,c (repeatable)' },
+    { flag: '--sizes', section: 'options', key: 'sizes', type: 'number-list', min: 0, exclusiveMin: true, arg: '<list>', help: `System sizes for the scaling command, as canvas widths in line lengths (default ${DEFAULT_SCALING_SIZES.join(',')})` },
+    { flag: '--line-counts', section: 'options', key: 'lineCounts', type: 'range', itemType: 'integer', min: 1, max: 100000, arg: '<range|list>', help: 'Line counts for the spanning command, as a range start:end:step or a list a,b,c (at most 100000)' },
+    { flag: '--workers', alias: '-w', section: 'options', key: 'workers', type: 'integer', min: 1, arg: '<n>', help: 'Number of worker threads to spread the runs across (default 1)' },
+    { flag: '--output', alias: '-o', section: 'options', key: 'output', type: 'string', arg: '<file>', help: 'Write per-run results and the summary to a file (.csv or .json)' },
+    { flag: '--format', section: 'options', key: 'format', type: 'choice', choices: ['csv', 'json'], arg: '<type>', help: 'Output format: csv or json (default: from the file extension)' },
+    { flag: '--dump-runs', section: 'options', key: 'dumpRuns', type: 'number-list', itemType: 'integer', min: 0, arg: '<list>', help: 'Save the final state of these runs (e.g. 0,5,17) as snapshot files' },
+    { flag: '--figure-runs', section: 'options', key: 'figureRuns', type: 'number-list', itemType: 'integer', min: 0, arg: '<list>', help: 'Draw the final state of these runs as SVG figures' },
+    { flag: '--cluster-runs', section: 'options', key: 'clusterRuns', type: 'number-list', itemType: 'integer', min: 0, arg: '<list>', help: 'Write the per-line cluster metrics of these runs as CSV files' },
+    { flag: '--dump-dir', section: 'options', key: 'dumpDir', type: 'string', arg: '<dir>', help: 'Directory for --dump-runs snapshots, --figure-runs figures and --cluster-runs tables (default: current directory)' },
+    { flag: '--config', section: 'options', key: 'config', type: 'string', arg: '<file>', help: 'Load settings from a JSON config file; flags override it' },
+    { flag: '--help', alias: '-h', section: 'options', key: 'help', type: 'boolean', help: 'Show this help and exit' },
+];
+
+// Parameters whose values are objects, which a sweep cannot step through (nor the seed, which it shares).
+const NON_SWEEPABLE_KEYS = ['seed', 'bridgeArea', 'terminals', 'lengthDistribution', 'angleDistribution', 'shape', 'obstacles'];
+
+/**
+ * The groups option values are collected into. `options` holds the runner's own
+ * settings; the others are passed to the engines. Config files nest values
+ * under the same names (except `options`, whose keys sit at the top level).
+ */
+const SECTIONS = ['options', 'canvasDimensions', 'simulationParameters', 'statisticsOptions'];
+
+function emptySections() {
+    return Object.fromEntries(SECTIONS.map(section => [section, {}]));
+}
+
+/**
+ * Raised for invalid command-line input. `headless.js` reports its message
+ * and exits with a non-zero status instead of printing a stack trace.
+ */
+class CliError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CliError';
+    }
+}
+
+/**
+ * Builds the `--help` text from the option table.
+ * @returns {string}
+ */
+function getHelpText() {
+    const rows = OPTIONS.map(option => {
+        const names = [option.alias, option.flag].filter(Boolean).join(', ');
+        return [`${names}${option.arg ? ' ' + option.arg : ''}`, option.help];
+    });
+    const width = Math.max(...rows.map(([left]) => left.length)) + 2;
+    const distributionParameterList = [...Object.entries(LENGTH_DISTRIBUTIONS), ...Object.entries(ANGLE_DISTRIBUTIONS)]
+        .filter(([, distribution]) => distribution.parameters.length > 0)
+        .map(([type, distribution]) => `${type}: ${distribution.parameters.map(p => p.name).join(', ')}`)
+        .join('; ');
+    return [
+        'Usage: node headless.js [command] [runs] [options]',
+        '',
+        'Commands:',
+        '  run          Run a batch of simulations and report statistics (default)',
+        '  sweep        Run a batch at every combination of the --vary values',
+        '  scaling      Estimate the critical line density and scaling exponent from batches at several --sizes',
+        '  spanning     Place each of the --line-counts of lines in turn; report how often they span and the 50% crossing',
+        '  benchmark    Compare the spatial index strategies on identical seeded runs',
+        '',
+        'Options:',
+        ...rows.map(([left, help]) => `  ${left.padEnd(width)}${help}`),
+        '',
+        'Config files use the same shape as the engine arguments, e.g.',
+        '  { "runs": 500, "canvasDimensions": { "width": 800, "height": 600 },',
+        '    "simulationParameters": { "minLength": 10, "maxLength": 50, "seed": 42 } }',
+        'A bridge area is configured with e.g. "bridgeArea": { "shape": "circle", "units": "fraction", "cx": 0.5, "cy": 0.5, "radius": 0.4 }',
+        'in "simulationParameters"; circles and polygons may add "start" and "finish" edges.',
+        'Distributions take their parameters after the type, e.g. --length-dist lognormal:mu=3.4,sigma=0.5',
+        `(${distributionParameterList}),`,
+        'or --angle-dist von-mises:mean=90,kappa=4; in a config file, "lengthDistribution": { "type": "lognormal", "mu": 3.4 }.',
+        'Shapes are written the same way, e.g. --shape stick:width=4 or --shape ellipse:aspectRatio=0.3.',
+        'Obstacles are polygons, e.g. --obstacle 350,0,450,0,450,450,350,450; in a config file,',
+        '"obstacles": [[[350, 0], [450, 0], [450, 450], [350, 450]]]. --obstacle adds to the config file\'s obstacles.',
+        'Terminals replace the bridge area\'s edges, e.g. --terminal A=circle:100,300,40 --terminal B=segment:780,0,780,600;',
+        'in a config file, "terminals": [{ "type": "circle", "cx": 100, "cy": 300, "radius": 40 }, ...], where "units": "fraction"',
+        'gives fractions of the canvas. --stop-rule all or any-two joins more than two terminals. --terminal adds to the config file\'s terminals.',
+        'A sweep is configured with e.g. "sweep": { "maxLength": "20:100:20", "boundaryCondition": ["left-to-right", "top-to-bottom"] }.',
+        '',
+        'Example: node headless.js sweep --runs 50 --vary maxLength=20:100:20 --vary boundaryCondition=left-to-right,top-to-bottom',
+        'Example: node headless.js spanning --runs 200 --line-counts 1500:3500:100',
+    ].join('\n');
+}
+
+/**
+ * Converts a raw string into the option's value type.
+ * @param {object} option The option descriptor from `OPTIONS`.
+ * @param {*} raw The raw value (a string from argv, or any JSON value from a config file).
+ * @param {string} source A description of where the value came from, used in error messages.
+ * @returns {*} The parsed value.
+ */
+function parseValue(option, raw, source) {
+    const { type } = option;
+    if (type === 'string') {
+        if (typeof raw !== 'string' || raw === '') throw new CliError(`${source} expects a value.`);
+        return raw;
+    }
+    if (type === 'boolean') {
+        if (typeof raw !== 'boolean') throw new CliError(`${source} must be true or false.`);
+        return raw;
+    }
+    if (type === 'sweep') {
+        return parseSweepAxes(raw, source);
+    }
+    if (type === 'distribution' || type === 'shape') {
+        if (raw && typeof raw === 'object' && !Array.isArray(raw)) return raw;
+        try {
+            return type === 'distribution' ? parseDistribution(raw) : parseShape(raw);
+        } catch (error) {
+            throw new CliError(`${source}: ${error.message}`);
+        }
+    }
+    if (type === 'obstacle' || type === 'terminal') {
+        // A config file gives the whole list, checked by `checkParameterRanges`; a flag gives one polygon or terminal.
+        if (Array.isArray(raw)) return raw;
+        try {
+            return [type === 'obstacle' ? parseObstacle(raw) : parseTerminal(raw)];
+        } catch (error) {
+            throw new CliError(`${source}: ${error.message}`);
+        }
+    }
+    if (type === 'bridge-area' || type === 'edge-list') {
+        // Config files may give the bridge area as an object; it is checked as a whole by `checkParameterRanges`.
+        if (type === 'bridge-area' && raw && typeof raw === 'object' && !Array.isArray(raw)) return raw;
+        try {
+            return type === 'bridge-area' ? parseBridgeArea(raw) : parseEdgeList(raw);
+        } catch (error) {
+            throw new CliError(`${source}: ${error.message}`);
+        }
+    }
+    if (type === 'range') {
+        let items;
+        try {
+            items = parseSweepValues(raw);
+        } catch (error) {
+            throw new CliError(`${source}: ${error.message}`);
+        }
+        if (items.length === 0) throw new CliError(`${source} expects at least one value.`);
+        return items.map((item, i) => parseValue({ ...option, type: option.itemType || 'number' }, item, `${source} (item ${i + 1})`));
+    }
+    if (type === 'number-list') {
+        const items = Array.isArray(raw) ? raw : String(raw).split(',');
+        if (items.length === 0 || items.some(item => String(item).trim() === '')) {
+            throw new CliError(`${source} must be a comma-separated list of numbers (got "${raw}").`);
+        }
+        return items.map((item, i) => parseValue({ ...option, type: option.itemType || 'number' }, item, `${source} (item ${i + 1})`));
+    }
+    if (type === 'choice') {
+        if (!option.choices.includes(raw)) {
+            throw new CliError(`${source} must be one of ${option.choices.join(', ')} (got "${raw}").`);
+        }
+        return raw;
+    }
+
+    const value = typeof raw === 'number' ? raw : (typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN);
+    if (!Number.isFinite(value)) throw new CliError(`${source} must be a number (got "${raw}").`);
+    if (type === 'integer' && !Number.isInteger(value)) throw new CliError(`${source} must be an integer (got "${raw}").`);
+    if (option.min !== undefined) {
+        if (option.exclusiveMin ? value <= option.min : value < option.min) {
+            throw new CliError(`${source} must be ${option.exclusiveMin ? 'greater than' : 'at least'} ${option.min} (got ${value}).`);
+        }
+    }
+    if (option.max !== undefined && value > option.max) {
+        throw new CliError(`${source} must be at most ${option.max} (got ${value}).`);
+    }
+    return value;
+}
+
+/**
+ * Parses sweep axes, given either as one `name=values` string (from `--vary`)
+ * or as an object mapping names to values (from a config file).
+ * Every value is checked like the corresponding flag would be.
+ * @param {string|object} raw The raw sweep specification.
+ * @param {string} source A description of where the value came from, used in error messages.
+ * @returns {object} Maps each swept parameter name to its array of values.
+ */
+function parseSweepAxes(raw, source) {
+    let entries;
+    if (typeof raw === 'string') {
+        const separator = raw.indexOf('=');
+        if (separator <= 0) throw new CliError(`${source} expects name=values, e.g. maxLength=10:100:10 (got "${raw}").`);
+        entries = [[raw.slice(0, separator), raw.slice(separator + 1)]];
+    } else if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+        entries = Object.entries(raw);
+    } else {
+        throw new CliError(`${source} must map parameter names to values.`);
+    }
+
+    const sweepable = OPTIONS.filter(o => (o.section === 'canvasDimensions' || o.section === 'simulationParameters') &&
+        !NON_SWEEPABLE_KEYS.includes(o.key));
+    const axes = {};
+    for (const [name, spec] of entries) {
+        const option = sweepable.find(o => o.key === name);
+        if (!option) {
+            throw new CliError(`${source}: "${name}" cannot be swept. Choose from ${sweepable.map(o => o.key).join(', ')}.`);
+        }
+        let values;
+        try {
+            values = parseSweepValues(spec);
+        } catch (error) {
+            throw new CliError(`${source}: ${error.message}`);
+        }
+        // Sweep lists are text, so boolean parameters are given as true/false.
+        const typed = option.type === 'boolean' ? values.map(value => (value === 'true' ? true : value === 'false' ? false : value)) : values;
+        axes[name] = typed.map(value => parseValue(option, value, `${source} value for ${name}`));
+    }
+    return axes;
+}
+
+/**
+ * Checks the parameters with `validateParameters`, including the relationships between
+ * parameters that single flags cannot check on their own.
+ * @param {object} simulationParameters The parameters to check.
+ * @param {object} canvasDimensions The canvas dimensions they will run with.
+ * @param {string} [context=''] A prefix for error messages (e.g. which sweep point failed).
+ * @throws {CliError} Listing every problem, one per line.
+ */
+function checkParameterRanges(simulationParameters, canvasDimensions, context = '') {
+    const { errors } = validateParameters(simulationParameters, canvasDimensions);
+    if (errors.length > 0) {
+        throw new CliError(errors.map(error => `${context}${error.message}`).join('\n'));
+    }
+}
+
+/**
+ * Reads and validates a JSON config file.
+ * @param {string} path The path to the config file.
+ * @returns {object} The config's values, grouped by section (see `SECTIONS`).
+ */
+function loadConfig(path) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (error) {
+        throw new CliError(`Could not read config file "${path}": ${error.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new CliError(`Config file "${path}" must contain a JSON object.`);
+    }
+
+    const result = emptySections();
+    const known = new Set(SECTIONS.filter(section => section !== 'options'));
+    for (const option of OPTIONS) {
+        if (option.section === 'options') known.add(option.key);
+    }
+    for (const key of Object.keys(config)) {
+        if (!known.has(key)) throw new CliError(`Unknown key "${key}" in config file "${path}".`);
+    }
+
+    for (const option of OPTIONS) {
+        // Fields of a compound value (the bridge area's units and edges) are read with the value itself.
+        if (option.key === 'config' || option.key === 'help' || option.field) continue;
+        const section = option.section === 'options' ? config : config[option.section];
+        if (section && section[option.key] !== undefined) {
+            result[option.section][option.key] = parseValue(option, section[option.key], `"${option.key}" in ${path}`);
+        }
+    }
+    return result;
+}
+
+/**
+ * Parses the command-line arguments of `headless.js`.
+ * Values are resolved in order of precedence: flags, then the config file, then defaults.
+ * For backwards compatibility the first positional number is the run count and the second the seed.
+ * @param {string[]} argv The arguments after the script name (`process.argv.slice(2)`).
+ * @returns {{command: string, help: boolean, runs: number, workers: number, output: (string|undefined),
+ *     dumpRuns: number[], figureRuns: number[], clusterRuns: number[], dumpDir: string, canvasDimensions: object, simulationParameters: object,
+ *     statisticsOptions: object, sweep: object, sizes: number[], lineCounts: number[]}}
+ */
+function parseArguments(argv) {
+    const flags = emptySections();
+    const positionals = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('-') || /^-\d/.test(arg)) {
+            positionals.push(arg);
+            continue;
+        }
+        const [name, inlineValue] = arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined];
+        const option = OPTIONS.find(o => o.flag === name || o.alias === name);
+        if (!option) throw new CliError(`Unknown option "${name}".`);
+
+        let value;
+        if (option.type === 'boolean') {
+            if (inlineValue !== undefined) throw new CliError(`${option.flag} does not take a value.`);
+            value = true;
+        } else {
+            const raw = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (raw === undefined) throw new CliError(`${option.flag} expects a value.`);
+            value = parseValue(option, raw, option.flag);
+        }
+        if (option.field) {
+            flags[option.section][option.key] = { ...flags[option.section][option.key], [option.field]: value };
+        } else if (option.type === 'obstacle' || option.type === 'terminal') {
+            flags[option.section][option.key] = [...(flags[option.section][option.key] || []), ...value];
+        } else if (option.repeatable || option.type === 'bridge-area') {
+            flags[option.section][option.key] = { ...flags[option.section][option.key], ...value };
+        } else {
+            flags[option.section][option.key] = value;
+        }
+    }
+
+    let command = 'run';
+    if (positionals.length > 0 && COMMANDS.includes(positionals[0])) {
+        command = positionals.shift();
+    } else if (positionals.length > 0 && !/^-?\d/.test(positionals[0])) {
+        throw new CliError(`Unknown command "${positionals[0]}". Expected one of: ${COMMANDS.join(', ')}.`);
+    }
+    if (positionals.length > 2) throw new CliError(`Unexpected argument "${positionals[2]}".`);
+    const runsOption = OPTIONS.find(o => o.key === 'runs');
+    const seedOption = OPTIONS.find(o => o.key === 'seed');
+    if (positionals.length > 0 && flags.options.runs === undefined) {
+        flags.options.runs = parseValue(runsOption, positionals[0], 'The number of runs');
+    }
+    if (positionals.length > 1 && flags.simulationParameters.seed === undefined) {
+        flags.simulationParameters.seed = parseValue(seedOption, positionals[1], 'The seed');
+    }
+
+    if (flags.options.help) {
+        return { command, help: true };
+    }
+
+    const config = flags.options.config ? loadConfig(flags.options.config) : emptySections();
+    const options = { ...config.options, ...flags.options };
+    const canvasDimensions = { ...DEFAULT_CANVAS_DIMENSIONS, ...config.canvasDimensions, ...flags.canvasDimensions };
+    const simulationParameters = { ...DEFAULT_SIMULATION_PARAMS, ...config.simulationParameters, ...flags.simulationParameters };
+    if (flags.simulationParameters.bridgeArea) {
+        // Flags such as --bridge-units adjust the config file's bridge area rather than replace it.
+        simulationParameters.bridgeArea = { ...config.simulationParameters.bridgeArea, ...flags.simulationParameters.bridgeArea };
+        if (!simulationParameters.bridgeArea.shape) {
+            throw new CliError('--bridge-units, --start-edges and --finish-edges need a --bridge-area.');
+        }
+    }
+    ['obstacles', 'terminals'].forEach(key => {
+        if (flags.simulationParameters[key] && config.simulationParameters[key]) {
+            simulationParameters[key] = [...config.simulationParameters[key], ...flags.simulationParameters[key]];
+        }
+    });
+    const statisticsOptions = { ...config.statisticsOptions, ...flags.statisticsOptions };
+
+    const sweep = { ...config.options.sweep, ...flags.options.sweep };
+
+    if (command === 'sweep') {
+        if (Object.keys(sweep).length === 0) {
+            throw new CliError('The sweep command needs at least one --vary name=values (or a "sweep" object in the config file).');
+        }
+        expandGrid(sweep).forEach(point => {
+            const label = Object.entries(point).map(([name, value]) => `${name}=${value}`).join(', ');
+            checkParameterRanges({ ...simulationParameters, ...point }, { ...canvasDimensions, ...point }, `At sweep point ${label}: `);
+        });
+    } else {
+        checkParameterRanges(simulationParameters, canvasDimensions);
+    }
+
+    const sizes = options.sizes || DEFAULT_SCALING_SIZES;
+    if (command === 'scaling') {
+        if (new Set(sizes).size < 3) {
+            throw new CliError(`--sizes: a scaling study needs at least three different sizes (got ${sizes.join(',')}).`);
+        }
+        const rmsLength = Math.sqrt(meanSquaredLength(simulationParameters));
+        sizes.forEach(size => {
+            const canvas = scaledCanvas(canvasDimensions, size, rmsLength);
+            checkParameterRanges(simulationParameters, canvas, `At size ${size} (a ${canvas.width}x${canvas.height} canvas): `);
+        });
+    }
+
+    if (command === 'spanning' && !options.lineCounts) {
+        throw new CliError('The spanning command needs --line-counts, e.g. --line-counts 1500:3500:100 (or "lineCounts" in the config file).');
+    }
+
+    const runs = options.runs !== undefined ? options.runs : (command === 'benchmark' ? 10 : DEFAULT_RUNS);
+    const dumpRuns = options.dumpRuns || [];
+    const figureRuns = options.figureRuns || [];
+    const clusterRuns = options.clusterRuns || [];
+    [['--dump-runs', dumpRuns], ['--figure-runs', figureRuns], ['--cluster-runs', clusterRuns]].forEach(([flag, list]) => {
+        const missingRun = list.find(run => run >= runs);
+        if (missingRun !== undefined) {
+            throw new CliError(`${flag}: run ${missingRun} does not exist; runs are numbered 0 to ${runs - 1}.`);
+        }
+    });
+
+    return {
+        command,
+        help: false,
+        runs,
+        workers: options.workers || 1,
+        output: options.output,
+        dumpRuns,
+        figureRuns,
+        clusterRuns,
+        dumpDir: options.dumpDir || '.',
+        format: options.format || (options.output && /\.csv$/i.test(options.output) ? 'csv' : 'json'),
+        canvasDimensions,
+        simulationParameters,
+        statisticsOptions,
+        sweep,
+        sizes,
+        lineCounts: options.lineCounts ? [...new Set(options.lineCounts)].sort((a, b) => a - b) : [],
+    };
+}
+
+module.exports = { parseArguments, loadConfig, getHelpText, CliError };
@@ -0,0 +1,298 @@
+(function(global) {
+    'use strict';
+
+    // Module 12: Distributions (`distributions.js`)
+    // The registry of distributions line lengths and angles are drawn from, selected with
+    // the `lengthDistribution` and `angleDistribution` simulation parameters, e.g.
+    //   { type: 'lognormal', mu: 3.4, sigma: 0.5 }   or   { type: 'von-mises', mean: 90, kappa: 4 }
+    // Left out, both are uniform. Every length distribution is truncated to
+    // [minLength, maxLength], so those stay the bounds the spatial index relies on.
+    // Uniform angles lie in [minAngle, maxAngle]; von Mises angles are not bounded.
+
+    /**
+     * The standard normal cumulative distribution function
+     * (Abramowitz and Stegun 7.1.26, absolute error below 1.5e-7).
+     * @param {number} x
+     * @returns {number}
+     */
+    function normalCdf(x) {
+        const z = Math.abs(x) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * z);
+        const erfc = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-z * z);
+        return x >= 0 ? 1 - erfc / 2 : erfc / 2;
+    }
+
+    /**
+     * The inverse of `normalCdf` (Acklam's rational approximation, relative error below 1.2e-9).
+     * @param {number} p A probability in (0, 1).
+     * @returns {number}
+     */
+    function normalQuantile(p) {
+        const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+        const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+        const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+        const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+        const lowTail = 0.02425;
+        if (p < lowTail) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - lowTail) {
+            return -normalQuantile(1 - p);
+        }
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    /**
+     * Creates a sampler for a normal distribution truncated to [min, max], by inverting
+     * its distribution function, so every sample takes exactly one random number.
+     * @param {number} mean - The mean before truncation.
+     * @param {number} stdDev - The standard deviation before truncation.
+     * @param {number} min - The lower bound.
+     * @param {number} max - The upper bound.
+     * @param {string} describe - Names the distribution in error messages.
+     * @returns {function(function(): number): number}
+     * @throws {Error} If the bounds leave (almost) nothing of the distribution.
+     */
+    function truncatedNormalSampler(mean, stdDev, min, max, describe) {
+        const lower = normalCdf((min - mean) / stdDev);
+        const upper = normalCdf((max - mean) / stdDev);
+        if (!(upper - lower > 1e-9)) {
+            throw new Error(`The ${describe} puts almost no probability between ${min} and ${max}.`);
+        }
+        return random => {
+            const p = Math.min(Math.max(lower + random() * (upper - lower), 1e-300), 1 - 1e-16);
+            return Math.min(Math.max(mean + stdDev * normalQuantile(p), min), max);
+        };
+    }
+
+    function requirePositiveMinimum(min, describe) {
+        if (!(min > 0)) throw new Error(`The ${describe} needs a minimum length above 0 (got ${min}).`);
+    }
+
+    /**
+     * Length distributions. Each lists its parameters (with a default and an optional
+     * lower limit) and creates a sampler from them and the [minLength, maxLength] bounds.
+     */
+    const LENGTH_DISTRIBUTIONS = {
+        uniform: {
+            label: 'Uniform',
+            parameters: [],
+            createSampler: (params, { min, max }) => random => random() * (max - min) + min,
+        },
+        normal: {
+            label: 'Normal (truncated)',
+            parameters: [
+                { name: 'mean', label: 'Mean', default: 30 },
+                { name: 'stdDev', label: 'Std Dev', default: 10, min: 0, exclusiveMin: true },
+            ],
+            createSampler: ({ mean, stdDev }, { min, max }) => truncatedNormalSampler(mean, stdDev, min, max, 'normal length distribution'),
+        },
+        lognormal: {
+            label: 'Log-normal',
+            parameters: [
+                { name: 'mu', label: 'Mean of ln(length)', default: 3.4 },
+                { name: 'sigma', label: 'Std Dev of ln(length)', default: 0.5, min: 0, exclusiveMin: true },
+            ],
+            createSampler: ({ mu, sigma }, { min, max }) => {
+                requirePositiveMinimum(min, 'log-normal length distribution');
+                const sampleLog = truncatedNormalSampler(mu, sigma, Math.log(min), Math.log(max), 'log-normal length distribution');
+                return random => Math.min(Math.max(Math.exp(sampleLog(random)), min), max);
+            },
+        },
+        exponential: {
+            label: 'Exponential',
+            parameters: [
+                { name: 'mean', label: 'Mean', default: 30, min: 0, exclusiveMin: true },
+            ],
+            // Lengths above the minimum are exponential, cut off at the maximum.
+            createSampler: ({ mean }, { min, max }) => {
+                const cutoff = 1 - Math.exp(-(max - min) / mean);
+                return random => Math.min(min - mean * Math.log(1 - random() * cutoff), max);
+            },
+        },
+        'power-law': {
+            label: 'Power law',
+            parameters: [
+                { name: 'exponent', label: 'Exponent (density ~ length^-exponent)', default: 2 },
+            ],
+            createSampler: ({ exponent }, { min, max }) => {
+                requirePositiveMinimum(min, 'power-law length distribution');
+                if (exponent === 1) return random => min * Math.pow(max / min, random());
+                const k = 1 - exponent;
+                const low = Math.pow(min, k);
+                const high = Math.pow(max, k);
+                return random => Math.min(Math.max(Math.pow(low + random() * (high - low), 1 / k), min), max);
+            },
+        },
+        fixed: {
+            label: 'Fixed',
+            parameters: [
+                { name: 'length', label: 'Length', default: 30, min: 0, exclusiveMin: true },
+            ],
+            createSampler: ({ length }, { min, max }) => {
+                if (length < min || length > max) {
+                    throw new Error(`The fixed length (${length}) must lie between the minimum (${min}) and maximum (${max}) lengths.`);
+                }
+                return () => length;
+            },
+        },
+    };
+
+    /**
+     * Angle distributions, in degrees. The bounds are [minAngle, maxAngle].
+     */
+    const ANGLE_DISTRIBUTIONS = {
+        uniform: {
+            label: 'Uniform',
+            parameters: [],
+            createSampler: (params, { min, max }) => random => random() * (max - min) + min,
+        },
+        'von-mises': {
+            label: 'Von Mises',
+            parameters: [
+                { name: 'mean', label: 'Preferred Angle', default: 0 },
+                { name: 'kappa', label: 'Concentration (kappa)', default: 2, min: 0 },
+            ],
+            // Angles may fall anywhere around the circle, whatever the bounds.
+            unbounded: true,
+            // Best and Fisher's (1979) rejection sampler; kappa 0 is uniform around the circle.
+            createSampler: ({ mean, kappa }) => {
+                if (kappa < 1e-8) return random => mean + 360 * random() - 180;
+                const tau = 1 + Math.sqrt(1 + 4 * kappa * kappa);
+                const rho = (tau - Math.sqrt(2 * tau)) / (2 * kappa);
+                const r = (1 + rho * rho) / (2 * rho);
+                return random => {
+                    for (;;) {
+                        const z = Math.cos(Math.PI * random());
+                        const f = (1 + r * z) / (r + z);
+                        const c = kappa * (r - f);
+                        const u = random();
+                        if (c * (2 - c) - u > 0 || Math.log(c / u) + 1 - c >= 0) {
+                            const sign = random() < 0.5 ? -1 : 1;
+                            return mean + sign * Math.acos(Math.min(Math.max(f, -1), 1)) * 180 / Math.PI;
+                        }
+                    }
+                };
+            },
+        },
+    };
+
+    const DISTRIBUTIONS = { length: LENGTH_DISTRIBUTIONS, angle: ANGLE_DISTRIBUTIONS };
+
+    /**
+     * Checks a distribution specification and fills in the defaults of missing parameters.
+     * @param {'length'|'angle'} kind - Which registry the distribution comes from.
+     * @param {object} [spec] - The specification ({ type, ...parameters }); uniform if left out.
+     * @returns {object} The full specification, with every parameter of its type.
+     * @throws {Error} For an unknown type, an unknown parameter or a value out of range.
+     */
+    function normalizeDistribution(kind, spec) {
+        const registry = DISTRIBUTIONS[kind];
+        if (spec === undefined || spec === null) return { type: 'uniform' };
+        const { type, ...values } = spec;
+        const distribution = registry[type];
+        if (!distribution) {
+            throw new Error(`The ${kind} distribution must be one of ${Object.keys(registry).join(', ')} (got "${type}").`);
+        }
+        const unknown = Object.keys(values).find(name => !distribution.parameters.some(p => p.name === name));
+        if (unknown) {
+            const known = distribution.parameters.map(p => p.name).join(', ') || 'none';
+            throw new Error(`The ${type} ${kind} distribution has no parameter "${unknown}" (parameters: ${known}).`);
+        }
+        const normalized = { type };
+        distribution.parameters.forEach(parameter => {
+            const value = values[parameter.name] === undefined ? parameter.default : values[parameter.name];
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`The ${type} ${kind} distribution needs a number for "${parameter.name}" (got ${JSON.stringify(value)}).`);
+            }
+            if (parameter.min !== undefined && (parameter.exclusiveMin ? value <= parameter.min : value < parameter.min)) {
+                throw new Error(`"${parameter.name}" of the ${type} ${kind} distribution must be ${parameter.exclusiveMin ? 'greater than' : 'at least'} ${parameter.min} (got ${value}).`);
+            }
+            normalized[parameter.name] = value;
+        });
+        return normalized;
+    }
+
+    /**
+     * Creates the sampler for a length or angle distribution.
+     * @param {'length'|'angle'} kind - Which registry the distribution comes from.
+     * @param {object} [spec] - The specification ({ type, ...parameters }); uniform if left out.
+     * @param {{min: number, max: number}} bounds - The minimum and maximum length or angle.
+     * @returns {function(function(): number): number} Draws a value using the given random generator.
+     * @throws {Error} If the specification is invalid or cannot produce values within the bounds.
+     */
+    function createDistributionSampler(kind, spec, bounds) {
+        const normalized = normalizeDistribution(kind, spec);
+        return DISTRIBUTIONS[kind][normalized.type].createSampler(normalized, bounds);
+    }
+
+    /**
+     * The range a distribution's values can fall in.
+     * @param {'length'|'angle'} kind - Which registry the distribution comes from.
+     * @param {object} [spec] - The specification ({ type, ...parameters }); uniform if left out.
+     * @param {{min: number, max: number}} bounds - The minimum and maximum length or angle.
+     * @returns {{min: number, max: number}|null} The bounds, or null if the values are not bounded.
+     * @throws {Error} If the specification is invalid.
+     */
+    function distributionRange(kind, spec, bounds) {
+        const normalized = normalizeDistribution(kind, spec);
+        return DISTRIBUTIONS[kind][normalized.type].unbounded ? null : { min: bounds.min, max: bounds.max };
+    }
+
+    /**
+     * Parses the text form of a distribution, `type` or `type:name=value,...`,
+     * e.g. `lognormal:mu=3.4,sigma=0.5`, as used by the `--length-dist` and `--angle-dist` flags.
+     * @param {string} text - The text form.
+     * @returns {object} The specification (not yet checked against the registry).
+     * @throws {Error} If a parameter is not written name=number.
+     */
+    function parseDistribution(text) {
+        const [type, list] = String(text).trim().split(/:(.*)/);
+        const spec = { type };
+        if (list !== undefined && list.trim() !== '') {
+            list.split(',').forEach(item => {
+                const match = item.trim().match(/^([A-Za-z]+)\s*=\s*(\S+)$/);
+                if (!match || !Number.isFinite(Number(match[2]))) {
+                    throw new Error(`Distribution parameters are written name=number, e.g. lognormal:mu=3.4,sigma=0.5 (got "${item.trim()}").`);
+                }
+                spec[match[1]] = Number(match[2]);
+            });
+        }
+        return spec;
+    }
+
+    /**
+     * Writes a distribution in the text form read by `parseDistribution`, with its defaults filled in.
+     * @param {'length'|'angle'} kind - Which registry the distribution comes from.
+     * @param {object} [spec] - The specification.
+     * @returns {string}
+     */
+    function formatDistribution(kind, spec) {
+        const { type, ...values } = normalizeDistribution(kind, spec);
+        const list = Object.entries(values).map(([name, value]) => `${name}=${value}`).join(',');
+        return list ? `${type}:${list}` : type;
+    }
+
+    // --- Module Export ---
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js
+        module.exports = {
+            LENGTH_DISTRIBUTIONS, ANGLE_DISTRIBUTIONS, normalizeDistribution, createDistributionSampler,
+            distributionRange, parseDistribution, formatDistribution,
+        };
+    } else {
+        // Browser
+        global.LENGTH_DISTRIBUTIONS = LENGTH_DISTRIBUTIONS;
+        global.ANGLE_DISTRIBUTIONS = ANGLE_DISTRIBUTIONS;
+        global.normalizeDistribution = normalizeDistribution;
+        global.createDistributionSampler = createDistributionSampler;
+        global.distributionRange = distributionRange;
+        global.parseDistribution = parseDistribution;
+        global.formatDistribution = formatDistribution;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
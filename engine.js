@@ -1,28 +1,153 @@
 (function(global) {
     // --- Dependency Loading ---
     // This pattern allows the module to work in both Node.js and the browser.
-    let UnionFind, intersects;
+    let UnionFind, PeriodicUnionFind, EventEmitter, createSeededRandom, generateSeed, createSpatialIndex;
+    let resolveBridgeArea, resolveBridgeTerminals, createDistributionSampler, normalizeShape, getShapeGeometry;
+    let resolveObstacles, checkObstaclePolicy, placeAmongObstacles, touchesTerminal, findJoiningCluster;
+    let checkEdgePolicy, resolveEdgePolicy, createLinePlacer, checkParameters;
 
     if (typeof module !== 'undefined' && module.exports) {
         // We are in a Node.js environment, so we load dependencies with require.
         const utils = require('./utils.js');
         UnionFind = utils.UnionFind;
-        intersects = utils.intersects;
+        PeriodicUnionFind = utils.PeriodicUnionFind;
+        EventEmitter = utils.EventEmitter;
+        createSeededRandom = utils.createSeededRandom;
+        generateSeed = utils.generateSeed;
+        const spatial = require('./spatial.js');
+        createSpatialIndex = spatial.createSpatialIndex;
+        const bridgeArea = require('./bridge-area.js');
+        resolveBridgeArea = bridgeArea.resolveBridgeArea;
+        resolveBridgeTerminals = bridgeArea.resolveBridgeTerminals;
+        createDistributionSampler = require('./distributions.js').createDistributionSampler;
+        const shapes = require('./shapes.js');
+        normalizeShape = shapes.normalizeShape;
+        getShapeGeometry = shapes.getShapeGeometry;
+        const obstacles = require('./obstacles.js');
+        resolveObstacles = obstacles.resolveObstacles;
+        checkObstaclePolicy = obstacles.checkObstaclePolicy;
+        placeAmongObstacles = obstacles.placeAmongObstacles;
+        const terminals = require('./terminals.js');
+        touchesTerminal = terminals.touchesTerminal;
+        findJoiningCluster = terminals.findJoiningCluster;
+        const placement = require('./placement.js');
+        checkEdgePolicy = placement.checkEdgePolicy;
+        resolveEdgePolicy = placement.resolveEdgePolicy;
+        createLinePlacer = placement.createLinePlacer;
+        checkParameters = require('./validation.js').checkParameters;
     } else {
         // We are in a browser environment, so we'll use the global variables.
         UnionFind = global.UnionFind;
-        intersects = global.intersects;
+        PeriodicUnionFind = global.PeriodicUnionFind;
+        EventEmitter = global.EventEmitter;
+        createSeededRandom = global.createSeededRandom;
+        generateSeed = global.generateSeed;
+        createSpatialIndex = global.createSpatialIndex;
+        resolveBridgeArea = global.resolveBridgeArea;
+        resolveBridgeTerminals = global.resolveBridgeTerminals;
+        createDistributionSampler = global.createDistributionSampler;
+        normalizeShape = global.normalizeShape;
+        getShapeGeometry = global.getShapeGeometry;
+        resolveObstacles = global.resolveObstacles;
+        checkObstaclePolicy = global.checkObstaclePolicy;
+        placeAmongObstacles = global.placeAmongObstacles;
+        touchesTerminal = global.touchesTerminal;
+        findJoiningCluster = global.findJoiningCluster;
+        checkEdgePolicy = global.checkEdgePolicy;
+        resolveEdgePolicy = global.resolveEdgePolicy;
+        createLinePlacer = global.createLinePlacer;
+        checkParameters = global.checkParameters;
     }
 
     // --- Module Definition ---
     // Module 1: 🧑‍💻 Simulation Engine (`engine.js`)
-    class SimulationEngine {
+
+    // Identifies snapshot files; bump the version whenever the snapshot layout changes.
+    const SNAPSHOT_FORMAT = 'line-bridge-snapshot';
+    const SNAPSHOT_VERSION = 1;
+
+    // With periodic boundaries there are no edges to bridge; instead a cluster spans the
+    // canvas when it wraps around the torus in the direction(s) the bridge type asks for.
+    const WRAP_AXES = {
+        'left-to-right': ['x'],
+        'top-to-bottom': ['y'],
+        'top-left-to-bottom-right': ['x', 'y'],
+    };
+
+    // The periodic images of a line that can meet a line whose start lies on the canvas,
+    // as shifts in whole canvas sizes. The unshifted line comes first.
+    const PERIODIC_SHIFTS = [{ x: 0, y: 0 }];
+    [-1, 0, 1].forEach(y => [-1, 0, 1].forEach(x => {
+        if (x !== 0 || y !== 0) PERIODIC_SHIFTS.push({ x, y });
+    }));
+    const NO_SHIFTS = [{ x: 0, y: 0 }];
+
+    // The parameters `updateSimulationParameters` changes mid-run; every other one is fixed until `reset`.
+    const LIVE_PARAMETERS = ['minLength', 'maxLength', 'minAngle', 'maxAngle', 'lengthDistribution', 'angleDistribution'];
+
+    // How many lines may be drawn for one placement before the obstacles are taken to leave no room.
+    const MAX_OBSTACLE_ATTEMPTS = 100000;
+
+    /**
+     * Groups line indices `0..count-1` by their union-find root. Clusters come out
+     * ordered by their lowest line index, which keeps their order (and colors) stable.
+     * @param {UnionFind} unionFind - The union-find holding the lines.
+     * @param {number} count - The number of lines to group.
+     * @returns {number[][]} The clusters, as arrays of line indices.
+     */
+    function groupClusters(unionFind, count) {
+        const clusters = new Map();
+        for (let i = 0; i < count; i++) {
+            const root = unionFind.find(i);
+            if (!clusters.has(root)) clusters.set(root, []);
+            clusters.get(root).push(i);
+        }
+        return Array.from(clusters.values());
+    }
+
+    /**
+     * Runs one simulation. Besides its public fields, the engine reports what happens as
+     * events (see `EventEmitter` in `utils.js`); subscribe with `engine.on(event, listener)`:
+     *   'line-added'        { index, line, lineCount }     a line was placed, at random or by `addLine`
+     *   'boundary-touched'  { index, line, terminals,      it touches terminals: `terminals` lists their
+     *                         start, finish }              names, `start`/`finish` say if it touches the first/second
+     *   'clusters-merged'   { index, sizes, size }         it joined clusters: `sizes` lists the sizes
+     *                                                      before (its own 1 first), `size` the result
+     *   'bridge-formed'     { lineCount, path }            the first line of a bridge was placed
+     *   'line-removed'      { index, line, lineCount,      `removeLine` removed a line; `bridged` says whether
+     *                         bridged }                    the remaining lines still form a bridge
+     *   'run-complete'      { lineCount, bridgeFormedAt }  a fixed-density run placed its last line; `bridgeFormedAt`
+     *                                                      is the line count it spanned from, or null
+     *   'reset'             { seed }                       `reset` cleared the simulation
+     * The events of one line come in the order listed, after the clusters have been merged.
+     */
+    class SimulationEngine extends EventEmitter {
         /**
          * Initializes the simulation engine.
          * @param {object} canvasDimensions - The dimensions of the canvas ({ width, height }).
          * @param {object} simulationParameters - The parameters for line generation ({ minLength, maxLength, minAngle, maxAngle }).
+         *     An optional integer `seed` makes the run reproducible; alternatively `random` may supply
+         *     a custom generator function returning floats in [0, 1). `spatialIndex` selects the
+         *     intersection index ('auto', 'grid', 'quadtree' or 'none'; defaults to 'auto').
+         *     `periodic: true` wraps lines around the canvas edges (a torus); `maxLength` must then be
+         *     less than half the canvas width and height. `bridgeArea` places the area whose edges the
+         *     bridge connects (a rectangle, circle or polygon, see `bridge-area.js`); by default it is the
+         *     canvas with a 10% margin. `lengthDistribution` and `angleDistribution` pick the distributions
+         *     lengths and angles are drawn from (see `distributions.js`); both default to uniform. `shape`
+         *     drops disks, thick sticks or ellipses instead of line segments (see `shapes.js`). `obstacles`
+         *     lists polygons no line may overlap, and `obstaclePolicy` ('reject' or 'clip') what happens
+         *     to a line that would (see `obstacles.js`). `edgePolicy` ('reject', 'clip' or 'extend') decides
+         *     what happens to a line that would cross the canvas edge (see `placement.js`). `terminals`
+         *     replaces the bridge area's edges with regions of your own, and `stopRule` decides which of
+         *     them the bridge must join (see `terminals.js`). `fixedLineCount` switches to fixed-density
+         *     mode: the run places exactly that many lines, carrying on past a bridge, and then stops;
+         *     `bridgeFormedAt` then says whether (and from which line on) the lines span. Numbers may be given as text.
+         * @throws {ParameterError} If the parameters are rejected by `reset` (see `validation.js`).
          */
         constructor(canvasDimensions, simulationParameters) {
+            super();
+            // While true, no events are sent (e.g. while `removeLine` places the lines again).
+            this.isReplaying = false;
             this.canvasDimensions = canvasDimensions || { width: 800, height: 600 };
             this.simulationParameters = simulationParameters || {
                 minLength: 10,
@@ -32,187 +157,597 @@
                 boundaryCondition: 'left-to-right',
             };
 
-            // Define the inner "bridge area" with a margin.
-            const margin = {
-                x: this.canvasDimensions.width * 0.1,
-                y: this.canvasDimensions.height * 0.1,
-            };
-
-            this.bridgeArea = {
-                x: margin.x,
-                y: margin.y,
-                width: this.canvasDimensions.width - 2 * margin.x,
-                height: this.canvasDimensions.height - 2 * margin.y,
-            };
-
             this.reset();
         }
 
         /**
          * Resets the simulation to its initial state.
+         * The random number generator is re-created, so resetting with the same seed replays the same run.
+         * The parameters are validated (see `validation.js`), and the bridge area, terminals and
+         * obstacles resolved again from them; `simulationParameters` then holds the normalized values.
+         * @throws {ParameterError} If the parameters are invalid (the engine is then left unchanged).
          */
         reset() {
-            this.lines = [];
+            const simulationParameters = checkParameters(this.simulationParameters, this.canvasDimensions);
+            const { minLength, maxLength, minAngle, maxAngle } = simulationParameters;
+            const bridgeArea = resolveBridgeArea(simulationParameters.bridgeArea, this.canvasDimensions, simulationParameters.boundaryCondition);
+            const { stopRule, terminals } = resolveBridgeTerminals(simulationParameters, this.canvasDimensions, bridgeArea);
+            const sampleLength = createDistributionSampler('length', simulationParameters.lengthDistribution, { min: minLength, max: maxLength });
+            const sampleAngle = createDistributionSampler('angle', simulationParameters.angleDistribution, { min: minAngle, max: maxAngle });
+            const shape = normalizeShape(simulationParameters.shape);
+            const geometry = getShapeGeometry(shape.type);
+            const obstacles = resolveObstacles(simulationParameters.obstacles, this.canvasDimensions);
+            const obstaclePolicy = checkObstaclePolicy(simulationParameters.obstaclePolicy, shape.type);
+            // `checkParameters` has already made sure every line fits the edge policy.
+            const edgePolicy = checkEdgePolicy(simulationParameters.edgePolicy, shape.type);
+            // With terminals of its own the run has no bridge area; the renderer draws the terminals instead.
+            const hasOwnTerminals = simulationParameters.terminals !== undefined && simulationParameters.terminals !== null;
+            this.simulationParameters = simulationParameters;
+            this.bridgeArea = hasOwnTerminals ? null : bridgeArea;
+            this.stopRule = stopRule;
+            this.terminals = terminals;
+            this.shape = shape;
+            this.geometry = geometry;
+            this.obstacles = obstacles;
+            this.obstaclePolicy = obstaclePolicy;
+            this.edgePolicy = edgePolicy;
+            this.sampleLength = sampleLength;
+            this.sampleAngle = sampleAngle;
+            this.periodic = Boolean(simulationParameters.periodic);
+            this.fixedLineCount = simulationParameters.fixedLineCount === undefined ? null : simulationParameters.fixedLineCount;
+            this.placeLine = createLinePlacer(this.canvasDimensions, shape, geometry, edgePolicy, this.periodic);
+            this.random = this._createRandom();
             this.isRunning = false;
+            this._clearLines();
+            this._emit('reset', () => ({ seed: this.seed }));
+        }
+
+        /**
+         * Sends an event, unless the engine is only replaying lines it has placed before.
+         * @param {string} event - The event name.
+         * @param {function(): object} getDetails - Builds the event's details, only if someone listens.
+         */
+        _emit(event, getDetails) {
+            if (this.isReplaying || !this.hasListeners(event)) return;
+            this.emit(event, getDetails());
+        }
+
+        /**
+         * Removes every line, along with the clusters, edge contacts and history built from them.
+         */
+        _clearLines() {
+            this.lines = [];
             this.lineCount = 0;
             this.connectingPath = [];
             this.clusters = [];
-            this.unionFind = new UnionFind();
-            this.starterLines = new Set();
-            this.finisherLines = new Set();
+            this.unionFind = this.periodic ? new PeriodicUnionFind() : new UnionFind();
+            this.spatialIndex = createSpatialIndex(this.canvasDimensions, this.simulationParameters);
+            // For each terminal, the lines touching it.
+            this.terminalLines = this.terminals.map(() => new Set());
+            // For each line, the earlier lines it intersects, in the order they were merged.
+            // Replaying these unions recreates the clusters at any earlier line count.
+            this.intersectionHistory = [];
+            // With periodic boundaries, the matching shift (in canvas sizes) of each entry above.
+            this.intersectionShifts = [];
+            this.bridgeFormedAt = null;
+            // Kept up to date from the union-find sizes as lines are placed, with one entry per
+            // line in each history, so the cluster metrics never need a full regrouping.
+            this.clusterCount = 0;
+            this.largestClusterSize = 0;
+            this.clusterCountHistory = [];
+            this.largestClusterHistory = [];
+        }
+
+        /**
+         * Replaces the parameters of a run in progress: later lines follow the new lengths,
+         * angles and distributions. The bridge area, terminals, shape, edge policy, periodic edges,
+         * seed and every other parameter keep their current values until the next `reset`, in
+         * `simulationParameters` too, so a snapshot describes the lines it holds.
+         * @param {object} simulationParameters - The new parameters; only the lengths, angles and
+         *     distributions are taken from them.
+         * @throws {Error} If the parameters are invalid (a `ParameterError`), or the new lines would not
+         *     fit the canvas under the run's edge policy (the parameters are then left unchanged).
+         */
+        updateSimulationParameters(simulationParameters) {
+            const updated = { ...this.simulationParameters };
+            LIVE_PARAMETERS.forEach(name => { updated[name] = simulationParameters[name]; });
+            const values = checkParameters(updated, this.canvasDimensions);
+            const { minLength, maxLength, minAngle, maxAngle } = values;
+            const sampleLength = createDistributionSampler('length', values.lengthDistribution, { min: minLength, max: maxLength });
+            const sampleAngle = createDistributionSampler('angle', values.angleDistribution, { min: minAngle, max: maxAngle });
+            resolveEdgePolicy({ ...values, edgePolicy: this.edgePolicy, periodic: this.periodic }, this.canvasDimensions, this.shape);
+            this.simulationParameters = values;
+            this.sampleLength = sampleLength;
+            this.sampleAngle = sampleAngle;
+        }
+
+        /**
+         * Creates the random number generator for a run from the simulation parameters.
+         * Records the seed in use on `this.seed` (null when a custom generator is supplied).
+         * @returns {function(): number} A generator returning floats in [0, 1).
+         */
+        _createRandom() {
+            const { seed, random } = this.simulationParameters;
+            if (typeof random === 'function') {
+                this.seed = null;
+                return random;
+            }
+            this.seed = (seed === undefined || seed === null) ? generateSeed() : seed >>> 0;
+            return createSeededRandom(this.seed);
         }
 
         /**
-         * Generates a single random line that is guaranteed to be within the canvas boundaries.
-         * @returns {{x1: number, y1: number, x2: number, y2: number}} A line object.
+         * Generates a single random line (or other shape, around a random axis) clear of the
+         * obstacles. Its length and angle come straight from their distributions; the edge
+         * policy then places it on the canvas, clips it at the edge or lets it run past
+         * (see `placement.js`). With periodic boundaries it starts on the canvas and may run
+         * past an edge, to continue on the opposite side. Only a line the obstacles turn away
+         * is drawn again.
+         * @returns {{x1: number, y1: number, x2: number, y2: number}} A line object, plus the
+         *     shape's own parameters for shapes other than segments.
+         * @throws {Error} If the obstacles leave no room for a line after many tries.
          */
         _generateRandomLine() {
-            const { minLength, maxLength, minAngle, maxAngle } = this.simulationParameters;
-            const { width, height } = this.canvasDimensions;
-            let line, isLineInside = false;
-
-            while (!isLineInside) {
-                const angleDegrees = Math.random() * (maxAngle - minAngle) + minAngle;
-                const angleRadians = angleDegrees * (Math.PI / 180);
-                const length = Math.random() * (maxLength - minLength) + minLength;
-                const x1 = Math.random() * width;
-                const y1 = Math.random() * height;
-                const x2 = x1 + length * Math.cos(angleRadians);
-                const y2 = y1 + length * Math.sin(angleRadians);
-
-                if (x1 >= 0 && x1 <= width && y1 >= 0 && y1 <= height &&
-                    x2 >= 0 && x2 <= width && y2 >= 0 && y2 <= height) {
-                    isLineInside = true;
-                    line = { x1, y1, x2, y2 };
-                }
+            for (let attempt = 0; attempt < MAX_OBSTACLE_ATTEMPTS; attempt++) {
+                const angle = this.sampleAngle(this.random);
+                const length = this.sampleLength(this.random);
+                const line = placeAmongObstacles(this.obstacles, this.placeLine(length, angle, this.random), this.geometry,
+                    this.obstaclePolicy, this.periodic ? this.canvasDimensions : null);
+                if (line !== null) return line;
             }
-            return line;
+            throw new Error(`No line could be placed clear of the obstacles in ${MAX_OBSTACLE_ATTEMPTS} tries; ` +
+                'they leave too little room for lines of this length.');
         }
 
         /**
          * Executes one step of the simulation.
          */
         runStep() {
+            if (this._hasAllLines()) this.isRunning = false;
             if (!this.isRunning) return;
 
-            const newLine = this._generateRandomLine();
+            this._insertLine(this._generateRandomLine());
+            this._updateBridgeAndClusters();
+            if (this._hasAllLines()) {
+                this.isRunning = false;
+                this._emit('run-complete', () => ({ lineCount: this.lineCount, bridgeFormedAt: this.bridgeFormedAt }));
+            }
+        }
+
+        /**
+         * Whether a fixed-density run has placed all its lines, which ends it whether or not they span.
+         * @returns {boolean} Always false when the run stops at the bridge instead.
+         */
+        _hasAllLines() {
+            return this.fixedLineCount !== null && this.lineCount >= this.fixedLineCount;
+        }
+
+        /**
+         * Places a given line, e.g. one drawn by hand, as if it had been generated next.
+         * The clusters and bridge are updated straight away; a bridge stops a running simulation (except in fixed-density mode).
+         * For shapes other than segments the line is the axis the run's shape is built around.
+         * @param {{x1: number, y1: number, x2: number, y2: number}} line - The line to add.
+         * @returns {number} The index of the new line.
+         * @throws {Error} If the coordinates are not numbers, or the line overlaps an obstacle
+         *     (with the clip policy, it is cut short at the obstacle instead).
+         */
+        addLine(line) {
+            const { x1, y1, x2, y2 } = line || {};
+            if (![x1, y1, x2, y2].every(Number.isFinite)) {
+                throw new Error('A line needs numeric x1, y1, x2 and y2 coordinates.');
+            }
+            const shape = placeAmongObstacles(this.obstacles, this.geometry.create({ x1, y1, x2, y2 }, this.shape),
+                this.geometry, this.obstaclePolicy, this.periodic ? this.canvasDimensions : null);
+            if (shape === null) throw new Error('The line overlaps an obstacle.');
+            this._insertLine(shape);
+            this._updateBridgeAndClusters();
+            return this.lineCount - 1;
+        }
+
+        /**
+         * Removes a line. The union-find cannot split clusters, so the remaining lines are
+         * placed again in their original order; the lines after the removed one move down one index.
+         * A bridge that no longer holds is cleared, but a stopped run stays stopped.
+         * @param {number} index - The index of the line to remove.
+         * @returns {{x1: number, y1: number, x2: number, y2: number}} The removed line.
+         * @throws {Error} If there is no line with that index.
+         */
+        removeLine(index) {
+            if (!Number.isInteger(index) || index < 0 || index >= this.lineCount) {
+                throw new Error(`There is no line ${index} (the simulation has ${this.lineCount} lines).`);
+            }
+            const lines = this.lines;
+            const [removed] = lines.splice(index, 1);
+            const wasRunning = this.isRunning;
+            this.isReplaying = true;
+            try {
+                this._clearLines();
+                this._replayLines(lines);
+            } finally {
+                this.isReplaying = false;
+            }
+            this.isRunning = wasRunning && (this.fixedLineCount !== null || this.connectingPath.length === 0);
+            this._emit('line-removed', () => ({ index, line: removed, lineCount: this.lineCount, bridged: this.connectingPath.length > 0 }));
+            return removed;
+        }
+
+        /**
+         * Places lines again after `_clearLines`, noting when the bridge formed as a live run would have.
+         * With periodic boundaries only the newest line's cluster is checked for wrapping, so the
+         * bridge kept is the one the last line to complete a wrapping cluster found, as in the live run.
+         * @param {{x1: number, y1: number, x2: number, y2: number}[]} lines - The lines, in their original order.
+         */
+        _replayLines(lines) {
+            let wrapping = null;
+            lines.forEach(line => {
+                this._insertLine(line);
+                if (this.bridgeFormedAt !== null && !this.periodic) return;
+                const bridgeFoundInfo = this._checkForBridgeOptimized();
+                if (bridgeFoundInfo && this.bridgeFormedAt === null) this.bridgeFormedAt = this.lineCount;
+                if (bridgeFoundInfo && this.periodic) wrapping = bridgeFoundInfo;
+            });
+            this._updateBridgeAndClusters(wrapping || undefined);
+        }
+
+        /**
+         * Adds a line to the simulation: records which terminals it touches and merges it with every line it intersects (or, for other shapes,
+         * every shape it overlaps). With periodic boundaries
+         * it is also tested against the other lines' copies one canvas size away.
+         * @param {{x1: number, y1: number, x2: number, y2: number}} newLine - The line to add.
+         */
+        _insertLine(newLine) {
             this.lines.push(newLine);
             const newLineIndex = this.lineCount++;
             this.unionFind.add();
 
-            const { boundaryCondition } = this.simulationParameters;
-            const { bridgeArea } = this;
-            const tolerance = 1e-9;
-            const leftBoundary = bridgeArea.x;
-            const rightBoundary = bridgeArea.x + bridgeArea.width;
-            const topBoundary = bridgeArea.y;
-            const bottomBoundary = bridgeArea.y + bridgeArea.height;
-
-            let touchesStart = false, touchesFinish = false;
-            switch (boundaryCondition) {
-                case 'top-to-bottom':
-                    touchesStart = newLine.y1 <= topBoundary + tolerance || newLine.y2 <= topBoundary + tolerance;
-                    touchesFinish = newLine.y1 >= bottomBoundary - tolerance || newLine.y2 >= bottomBoundary - tolerance;
-                    break;
-                case 'top-left-to-bottom-right':
-                    const cornerTolerance = 15;
-                    const topLeft = { x: leftBoundary, y: topBoundary };
-                    const bottomRight = { x: rightBoundary, y: bottomBoundary };
-                    const isNearPoint = (p, t, tol) => Math.sqrt((p.x - t.x)**2 + (p.y - t.y)**2) <= tol;
-                    touchesStart = isNearPoint({x: newLine.x1, y: newLine.y1}, topLeft, cornerTolerance) || isNearPoint({x: newLine.x2, y: newLine.y2}, topLeft, cornerTolerance);
-                    touchesFinish = isNearPoint({x: newLine.x1, y: newLine.y1}, bottomRight, cornerTolerance) || isNearPoint({x: newLine.x2, y: newLine.y2}, bottomRight, cornerTolerance);
-                    break;
-                case 'left-to-right':
-                default:
-                    touchesStart = newLine.x1 <= leftBoundary + tolerance || newLine.x2 <= leftBoundary + tolerance;
-                    touchesFinish = newLine.x1 >= rightBoundary - tolerance || newLine.x2 >= rightBoundary - tolerance;
-                    break;
-            }
-
-            if (touchesStart) this.starterLines.add(newLineIndex);
-            if (touchesFinish) this.finisherLines.add(newLineIndex);
-
-            for (let i = 0; i < newLineIndex; i++) {
-                if (intersects(this.lines[i], newLine)) {
-                    this.unionFind.union(i, newLineIndex);
+            const touched = this._recordTerminalContacts(newLine, newLineIndex);
+
+            // Candidates come back in ascending index order, so unions happen in
+            // the same order as a full scan and the union-find roots are identical.
+            const { width, height } = this.canvasDimensions;
+            const intersecting = [];
+            const shifts = [];
+            // The sizes of the clusters the new line joins, its own first; only kept if someone listens.
+            const mergedSizes = !this.isReplaying && this.hasListeners('clusters-merged') ? [1] : null;
+            let merges = 0;
+            for (const shift of this.periodic ? PERIODIC_SHIFTS : NO_SHIFTS) {
+                const image = {
+                    ...newLine,
+                    x1: newLine.x1 + shift.x * width, y1: newLine.y1 + shift.y * height,
+                    x2: newLine.x2 + shift.x * width, y2: newLine.y2 + shift.y * height,
+                };
+                for (const i of this.spatialIndex.query(this.geometry.bounds(image))) {
+                    if (this.geometry.overlaps(this.lines[i], image)) {
+                        const root = this.unionFind.find(i);
+                        if (root !== this.unionFind.find(newLineIndex)) {
+                            merges++;
+                            if (mergedSizes) mergedSizes.push(this.unionFind.size[root]);
+                        }
+                        this.unionFind.union(i, newLineIndex, shift);
+                        intersecting.push(i);
+                        shifts.push(shift);
+                    }
                 }
             }
+            this.intersectionHistory.push(intersecting);
+            if (this.periodic) this.intersectionShifts.push(shifts);
+            this.spatialIndex.insert(newLineIndex, this.geometry.bounds(newLine));
 
-            const bridgeFoundInfo = this._checkForBridgeOptimized();
+            // The line starts a cluster of its own, and each merge joins two into one.
+            this.clusterCount += 1 - merges;
+            this.largestClusterSize = Math.max(this.largestClusterSize, this.unionFind.size[this.unionFind.find(newLineIndex)]);
+            this.clusterCountHistory.push(this.clusterCount);
+            this.largestClusterHistory.push(this.largestClusterSize);
+
+            this._emit('line-added', () => ({ index: newLineIndex, line: newLine, lineCount: this.lineCount }));
+            if (touched.length > 0) {
+                this._emit('boundary-touched', () => ({
+                    index: newLineIndex,
+                    line: newLine,
+                    terminals: touched.map(t => this.terminals[t].name),
+                    start: touched.includes(0),
+                    finish: touched.includes(1),
+                }));
+            }
+            if (mergedSizes && mergedSizes.length > 1) {
+                this.emit('clusters-merged', { index: newLineIndex, sizes: mergedSizes, size: this.unionFind.size[this.unionFind.find(newLineIndex)] });
+            }
+        }
+
+        /**
+         * Adds a line to the line set of every terminal it touches.
+         * @param {{x1: number, y1: number, x2: number, y2: number}} newLine - The line.
+         * @param {number} newLineIndex - The line's index.
+         * @returns {number[]} The indices of the terminals it touches.
+         */
+        _recordTerminalContacts(newLine, newLineIndex) {
+            const touched = [];
+            this.terminals.forEach((terminal, t) => {
+                if (touchesTerminal(terminal, newLine, this.geometry)) {
+                    this.terminalLines[t].add(newLineIndex);
+                    touched.push(t);
+                }
+            });
+            return touched;
+        }
+
+        /**
+         * Records the connecting path if a bridge has formed, stopping the run unless it is in
+         * fixed-density mode, then regroups the clusters. Sends 'bridge-formed' when the bridge is new.
+         * @param {object|null} [bridgeFoundInfo] - The bridge, if already found (see `_checkForBridgeOptimized`).
+         */
+        _updateBridgeAndClusters(bridgeFoundInfo = this._checkForBridgeOptimized()) {
+            const isNewBridge = bridgeFoundInfo !== null && this.connectingPath.length === 0;
             if (bridgeFoundInfo) {
-                this.isRunning = false;
-                this.connectingPath = this._reconstructPath(bridgeFoundInfo.startLine, bridgeFoundInfo.root);
+                if (this.fixedLineCount === null) this.isRunning = false;
+                this.connectingPath = this.periodic
+                    ? this._reconstructWindingPath(bridgeFoundInfo.startLine, bridgeFoundInfo.root)
+                    : this._reconstructPath(bridgeFoundInfo.startLine, bridgeFoundInfo.root,
+                        bridgeFoundInfo.joined.slice(1).map(t => this.terminalLines[t]));
+                if (this.bridgeFormedAt === null) this.bridgeFormedAt = this.lineCount;
             }
             this.clusters = this._findAllClustersOptimized();
+            if (isNewBridge) this._emit('bridge-formed', () => ({ lineCount: this.lineCount, path: this.connectingPath }));
+        }
+
+        /**
+         * The cluster metrics after each line: the number of clusters, the size of the largest,
+         * the mean size of the others and the fraction of all lines in the largest. Cluster sizes
+         * only grow, so the largest cluster's size never drops, and the other clusters share the
+         * remaining lines between them.
+         * @param {number} [lineCount=this.lineCount] - How many lines of the run to cover.
+         * @returns {{lineCount: number, clusterCount: number, largestCluster: number,
+         *     meanOtherClusterSize: number, largestFraction: number}[]} One entry per line, in order;
+         *     `meanOtherClusterSize` is 0 while there is only one cluster.
+         */
+        getClusterMetrics(lineCount = this.lineCount) {
+            const count = Math.max(0, Math.min(Math.floor(lineCount), this.lineCount));
+            const series = new Array(count);
+            for (let i = 0; i < count; i++) {
+                const lines = i + 1;
+                const clusterCount = this.clusterCountHistory[i];
+                const largestCluster = this.largestClusterHistory[i];
+                series[i] = {
+                    lineCount: lines,
+                    clusterCount,
+                    largestCluster,
+                    meanOtherClusterSize: clusterCount > 1 ? (lines - largestCluster) / (clusterCount - 1) : 0,
+                    largestFraction: largestCluster / lines,
+                };
+            }
+            return series;
         }
 
+        /**
+         * Reconstructs the simulation as it was after its first `lineCount` lines, for replaying a run.
+         * Clusters are listed in the same order as live ones (by their lowest line index), so the
+         * renderer gives each cluster the color it had at the time.
+         * @param {number} lineCount - The point in the run's history, from 0 to `this.lineCount`.
+         * @returns {{lineCount: number, periodic: boolean, canvasDimensions: object, shape: object,
+         *     obstacles: object[], terminals: object[], lines: object[], clusters: number[][], connectingPath: object[]}}
+         *     The state at that point; `connectingPath` is empty before the bridge formed.
+         */
+        getStateAt(lineCount) {
+            const count = Math.max(0, Math.min(Math.floor(lineCount), this.lineCount));
+            const unionFind = new UnionFind();
+            for (let i = 0; i < count; i++) {
+                unionFind.add();
+                this.intersectionHistory[i].forEach(j => unionFind.union(j, i));
+            }
+            const bridged = this.bridgeFormedAt !== null && count >= this.bridgeFormedAt;
+            return {
+                lineCount: count,
+                periodic: this.periodic,
+                canvasDimensions: this.canvasDimensions,
+                shape: this.shape,
+                obstacles: this.obstacles,
+                terminals: this.terminals,
+                lines: this.lines.slice(0, count),
+                clusters: groupClusters(unionFind, count),
+                connectingPath: bridged ? this.connectingPath : [],
+            };
+        }
+
+        /**
+         * Captures the complete state of the simulation as a plain, JSON-serializable object.
+         * Only the inputs are stored: the lines, the parameters and the generator's position.
+         * `fromSnapshot` rebuilds the terminals' line sets, union-find, clusters and
+         * connecting path from them.
+         * @returns {object} A snapshot in the format identified by `SNAPSHOT_FORMAT` and `SNAPSHOT_VERSION`.
+         */
+        serialize() {
+            const { random, ...simulationParameters } = this.simulationParameters;
+            return {
+                format: SNAPSHOT_FORMAT,
+                version: SNAPSHOT_VERSION,
+                canvasDimensions: { ...this.canvasDimensions },
+                simulationParameters: { ...simulationParameters, seed: this.seed },
+                // The generator's position, so a resumed run continues exactly where this one stopped.
+                // A custom `random` function cannot be saved; its runs resume with a fresh seed.
+                randomState: this.random.getState ? this.random.getState() : null,
+                bridgeFormed: this.connectingPath.length > 0,
+                lines: this.lines.map(line => ({ ...line })),
+            };
+        }
+
+        /**
+         * Recreates an engine from a snapshot made by `serialize`. The engine is paused;
+         * set `isRunning` to resume a run that had not bridged yet.
+         * @param {object} snapshot - The snapshot (already parsed from JSON).
+         * @returns {SimulationEngine} The restored engine.
+         * @throws {Error} If the snapshot is not a simulation snapshot or its version is unsupported.
+         */
+        static fromSnapshot(snapshot) {
+            if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+                throw new Error('Not a Line Bridge Simulator snapshot.');
+            }
+            if (snapshot.version !== SNAPSHOT_VERSION) {
+                throw new Error(`Unsupported snapshot version ${snapshot.version} (expected ${SNAPSHOT_VERSION}).`);
+            }
+            if (!Array.isArray(snapshot.lines)) {
+                throw new Error('The snapshot has no lines.');
+            }
+
+            const engine = new SimulationEngine(snapshot.canvasDimensions, snapshot.simulationParameters);
+            // A fixed-density run goes on past its bridge; note when it formed, as the live run did.
+            engine._replayLines(snapshot.lines.map(line => ({ ...line })));
+            engine.isRunning = false;
+            if (snapshot.randomState !== null && snapshot.randomState !== undefined && engine.random.setState) {
+                engine.random.setState(snapshot.randomState);
+            }
+            return engine;
+        }
+
+        /**
+         * Checks whether a cluster meets the stop rule (or, with periodic boundaries, wraps around).
+         * @returns {{startLine: number, root: number, joined?: number[]}|null} The cluster's root, a line of it on
+         *     the first terminal it joins, and the terminals it joins.
+         */
         _checkForBridgeOptimized() {
-            const starterRoots = new Map();
-            for (const starter of this.starterLines) {
-                const root = this.unionFind.find(starter);
-                if (!starterRoots.has(root)) starterRoots.set(root, starter);
-            }
-            if (starterRoots.size === 0) return null;
-            for (const finisher of this.finisherLines) {
-                const finisherRoot = this.unionFind.find(finisher);
-                if (starterRoots.has(finisherRoot)) {
-                    return { startLine: starterRoots.get(finisherRoot), root: finisherRoot };
+            if (this.periodic) return this._checkForWrapping();
+            return findJoiningCluster(this.stopRule, this.terminalLines, line => this.unionFind.find(line));
+        }
+
+        /**
+         * With periodic boundaries, checks whether the newest line's cluster now wraps around
+         * the torus as the bridge type requires. Only that cluster can have changed.
+         * @returns {{startLine: number, root: number}|null}
+         */
+        _checkForWrapping() {
+            const newest = this.lineCount - 1;
+            if (newest < 0) return null;
+            const wraps = this.unionFind.getWraps(newest);
+            const axes = WRAP_AXES[this.simulationParameters.boundaryCondition] || WRAP_AXES['left-to-right'];
+            return axes.every(axis => wraps[axis]) ? { startLine: newest, root: this.unionFind.find(newest) } : null;
+        }
+
+        /**
+         * Finds, for each axis the bridge type requires, a loop of intersecting lines in the
+         * cluster that winds around the torus along that axis.
+         * @param {number} startLineIndex - A line of the wrapping cluster.
+         * @param {number} root - The cluster's union-find root.
+         * @returns {object[]} The lines of the loop(s), in order around each loop.
+         */
+        _reconstructWindingPath(startLineIndex, root) {
+            // Edges in both directions, each with the shift from one line's copy to the other's.
+            const adj = new Map();
+            const addEdge = (from, to, shift) => {
+                if (!adj.has(from)) adj.set(from, []);
+                adj.get(from).push({ to, shift });
+            };
+            for (let i = 0; i < this.lines.length; i++) {
+                if (this.unionFind.find(i) !== root) continue;
+                this.intersectionHistory[i].forEach((j, k) => {
+                    const shift = this.intersectionShifts[i][k];
+                    addEdge(j, i, shift);
+                    addEdge(i, j, { x: -shift.x, y: -shift.y });
+                });
+            }
+
+            // Breadth-first search that places every line in the unwrapped plane. A non-tree
+            // edge that disagrees with those positions closes a loop with a nonzero winding.
+            const remaining = new Set(WRAP_AXES[this.simulationParameters.boundaryCondition] || WRAP_AXES['left-to-right']);
+            const position = new Map([[startLineIndex, { x: 0, y: 0 }]]);
+            const parent = new Map([[startLineIndex, null]]);
+            const pathToStart = node => {
+                const path = [];
+                for (let current = node; current !== null; current = parent.get(current)) path.push(current);
+                return path;
+            };
+            const loopIndices = [];
+            const queue = [startLineIndex];
+            for (let head = 0; head < queue.length && remaining.size > 0; head++) {
+                const u = queue[head];
+                for (const { to: v, shift } of adj.get(u) || []) {
+                    const expected = { x: position.get(u).x + shift.x, y: position.get(u).y + shift.y };
+                    if (!position.has(v)) {
+                        position.set(v, expected);
+                        parent.set(v, u);
+                        queue.push(v);
+                        continue;
+                    }
+                    const winding = { x: expected.x - position.get(v).x, y: expected.y - position.get(v).y };
+                    const axes = [...remaining].filter(axis => winding[axis] !== 0);
+                    if (axes.length === 0) continue;
+                    axes.forEach(axis => remaining.delete(axis));
+
+                    // The loop runs from the lines' common ancestor down to u, across to v and back up.
+                    const pathU = pathToStart(u);
+                    const pathV = pathToStart(v);
+                    while (pathU.length > 1 && pathV.length > 1 && pathU[pathU.length - 2] === pathV[pathV.length - 2]) {
+                        pathU.pop();
+                        pathV.pop();
+                    }
+                    loopIndices.push(...pathU.reverse(), ...pathV.slice(0, -1));
+                    if (remaining.size === 0) break;
                 }
             }
-            return null;
+            return [...new Set(loopIndices)].map(index => this.lines[index]);
         }
 
-        _reconstructPath(startLineIndex, root) {
+        /**
+         * Finds the shortest chain of intersecting lines from a line to each of the target terminals,
+         * by a breadth-first search through its cluster.
+         * @param {number} startLineIndex - A line of the cluster on its first terminal.
+         * @param {number} root - The cluster's union-find root.
+         * @param {Set<number>[]} targets - The lines on each of the other terminals the cluster joins.
+         * @returns {object[]} The lines of the chains, from the start line out, without repeats.
+         */
+        _reconstructPath(startLineIndex, root, targets) {
             const componentIndices = [];
             for (let i = 0; i < this.lines.length; i++) {
                 if (this.unionFind.find(i) === root) componentIndices.push(i);
             }
+            // Neighbour lists are built in ascending index order to keep the
+            // breadth-first search (and so the reported path) deterministic.
             const adj = new Map();
-            componentIndices.forEach(i => adj.set(i, []));
-            for (let i = 0; i < componentIndices.length; i++) {
-                for (let j = i + 1; j < componentIndices.length; j++) {
-                    const line1Idx = componentIndices[i];
-                    const line2Idx = componentIndices[j];
-                    if (intersects(this.lines[line1Idx], this.lines[line2Idx])) {
-                        adj.get(line1Idx).push(line2Idx);
-                        adj.get(line2Idx).push(line1Idx);
-                    }
-                }
+            for (const lineIdx of componentIndices) {
+                const line = this.lines[lineIdx];
+                const neighbors = this.spatialIndex.query(this.geometry.bounds(line)).filter(otherIdx =>
+                    otherIdx !== lineIdx &&
+                    this.unionFind.find(otherIdx) === root &&
+                    this.geometry.overlaps(line, this.lines[otherIdx]));
+                adj.set(lineIdx, neighbors);
             }
-            const queue = [[startLineIndex]];
-            const visited = new Set([startLineIndex]);
-            while (queue.length > 0) {
-                const path = queue.shift();
-                const lastNode = path[path.length - 1];
-                if (this.finisherLines.has(lastNode)) {
-                    return path.map(index => this.lines[index]);
-                }
-                const neighbors = adj.get(lastNode) || [];
-                for (const neighbor of neighbors) {
-                    if (!visited.has(neighbor)) {
-                        visited.add(neighbor);
-                        queue.push([...path, neighbor]);
+            // Each target's first line in search order ends the shortest chain to it.
+            const parent = new Map([[startLineIndex, null]]);
+            const ends = new Array(targets.length).fill(null);
+            let found = 0;
+            const queue = [startLineIndex];
+            for (let head = 0; head < queue.length && found < targets.length; head++) {
+                const lastNode = queue[head];
+                targets.forEach((target, t) => {
+                    if (ends[t] === null && target.has(lastNode)) {
+                        ends[t] = lastNode;
+                        found++;
+                    }
+                });
+                for (const neighbor of adj.get(lastNode) || []) {
+                    if (!parent.has(neighbor)) {
+                        parent.set(neighbor, lastNode);
+                        queue.push(neighbor);
                     }
                 }
             }
-            return [];
+            if (found < targets.length) return [];
+            const pathIndices = new Set();
+            ends.forEach(end => {
+                const chain = [];
+                for (let current = end; current !== null; current = parent.get(current)) chain.push(current);
+                chain.reverse().forEach(index => pathIndices.add(index));
+            });
+            return [...pathIndices].map(index => this.lines[index]);
         }
 
         _findAllClustersOptimized() {
-            const clusters = new Map();
-            for (let i = 0; i < this.lines.length; i++) {
-                const root = this.unionFind.find(i);
-                if (!clusters.has(root)) clusters.set(root, []);
-                clusters.get(root).push(i);
-            }
-            return Array.from(clusters.values());
+            return groupClusters(this.unionFind, this.lines.length);
         }
     }
 
     // --- Module Export ---
     if (typeof module !== 'undefined' && module.exports) {
         // Node.js
-        module.exports = { SimulationEngine };
+        module.exports = { SimulationEngine, SNAPSHOT_FORMAT, SNAPSHOT_VERSION };
     } else {
         // Browser
         global.SimulationEngine = SimulationEngine;
@@ -0,0 +1,125 @@
+(function(global) {
+    'use strict';
+
+    // --- Dependency Loading ---
+    // This pattern allows the module to work in both Node.js and the browser.
+    let normalizeDistribution, normalizeShape;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        // We are in a Node.js environment, so we load dependencies with require.
+        normalizeDistribution = require('./distributions.js').normalizeDistribution;
+        normalizeShape = require('./shapes.js').normalizeShape;
+    } else {
+        // We are in a browser environment, so we'll use the global variables.
+        normalizeDistribution = global.normalizeDistribution;
+        normalizeShape = global.normalizeShape;
+    }
+
+    // Module 6: Result Exporters (`export.js`)
+    // Turns the per-run records of a StatisticsEngine batch into CSV or JSON
+    // documents for analysis outside the simulator.
+
+    /**
+     * Flattens nested parameter objects into dotted keys, e.g. `{ a: { b: 1 } }` becomes `{ 'a.b': 1 }`.
+     * Functions (such as a custom `random` generator) cannot be exported and are skipped.
+     * @param {object} object The object to flatten.
+     * @param {string} [prefix=''] The key prefix for nested values.
+     * @returns {object} A flat object of primitive values.
+     */
+    function flattenParameters(object, prefix = '') {
+        const flat = {};
+        for (const [key, value] of Object.entries(object || {})) {
+            const name = prefix ? `${prefix}.${key}` : key;
+            if (typeof value === 'function' || value === undefined) continue;
+            if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                Object.assign(flat, flattenParameters(value, name));
+            } else {
+                flat[name] = Array.isArray(value) ? JSON.stringify(value) : value;
+            }
+        }
+        return flat;
+    }
+
+    /**
+     * Collects everything describing a finished batch into a single report object.
+     * @param {StatisticsEngine} statsEngine The engine that ran the batch.
+     * @param {object} statistics The summary returned by `calculateStatistics`.
+     * @returns {{canvasDimensions: object, simulationParameters: object, summary: object, runs: object[]}}
+     */
+    function buildReport(statsEngine, statistics) {
+        // The distributions and shape are written out in full, defaults included, so every report names them.
+        const { lengthDistribution, angleDistribution, shape } = statsEngine.simulationParameters;
+        const simulationParameters = flattenParameters({
+            ...statsEngine.simulationParameters,
+            lengthDistribution: normalizeDistribution('length', lengthDistribution),
+            angleDistribution: normalizeDistribution('angle', angleDistribution),
+            shape: normalizeShape(shape),
+            seed: statsEngine.masterSeed,
+        });
+        return {
+            canvasDimensions: { ...statsEngine.canvasDimensions },
+            simulationParameters,
+            summary: statistics,
+            runs: statsEngine.records.map(record => ({ ...record })),
+        };
+    }
+
+    /**
+     * Serializes a report as pretty-printed JSON.
+     * @param {object} report A report from `buildReport`.
+     * @returns {string}
+     */
+    function reportToJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    function escapeCSV(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Serializes an array of flat row objects as CSV, with the first row's keys as the header.
+     * @param {object[]} rows - The rows to write.
+     * @param {string[]} [columns] - The columns to write, in order; defaults to the first row's keys.
+     * @returns {string}
+     */
+    function tableToCSV(rows, columns = rows.length > 0 ? Object.keys(rows[0]) : []) {
+        const lines = rows.map(row => columns.map(column => escapeCSV(row[column])).join(','));
+        return [columns.join(','), ...lines].join('\n') + '\n';
+    }
+
+    /**
+     * Serializes a report as CSV with one row per run. Each row repeats the canvas
+     * dimensions and parameters so the table can be concatenated with other batches.
+     * The summary is written first as `#`-prefixed comment lines (read it with e.g.
+     * `pandas.read_csv(path, comment='#')`).
+     * @param {object} report A report from `buildReport`.
+     * @returns {string}
+     */
+    function reportToCSV(report) {
+        const summaryLines = Object.entries(flattenParameters(report.summary))
+            .map(([key, value]) => `# ${key},${escapeCSV(value)}`);
+
+        const { seed: masterSeed, ...parameters } = report.simulationParameters;
+        const constants = { width: report.canvasDimensions.width, height: report.canvasDimensions.height, masterSeed, ...parameters };
+        const runColumns = report.runs.length > 0 ? Object.keys(report.runs[0]) : ['run', 'seed', 'lineCount', 'pathLength', 'hitMaxSteps'];
+        const constantColumns = Object.keys(constants).filter(key => !runColumns.includes(key));
+        const rows = report.runs.map(run => ({ ...constants, ...run }));
+
+        return [...summaryLines, tableToCSV(rows, [...runColumns, ...constantColumns])].join('\n');
+    }
+
+    // --- Module Export ---
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js
+        module.exports = { buildReport, reportToJSON, reportToCSV, tableToCSV, flattenParameters };
+    } else {
+        // Browser
+        global.buildReport = buildReport;
+        global.reportToJSON = reportToJSON;
+        global.reportToCSV = reportToCSV;
+        global.tableToCSV = tableToCSV;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -1,35 +1,137 @@
+const fs = require('fs');
+const path = require('path');
 const { StatisticsEngine } = require('./statistics.js');
+const { runSimulationsParallel, runSpanningProbabilityParallel } = require('./parallel.js');
+const { buildReport, reportToCSV, reportToJSON, tableToCSV } = require('./export.js');
+const { runSweep, expandGrid } = require('./sweep.js');
+const { runScalingStudy, meanSquaredLength } = require('./scaling.js');
+const { renderToSVG } = require('./renderer.js');
+const { resolveBridgeArea, describeBridgeArea } = require('./bridge-area.js');
+const { formatDistribution } = require('./distributions.js');
+const { formatShape } = require('./shapes.js');
+const { parseArguments, getHelpText, CliError } = require('./cli.js');
 
-// --- Configuration ---
-const CANVAS_DIMENSIONS = { width: 800, height: 600 };
-const SIMULATION_PARAMS = {
-    minLength: 10,
-    maxLength: 50,
-    minAngle: 0,
-    maxAngle: 360,
-    boundaryCondition: 'left-to-right',
-};
+/**
+ * Prints the configuration a batch will run with.
+ * @param {object} canvasDimensions - The dimensions of the canvas ({ width, height }).
+ * @param {object} simulationParameters - The parameters for the simulation.
+ * @param {number} seed - The master seed in use.
+ */
+function printConfiguration(canvasDimensions, simulationParameters, seed) {
+    console.log(`Configuration:`);
+    console.log(`  - Canvas: ${canvasDimensions.width}x${canvasDimensions.height}`);
+    console.log(`  - Line Length: ${simulationParameters.minLength}-${simulationParameters.maxLength}, ${formatDistribution('length', simulationParameters.lengthDistribution)}`);
+    console.log(`  - Line Angle: ${simulationParameters.minAngle}-${simulationParameters.maxAngle}, ${formatDistribution('angle', simulationParameters.angleDistribution)}`);
+    console.log(`  - Shape: ${formatShape(simulationParameters.shape)}`);
+    console.log(`  - Boundary: ${simulationParameters.boundaryCondition}${simulationParameters.periodic ? ' (periodic edges)' : ''}`);
+    if (!simulationParameters.periodic) {
+        const bridgeArea = resolveBridgeArea(simulationParameters.bridgeArea, canvasDimensions, simulationParameters.boundaryCondition);
+        console.log(`  - Bridge Area: ${describeBridgeArea(bridgeArea)}`);
+        if (simulationParameters.boundaryCondition === 'top-left-to-bottom-right' && bridgeArea.shape === 'rectangle') {
+            console.log(`  - Corner Radius: ${simulationParameters.cornerRadius === undefined ? 15 : simulationParameters.cornerRadius}px`);
+        }
+        console.log(`  - Canvas Edge: ${simulationParameters.edgePolicy || 'reject'} lines that cross it`);
+    }
+    const obstacles = simulationParameters.obstacles || [];
+    if (obstacles.length > 0) {
+        console.log(`  - Obstacles: ${obstacles.length} (${simulationParameters.obstaclePolicy || 'reject'} lines that overlap them)`);
+    }
+    console.log(`  - Seed: ${seed}`);
+}
 
 /**
- * Main function to run the headless simulation analysis.
+ * Prints a summary from `StatisticsEngine.calculateStatistics`, including a text histogram.
+ * @param {object} stats - The summary to print.
  */
-async function main() {
-    // Determine the number of simulations from command-line arguments
-    const args = process.argv.slice(2);
-    const numSimulations = args.length > 0 ? parseInt(args[0], 10) : 100;
+function printStatistics(stats) {
+    const format = value => Number.isInteger(value) ? String(value) : value.toFixed(2);
+    console.log(`Total simulations run: ${stats.count}`);
+    console.log(`  - Bridged:          ${stats.completed}`);
+    console.log(`  - Hit step limit:   ${stats.censored}`);
+    console.log(`Master seed: ${stats.seed}`);
+    console.log(`\nStatistical Results (Number of Lines to Bridge, bridged runs only):`);
+    console.log(`  - Mean:     ${format(stats.mean)}`);
+    console.log(`  - Std Dev:  ${format(stats.stdDev)}`);
+    console.log(`  - Std Err:  ${format(stats.stdError)}`);
+    console.log(`  - 95% CI:   [${format(stats.ci95.lower)}, ${format(stats.ci95.upper)}] (normal)`);
+    if (stats.bootstrapCi95) {
+        console.log(`  - 95% CI:   [${format(stats.bootstrapCi95.lower)}, ${format(stats.bootstrapCi95.upper)}] (bootstrap, ${stats.bootstrapCi95.resamples} resamples)`);
+    }
+    console.log(`  - Median:   ${format(stats.median)}`);
+    console.log(`  - Min:      ${stats.min}`);
+    console.log(`  - Max:      ${stats.max}`);
+    Object.entries(stats.percentiles).forEach(([name, value]) => {
+        console.log(`  - ${(name.toUpperCase() + ':').padEnd(9)} ${format(value)}`);
+    });
 
-    if (isNaN(numSimulations) || numSimulations <= 0) {
-        console.error("Error: Please provide a positive integer for the number of simulations.");
-        console.log("Usage: node headless.js [number_of_simulations]");
-        process.exit(1);
+    const { bins, binWidth } = stats.histogram;
+    if (bins.length > 0) {
+        console.log(`\nHistogram (bin width ${format(binWidth)}):`);
+        const largest = Math.max(...bins.map(bin => bin.count));
+        const labelWidth = String(bins[bins.length - 1].end).length;
+        bins.forEach(bin => {
+            const bar = '█'.repeat(Math.round(30 * bin.count / largest));
+            console.log(`  ${String(bin.start).padStart(labelWidth)}-${String(bin.end).padEnd(labelWidth)} | ${bar} ${bin.count}`);
+        });
     }
+}
+
+/**
+ * Prints rows as a right-aligned text table, one column per key in `columns`.
+ * @param {Array<object>} rows - The rows to print.
+ * @param {string[]} columns - The row keys to print, in order.
+ * @param {number} digits - Decimal places for non-integer numbers.
+ */
+function printTable(rows, columns, digits) {
+    const formatCell = value => typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(digits) : String(value);
+    const widths = columns.map(column => Math.max(column.length, ...rows.map(row => formatCell(row[column]).length)));
+    console.log(columns.map((column, i) => column.padStart(widths[i])).join('  '));
+    rows.forEach(row => console.log(columns.map((column, i) => formatCell(row[column]).padStart(widths[i])).join('  ')));
+}
+
+/**
+ * Compares the spatial index strategies against the brute-force scan.
+ * Each strategy replays the same seeded runs, so the line counts must match exactly.
+ * @param {object} options - The parsed command-line options.
+ */
+function runBenchmark({ runs: numSimulations, canvasDimensions, simulationParameters }) {
+    const strategies = ['none', 'grid', 'quadtree', 'auto'];
+    const masterSeed = new StatisticsEngine(canvasDimensions, simulationParameters).masterSeed;
+
+    console.log(`--- Benchmarking Intersection Strategies ---`);
+    printConfiguration(canvasDimensions, simulationParameters, masterSeed);
+    console.log(`  - Runs per strategy: ${numSimulations}\n`);
+
+    let baseline = null;
+    for (const spatialIndex of strategies) {
+        const statsEngine = new StatisticsEngine(canvasDimensions, { ...simulationParameters, seed: masterSeed, spatialIndex });
+        const start = process.hrtime.bigint();
+        const lineCounts = [];
+        for (let i = 0; i < numSimulations; i++) {
+            lineCounts.push(statsEngine.runSingleSimulation(i).lineCount);
+        }
+        const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+        if (!baseline) baseline = { elapsedMs, lineCounts };
+        const identical = JSON.stringify(lineCounts) === JSON.stringify(baseline.lineCounts);
+        const speedup = baseline.elapsedMs / elapsedMs;
+        console.log(`  ${spatialIndex.padEnd(9)} ${elapsedMs.toFixed(1).padStart(10)} ms   ${speedup.toFixed(2)}x   ${identical ? 'identical results' : 'RESULTS DIFFER'}`);
+        if (!identical) process.exitCode = 1;
+    }
+}
+
+/**
+ * Runs a batch of simulations and reports the statistics.
+ * @param {object} options - The parsed command-line options.
+ */
+async function runAnalysis({ runs: numSimulations, workers, canvasDimensions, simulationParameters, statisticsOptions, output, format, dumpRuns, figureRuns, clusterRuns, dumpDir }) {
+    // The statistics engine picks a master seed when none is given, so create it
+    // first to be able to report the seed the batch actually uses.
+    let statsEngine = new StatisticsEngine(canvasDimensions, simulationParameters, statisticsOptions);
 
     console.log(`--- Running Line Bridge Simulation Analysis ---`);
-    console.log(`Configuration:`);
-    console.log(`  - Canvas: ${CANVAS_DIMENSIONS.width}x${CANVAS_DIMENSIONS.height}`);
-    console.log(`  - Line Length: ${SIMULATION_PARAMS.minLength}-${SIMULATION_PARAMS.maxLength}`);
-    console.log(`  - Line Angle: ${SIMULATION_PARAMS.minAngle}-${SIMULATION_PARAMS.maxAngle}`);
-    console.log(`  - Boundary: ${SIMULATION_PARAMS.boundaryCondition}`);
+    printConfiguration(canvasDimensions, simulationParameters, statsEngine.masterSeed);
+    console.log(`  - Worker threads: ${workers}`);
     console.log(`\nRunning ${numSimulations} simulations...`);
 
     // --- Progress Bar ---
@@ -43,27 +145,241 @@ async function main() {
     }
 
     // --- Simulation Execution ---
-    const statsEngine = new StatisticsEngine(CANVAS_DIMENSIONS, SIMULATION_PARAMS);
-
     // Node.js doesn't need the async chunking for UI responsiveness,
     // so we can run the simulations in a tight loop for performance.
     // However, the async version with progress callback is more versatile.
-    const stats = await statsEngine.runSimulationsAsync(numSimulations, (current, total) => {
-        printProgress(current, total);
-    });
+    let stats;
+    if (workers > 1) {
+        const seededParameters = { ...simulationParameters, seed: statsEngine.masterSeed };
+        statsEngine = await runSimulationsParallel(canvasDimensions, seededParameters, numSimulations, workers, printProgress);
+        stats = statsEngine.calculateStatistics(statisticsOptions);
+    } else {
+        stats = await statsEngine.runSimulationsAsync(numSimulations, (current, total) => {
+            printProgress(current, total);
+        });
+    }
 
     console.log('\n\n--- Analysis Complete ---');
-    console.log(`Total simulations run: ${stats.count}`);
-    console.log(`\nStatistical Results (Number of Lines to Bridge):`);
-    console.log(`  - Mean:   ${stats.mean}`);
-    console.log(`  - Median: ${stats.median}`);
-    console.log(`  - Min:    ${stats.min}`);
-    console.log(`  - Max:    ${stats.max}`);
+    printStatistics(stats);
     console.log('\n-------------------------');
+
+    if (output) {
+        const report = buildReport(statsEngine, stats);
+        fs.writeFileSync(output, format === 'csv' ? reportToCSV(report) : reportToJSON(report));
+        console.log(`Results written to ${output} (${format.toUpperCase()})`);
+    }
+
+    if (dumpRuns.length > 0 || figureRuns.length > 0 || clusterRuns.length > 0) {
+        saveRunStates(statsEngine, dumpRuns, figureRuns, clusterRuns, dumpDir);
+    }
+}
+
+/**
+ * Replays chosen runs of a batch and writes their final states: as snapshot files, which
+ * the UI's "Load Snapshot" button (or `SimulationEngine.fromSnapshot`) can open, as SVG figures,
+ * and as tables of how the clusters grew, one row per line.
+ * @param {StatisticsEngine} statsEngine - The engine that ran the batch.
+ * @param {number[]} snapshotRuns - The runs to save as snapshots.
+ * @param {number[]} figureRuns - The runs to draw as SVG figures.
+ * @param {number[]} clusterRuns - The runs to write cluster metrics for.
+ * @param {string} directory - The directory to write the files to.
+ */
+function saveRunStates(statsEngine, snapshotRuns, figureRuns, clusterRuns, directory) {
+    fs.mkdirSync(directory, { recursive: true });
+    const runIndices = [...new Set([...snapshotRuns, ...figureRuns, ...clusterRuns])];
+    runIndices.forEach(runIndex => {
+        let lineCount = 0;
+        const engine = statsEngine.replayRun(runIndex, observed => {
+            observed.on('line-added', event => { lineCount = event.lineCount; });
+        });
+        const baseName = path.join(directory, `${statsEngine.masterSeed}-run-${runIndex}`);
+        if (snapshotRuns.includes(runIndex)) {
+            const file = `${baseName}.snapshot.json`;
+            fs.writeFileSync(file, JSON.stringify(engine.serialize(), null, 2));
+            console.log(`Run ${runIndex} (${lineCount} lines) saved to ${file}`);
+        }
+        if (figureRuns.includes(runIndex)) {
+            const file = `${baseName}.svg`;
+            fs.writeFileSync(file, renderToSVG(engine, statsEngine.canvasDimensions));
+            console.log(`Run ${runIndex} (${lineCount} lines) drawn to ${file}`);
+        }
+        if (clusterRuns.includes(runIndex)) {
+            const file = `${baseName}.clusters.csv`;
+            fs.writeFileSync(file, tableToCSV(engine.getClusterMetrics()));
+            console.log(`Run ${runIndex} (${lineCount} lines) cluster metrics written to ${file}`);
+        }
+    });
+}
+
+/**
+ * Runs a parameter sweep and prints one row of statistics per grid point.
+ * @param {object} options - The parsed command-line options.
+ */
+async function runSweepCommand({ runs: runsPerPoint, workers, canvasDimensions, simulationParameters, statisticsOptions, sweep, output, format }) {
+    const masterSeed = new StatisticsEngine(canvasDimensions, simulationParameters).masterSeed;
+    const points = expandGrid(sweep);
+
+    console.log(`--- Running Line Bridge Parameter Sweep ---`);
+    printConfiguration(canvasDimensions, simulationParameters, masterSeed);
+    Object.entries(sweep).forEach(([name, values]) => console.log(`  - Sweeping ${name}: ${values.join(', ')}`));
+    console.log(`\nRunning ${points.length} grid points x ${runsPerPoint} runs...`);
+
+    const runBatch = workers > 1
+        ? async (pointCanvas, pointParameters, runs, pointStatisticsOptions, progressCallback) => {
+            const statsEngine = await runSimulationsParallel(pointCanvas, pointParameters, runs, workers, progressCallback);
+            return { statsEngine, stats: statsEngine.calculateStatistics(pointStatisticsOptions) };
+        }
+        : undefined;
+    const rows = await runSweep(canvasDimensions, { ...simulationParameters, seed: masterSeed }, sweep, runsPerPoint, {
+        statisticsOptions,
+        runBatch,
+        progressCallback: (current, total) => process.stdout.write(`\rProgress: ${current}/${total} runs`),
+    });
+
+    console.log('\n\n--- Sweep Complete ---');
+    printTable(rows, [...Object.keys(sweep), 'completed', 'censored', 'mean', 'stdError', 'ciLower', 'ciUpper', 'median'], 2);
+
+    if (output) {
+        const content = format === 'csv'
+            ? tableToCSV(rows)
+            : JSON.stringify({ canvasDimensions, simulationParameters: { ...simulationParameters, seed: masterSeed }, sweep, runsPerPoint, rows }, null, 2);
+        fs.writeFileSync(output, content);
+        console.log(`\nSweep results written to ${output} (${format.toUpperCase()})`);
+    }
+}
+
+/**
+ * Runs a finite-size scaling study and reports the threshold density at each size,
+ * the fitted scaling exponent and the threshold extrapolated to infinite size.
+ * @param {object} options - The parsed command-line options.
+ */
+async function runScalingCommand({ runs: runsPerSize, workers, canvasDimensions, simulationParameters, statisticsOptions, sizes, output, format }) {
+    const masterSeed = new StatisticsEngine(canvasDimensions, simulationParameters).masterSeed;
+
+    console.log(`--- Running Line Bridge Finite-Size Scaling Study ---`);
+    printConfiguration(canvasDimensions, simulationParameters, masterSeed);
+    console.log(`  - Sizes (canvas width in line lengths): ${sizes.join(', ')}`);
+    console.log(`\nRunning ${sizes.length} sizes x ${runsPerSize} runs...`);
+
+    const runBatch = workers > 1
+        ? async (sizeCanvas, sizeParameters, runs, sizeStatisticsOptions, progressCallback) => {
+            const statsEngine = await runSimulationsParallel(sizeCanvas, sizeParameters, runs, workers, progressCallback);
+            return { statsEngine, stats: statsEngine.calculateStatistics(sizeStatisticsOptions) };
+        }
+        : undefined;
+    const study = await runScalingStudy(canvasDimensions, { ...simulationParameters, seed: masterSeed }, sizes, runsPerSize, {
+        statisticsOptions,
+        runBatch,
+        progressCallback: (current, total) => process.stdout.write(`\rProgress: ${current}/${total} runs`),
+    });
+
+    console.log('\n\n--- Scaling Study Complete ---');
+    console.log(`Root-mean-square line length l: ${study.rmsLength.toFixed(2)} px; density = N·l²/A over the canvas area A.`);
+    printTable(study.rows, ['size', 'width', 'height', 'completed', 'censored', 'meanLineCount', 'density', 'densityError', 'densityStdDev'], 3);
+    if (study.rows.some(row => row.censored > 0)) {
+        console.log('Warning: some runs hit the step limit and are left out, which biases those sizes low.');
+    }
+    if (study.fit) {
+        const { fit } = study;
+        console.log(`\nScaling exponent: 1/ν = ${fit.inverseNu.toFixed(3)} ± ${fit.inverseNuError.toFixed(3)} (ν = ${fit.nu.toFixed(3)} ± ${fit.nuError.toFixed(3)})`);
+        console.log(`Threshold at infinite size: N·l²/A = ${fit.threshold.toFixed(3)} ± ${fit.thresholdError.toFixed(3)}`);
+    } else {
+        console.log(`\nNo fit: ${study.fitError}`);
+        process.exitCode = 1;
+    }
+
+    if (output) {
+        const fitLines = study.fit ? Object.entries(study.fit).map(([key, value]) => `# ${key},${value}`) : [`# fitError,${study.fitError}`];
+        const content = format === 'csv'
+            ? [`# rmsLength,${study.rmsLength}`, ...fitLines, tableToCSV(study.rows)].join('\n')
+            : JSON.stringify({ canvasDimensions, simulationParameters: { ...simulationParameters, seed: masterSeed }, sizes, runsPerSize, ...study }, null, 2);
+        fs.writeFileSync(output, content);
+        console.log(`\nScaling results written to ${output} (${format.toUpperCase()})`);
+    }
+}
+
+/**
+ * Runs fixed-density trials and reports the spanning probability at each line count
+ * and the line count at which it crosses 50%.
+ * @param {object} options - The parsed command-line options.
+ */
+async function runSpanningCommand({ runs: numTrials, workers, canvasDimensions, simulationParameters, lineCounts, output, format }) {
+    let statsEngine = new StatisticsEngine(canvasDimensions, simulationParameters);
+
+    console.log(`--- Running Line Bridge Spanning Probability ---`);
+    printConfiguration(canvasDimensions, simulationParameters, statsEngine.masterSeed);
+    console.log(`  - Line counts: ${lineCounts.join(', ')}`);
+    console.log(`  - Worker threads: ${workers}`);
+    console.log(`\nRunning ${numTrials} trials of up to ${lineCounts[lineCounts.length - 1]} lines...`);
+
+    const progressCallback = (current, total) => process.stdout.write(`\rProgress: ${current}/${total} trials`);
+    let result;
+    if (workers > 1) {
+        const seededParameters = { ...simulationParameters, seed: statsEngine.masterSeed };
+        statsEngine = await runSpanningProbabilityParallel(canvasDimensions, seededParameters, lineCounts, numTrials, workers, progressCallback);
+        result = statsEngine.calculateSpanningProbability(lineCounts);
+    } else {
+        result = await statsEngine.runSpanningProbabilityAsync(lineCounts, numTrials, progressCallback);
+    }
+
+    console.log('\n\n--- Spanning Probability Complete ---');
+    // Converts a line count into the dimensionless density N·⟨l²⟩/A, as in the scaling study.
+    const lengthSquared = meanSquaredLength(simulationParameters);
+    const toDensity = lines => lines * lengthSquared / (canvasDimensions.width * canvasDimensions.height);
+    const rows = result.curve.map(row => ({ ...row, density: toDensity(row.lineCount) }));
+    printTable(rows, ['lineCount', 'density', 'spanning', 'probability', 'stdError', 'ciLower', 'ciUpper'], 3);
+
+    const { crossing } = result;
+    if (crossing) {
+        const formatEnd = value => (value === null ? '?' : value.toFixed(1));
+        console.log(`\n50% crossing: N = ${crossing.lineCount.toFixed(1)} lines (95% range ${formatEnd(crossing.lower)} to ${formatEnd(crossing.upper)}), ` +
+            `density N·l²/A = ${toDensity(crossing.lineCount).toFixed(3)}`);
+    } else {
+        console.log('\nNo 50% crossing: the spanning probability does not pass 50% between the first and last line counts.');
+        process.exitCode = 1;
+    }
+
+    if (output) {
+        const crossingLines = crossing ? Object.entries(crossing).map(([key, value]) => `# ${key},${value}`) : ['# crossing,'];
+        const content = format === 'csv'
+            ? [`# trials,${result.trials}`, `# seed,${result.seed}`, ...crossingLines, tableToCSV(rows)].join('\n')
+            : JSON.stringify({ canvasDimensions, simulationParameters: { ...simulationParameters, seed: result.seed },
+                trials: result.trials, meanSquaredLength: lengthSquared, crossing, rows }, null, 2);
+        fs.writeFileSync(output, content);
+        console.log(`\nSpanning probability written to ${output} (${format.toUpperCase()})`);
+    }
+}
+
+/**
+ * Main function to run the headless simulation analysis.
+ */
+async function main() {
+    const options = parseArguments(process.argv.slice(2));
+    if (options.help) {
+        console.log(getHelpText());
+        return;
+    }
+
+    if (options.command === 'benchmark') {
+        runBenchmark(options);
+    } else if (options.command === 'sweep') {
+        await runSweepCommand(options);
+    } else if (options.command === 'scaling') {
+        await runScalingCommand(options);
+    } else if (options.command === 'spanning') {
+        await runSpanningCommand(options);
+    } else {
+        await runAnalysis(options);
+    }
 }
 
 // --- Script Entry Point ---
 main().catch(error => {
-    console.error("\nAn unexpected error occurred:", error);
+    if (error instanceof CliError) {
+        console.error(`Error: ${error.message}`);
+        console.error('Run "node headless.js --help" for usage.');
+    } else {
+        console.error("\nAn unexpected error occurred:", error);
+    }
     process.exit(1);
-});
\ No newline at end of file
+});
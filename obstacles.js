@@ -0,0 +1,213 @@
+(function(global) {
+    'use strict';
+
+    // --- Module Definition ---
+    // Module 14: Obstacles (`obstacles.js`)
+    // Impermeable regions inside the canvas, given by the `obstacles` simulation parameter as a
+    // list of polygons in pixels, each a list of [x, y] points (or { x, y } objects):
+    //   [ [[300, 200], [500, 200], [400, 350]], ... ]
+    // No line may overlap an obstacle. The `obstaclePolicy` decides what happens to one that would:
+    //   'reject' (the default)  the line is drawn again, with a new length, angle and start
+    //   'clip'                  the line is cut short where it first meets an obstacle, keeping
+    //                           the part from its start point (line segments only)
+    // Because no line crosses an obstacle, no cluster (and so no bridge) can pass through one.
+
+    const OBSTACLE_POLICIES = ['reject', 'clip'];
+
+    const TOLERANCE = 1e-9;
+
+    // The periodic images of a line that can reach the canvas, as shifts in whole canvas sizes.
+    const PERIODIC_SHIFTS = [];
+    [-1, 0, 1].forEach(y => [-1, 0, 1].forEach(x => PERIODIC_SHIFTS.push({ x, y })));
+    const NO_SHIFTS = [{ x: 0, y: 0 }];
+
+    /**
+     * Checks the `obstacles` parameter and converts it into polygons with bounding boxes.
+     * @param {Array} [spec] - The obstacles; none if left out.
+     * @param {{width: number, height: number}} canvasDimensions - The canvas they must lie on.
+     * @returns {{points: {x: number, y: number}[], bounds: object}[]} The obstacles.
+     * @throws {Error} If an obstacle is malformed or not within the canvas.
+     */
+    function resolveObstacles(spec, canvasDimensions) {
+        if (spec === undefined || spec === null) return [];
+        if (!Array.isArray(spec)) {
+            throw new Error('Obstacles must be a list of polygons, each a list of [x, y] points.');
+        }
+        return spec.map((polygon, index) => {
+            const list = polygon && !Array.isArray(polygon) && Array.isArray(polygon.points) ? polygon.points : polygon;
+            if (!Array.isArray(list) || list.length < 3) {
+                throw new Error(`Obstacle ${index + 1} needs at least three points.`);
+            }
+            const points = list.map(point => (Array.isArray(point) ? { x: point[0], y: point[1] } : { x: point && point.x, y: point && point.y }));
+            if (points.some(p => !Number.isFinite(p.x) || !Number.isFinite(p.y))) {
+                throw new Error(`Every point of obstacle ${index + 1} must be two numbers, e.g. [300, 200].`);
+            }
+            const { width, height } = canvasDimensions;
+            if (points.some(p => p.x < -TOLERANCE || p.y < -TOLERANCE || p.x > width + TOLERANCE || p.y > height + TOLERANCE)) {
+                throw new Error(`Obstacle ${index + 1} must lie within the ${width}x${height} canvas.`);
+            }
+            const xs = points.map(p => p.x);
+            const ys = points.map(p => p.y);
+            return { points, bounds: { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) } };
+        });
+    }
+
+    /**
+     * Checks an obstacle policy against the shape being dropped.
+     * @param {string} [policy] - 'reject' or 'clip'; 'reject' if left out.
+     * @param {string} [shapeType] - The shape type; a segment if left out.
+     * @returns {string} The policy.
+     * @throws {Error} If the policy is unknown, or clips a shape other than a segment.
+     */
+    function checkObstaclePolicy(policy, shapeType) {
+        const resolved = policy === undefined || policy === null ? 'reject' : policy;
+        if (!OBSTACLE_POLICIES.includes(resolved)) {
+            throw new Error(`The obstacle policy must be one of ${OBSTACLE_POLICIES.join(', ')} (got "${policy}").`);
+        }
+        if (resolved === 'clip' && shapeType && shapeType !== 'segment') {
+            throw new Error(`Only line segments can be clipped at obstacles; use the reject policy for the ${shapeType} shape.`);
+        }
+        return resolved;
+    }
+
+    /**
+     * The edges of a polygon, as segments.
+     * @param {{x: number, y: number}[]} points
+     * @returns {{x1: number, y1: number, x2: number, y2: number}[]}
+     */
+    function polygonEdges(points) {
+        return points.map((p, i) => {
+            const q = points[(i + 1) % points.length];
+            return { x1: p.x, y1: p.y, x2: q.x, y2: q.y };
+        });
+    }
+
+    /**
+     * Tells whether a point lies inside a polygon (even-odd rule).
+     * @param {{x: number, y: number}[]} points - The polygon.
+     * @param {{x: number, y: number}} point - The point.
+     * @returns {boolean}
+     */
+    function containsPoint(points, point) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    function boundsOverlap(a, b) {
+        return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+    }
+
+    /**
+     * Tells whether a shape touches or overlaps an obstacle: it meets an edge, lies inside
+     * the obstacle, or contains it.
+     * @param {object} obstacle - A resolved obstacle.
+     * @param {object} shape - The line or other shape.
+     * @param {object} geometry - The shape's entry in the shape registry.
+     * @returns {boolean}
+     */
+    function overlapsObstacle(obstacle, shape, geometry) {
+        if (!boundsOverlap(obstacle.bounds, geometry.bounds(shape))) return false;
+        return polygonEdges(obstacle.points).some(edge => geometry.intersectsSegment(shape, edge)) ||
+            containsPoint(obstacle.points, { x: shape.x1, y: shape.y1 }) ||
+            geometry.nearPoint(shape, obstacle.points[0], 0);
+    }
+
+    /**
+     * Finds how far along a segment it first crosses an edge: the parameter t in (0, 1],
+     * or Infinity if it crosses none. Edges parallel to the segment are passed over.
+     */
+    function firstCrossing(line, edges) {
+        const d = { x: line.x2 - line.x1, y: line.y2 - line.y1 };
+        let first = Infinity;
+        edges.forEach(edge => {
+            const e = { x: edge.x2 - edge.x1, y: edge.y2 - edge.y1 };
+            const denominator = d.x * e.y - d.y * e.x;
+            if (denominator === 0) return;
+            const w = { x: edge.x1 - line.x1, y: edge.y1 - line.y1 };
+            const t = (w.x * e.y - w.y * e.x) / denominator;
+            const u = (w.x * d.y - w.y * d.x) / denominator;
+            if (u >= -TOLERANCE && u <= 1 + TOLERANCE && t > TOLERANCE && t <= 1) first = Math.min(first, t);
+        });
+        return first;
+    }
+
+    function shifted(shape, shift, period) {
+        return {
+            ...shape,
+            x1: shape.x1 + shift.x * period.width, y1: shape.y1 + shift.y * period.height,
+            x2: shape.x2 + shift.x * period.width, y2: shape.y2 + shift.y * period.height,
+        };
+    }
+
+    /**
+     * Applies the obstacles to a newly generated line (or other shape).
+     * @param {object[]} obstacles - The resolved obstacles.
+     * @param {object} shape - The line or other shape, starting on the canvas.
+     * @param {object} geometry - The shape's entry in the shape registry.
+     * @param {string} policy - 'reject' or 'clip' (see `checkObstaclePolicy`).
+     * @param {{width: number, height: number}|null} period - The canvas size with periodic
+     *     boundaries, where the line's copies one canvas size away are tested too; otherwise null.
+     * @returns {object|null} The shape to place (clipped if need be), or null if it is rejected.
+     */
+    function placeAmongObstacles(obstacles, shape, geometry, policy, period) {
+        if (obstacles.length === 0) return shape;
+        const images = period ? PERIODIC_SHIFTS.map(shift => shifted(shape, shift, period)) : [shape];
+        if (policy !== 'clip') {
+            return images.some(image => obstacles.some(obstacle => overlapsObstacle(obstacle, image, geometry))) ? null : shape;
+        }
+
+        const start = { x: shape.x1, y: shape.y1 };
+        if (obstacles.some(obstacle => containsPoint(obstacle.points, start))) return null;
+        let t = Infinity;
+        (period ? PERIODIC_SHIFTS : NO_SHIFTS).forEach((shift, i) => {
+            obstacles.forEach(obstacle => {
+                if (boundsOverlap(obstacle.bounds, geometry.bounds(images[i]))) {
+                    t = Math.min(t, firstCrossing(images[i], polygonEdges(obstacle.points)));
+                }
+            });
+        });
+        if (t === Infinity) return shape;
+        return { ...shape, x2: shape.x1 + t * (shape.x2 - shape.x1), y2: shape.y1 + t * (shape.y2 - shape.y1) };
+    }
+
+    /**
+     * Parses the text form of an obstacle, `x1,y1,x2,y2,...`, as used by the `--obstacle` flag.
+     * @param {string} text - The text form.
+     * @returns {number[][]} The obstacle's points.
+     * @throws {Error} If the text is not an even list of at least six numbers.
+     */
+    function parseObstacle(text) {
+        const numbers = String(text).split(',').map(item => (item.trim() === '' ? NaN : Number(item)));
+        if (numbers.length < 6 || numbers.length % 2 !== 0 || numbers.some(value => !Number.isFinite(value))) {
+            throw new Error(`An obstacle is written x1,y1,x2,y2,x3,y3,... with at least three points (got "${text}").`);
+        }
+        const points = [];
+        for (let i = 0; i < numbers.length; i += 2) points.push([numbers[i], numbers[i + 1]]);
+        return points;
+    }
+
+    // --- Module Export ---
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js
+        module.exports = {
+            OBSTACLE_POLICIES, resolveObstacles, checkObstaclePolicy, overlapsObstacle, placeAmongObstacles, parseObstacle,
+        };
+    } else {
+        // Browser
+        global.OBSTACLE_POLICIES = OBSTACLE_POLICIES;
+        global.resolveObstacles = resolveObstacles;
+        global.checkObstaclePolicy = checkObstaclePolicy;
+        global.overlapsObstacle = overlapsObstacle;
+        global.placeAmongObstacles = placeAmongObstacles;
+        global.parseObstacle = parseObstacle;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,126 @@
+// Multi-core batch execution for `headless.js` using Node.js worker threads.
+// This module is Node.js only. The same file is the worker script: when it is
+// loaded inside a worker thread it runs the runs it was assigned and reports
+// one record per run back to the main thread.
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { StatisticsEngine } = require('./statistics.js');
+
+const WORKER_ROLE = 'line-bridge-batch-worker';
+
+/**
+ * Deals the runs of a batch out to worker threads and collects their records.
+ * @param {StatisticsEngine} statsEngine - The engine whose master seed and step limit the workers share.
+ * @param {object} canvasDimensions - The dimensions of the canvas ({ width, height }).
+ * @param {object} simulationParameters - The parameters for the simulation.
+ * @param {number} total - The number of runs.
+ * @param {number} workerCount - The number of worker threads to start.
+ * @param {number|null} spanningLineCount - For fixed-density trials, the largest line count
+ *     (see `StatisticsEngine.runSpanningTrial`); null for runs to the first bridge.
+ * @param {function(number, number, object)} [progressCallback] - Called as each record arrives.
+ * @returns {Promise<object[]>} The records, in completion order.
+ */
+function runInWorkers(statsEngine, canvasDimensions, simulationParameters, total, workerCount, spanningLineCount, progressCallback) {
+    const threads = Math.max(1, Math.min(workerCount, total));
+    const records = [];
+
+    return new Promise((resolve, reject) => {
+        const workers = [];
+        let running = threads;
+        let failed = false;
+        // The first failure stops the other threads before the batch rejects.
+        const fail = error => {
+            if (failed) return;
+            failed = true;
+            Promise.all(workers.map(worker => worker.terminate())).then(() => reject(error), () => reject(error));
+        };
+
+        for (let workerIndex = 0; workerIndex < threads && !failed; workerIndex++) {
+            let worker;
+            try {
+                worker = new Worker(__filename, {
+                    workerData: {
+                        role: WORKER_ROLE,
+                        canvasDimensions,
+                        simulationParameters: { ...simulationParameters, seed: statsEngine.masterSeed },
+                        maxSteps: statsEngine.maxSteps,
+                        spanningLineCount,
+                        // Runs are dealt out round-robin so every thread gets a similar share.
+                        firstRun: workerIndex,
+                        stride: threads,
+                        total,
+                    },
+                });
+            } catch (error) {
+                fail(error);
+                break;
+            }
+            workers.push(worker);
+            worker.on('message', record => {
+                if (failed) return;
+                records.push(record);
+                if (progressCallback) progressCallback(records.length, total, record);
+            });
+            worker.on('error', fail);
+            worker.on('exit', code => {
+                if (code !== 0) fail(new Error(`Worker thread ${workerIndex} exited with code ${code}.`));
+                else if (--running === 0 && !failed) resolve(records);
+            });
+        }
+    });
+}
+
+/**
+ * Runs a batch of simulations spread across worker threads.
+ * Run `i` always uses the seed derived from the master seed and `i`, and the
+ * records are merged back in run order, so the result is identical to a
+ * single-threaded batch with the same master seed.
+ * @param {object} canvasDimensions - The dimensions of the canvas ({ width, height }).
+ * @param {object} simulationParameters - The parameters for the simulation, including an optional master `seed`.
+ * @param {number} numSimulations - The total number of simulations to run.
+ * @param {number} workerCount - The number of worker threads to start.
+ * @param {function(number, number, object)} [progressCallback] - Optional callback for progress updates,
+ *     called as each record arrives (in completion order, not run order).
+ * @returns {Promise<StatisticsEngine>} The statistics engine holding the merged records.
+ */
+async function runSimulationsParallel(canvasDimensions, simulationParameters, numSimulations, workerCount, progressCallback) {
+    const statsEngine = new StatisticsEngine(canvasDimensions, simulationParameters);
+    const records = await runInWorkers(statsEngine, canvasDimensions, simulationParameters, numSimulations, workerCount, null, progressCallback);
+    statsEngine.mergeRecords(records);
+    return statsEngine;
+}
+
+/**
+ * Runs fixed-density trials spread across worker threads, as `runSimulationsParallel` does
+ * for runs to the first bridge. The result is identical to `runSpanningProbabilityAsync`
+ * with the same master seed.
+ * @param {object} canvasDimensions - The dimensions of the canvas ({ width, height }).
+ * @param {object} simulationParameters - The parameters for the simulation, including an optional master `seed`.
+ * @param {number[]} lineCounts - The line counts N of the curve.
+ * @param {number} numTrials - The number of trials.
+ * @param {number} workerCount - The number of worker threads to start.
+ * @param {function(number, number, object)} [progressCallback] - Called as each trial's record arrives.
+ * @returns {Promise<StatisticsEngine>} The statistics engine holding the merged trial records;
+ *     `calculateSpanningProbability` builds the curve from them.
+ */
+async function runSpanningProbabilityParallel(canvasDimensions, simulationParameters, lineCounts, numTrials, workerCount, progressCallback) {
+    const statsEngine = new StatisticsEngine(canvasDimensions, simulationParameters);
+    const records = await runInWorkers(statsEngine, canvasDimensions, simulationParameters, numTrials, workerCount,
+        Math.max(...lineCounts), progressCallback);
+    statsEngine.mergeSpanningRecords(records);
+    return statsEngine;
+}
+
+// --- Worker Thread Entry Point ---
+if (!isMainThread && workerData && workerData.role === WORKER_ROLE) {
+    const { canvasDimensions, simulationParameters, maxSteps, spanningLineCount, firstRun, stride, total } = workerData;
+    const statsEngine = new StatisticsEngine(canvasDimensions, simulationParameters);
+    statsEngine.maxSteps = maxSteps;
+    for (let run = firstRun; run < total; run += stride) {
+        parentPort.postMessage(spanningLineCount === null
+            ? statsEngine.runSingleSimulation(run)
+            : statsEngine.runSpanningTrial(run, spanningLineCount));
+    }
+}
+
+module.exports = { runSimulationsParallel, runSpanningProbabilityParallel };
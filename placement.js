@@ -0,0 +1,192 @@
+(function(global) {
+    'use strict';
+
+    // --- Dependency Loading ---
+    // This pattern allows the module to work in both Node.js and the browser.
+    let getShapeGeometry, distributionRange;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        // We are in a Node.js environment, so we load dependencies with require.
+        getShapeGeometry = require('./shapes.js').getShapeGeometry;
+        distributionRange = require('./distributions.js').distributionRange;
+    } else {
+        // We are in a browser environment, so we'll use the global variables.
+        getShapeGeometry = global.getShapeGeometry;
+        distributionRange = global.distributionRange;
+    }
+
+    // --- Module Definition ---
+    // Module 17: Line Placement (`placement.js`)
+    // Places a line of a given length and angle on the canvas. The length and angle are drawn
+    // first, exactly as their distributions ask; only the start point is then chosen, so no
+    // line is drawn again for crossing the edge and long lines are as likely as the distribution makes them.
+    // The `edgePolicy` simulation parameter decides what happens at the canvas edge:
+    //   'reject' (the default)  the start is drawn uniformly from the points that keep the
+    //                           whole line on the canvas; every line the distributions can
+    //                           produce must then fit, or the parameters are rejected
+    //   'clip'                  the start is drawn uniformly on the canvas and the line is cut
+    //                           short where it first leaves it (line segments only)
+    //   'extend'                the start is drawn uniformly on the canvas and the line is kept
+    //                           whole, running past the edge if need be
+    // With periodic boundaries lines wrap around the edges instead, so the policy does not apply.
+
+    const EDGE_POLICIES = ['reject', 'clip', 'extend'];
+
+    // The largest gap, in degrees, between the angles `checkLinesFit` tries.
+    const ANGLE_STEP = 0.1;
+    const TOLERANCE = 1e-9;
+
+    /**
+     * Checks an edge policy against the shape being dropped.
+     * @param {string} [policy] - 'reject', 'clip' or 'extend'; 'reject' if left out.
+     * @param {string} [shapeType] - The shape type; a segment if left out.
+     * @returns {string} The policy.
+     * @throws {Error} If the policy is unknown, or clips a shape other than a segment.
+     */
+    function checkEdgePolicy(policy, shapeType) {
+        const resolved = policy === undefined || policy === null ? 'reject' : policy;
+        if (!EDGE_POLICIES.includes(resolved)) {
+            throw new Error(`The edge policy must be one of ${EDGE_POLICIES.join(', ')} (got "${policy}").`);
+        }
+        if (resolved === 'clip' && shapeType && shapeType !== 'segment') {
+            throw new Error(`Only line segments can be clipped at the canvas edge; use the reject or extend policy for the ${shapeType} shape.`);
+        }
+        return resolved;
+    }
+
+    /**
+     * The shape of a run built around an axis of the given length and angle from (x, y).
+     */
+    function shapeAt(x, y, length, angleDegrees, shape, geometry) {
+        const angleRadians = angleDegrees * (Math.PI / 180);
+        return geometry.create({
+            x1: x,
+            y1: y,
+            x2: x + length * Math.cos(angleRadians),
+            y2: y + length * Math.sin(angleRadians),
+        }, shape);
+    }
+
+    /**
+     * Checks that every shape up to the maximum length fits on the canvas at every angle
+     * in the range. Shapes only grow with their length, so the maximum length is the one to try.
+     * Angles are tried every `ANGLE_STEP` degrees and at every right angle, where segments,
+     * disks and ellipses are widest; a stick's widest angle may fall between two of them,
+     * which leaves it at most a millionth of its size short of the true width.
+     * @param {{width: number, height: number}} canvasDimensions - The canvas.
+     * @param {object} shape - The normalized shape.
+     * @param {object} geometry - The shape's entry in the shape registry.
+     * @param {number} maxLength - The maximum line length.
+     * @param {{min: number, max: number}|null} angleRange - The angles in degrees, or null for any angle.
+     * @throws {Error} If a shape does not fit, naming the angle at which it is furthest from fitting.
+     */
+    function checkLinesFit(canvasDimensions, shape, geometry, maxLength, angleRange) {
+        const { width, height } = canvasDimensions;
+        const anyAngle = angleRange === null || angleRange.max - angleRange.min >= 360;
+        const min = anyAngle ? 0 : angleRange.min;
+        const max = anyAngle ? 360 : angleRange.max;
+        const steps = Math.max(1, Math.ceil((max - min) / ANGLE_STEP));
+        const angles = [];
+        for (let i = 0; i <= steps; i++) angles.push(min + (max - min) * i / steps);
+        for (let angle = Math.ceil(min / 90) * 90; angle <= max; angle += 90) angles.push(angle);
+
+        let worst = null;
+        angles.forEach(angle => {
+            const bounds = geometry.bounds(shapeAt(0, 0, maxLength, angle, shape, geometry));
+            const across = bounds.maxX - bounds.minX;
+            const down = bounds.maxY - bounds.minY;
+            const overshoot = Math.max(across / width, down / height);
+            if (worst === null || overshoot > worst.overshoot) worst = { angle, across, down, overshoot };
+        });
+        if (worst.overshoot > 1 + TOLERANCE) {
+            const noun = shape.type === 'segment' ? 'line' : shape.type;
+            const angle = ((worst.angle % 360) + 360) % 360;
+            const alternatives = shape.type === 'segment' ? 'the clip or extend edge policy' : 'the extend edge policy';
+            throw new Error(`A ${maxLength} px ${noun} at ${Number(angle.toFixed(1))}° spans ` +
+                `${Number(worst.across.toFixed(1))} x ${Number(worst.down.toFixed(1))} px and does not fit the ` +
+                `${width}x${height} canvas. Lower the maximum length, narrow the angles, or choose ${alternatives}.`);
+        }
+    }
+
+    /**
+     * Checks the `edgePolicy` parameter and, for the reject policy, that every line fits on the canvas.
+     * @param {object} simulationParameters - The parameters (`edgePolicy`, `periodic`, `maxLength`,
+     *     `minAngle`, `maxAngle` and `angleDistribution`).
+     * @param {{width: number, height: number}} canvasDimensions - The canvas.
+     * @param {object} shape - The normalized shape.
+     * @returns {string} The policy.
+     * @throws {Error} If the policy is invalid, or a line it would have to keep on the canvas cannot fit.
+     */
+    function resolveEdgePolicy(simulationParameters, canvasDimensions, shape) {
+        const policy = checkEdgePolicy(simulationParameters.edgePolicy, shape.type);
+        if (policy === 'reject' && !simulationParameters.periodic) {
+            const { maxLength, minAngle, maxAngle, angleDistribution } = simulationParameters;
+            const angleRange = distributionRange('angle', angleDistribution, { min: minAngle, max: maxAngle });
+            checkLinesFit(canvasDimensions, shape, getShapeGeometry(shape.type), maxLength, angleRange);
+        }
+        return policy;
+    }
+
+    /**
+     * Cuts a segment short where it first leaves the canvas, keeping the part from its start point.
+     * @param {{x1: number, y1: number, x2: number, y2: number}} line - A segment starting on the canvas.
+     * @param {{width: number, height: number}} canvasDimensions - The canvas.
+     * @returns {object} The segment, clipped if need be.
+     */
+    function clipToCanvas(line, canvasDimensions) {
+        const { width, height } = canvasDimensions;
+        const dx = line.x2 - line.x1;
+        const dy = line.y2 - line.y1;
+        let t = 1;
+        if (dx > 0) t = Math.min(t, (width - line.x1) / dx);
+        if (dx < 0) t = Math.min(t, -line.x1 / dx);
+        if (dy > 0) t = Math.min(t, (height - line.y1) / dy);
+        if (dy < 0) t = Math.min(t, -line.y1 / dy);
+        if (t >= 1) return line;
+        return { ...line, x2: line.x1 + t * dx, y2: line.y1 + t * dy };
+    }
+
+    /**
+     * Creates the function that places lines for a run.
+     * @param {{width: number, height: number}} canvasDimensions - The canvas.
+     * @param {object} shape - The normalized shape.
+     * @param {object} geometry - The shape's entry in the shape registry.
+     * @param {string} policy - The edge policy (see `resolveEdgePolicy`, which must have accepted it).
+     * @param {boolean} periodic - Whether lines wrap around the canvas edges.
+     * @returns {function(number, number, function(): number): object} Places a line of the given
+     *     length and angle (in degrees), drawing its start point from the given random generator.
+     */
+    function createLinePlacer(canvasDimensions, shape, geometry, policy, periodic) {
+        const { width, height } = canvasDimensions;
+        if (periodic || policy === 'extend') {
+            return (length, angle, random) => shapeAt(random() * width, random() * height, length, angle, shape, geometry);
+        }
+        if (policy === 'clip') {
+            return (length, angle, random) =>
+                clipToCanvas(shapeAt(random() * width, random() * height, length, angle, shape, geometry), canvasDimensions);
+        }
+        // The start points that keep the shape on the canvas form a rectangle: the canvas less
+        // the shape's own bounding box. Rounding can leave it a hair negative when the shape only just fits.
+        return (length, angle, random) => {
+            const bounds = geometry.bounds(shapeAt(0, 0, length, angle, shape, geometry));
+            const x = random() * Math.max(0, width - (bounds.maxX - bounds.minX)) - bounds.minX;
+            const y = random() * Math.max(0, height - (bounds.maxY - bounds.minY)) - bounds.minY;
+            return shapeAt(x, y, length, angle, shape, geometry);
+        };
+    }
+
+    // --- Module Export ---
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js
+        module.exports = { EDGE_POLICIES, checkEdgePolicy, checkLinesFit, resolveEdgePolicy, clipToCanvas, createLinePlacer };
+    } else {
+        // Browser
+        global.EDGE_POLICIES = EDGE_POLICIES;
+        global.checkEdgePolicy = checkEdgePolicy;
+        global.checkLinesFit = checkLinesFit;
+        global.resolveEdgePolicy = resolveEdgePolicy;
+        global.clipToCanvas = clipToCanvas;
+        global.createLinePlacer = createLinePlacer;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
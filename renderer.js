@@ -1,5 +1,13 @@
 // Module 3: 🖼️ Rendering Engine (`renderer.js`)
 
+// Shapes other than line segments are drawn from their outlines in `shapes.js`, which is
+// loaded before this script in the browser.
+const shapeGeometry = (typeof module !== 'undefined' && module.exports)
+    ? require('./shapes.js').getShapeGeometry
+    : getShapeGeometry;
+// The opacity of a shape's fill, so overlapping shapes stay visible.
+const SHAPE_FILL_ALPHA = 0.35;
+
 /**
  * Initializes the canvas and returns its 2D rendering context.
  * @param {string} canvasId The ID of the canvas element.
@@ -30,19 +38,190 @@ function drawLine(ctx, line, color = 'black') {
 }
 
 /**
- * Draws the boundary of the bridge area.
+ * Draws a disk, stick or ellipse as a lightly filled outline; a line segment as a line.
  * @param {CanvasRenderingContext2D} ctx The canvas rendering context.
- * @param {object} bridgeArea The area to draw ({ x, y, width, height }).
+ * @param {object} shape The placed shape.
+ * @param {string} color The color of the shape.
+ * @param {object} geometry The shape's entry in the shape registry.
+ */
+function drawShape(ctx, shape, color, geometry) {
+    const outline = geometry.outline(shape);
+    if (!outline) {
+        drawLine(ctx, shape, color);
+        return;
+    }
+    ctx.beginPath();
+    outline.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+    ctx.closePath();
+    ctx.fillStyle = color;
+    ctx.globalAlpha = SHAPE_FILL_ALPHA;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = color;
+    ctx.stroke();
+}
+
+/**
+ * Draws a line (or other shape) on a periodic (wrapping) canvas: the parts that run past
+ * an edge reappear at the opposite edge.
+ * @param {CanvasRenderingContext2D} ctx The canvas rendering context.
+ * @param {{x1: number, y1: number, x2: number, y2: number}} line The line object, starting on the canvas.
+ * @param {string} color The color of the line.
+ * @param {{width: number, height: number}} period The size of the periodic canvas.
+ * @param {object} [geometry] The shape's entry in the shape registry; a line segment by default.
+ */
+function drawWrappedLine(ctx, line, color, period, geometry = shapeGeometry('segment')) {
+    const { width, height } = period;
+    for (const dy of [-1, 0, 1]) {
+        for (const dx of [-1, 0, 1]) {
+            const image = { ...line, x1: line.x1 + dx * width, y1: line.y1 + dy * height, x2: line.x2 + dx * width, y2: line.y2 + dy * height };
+            const bounds = geometry.bounds(image);
+            const visible = bounds.maxX >= 0 && bounds.minX <= width && bounds.maxY >= 0 && bounds.minY <= height;
+            if (visible) drawShape(ctx, image, color, geometry);
+        }
+    }
+}
+
+/**
+ * Looks up the geometry of the shapes in a state (an engine or a replay frame).
+ * @param {object} state The simulation state.
+ * @returns {object} The entry in the shape registry.
+ */
+function geometryOf(state) {
+    return shapeGeometry(state && state.shape && state.shape.type);
+}
+
+/**
+ * Returns a function that draws a line of the given state, wrapping it around the
+ * edges when the state uses periodic boundaries.
+ * @param {CanvasRenderingContext2D} ctx The canvas rendering context.
+ * @param {object} state The simulation state.
+ * @returns {function(object, string)} Draws a line in a color.
+ */
+function lineDrawerFor(ctx, state) {
+    const geometry = geometryOf(state);
+    if (state && state.periodic) {
+        return (line, color) => drawWrappedLine(ctx, line, color, state.canvasDimensions, geometry);
+    }
+    return (line, color) => drawShape(ctx, line, color, geometry);
+}
+
+// Circular bridge areas are drawn as polygons with this many sides.
+const CIRCLE_SEGMENTS = 90;
+
+/**
+ * Returns points along an arc of a circular bridge area, running clockwise on screen.
+ * @param {{cx: number, cy: number, radius: number}} circle The circle.
+ * @param {{from: number, to: number}} arc The arc, in degrees.
+ * @returns {{x: number, y: number}[]} The points, including both ends.
+ */
+function arcPoints(circle, arc) {
+    const span = arc.to - arc.from >= 360 ? 360 : ((arc.to - arc.from) % 360 + 360) % 360;
+    const steps = Math.max(1, Math.ceil(span / 360 * CIRCLE_SEGMENTS));
+    return Array.from({ length: steps + 1 }, (_, i) => {
+        const radians = (arc.from + span * i / steps) * Math.PI / 180;
+        return { x: circle.cx + circle.radius * Math.cos(radians), y: circle.cy + circle.radius * Math.sin(radians) };
+    });
+}
+
+/**
+ * Strokes a polyline.
+ * @param {CanvasRenderingContext2D} ctx The canvas rendering context.
+ * @param {{x: number, y: number}[]} points The points to connect.
+ * @param {boolean} [closed=false] Whether to connect the last point back to the first.
+ */
+function strokePolyline(ctx, points, closed = false) {
+    ctx.beginPath();
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    if (closed) ctx.lineTo(points[0].x, points[0].y);
+    ctx.stroke();
+}
+
+/**
+ * Draws the boundary of the bridge area. Circles and polygons also show their start
+ * edges in green and their finish edges in orange; a rectangle's follow from the bridge type.
+ * @param {CanvasRenderingContext2D} ctx The canvas rendering context.
+ * @param {object} bridgeArea The resolved area to draw (see `resolveBridgeArea`).
  */
 function drawBridgeArea(ctx, bridgeArea) {
     if (!bridgeArea) return;
     ctx.strokeStyle = 'rgba(255, 0, 0, 0.5)'; // Red, semi-transparent
     ctx.lineWidth = 2;
-    ctx.strokeRect(bridgeArea.x, bridgeArea.y, bridgeArea.width, bridgeArea.height);
+    if (bridgeArea.shape === 'circle') {
+        strokePolyline(ctx, arcPoints(bridgeArea, { from: 0, to: 360 }));
+        ctx.lineWidth = 5;
+        ctx.strokeStyle = 'rgba(0, 160, 0, 0.6)';
+        bridgeArea.start.forEach(arc => strokePolyline(ctx, arcPoints(bridgeArea, arc)));
+        ctx.strokeStyle = 'rgba(255, 140, 0, 0.7)';
+        bridgeArea.finish.forEach(arc => strokePolyline(ctx, arcPoints(bridgeArea, arc)));
+    } else if (bridgeArea.shape === 'polygon') {
+        const { points } = bridgeArea;
+        const edge = i => [points[i], points[(i + 1) % points.length]];
+        strokePolyline(ctx, points, true);
+        ctx.lineWidth = 5;
+        ctx.strokeStyle = 'rgba(0, 160, 0, 0.6)';
+        bridgeArea.start.forEach(i => strokePolyline(ctx, edge(i)));
+        ctx.strokeStyle = 'rgba(255, 140, 0, 0.7)';
+        bridgeArea.finish.forEach(i => strokePolyline(ctx, edge(i)));
+    } else {
+        ctx.strokeRect(bridgeArea.x, bridgeArea.y, bridgeArea.width, bridgeArea.height);
+    }
     // Reset line width for other drawing
     ctx.lineWidth = 1;
 }
 
+// Terminal colors, in terminal order: the first two match a bridge area's start and finish edges.
+const TERMINAL_COLORS = [[0, 160, 0], [255, 140, 0], [30, 110, 230], [190, 40, 190], [0, 170, 170], [150, 100, 40]];
+
+/**
+ * Draws terminals given by the `terminals` parameter, each in its own color: segments as
+ * thick lines, rectangles and circles as shaded regions. (A bridge area's own terminals
+ * are drawn by `drawBridgeArea`.)
+ * @param {CanvasRenderingContext2D} ctx The canvas rendering context.
+ * @param {Array<{regions: object[]}>} [terminals] The resolved terminals (see `resolveTerminals`).
+ */
+function drawTerminals(ctx, terminals) {
+    (terminals || []).forEach((terminal, index) => {
+        const [r, g, b] = TERMINAL_COLORS[index % TERMINAL_COLORS.length];
+        ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, 0.8)`;
+        ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.25)`;
+        terminal.regions.forEach(region => {
+            if (region.type === 'segment') {
+                ctx.lineWidth = 5;
+                strokePolyline(ctx, [{ x: region.x1, y: region.y1 }, { x: region.x2, y: region.y2 }]);
+                return;
+            }
+            const points = region.type === 'circle'
+                ? arcPoints(region, { from: 0, to: 360 })
+                : region.outline.points;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+        });
+    });
+    ctx.lineWidth = 1;
+}
+
+/**
+ * Draws the obstacles as dark, filled polygons, so they stand apart from the bridge area and the clusters.
+ * @param {CanvasRenderingContext2D} ctx The canvas rendering context.
+ * @param {Array<{points: Array<{x: number, y: number}>}>} [obstacles] The resolved obstacles.
+ */
+function drawObstacles(ctx, obstacles) {
+    (obstacles || []).forEach(({ points }) => {
+        ctx.beginPath();
+        points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(70, 70, 70, 0.8)';
+        ctx.fill();
+        ctx.strokeStyle = '#222';
+        ctx.stroke();
+    });
+}
+
 /**
  * Generates a palette of visually distinct colors using the golden angle.
  * @param {number} numColors The number of colors to generate.
@@ -74,18 +253,26 @@ function render(ctx, canvas, state, bridgeArea) {
     ctx.fillStyle = '#f0f0f0';
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-    // 3. Draw the bridge area
-    drawBridgeArea(ctx, bridgeArea);
+    // 3. Draw the bridge area, or the terminals that take its place (periodic boundaries
+    //    have neither: clusters span by wrapping around)
+    if (!(state && state.periodic)) {
+        if (bridgeArea) drawBridgeArea(ctx, bridgeArea);
+        else drawTerminals(ctx, state && state.terminals);
+    }
 
-    // 4. Draw all clusters with unique colors
+    // 4. Draw the obstacles, which no line may cross
+    drawObstacles(ctx, state && state.obstacles);
+
+    // 5. Draw all clusters with unique colors
     if (state && state.clusters && state.lines) {
+        const drawStateLine = lineDrawerFor(ctx, state);
         const colors = generateColorPalette(state.clusters.length);
         state.clusters.forEach((cluster, clusterIndex) => {
             const color = colors[clusterIndex % colors.length];
             cluster.forEach(lineIndex => {
                 const line = state.lines[lineIndex];
                 if (line) {
-                    drawLine(ctx, line, color);
+                    drawStateLine(line, color);
                 }
             });
         });
@@ -97,9 +284,180 @@ function render(ctx, canvas, state, bridgeArea) {
  * @param {CanvasRenderingContext2D} ctx The canvas rendering context.
  * @param {Array<{x1: number, y1: number, x2: number, y2: number}>} path The array of lines forming the path.
  * @param {string} color The highlight color.
+ * @param {{width: number, height: number}} [period] The canvas size, if the lines wrap around its edges.
+ * @param {object} [geometry] The shape's entry in the shape registry; a line segment by default.
  */
-function highlightPath(ctx, path, color = 'red') {
+function highlightPath(ctx, path, color = 'red', period = null, geometry = shapeGeometry('segment')) {
     path.forEach(line => {
-        drawLine(ctx, line, color);
+        if (period) drawWrappedLine(ctx, line, color, period, geometry);
+        else drawShape(ctx, line, color, geometry);
     });
 }
+
+/**
+ * Renders the simulation state and, once a bridge has formed, highlights the connecting path.
+ * This is the view shown on screen and written by the SVG and PNG exports.
+ * @param {CanvasRenderingContext2D|SvgContext} ctx The rendering context.
+ * @param {{width: number, height: number}} canvas The canvas element (or its dimensions).
+ * @param {object} state The simulation state, containing lines, clusters and the connecting path.
+ * @param {object} bridgeArea The area where the bridge is calculated.
+ */
+function renderWithPath(ctx, canvas, state, bridgeArea) {
+    render(ctx, canvas, state, bridgeArea);
+    if (state.connectingPath && state.connectingPath.length > 0) {
+        highlightPath(ctx, state.connectingPath, 'blue', state.periodic ? state.canvasDimensions : null, geometryOf(state));
+    }
+}
+
+/**
+ * Renders one frame of a replay: the simulation as it was at an earlier line count,
+ * with the line added at that step drawn thicker so the change is easy to follow.
+ * @param {CanvasRenderingContext2D} ctx The canvas rendering context.
+ * @param {HTMLCanvasElement} canvas The canvas element.
+ * @param {object} frame A past state from `SimulationEngine.getStateAt`.
+ * @param {object} bridgeArea The area where the bridge is calculated.
+ */
+function renderTimelineFrame(ctx, canvas, frame, bridgeArea) {
+    renderWithPath(ctx, canvas, frame, bridgeArea);
+    if (frame.lines.length > 0) {
+        ctx.lineWidth = 3;
+        lineDrawerFor(ctx, frame)(frame.lines[frame.lines.length - 1], 'black');
+        ctx.lineWidth = 1;
+    }
+}
+
+/**
+ * Converts a canvas color to an SVG color and opacity. `hsl()` and `rgba()` colors are
+ * written as `rgb()` with a separate opacity, which every SVG viewer understands.
+ * @param {string} color A CSS color as used on the canvas.
+ * @returns {{color: string, opacity: number}}
+ */
+function toSvgColor(color) {
+    const hsl = /^hsla?\(\s*([\d.]+),\s*([\d.]+)%,\s*([\d.]+)%(?:,\s*([\d.]+))?\s*\)$/.exec(color);
+    if (hsl) {
+        const [h, s, l] = [Number(hsl[1]), Number(hsl[2]) / 100, Number(hsl[3]) / 100];
+        const channel = n => {
+            const k = (n + h / 30) % 12;
+            return Math.round(255 * (l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+        };
+        return { color: `rgb(${channel(0)}, ${channel(8)}, ${channel(4)})`, opacity: hsl[4] === undefined ? 1 : Number(hsl[4]) };
+    }
+    const rgba = /^rgba\(\s*([\d.]+),\s*([\d.]+),\s*([\d.]+),\s*([\d.]+)\s*\)$/.exec(color);
+    if (rgba) {
+        return { color: `rgb(${rgba[1]}, ${rgba[2]}, ${rgba[3]})`, opacity: Number(rgba[4]) };
+    }
+    return { color, opacity: 1 };
+}
+
+/**
+ * A stand-in for `CanvasRenderingContext2D` that records drawing as SVG elements.
+ * It supports exactly the calls the rendering functions above make, so the same
+ * code draws both the live canvas and exported figures.
+ */
+class SvgContext {
+    /**
+     * @param {number} width The width of the drawing.
+     * @param {number} height The height of the drawing.
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.fillStyle = '#000';
+        this.strokeStyle = '#000';
+        this.lineWidth = 1;
+        this.globalAlpha = 1;
+        this.elements = [];
+        this.path = [];
+    }
+
+    /**
+     * Clearing the whole drawing discards everything drawn so far; partial clears are not supported.
+     */
+    clearRect(x, y, width, height) {
+        if (x <= 0 && y <= 0 && width >= this.width && height >= this.height) {
+            this.elements = [];
+        }
+    }
+
+    fillRect(x, y, width, height) {
+        const { color, opacity } = toSvgColor(this.fillStyle);
+        this.elements.push(`<rect x="${formatSvgNumber(x)}" y="${formatSvgNumber(y)}" width="${formatSvgNumber(width)}" height="${formatSvgNumber(height)}" fill="${color}"${opacity < 1 ? ` fill-opacity="${opacity}"` : ''}/>`);
+    }
+
+    strokeRect(x, y, width, height) {
+        this.elements.push(`<rect x="${formatSvgNumber(x)}" y="${formatSvgNumber(y)}" width="${formatSvgNumber(width)}" height="${formatSvgNumber(height)}" fill="none"${this._strokeAttributes()}/>`);
+    }
+
+    beginPath() {
+        this.path = [];
+    }
+
+    moveTo(x, y) {
+        this.path.push(`M${formatSvgNumber(x)} ${formatSvgNumber(y)}`);
+    }
+
+    lineTo(x, y) {
+        this.path.push(`L${formatSvgNumber(x)} ${formatSvgNumber(y)}`);
+    }
+
+    closePath() {
+        this.path.push('Z');
+    }
+
+    fill() {
+        if (this.path.length === 0) return;
+        const { color, opacity } = toSvgColor(this.fillStyle);
+        const fillOpacity = opacity * this.globalAlpha;
+        this.elements.push(`<path d="${this.path.join(' ')}" fill="${color}"${fillOpacity < 1 ? ` fill-opacity="${formatSvgNumber(fillOpacity)}"` : ''}/>`);
+    }
+
+    stroke() {
+        if (this.path.length === 0) return;
+        this.elements.push(`<path d="${this.path.join(' ')}" fill="none"${this._strokeAttributes()}/>`);
+    }
+
+    _strokeAttributes() {
+        const { color, opacity } = toSvgColor(this.strokeStyle);
+        return ` stroke="${color}" stroke-width="${this.lineWidth}"${opacity < 1 ? ` stroke-opacity="${opacity}"` : ''}`;
+    }
+
+    /**
+     * Returns the drawing as a standalone SVG document.
+     * @returns {string}
+     */
+    toSVG() {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+            ...this.elements.map(element => `  ${element}`),
+            '</svg>',
+            '',
+        ].join('\n');
+    }
+}
+
+function formatSvgNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Draws a simulation state as a standalone SVG document, with the same colors,
+ * bridge area and connecting path as the canvas. Works without a browser.
+ * @param {object} state The simulation state (an engine or a frame from `getStateAt`).
+ * @param {{width: number, height: number}} canvasDimensions The size of the drawing.
+ * @param {object} [bridgeArea=state.bridgeArea] The area where the bridge is calculated.
+ * @param {function} [draw=renderWithPath] The rendering function to draw with, e.g. `renderTimelineFrame`.
+ * @returns {string} The SVG document.
+ */
+function renderToSVG(state, canvasDimensions, bridgeArea = state.bridgeArea, draw = renderWithPath) {
+    const ctx = new SvgContext(canvasDimensions.width, canvasDimensions.height);
+    draw(ctx, canvasDimensions, state, bridgeArea);
+    return ctx.toSVG();
+}
+
+// --- Module Export ---
+// The renderer is loaded with a plain <script> tag in the browser; Node.js (e.g.
+// `headless.js` writing figures) only needs the drawing functions that work without a canvas.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { render, renderWithPath, renderTimelineFrame, renderToSVG, SvgContext, generateColorPalette };
+}
@@ -0,0 +1,227 @@
+(function(global) {
+    'use strict';
+
+    // --- Dependency Loading ---
+    // This pattern allows the module to work in both Node.js and the browser.
+    let StatisticsEngine, createDistributionSampler, createSeededRandom, generateSeed;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        // We are in a Node.js environment, so we load dependencies with require.
+        StatisticsEngine = require('./statistics.js').StatisticsEngine;
+        createDistributionSampler = require('./distributions.js').createDistributionSampler;
+        const utils = require('./utils.js');
+        createSeededRandom = utils.createSeededRandom;
+        generateSeed = utils.generateSeed;
+    } else {
+        // We are in a browser environment, so we'll use the global variables.
+        StatisticsEngine = global.StatisticsEngine;
+        createDistributionSampler = global.createDistributionSampler;
+        createSeededRandom = global.createSeededRandom;
+        generateSeed = global.generateSeed;
+    }
+
+    // Module 15: Finite-Size Scaling (`scaling.js`)
+    // Estimates the percolation threshold as a dimensionless line density, and how it
+    // depends on system size. Each system size L is the canvas width in units of the
+    // root-mean-square line length l (the height keeps the base canvas's aspect ratio),
+    // so every size keeps its own fixed line-length-to-size ratio. A batch at each size
+    // gives the density N·l²/A at which the bridge forms, with A the canvas area. Then:
+    //   1. the spread of that density shrinks as L^(-1/ν), so a straight-line fit of
+    //      log(spread) against log(L) gives the scaling exponent 1/ν;
+    //   2. the mean density approaches the threshold as L^(-1/ν), so a straight-line fit
+    //      of the mean against L^(-1/ν) gives the threshold at infinite size as its intercept.
+
+    // Samples drawn to estimate the mean squared length of a length distribution.
+    const LENGTH_SAMPLES = 200000;
+
+    /**
+     * Estimates the mean squared line length ⟨l²⟩ of the parameters' length distribution.
+     * Uses a fixed seed, so the same parameters always give the same estimate.
+     * @param {object} simulationParameters - The parameters (`minLength`, `maxLength`, `lengthDistribution`).
+     * @returns {number} ⟨l²⟩, in square pixels.
+     */
+    function meanSquaredLength(simulationParameters) {
+        const { minLength, maxLength, lengthDistribution } = simulationParameters;
+        const sample = createDistributionSampler('length', lengthDistribution, { min: minLength, max: maxLength });
+        const random = createSeededRandom(1);
+        let sum = 0;
+        for (let i = 0; i < LENGTH_SAMPLES; i++) sum += sample(random) ** 2;
+        return sum / LENGTH_SAMPLES;
+    }
+
+    /**
+     * The canvas for a system size.
+     * @param {{width: number, height: number}} canvasDimensions - The base canvas, which sets the aspect ratio.
+     * @param {number} size - The system size L, the canvas width in root-mean-square line lengths.
+     * @param {number} rmsLength - The root-mean-square line length, in pixels.
+     * @returns {{width: number, height: number}} The canvas, in whole pixels.
+     */
+    function scaledCanvas(canvasDimensions, size, rmsLength) {
+        const width = Math.round(size * rmsLength);
+        return { width, height: Math.round(width * canvasDimensions.height / canvasDimensions.width) };
+    }
+
+    /**
+     * Fits a straight line y = intercept + slope·x by weighted least squares.
+     * The standard errors are scaled up by the reduced chi-squared when the points scatter
+     * more than their error bars allow, so they stay honest with few points.
+     * @param {{x: number, y: number, error: number}[]} points - At least three points; `error` is y's standard error.
+     * @returns {{slope: number, intercept: number, slopeError: number, interceptError: number, reducedChiSquared: number}}
+     * @throws {Error} If there are fewer than three points, or they do not spread along x.
+     */
+    function fitWeightedLine(points) {
+        if (points.length < 3) throw new Error('A straight-line fit needs at least three points.');
+        let s = 0, sx = 0, sy = 0, sxx = 0, sxy = 0;
+        points.forEach(({ x, y, error }) => {
+            const w = 1 / (error * error);
+            s += w;
+            sx += w * x;
+            sy += w * y;
+            sxx += w * x * x;
+            sxy += w * x * y;
+        });
+        const delta = s * sxx - sx * sx;
+        if (!(delta > 0)) throw new Error('A straight-line fit needs points at different x values.');
+        const slope = (s * sxy - sx * sy) / delta;
+        const intercept = (sxx * sy - sx * sxy) / delta;
+        const chiSquared = points.reduce((total, { x, y, error }) => total + ((y - intercept - slope * x) / error) ** 2, 0);
+        const reducedChiSquared = chiSquared / (points.length - 2);
+        const scale = Math.sqrt(Math.max(1, reducedChiSquared));
+        return {
+            slope,
+            intercept,
+            slopeError: Math.sqrt(s / delta) * scale,
+            interceptError: Math.sqrt(sxx / delta) * scale,
+            reducedChiSquared,
+        };
+    }
+
+    /**
+     * Fits the scaling exponent and the infinite-size threshold to the rows of a study.
+     * The threshold's error includes how far the intercept moves when 1/ν is moved by its own error.
+     * @param {object[]} rows - Rows from `runScalingStudy`, at three or more sizes, each with two or more bridged runs.
+     * @returns {{inverseNu: number, inverseNuError: number, nu: number, nuError: number,
+     *     threshold: number, thresholdError: number, amplitude: number}} The fit; the mean density
+     *     at size L is about threshold + amplitude·L^(-1/ν).
+     * @throws {Error} If the rows cannot be fitted.
+     */
+    function fitFiniteSizeScaling(rows) {
+        if (rows.some(row => row.completed < 2)) {
+            throw new Error('Every size needs at least two bridged runs to measure the spread of the threshold.');
+        }
+        // The standard error of a sample standard deviation is about σ/√(2(n-1)), i.e. 1/√(2(n-1)) in log σ.
+        const widthFit = fitWeightedLine(rows.map(row => ({
+            x: Math.log(row.size),
+            y: Math.log(row.densityStdDev),
+            error: 1 / Math.sqrt(2 * (row.completed - 1)),
+        })));
+        const inverseNu = -widthFit.slope;
+        if (!(inverseNu > 0)) {
+            throw new Error('The spread of the threshold does not shrink with size; try larger sizes or more runs.');
+        }
+        const thresholdAt = exponent => fitWeightedLine(rows.map(row => ({
+            x: row.size ** -exponent,
+            y: row.density,
+            error: row.densityError,
+        })));
+        const meanFit = thresholdAt(inverseNu);
+        const shifts = [inverseNu - widthFit.slopeError, inverseNu + widthFit.slopeError]
+            .filter(exponent => exponent > 0)
+            .map(exponent => Math.abs(thresholdAt(exponent).intercept - meanFit.intercept));
+        const exponentShift = shifts.length > 0 ? Math.max(...shifts) : 0;
+        return {
+            inverseNu,
+            inverseNuError: widthFit.slopeError,
+            nu: 1 / inverseNu,
+            nuError: widthFit.slopeError / (inverseNu * inverseNu),
+            threshold: meanFit.intercept,
+            thresholdError: Math.hypot(meanFit.interceptError, exponentShift),
+            amplitude: meanFit.slope,
+        };
+    }
+
+    /**
+     * The default way to run one size: an in-process StatisticsEngine batch.
+     * @returns {Promise<{statsEngine: StatisticsEngine, stats: object}>}
+     */
+    async function runBatchInProcess(canvasDimensions, simulationParameters, runs, statisticsOptions, progressCallback) {
+        const statsEngine = new StatisticsEngine(canvasDimensions, simulationParameters, statisticsOptions);
+        const stats = await statsEngine.runSimulationsAsync(runs, progressCallback);
+        return { statsEngine, stats };
+    }
+
+    /**
+     * Runs a finite-size scaling study: a batch of `runsPerSize` simulations at every size,
+     * then the fit of `fitFiniteSizeScaling`. Every size reuses the same master seed.
+     * @param {object} canvasDimensions - The base canvas, which sets the aspect ratio.
+     * @param {object} baseParameters - The simulation parameters, including the master `seed`.
+     * @param {number[]} sizes - The system sizes L, in root-mean-square line lengths (at least three).
+     * @param {number} runsPerSize - The number of simulations per size.
+     * @param {object} [options] - `statisticsOptions`, `progressCallback(completedRuns, totalRuns)`,
+     *     `isCancelled()` and `runBatch`, as for `runSweep`.
+     * @returns {Promise<{meanSquaredLength: number, rmsLength: number, seed: number, rows: object[], fit: object|null,
+     *     fitError: string|null}>} One row per size with its canvas, run counts, mean line count and
+     *     the density at the bridge (mean, standard error and spread); `fit` is null (and `fitError`
+     *     says why) if the rows could not be fitted or the study was cancelled.
+     * @throws {Error} If there are fewer than three distinct sizes.
+     */
+    async function runScalingStudy(canvasDimensions, baseParameters, sizes, runsPerSize, options = {}) {
+        const { statisticsOptions = {}, progressCallback, isCancelled = () => false, runBatch = runBatchInProcess } = options;
+        if (new Set(sizes).size < 3) throw new Error('A scaling study needs at least three different sizes.');
+        const orderedSizes = [...sizes].sort((a, b) => a - b);
+        const seed = (baseParameters.seed === undefined || baseParameters.seed === null) ? generateSeed() : baseParameters.seed;
+        const lengthSquared = meanSquaredLength(baseParameters);
+        const rmsLength = Math.sqrt(lengthSquared);
+        const totalRuns = orderedSizes.length * runsPerSize;
+        const rows = [];
+
+        for (let i = 0; i < orderedSizes.length && !isCancelled(); i++) {
+            const size = orderedSizes[i];
+            const canvas = scaledCanvas(canvasDimensions, size, rmsLength);
+            const { stats } = await runBatch(canvas, { ...baseParameters, seed }, runsPerSize, statisticsOptions, current => {
+                if (progressCallback) progressCallback(i * runsPerSize + current, totalRuns);
+            });
+            // Converts a line count into the dimensionless density N·⟨l²⟩/A.
+            const toDensity = lines => lines * lengthSquared / (canvas.width * canvas.height);
+            rows.push({
+                size,
+                width: canvas.width,
+                height: canvas.height,
+                runs: stats.count,
+                completed: stats.completed,
+                censored: stats.censored,
+                meanLineCount: stats.mean,
+                density: toDensity(stats.mean),
+                densityError: toDensity(stats.stdError),
+                densityStdDev: toDensity(stats.stdDev),
+            });
+        }
+
+        let fit = null;
+        let fitError = null;
+        if (rows.length === orderedSizes.length) {
+            try {
+                fit = fitFiniteSizeScaling(rows);
+            } catch (error) {
+                fitError = error.message;
+            }
+        } else {
+            fitError = 'The study was cancelled before every size had run.';
+        }
+        return { meanSquaredLength: lengthSquared, rmsLength, seed, rows, fit, fitError };
+    }
+
+    // --- Module Export ---
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js
+        module.exports = { meanSquaredLength, scaledCanvas, fitWeightedLine, fitFiniteSizeScaling, runScalingStudy };
+    } else {
+        // Browser
+        global.meanSquaredLength = meanSquaredLength;
+        global.scaledCanvas = scaledCanvas;
+        global.fitWeightedLine = fitWeightedLine;
+        global.fitFiniteSizeScaling = fitFiniteSizeScaling;
+        global.runScalingStudy = runScalingStudy;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
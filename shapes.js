@@ -0,0 +1,401 @@
+(function(global) {
+    'use strict';
+
+    // --- Dependency Loading ---
+    // This pattern allows the module to work in both Node.js and the browser.
+    let intersects, lineBounds;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        // We are in a Node.js environment, so we load dependencies with require.
+        intersects = require('./utils.js').intersects;
+        lineBounds = require('./spatial.js').lineBounds;
+    } else {
+        // We are in a browser environment, so we'll use the global variables.
+        intersects = global.intersects;
+        lineBounds = global.lineBounds;
+    }
+
+    // --- Module Definition ---
+    // Module 13: Shapes (`shapes.js`)
+    // The registry of objects the simulation drops, selected with the `shape` simulation
+    // parameter, e.g. { type: 'stick', width: 6 } or { type: 'ellipse', aspectRatio: 0.5 }.
+    // Left out, the shape is a plain line segment.
+    //
+    // Every shape is generated the same way as a line: a random start, length and angle give
+    // its axis (x1, y1)-(x2, y2). A stick is the rectangle of the given width around that axis,
+    // a disk has the axis as its diameter and an ellipse as its major axis. Shapes carry their
+    // own parameters (`width`, `aspectRatio`), so a placed shape can be drawn or tested on its own.
+    //
+    // Each registry entry supplies the geometry the engine, bridge area and renderer need:
+    //   create(line, shape)        the shape around a generated axis
+    //   bounds(s)                  its axis-aligned bounding box
+    //   overlaps(a, b)             whether two shapes of this type touch or overlap
+    //   intersectsSegment(s, seg)  whether it touches a line segment (a polygon edge)
+    //   nearPoint(s, point, tol)   whether it comes within `tol` of a point
+    //   outline(s)                 a closed polygon to draw, or null for a plain segment
+    //   extent(maxLength, shape)   the longest distance across any shape of the run
+
+    // Points used to draw the outline of a disk or an ellipse.
+    const OUTLINE_SEGMENTS = 48;
+    // Samples taken around an ellipse before refining the closest approach.
+    const ELLIPSE_SAMPLES = 48;
+    const GOLDEN_SECTION_STEPS = 40;
+
+    /**
+     * The distance from a point to a line segment.
+     * @param {{x: number, y: number}} p - The point.
+     * @param {{x1: number, y1: number, x2: number, y2: number}} seg - The segment.
+     * @returns {number}
+     */
+    function pointSegmentDistance(p, seg) {
+        const dx = seg.x2 - seg.x1;
+        const dy = seg.y2 - seg.y1;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 :
+            Math.max(0, Math.min(1, ((p.x - seg.x1) * dx + (p.y - seg.y1) * dy) / lengthSquared));
+        return Math.hypot(p.x - (seg.x1 + t * dx), p.y - (seg.y1 + t * dy));
+    }
+
+    /**
+     * The centre, half-length and direction of a shape's axis.
+     * @param {{x1: number, y1: number, x2: number, y2: number}} s - The shape.
+     * @returns {{cx: number, cy: number, half: number, cos: number, sin: number}}
+     */
+    function axisFrame(s) {
+        const length = Math.hypot(s.x2 - s.x1, s.y2 - s.y1);
+        return {
+            cx: (s.x1 + s.x2) / 2,
+            cy: (s.y1 + s.y2) / 2,
+            half: length / 2,
+            // A zero-length axis has no direction; any will do.
+            cos: length === 0 ? 1 : (s.x2 - s.x1) / length,
+            sin: length === 0 ? 0 : (s.y2 - s.y1) / length,
+        };
+    }
+
+    /**
+     * Tests two convex polygons for overlap with the separating axis theorem.
+     * Touching counts as overlapping. A polygon may be degenerate (two points for a segment).
+     * @param {{x: number, y: number}[]} a
+     * @param {{x: number, y: number}[]} b
+     * @returns {boolean}
+     */
+    function convexPolygonsOverlap(a, b) {
+        for (const polygon of [a, b]) {
+            for (let i = 0; i < polygon.length; i++) {
+                const p = polygon[i];
+                const q = polygon[(i + 1) % polygon.length];
+                const axis = { x: p.y - q.y, y: q.x - p.x };
+                if (axis.x === 0 && axis.y === 0) continue;
+                const project = points => points.map(point => point.x * axis.x + point.y * axis.y);
+                const pa = project(a);
+                const pb = project(b);
+                if (Math.max(...pa) < Math.min(...pb) || Math.max(...pb) < Math.min(...pa)) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * The corners of a stick, in order around it.
+     * @param {{x1: number, y1: number, x2: number, y2: number, width: number}} s
+     * @returns {{x: number, y: number}[]}
+     */
+    function stickCorners(s) {
+        const { cos, sin } = axisFrame(s);
+        const nx = -sin * s.width / 2;
+        const ny = cos * s.width / 2;
+        return [
+            { x: s.x1 + nx, y: s.y1 + ny },
+            { x: s.x2 + nx, y: s.y2 + ny },
+            { x: s.x2 - nx, y: s.y2 - ny },
+            { x: s.x1 - nx, y: s.y1 - ny },
+        ];
+    }
+
+    /**
+     * The centre, semi-axes and orientation of an ellipse.
+     * @param {{x1: number, y1: number, x2: number, y2: number, aspectRatio: number}} s
+     * @returns {{cx: number, cy: number, a: number, b: number, cos: number, sin: number}}
+     */
+    function ellipseFrame(s) {
+        const { cx, cy, half, cos, sin } = axisFrame(s);
+        return { cx, cy, a: half, b: half * s.aspectRatio, cos, sin };
+    }
+
+    /**
+     * Expresses a point in an ellipse's own frame, with the major axis along u.
+     * @returns {{u: number, v: number}}
+     */
+    function toEllipseFrame(e, p) {
+        const dx = p.x - e.cx;
+        const dy = p.y - e.cy;
+        return { u: dx * e.cos + dy * e.sin, v: -dx * e.sin + dy * e.cos };
+    }
+
+    /**
+     * The point of an ellipse's boundary at parameter angle `t`.
+     * @returns {{x: number, y: number}}
+     */
+    function ellipsePoint(e, t) {
+        const u = e.a * Math.cos(t);
+        const v = e.b * Math.sin(t);
+        return { x: e.cx + u * e.cos - v * e.sin, y: e.cy + u * e.sin + v * e.cos };
+    }
+
+    /**
+     * The ellipse's implicit function: at most 1 inside or on the ellipse, more outside.
+     * A degenerate ellipse (zero semi-axis) contains only the points on its axis.
+     */
+    function ellipseLevel(e, p) {
+        const { u, v } = toEllipseFrame(e, p);
+        const term = (value, semiAxis) => (semiAxis === 0 ? (Math.abs(value) < 1e-12 ? 0 : Infinity) : (value / semiAxis) ** 2);
+        return term(u, e.a) + term(v, e.b);
+    }
+
+    /**
+     * Minimizes a smooth periodic function of an angle: samples it all the way round, then
+     * refines every sampled local minimum by golden-section search.
+     * @param {function(number): number} f
+     * @returns {number} The smallest value found.
+     */
+    function minimizeAroundCircle(f) {
+        const step = 2 * Math.PI / ELLIPSE_SAMPLES;
+        const values = Array.from({ length: ELLIPSE_SAMPLES }, (_, i) => f(i * step));
+        let best = Math.min(...values);
+        values.forEach((value, i) => {
+            const previous = values[(i + ELLIPSE_SAMPLES - 1) % ELLIPSE_SAMPLES];
+            const next = values[(i + 1) % ELLIPSE_SAMPLES];
+            if (value > previous || value > next) return;
+            let low = (i - 1) * step;
+            let high = (i + 1) * step;
+            const ratio = (Math.sqrt(5) - 1) / 2;
+            for (let k = 0; k < GOLDEN_SECTION_STEPS; k++) {
+                const left = high - ratio * (high - low);
+                const right = low + ratio * (high - low);
+                if (f(left) < f(right)) high = right;
+                else low = left;
+            }
+            best = Math.min(best, f((low + high) / 2));
+        });
+        return best;
+    }
+
+    /**
+     * The points of a closed outline running once round an ellipse (or a disk).
+     * @returns {{x: number, y: number}[]}
+     */
+    function ellipseOutline(e) {
+        return Array.from({ length: OUTLINE_SEGMENTS }, (_, i) => ellipsePoint(e, i * 2 * Math.PI / OUTLINE_SEGMENTS));
+    }
+
+    /**
+     * Whether an ellipse touches a segment: the segment is mapped into the frame where
+     * the ellipse is the unit circle, which keeps both intact.
+     */
+    function ellipseIntersectsSegment(e, seg) {
+        if (e.b === 0) return intersects(ellipseAxis(e), seg);
+        const p = toEllipseFrame(e, { x: seg.x1, y: seg.y1 });
+        const q = toEllipseFrame(e, { x: seg.x2, y: seg.y2 });
+        return pointSegmentDistance({ x: 0, y: 0 }, { x1: p.u / e.a, y1: p.v / e.b, x2: q.u / e.a, y2: q.v / e.b }) <= 1;
+    }
+
+    /**
+     * The major axis of an ellipse, as a segment.
+     * @returns {{x1: number, y1: number, x2: number, y2: number}}
+     */
+    function ellipseAxis(e) {
+        return { x1: e.cx - e.a * e.cos, y1: e.cy - e.a * e.sin, x2: e.cx + e.a * e.cos, y2: e.cy + e.a * e.sin };
+    }
+
+    /**
+     * Whether two ellipses overlap: either the centre of one lies in the other, or some point
+     * of the first one's boundary lies in the second (found numerically).
+     */
+    function ellipsesOverlap(first, second) {
+        if (ellipseLevel(first, { x: second.cx, y: second.cy }) <= 1) return true;
+        if (ellipseLevel(second, { x: first.cx, y: first.cy }) <= 1) return true;
+        if (first.b === 0) return ellipseIntersectsSegment(second, ellipseAxis(first));
+        if (second.b === 0) return ellipseIntersectsSegment(first, ellipseAxis(second));
+        return minimizeAroundCircle(t => ellipseLevel(second, ellipsePoint(first, t))) <= 1;
+    }
+
+    const SHAPES = {
+        segment: {
+            label: 'Line segments',
+            parameters: [],
+            create: line => line,
+            bounds: lineBounds,
+            overlaps: intersects,
+            intersectsSegment: intersects,
+            nearPoint: (s, point, tolerance) => pointSegmentDistance(point, s) <= tolerance,
+            outline: () => null,
+            extent: maxLength => maxLength,
+        },
+        stick: {
+            label: 'Thick sticks (length by width)',
+            parameters: [
+                { name: 'width', label: 'Width', default: 6, min: 0, exclusiveMin: true },
+            ],
+            create: (line, shape) => ({ ...line, width: shape.width }),
+            bounds: s => {
+                const corners = stickCorners(s);
+                const xs = corners.map(p => p.x);
+                const ys = corners.map(p => p.y);
+                return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+            },
+            overlaps: (a, b) => convexPolygonsOverlap(stickCorners(a), stickCorners(b)),
+            intersectsSegment: (s, seg) =>
+                convexPolygonsOverlap(stickCorners(s), [{ x: seg.x1, y: seg.y1 }, { x: seg.x2, y: seg.y2 }]),
+            nearPoint: (s, point, tolerance) => {
+                const { cx, cy, half, cos, sin } = axisFrame(s);
+                const u = (point.x - cx) * cos + (point.y - cy) * sin;
+                const v = -(point.x - cx) * sin + (point.y - cy) * cos;
+                return Math.hypot(Math.max(Math.abs(u) - half, 0), Math.max(Math.abs(v) - s.width / 2, 0)) <= tolerance;
+            },
+            outline: s => stickCorners(s),
+            extent: (maxLength, shape) => Math.hypot(maxLength, shape.width),
+        },
+        disk: {
+            label: 'Disks (length is the diameter)',
+            parameters: [],
+            create: line => line,
+            bounds: s => {
+                const { cx, cy, half } = axisFrame(s);
+                return { minX: cx - half, minY: cy - half, maxX: cx + half, maxY: cy + half };
+            },
+            overlaps: (a, b) => {
+                const first = axisFrame(a);
+                const second = axisFrame(b);
+                return Math.hypot(first.cx - second.cx, first.cy - second.cy) <= first.half + second.half;
+            },
+            intersectsSegment: (s, seg) => {
+                const { cx, cy, half } = axisFrame(s);
+                return pointSegmentDistance({ x: cx, y: cy }, seg) <= half;
+            },
+            nearPoint: (s, point, tolerance) => {
+                const { cx, cy, half } = axisFrame(s);
+                return Math.hypot(point.x - cx, point.y - cy) <= half + tolerance;
+            },
+            outline: s => ellipseOutline(ellipseFrame({ ...s, aspectRatio: 1 })),
+            extent: maxLength => maxLength,
+        },
+        ellipse: {
+            label: 'Ellipses (length is the major axis)',
+            parameters: [
+                { name: 'aspectRatio', label: 'Minor / Major Axis', default: 0.5, min: 0, exclusiveMin: true, max: 1 },
+            ],
+            create: (line, shape) => ({ ...line, aspectRatio: shape.aspectRatio }),
+            bounds: s => {
+                const e = ellipseFrame(s);
+                const halfWidth = Math.hypot(e.a * e.cos, e.b * e.sin);
+                const halfHeight = Math.hypot(e.a * e.sin, e.b * e.cos);
+                return { minX: e.cx - halfWidth, minY: e.cy - halfHeight, maxX: e.cx + halfWidth, maxY: e.cy + halfHeight };
+            },
+            overlaps: (a, b) => ellipsesOverlap(ellipseFrame(a), ellipseFrame(b)),
+            intersectsSegment: (s, seg) => ellipseIntersectsSegment(ellipseFrame(s), seg),
+            nearPoint: (s, point, tolerance) => {
+                const e = ellipseFrame(s);
+                if (ellipseLevel(e, point) <= 1) return true;
+                const distanceSquared = t => {
+                    const p = ellipsePoint(e, t);
+                    return (p.x - point.x) ** 2 + (p.y - point.y) ** 2;
+                };
+                return Math.sqrt(minimizeAroundCircle(distanceSquared)) <= tolerance;
+            },
+            outline: s => ellipseOutline(ellipseFrame(s)),
+            extent: maxLength => maxLength,
+        },
+    };
+
+    /**
+     * Checks a shape specification against the registry and fills in the defaults.
+     * @param {object} [spec] - The specification ({ type, ...parameters }); a segment if left out.
+     * @returns {object} The complete specification.
+     * @throws {Error} If the type, a parameter name or a value is invalid.
+     */
+    function normalizeShape(spec) {
+        if (spec === undefined || spec === null) return { type: 'segment' };
+        const { type, ...values } = spec;
+        const shape = SHAPES[type];
+        if (!shape) {
+            throw new Error(`The shape must be one of ${Object.keys(SHAPES).join(', ')} (got "${type}").`);
+        }
+        const unknown = Object.keys(values).find(name => !shape.parameters.some(p => p.name === name));
+        if (unknown) {
+            const known = shape.parameters.map(p => p.name).join(', ') || 'none';
+            throw new Error(`The ${type} shape has no parameter "${unknown}" (parameters: ${known}).`);
+        }
+        const normalized = { type };
+        shape.parameters.forEach(parameter => {
+            const value = values[parameter.name] === undefined ? parameter.default : values[parameter.name];
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`The ${type} shape needs a number for "${parameter.name}" (got ${JSON.stringify(value)}).`);
+            }
+            if (parameter.min !== undefined && (parameter.exclusiveMin ? value <= parameter.min : value < parameter.min)) {
+                throw new Error(`"${parameter.name}" of the ${type} shape must be ${parameter.exclusiveMin ? 'greater than' : 'at least'} ${parameter.min} (got ${value}).`);
+            }
+            if (parameter.max !== undefined && value > parameter.max) {
+                throw new Error(`"${parameter.name}" of the ${type} shape must be at most ${parameter.max} (got ${value}).`);
+            }
+            normalized[parameter.name] = value;
+        });
+        return normalized;
+    }
+
+    /**
+     * Looks up the geometry of a shape type.
+     * @param {string} [type] - The shape type; a segment if left out.
+     * @returns {object} The registry entry.
+     */
+    function getShapeGeometry(type) {
+        return SHAPES[type || 'segment'];
+    }
+
+    /**
+     * Parses the text form of a shape, `type` or `type:name=value,...`,
+     * e.g. `stick:width=4`, as used by the `--shape` flag.
+     * @param {string} text - The text form.
+     * @returns {object} The specification (not yet checked against the registry).
+     * @throws {Error} If a parameter is not written name=number.
+     */
+    function parseShape(text) {
+        const [type, list] = String(text).trim().split(/:(.*)/);
+        const spec = { type };
+        if (list !== undefined && list.trim() !== '') {
+            list.split(',').forEach(item => {
+                const match = item.trim().match(/^([A-Za-z]+)\s*=\s*(\S+)$/);
+                if (!match || !Number.isFinite(Number(match[2]))) {
+                    throw new Error(`Shape parameters are written name=number, e.g. stick:width=4 (got "${item.trim()}").`);
+                }
+                spec[match[1]] = Number(match[2]);
+            });
+        }
+        return spec;
+    }
+
+    /**
+     * Writes a shape in the text form read by `parseShape`, with its defaults filled in.
+     * @param {object} [spec] - The specification.
+     * @returns {string}
+     */
+    function formatShape(spec) {
+        const { type, ...values } = normalizeShape(spec);
+        const list = Object.entries(values).map(([name, value]) => `${name}=${value}`).join(',');
+        return list ? `${type}:${list}` : type;
+    }
+
+    // --- Module Export ---
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js
+        module.exports = { SHAPES, normalizeShape, getShapeGeometry, parseShape, formatShape };
+    } else {
+        // Browser
+        global.SHAPES = SHAPES;
+        global.normalizeShape = normalizeShape;
+        global.getShapeGeometry = getShapeGeometry;
+        global.parseShape = parseShape;
+        global.formatShape = formatShape;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
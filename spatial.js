@@ -0,0 +1,234 @@
+(function(global) {
+    'use strict';
+
+    // Module 5: Spatial Indexing (`spatial.js`)
+    // Indexes line bounding boxes so that intersection tests only consider
+    // lines that are close to each other instead of every line placed so far.
+
+    /**
+     * Computes the axis-aligned bounding box of a line.
+     * @param {{x1: number, y1: number, x2: number, y2: number}} line The line object.
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+     */
+    function lineBounds(line) {
+        return {
+            minX: Math.min(line.x1, line.x2),
+            minY: Math.min(line.y1, line.y2),
+            maxX: Math.max(line.x1, line.x2),
+            maxY: Math.max(line.y1, line.y2),
+        };
+    }
+
+    function boundsOverlap(a, b) {
+        return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+    }
+
+    /**
+     * A trivial index that returns every item. Used as the reference
+     * implementation and as the baseline in benchmarks.
+     */
+    class BruteForceIndex {
+        constructor() {
+            this.count = 0;
+        }
+
+        insert() {
+            this.count++;
+        }
+
+        query() {
+            return Array.from({ length: this.count }, (_, i) => i);
+        }
+    }
+
+    /**
+     * A uniform grid of square cells. Works best when all lines have similar
+     * lengths, so that the cell size can match the longest line.
+     */
+    class UniformGridIndex {
+        /**
+         * @param {number} cellSize The side length of a grid cell, in pixels.
+         */
+        constructor(cellSize) {
+            this.cellSize = cellSize;
+            this.cells = new Map();
+            this.bounds = [];
+        }
+
+        // Cells are keyed by a single number; row offsets of 1e6 leave room
+        // for far more columns than any canvas needs, including negative ones.
+        _key(cx, cy) {
+            return cx * 1e6 + cy;
+        }
+
+        _cellRange(bounds) {
+            return {
+                minCx: Math.floor(bounds.minX / this.cellSize),
+                maxCx: Math.floor(bounds.maxX / this.cellSize),
+                minCy: Math.floor(bounds.minY / this.cellSize),
+                maxCy: Math.floor(bounds.maxY / this.cellSize),
+            };
+        }
+
+        /**
+         * Adds an item to the index.
+         * @param {number} id The item id (the line index).
+         * @param {object} bounds The item's bounding box.
+         */
+        insert(id, bounds) {
+            this.bounds[id] = bounds;
+            const { minCx, maxCx, minCy, maxCy } = this._cellRange(bounds);
+            for (let cx = minCx; cx <= maxCx; cx++) {
+                for (let cy = minCy; cy <= maxCy; cy++) {
+                    const key = this._key(cx, cy);
+                    if (!this.cells.has(key)) this.cells.set(key, []);
+                    this.cells.get(key).push(id);
+                }
+            }
+        }
+
+        /**
+         * Finds all items whose bounding boxes overlap the given box.
+         * @param {object} bounds The query box.
+         * @returns {number[]} The matching ids in ascending order.
+         */
+        query(bounds) {
+            const found = new Set();
+            const { minCx, maxCx, minCy, maxCy } = this._cellRange(bounds);
+            for (let cx = minCx; cx <= maxCx; cx++) {
+                for (let cy = minCy; cy <= maxCy; cy++) {
+                    const cell = this.cells.get(this._key(cx, cy));
+                    if (!cell) continue;
+                    for (const id of cell) {
+                        if (!found.has(id) && boundsOverlap(this.bounds[id], bounds)) found.add(id);
+                    }
+                }
+            }
+            return Array.from(found).sort((a, b) => a - b);
+        }
+    }
+
+    /**
+     * A region quadtree. Items are stored in the smallest node that fully
+     * contains them, so it copes with lines of widely varying lengths.
+     */
+    class QuadtreeIndex {
+        /**
+         * @param {{x: number, y: number, width: number, height: number}} area The region covered by the root node.
+         * @param {number} [maxItems=8] The number of items a node holds before it splits.
+         * @param {number} [maxDepth=10] The maximum depth of the tree.
+         */
+        constructor(area, maxItems = 8, maxDepth = 10) {
+            this.maxItems = maxItems;
+            this.maxDepth = maxDepth;
+            this.root = this._createNode(area.x, area.y, area.x + area.width, area.y + area.height, 0);
+        }
+
+        _createNode(minX, minY, maxX, maxY, depth) {
+            return { minX, minY, maxX, maxY, depth, items: [], children: null };
+        }
+
+        _split(node) {
+            const midX = (node.minX + node.maxX) / 2;
+            const midY = (node.minY + node.maxY) / 2;
+            const depth = node.depth + 1;
+            node.children = [
+                this._createNode(node.minX, node.minY, midX, midY, depth),
+                this._createNode(midX, node.minY, node.maxX, midY, depth),
+                this._createNode(node.minX, midY, midX, node.maxY, depth),
+                this._createNode(midX, midY, node.maxX, node.maxY, depth),
+            ];
+            const items = node.items;
+            node.items = [];
+            items.forEach(item => this._insertInto(node, item));
+        }
+
+        _childFor(node, bounds) {
+            if (!node.children) return null;
+            return node.children.find(child =>
+                bounds.minX >= child.minX && bounds.maxX <= child.maxX &&
+                bounds.minY >= child.minY && bounds.maxY <= child.maxY) || null;
+        }
+
+        _insertInto(node, item) {
+            let current = node;
+            let child = this._childFor(current, item.bounds);
+            while (child) {
+                current = child;
+                child = this._childFor(current, item.bounds);
+            }
+            current.items.push(item);
+            if (!current.children && current.items.length > this.maxItems && current.depth < this.maxDepth) {
+                this._split(current);
+            }
+        }
+
+        /**
+         * Adds an item to the index. Items outside the root region stay in the root.
+         * @param {number} id The item id (the line index).
+         * @param {object} bounds The item's bounding box.
+         */
+        insert(id, bounds) {
+            this._insertInto(this.root, { id, bounds });
+        }
+
+        /**
+         * Finds all items whose bounding boxes overlap the given box.
+         * @param {object} bounds The query box.
+         * @returns {number[]} The matching ids in ascending order.
+         */
+        query(bounds) {
+            const found = [];
+            const stack = [this.root];
+            while (stack.length > 0) {
+                const node = stack.pop();
+                for (const item of node.items) {
+                    if (boundsOverlap(item.bounds, bounds)) found.push(item.id);
+                }
+                if (node.children) {
+                    for (const child of node.children) {
+                        if (boundsOverlap(child, bounds)) stack.push(child);
+                    }
+                }
+            }
+            return found.sort((a, b) => a - b);
+        }
+    }
+
+    /**
+     * Creates the spatial index for a simulation.
+     * With `spatialIndex: 'auto'` (the default) a uniform grid is used when line lengths are
+     * similar (max/min length ratio of at most 4), and a quadtree otherwise.
+     * @param {object} canvasDimensions The dimensions of the canvas ({ width, height }).
+     * @param {object} simulationParameters The simulation parameters ({ minLength, maxLength, spatialIndex }).
+     * @returns {BruteForceIndex|UniformGridIndex|QuadtreeIndex}
+     */
+    function createSpatialIndex(canvasDimensions, simulationParameters) {
+        const { minLength, maxLength, spatialIndex = 'auto' } = simulationParameters;
+        let strategy = spatialIndex;
+        if (strategy === 'auto') {
+            strategy = (minLength > 0 && maxLength / minLength <= 4) ? 'grid' : 'quadtree';
+        }
+        switch (strategy) {
+            case 'none':
+                return new BruteForceIndex();
+            case 'grid':
+                return new UniformGridIndex(Math.max(maxLength, 1));
+            case 'quadtree':
+                return new QuadtreeIndex({ x: 0, y: 0, width: canvasDimensions.width, height: canvasDimensions.height });
+            default:
+                throw new Error(`Unknown spatial index "${spatialIndex}".`);
+        }
+    }
+
+    // --- Module Export ---
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js
+        module.exports = { lineBounds, createSpatialIndex, BruteForceIndex, UniformGridIndex, QuadtreeIndex };
+    } else {
+        // Browser
+        global.lineBounds = lineBounds;
+        global.createSpatialIndex = createSpatialIndex;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -3,14 +3,229 @@
 
     // --- Dependency Loading ---
     // This pattern allows the module to work in both Node.js and the browser.
-    let SimulationEngine;
+    let SimulationEngine, checkParameters, deriveSeed, generateSeed, createSeededRandom;
 
     if (typeof module !== 'undefined' && module.exports) {
         // We are in a Node.js environment, so we load dependencies with require.
         SimulationEngine = require('./engine.js').SimulationEngine;
+        checkParameters = require('./validation.js').checkParameters;
+        const utils = require('./utils.js');
+        deriveSeed = utils.deriveSeed;
+        generateSeed = utils.generateSeed;
+        createSeededRandom = utils.createSeededRandom;
     } else {
-        // We are in a browser environment, so we'll use the global variable.
+        // We are in a browser environment, so we'll use the global variables.
         SimulationEngine = global.SimulationEngine;
+        checkParameters = global.checkParameters;
+        deriveSeed = global.deriveSeed;
+        generateSeed = global.generateSeed;
+        createSeededRandom = global.createSeededRandom;
+    }
+
+    const DEFAULT_PERCENTILES = [5, 25, 50, 75, 95];
+    const Z_95 = 1.959964; // Two-sided 95% quantile of the standard normal distribution
+
+    /**
+     * Computes a percentile of sorted values by linear interpolation between closest ranks.
+     * @param {number[]} sorted - Values in ascending order.
+     * @param {number} p - The percentile, between 0 and 100.
+     * @returns {number}
+     */
+    function percentile(sorted, p) {
+        if (sorted.length === 0) return 0;
+        const rank = (p / 100) * (sorted.length - 1);
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    }
+
+    /**
+     * Sorts values into bins of equal width, aligned to multiples of the width.
+     * @param {number[]} sorted - Values in ascending order.
+     * @param {number} binWidth - The width of each bin.
+     * @returns {{binWidth: number, bins: Array<{start: number, end: number, count: number}>}}
+     */
+    function buildHistogram(sorted, binWidth) {
+        const bins = [];
+        if (sorted.length === 0) return { binWidth, bins };
+        const first = Math.floor(sorted[0] / binWidth) * binWidth;
+        const binCount = Math.floor((sorted[sorted.length - 1] - first) / binWidth) + 1;
+        for (let i = 0; i < binCount; i++) {
+            bins.push({ start: first + i * binWidth, end: first + (i + 1) * binWidth, count: 0 });
+        }
+        for (const value of sorted) {
+            bins[Math.min(Math.floor((value - first) / binWidth), binCount - 1)].count++;
+        }
+        return { binWidth, bins };
+    }
+
+    /**
+     * Estimates a 95% confidence interval for the mean with the percentile bootstrap.
+     * @param {number[]} values - The sample.
+     * @param {number} resamples - The number of bootstrap resamples.
+     * @param {function(): number} random - The random number generator to resample with.
+     * @returns {{lower: number, upper: number, method: string, resamples: number}}
+     */
+    function bootstrapMeanInterval(values, resamples, random) {
+        const means = new Array(resamples);
+        for (let r = 0; r < resamples; r++) {
+            let sum = 0;
+            for (let i = 0; i < values.length; i++) {
+                sum += values[Math.floor(random() * values.length)];
+            }
+            means[r] = sum / values.length;
+        }
+        means.sort((a, b) => a - b);
+        return { lower: percentile(means, 2.5), upper: percentile(means, 97.5), method: 'bootstrap', resamples };
+    }
+
+    /**
+     * Summarizes a sample of line counts.
+     * @param {number[]} sorted - Values in ascending order.
+     * @param {object} [options] - See `StatisticsEngine` for `percentiles`, `binWidth` and `bootstrap`.
+     * @param {function(): number} [random] - The generator used for bootstrap resampling.
+     * @returns {object} The mean, median, spread, intervals, percentiles and histogram of the sample.
+     */
+    function describeSample(sorted, options = {}, random = Math.random) {
+        const { percentiles = DEFAULT_PERCENTILES, bootstrap = 0 } = options;
+        const n = sorted.length;
+        const mean = n > 0 ? sorted.reduce((total, val) => total + val, 0) / n : 0;
+        const variance = n > 1 ? sorted.reduce((total, val) => total + (val - mean) ** 2, 0) / (n - 1) : 0;
+        const stdDev = Math.sqrt(variance);
+        const stdError = n > 0 ? stdDev / Math.sqrt(n) : 0;
+        const range = n > 0 ? sorted[n - 1] - sorted[0] : 0;
+        const binWidth = options.binWidth || Math.max(1, Math.ceil(range / 20));
+
+        const summary = {
+            mean,
+            median: percentile(sorted, 50),
+            min: n > 0 ? sorted[0] : 0,
+            max: n > 0 ? sorted[n - 1] : 0,
+            stdDev,
+            stdError,
+            ci95: { lower: mean - Z_95 * stdError, upper: mean + Z_95 * stdError, method: 'normal' },
+            percentiles: {},
+            histogram: buildHistogram(sorted, binWidth),
+        };
+        percentiles.forEach(p => { summary.percentiles[`p${p}`] = percentile(sorted, p); });
+        if (bootstrap > 0 && n > 0) {
+            summary.bootstrapCi95 = bootstrapMeanInterval(sorted, bootstrap, random);
+        }
+        return summary;
+    }
+
+    /**
+     * The 95% Wilson score interval for a proportion, which stays within [0, 1] and
+     * keeps a sensible width when the proportion is 0 or 1.
+     * @param {number} successes - The number of successes.
+     * @param {number} trials - The number of trials (at least 1).
+     * @returns {{lower: number, upper: number}}
+     */
+    function wilsonInterval(successes, trials) {
+        const p = successes / trials;
+        const z2 = Z_95 * Z_95;
+        const centre = (p + z2 / (2 * trials)) / (1 + z2 / trials);
+        const halfWidth = (Z_95 / (1 + z2 / trials)) * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials));
+        // With no successes (or no failures) the interval ends at exactly 0 (or 1), which rounding would miss.
+        return {
+            lower: successes === 0 ? 0 : Math.max(0, centre - halfWidth),
+            upper: successes === trials ? 1 : Math.min(1, centre + halfWidth),
+        };
+    }
+
+    /**
+     * Builds the spanning probability curve P(N) from fixed-density trials.
+     * Adding lines never breaks a spanning cluster, so a trial whose lines first spanned
+     * at line n spans at every line count N >= n.
+     * @param {Array<number|null>} spanningAt - For each trial, the line count at which its lines
+     *     first spanned, or null if they did not span within the trial.
+     * @param {number[]} lineCounts - The line counts N, in ascending order.
+     * @returns {{lineCount: number, trials: number, spanning: number, probability: number,
+     *     stdError: number, ciLower: number, ciUpper: number}[]} One row per line count; the
+     *     interval is the 95% Wilson score interval.
+     */
+    function spanningProbabilityCurve(spanningAt, lineCounts) {
+        const trials = spanningAt.length;
+        return lineCounts.map(lineCount => {
+            const spanning = spanningAt.filter(at => at !== null && at <= lineCount).length;
+            const probability = trials > 0 ? spanning / trials : 0;
+            const interval = trials > 0 ? wilsonInterval(spanning, trials) : { lower: 0, upper: 1 };
+            return {
+                lineCount,
+                trials,
+                spanning,
+                probability,
+                stdError: trials > 0 ? Math.sqrt(probability * (1 - probability) / trials) : 0,
+                ciLower: interval.lower,
+                ciUpper: interval.upper,
+            };
+        });
+    }
+
+    /**
+     * Finds where a rising curve first reaches a level, interpolating linearly between points.
+     * @param {object[]} rows - The curve's rows, in ascending order of `lineCount`.
+     * @param {string} key - The column to follow (e.g. 'probability').
+     * @param {number} level - The level to find.
+     * @returns {number|null} The line count, or null if the curve starts at or above the level
+     *     or never reaches it.
+     */
+    function findLevelCrossing(rows, key, level) {
+        for (let i = 1; i < rows.length; i++) {
+            const [before, after] = [rows[i - 1], rows[i]];
+            if (before[key] < level && after[key] >= level) {
+                return before.lineCount + (level - before[key]) / (after[key] - before[key]) * (after.lineCount - before.lineCount);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finds the line count at which a spanning probability curve crosses a level (50% by default).
+     * The range comes from where the upper and lower ends of the confidence intervals cross it.
+     * @param {object[]} curve - Rows from `spanningProbabilityCurve`.
+     * @param {number} [level=0.5] - The probability to find.
+     * @returns {{level: number, lineCount: number, lower: (number|null), upper: (number|null)}|null}
+     *     The crossing, or null if the curve does not cross the level within its line counts;
+     *     `lower` or `upper` is null if that end of the intervals does not.
+     */
+    function findSpanningCrossing(curve, level = 0.5) {
+        const lineCount = findLevelCrossing(curve, 'probability', level);
+        if (lineCount === null) return null;
+        return {
+            level,
+            lineCount,
+            lower: findLevelCrossing(curve, 'ciUpper', level),
+            upper: findLevelCrossing(curve, 'ciLower', level),
+        };
+    }
+
+    /**
+     * Runs jobs a few at a time, yielding to the event loop between chunks to keep a page responsive.
+     * @param {number} total - The number of jobs.
+     * @param {function(number): void} runJob - Runs the job with the given index.
+     * @param {function(): boolean} isCancelled - Checked after each chunk; true stops the remaining jobs.
+     * @returns {Promise<void>} Resolves once every job has run (or the jobs were cancelled).
+     */
+    function runInChunks(total, runJob, isCancelled) {
+        const chunkSize = 5; // Number of jobs per chunk
+        // This function runs a small "chunk" of jobs, then yields
+        // to the event loop to prevent freezing the UI.
+        const runChunk = (start) => {
+            return new Promise(resolve => {
+                const end = Math.min(start + chunkSize, total);
+                for (let i = start; i < end; i++) runJob(i);
+
+                if (end < total && !isCancelled()) {
+                    // Schedule the next chunk
+                    setTimeout(() => runChunk(end).then(resolve), 0);
+                } else {
+                    // All jobs are complete (or they were cancelled)
+                    resolve();
+                }
+            });
+        };
+        return runChunk(0);
     }
 
     /**
@@ -19,99 +234,229 @@
     class StatisticsEngine {
         /**
          * @param {object} canvasDimensions - The dimensions of the canvas ({ width, height }).
-         * @param {object} simulationParameters - The parameters for the simulation.
+         * @param {object} simulationParameters - The parameters for the simulation. Its optional `seed`
+         *     is used as the master seed from which every run's seed is derived. Its `fixedLineCount` is
+         *     ignored: runs stop at the first bridge, and fixed-density trials take their line counts as arguments.
+         * @param {object} [statisticsOptions] - Options for `calculateStatistics`: `percentiles` (an array
+         *     of values between 0 and 100), `binWidth` (histogram bin width; chosen automatically when
+         *     omitted) and `bootstrap` (the number of resamples for a bootstrap interval; 0 to skip it).
+         * @throws {ParameterError} If the simulation parameters are invalid (see `validation.js`).
          */
-        constructor(canvasDimensions, simulationParameters) {
+        constructor(canvasDimensions, simulationParameters, statisticsOptions = {}) {
             this.canvasDimensions = canvasDimensions;
-            this.simulationParameters = simulationParameters;
+            this.simulationParameters = checkParameters(simulationParameters, canvasDimensions);
+            this.statisticsOptions = statisticsOptions;
+            const { seed } = this.simulationParameters;
+            this.masterSeed = (seed === undefined || seed === null) ? generateSeed() : seed >>> 0;
+            this.maxSteps = 100000; // Safeguard against infinite loops
             this.results = [];
+            this.records = [];
+            this.spanningRecords = [];
+            this.cancelled = false;
+        }
+
+        /**
+         * Returns the seed used for a given run of this batch.
+         * @param {number} runIndex - The zero-based index of the run.
+         * @returns {number} The run's seed.
+         */
+        getRunSeed(runIndex) {
+            return deriveSeed(this.masterSeed, runIndex);
         }
 
         /**
          * Runs a single simulation to completion.
-         * @returns {number} The number of lines required to form a bridge.
+         * @param {number} [runIndex=0] - The index of the run within the batch, which selects its seed.
+         * @returns {{run: number, seed: number, lineCount: number, pathLength: number, hitMaxSteps: boolean}}
+         *     The run's record. `lineCount` is the number of lines placed, `pathLength` the number of
+         *     lines in the connecting path, and `hitMaxSteps` whether the run was cut off by `maxSteps`.
+         */
+        runSingleSimulation(runIndex = 0) {
+            const record = { run: runIndex, seed: this.getRunSeed(runIndex), lineCount: 0, pathLength: 0, hitMaxSteps: true };
+            this.replayRun(runIndex, engine => {
+                engine.on('line-added', ({ lineCount }) => { record.lineCount = lineCount; });
+                engine.on('bridge-formed', ({ path }) => {
+                    record.pathLength = path.length;
+                    record.hitMaxSteps = false;
+                });
+            });
+            return record;
+        }
+
+        /**
+         * Runs a single simulation of this batch to completion and returns its engine,
+         * e.g. to inspect or snapshot the final state of a run seen in the records.
+         * Run `i` always replays identically, since its seed depends only on the master seed and `i`.
+         * @param {number} runIndex - The index of the run within the batch.
+         * @param {function(SimulationEngine): void} [observe] - Called with the engine before the run
+         *     starts, e.g. to subscribe to its events.
+         * @returns {SimulationEngine} The engine in its final state; `isRunning` is still true
+         *     if the run was cut off by `maxSteps`.
          */
-        runSingleSimulation() {
-            const engine = new SimulationEngine(this.canvasDimensions, this.simulationParameters);
+        replayRun(runIndex, observe) {
+            const seed = this.getRunSeed(runIndex);
+            // These runs always stop at the first bridge; fixed-density trials are run by `runSpanningTrial`.
+            const { fixedLineCount, ...simulationParameters } = this.simulationParameters;
+            const engine = new SimulationEngine(this.canvasDimensions, { ...simulationParameters, seed });
+            if (observe) observe(engine);
             engine.isRunning = true;
-            const maxSteps = 100000; // Safeguard against infinite loops
             let steps = 0;
-            while (engine.isRunning && steps < maxSteps) {
+            while (engine.isRunning && steps < this.maxSteps) {
                 engine.runStep();
                 steps++;
             }
-            return engine.lineCount;
+            return engine;
+        }
+
+        /**
+         * Adds run records produced elsewhere (e.g. by worker threads) to this batch.
+         * Records are kept ordered by run index, so the merged batch matches a sequential one.
+         * @param {object[]} records - Records as returned by `runSingleSimulation`.
+         */
+        mergeRecords(records) {
+            this.records = this.records.concat(records).sort((a, b) => a.run - b.run);
+            this.results = this.records.map(record => record.lineCount);
+        }
+
+        /**
+         * Adds fixed-density trial records produced elsewhere (e.g. by worker threads), keeping them in run order.
+         * @param {object[]} records - Records as returned by `runSpanningTrial`.
+         */
+        mergeSpanningRecords(records) {
+            this.spanningRecords = this.spanningRecords.concat(records).sort((a, b) => a.run - b.run);
+        }
+
+        /**
+         * Stops a running `runSimulationsAsync` (or `runSpanningProbabilityAsync`) batch after the current chunk.
+         * The batch then resolves with statistics over the runs completed so far.
+         */
+        cancel() {
+            this.cancelled = true;
         }
 
         /**
          * Runs a specified number of simulations asynchronously.
+         * Check `cancelled` afterwards to tell a cancelled batch from a complete one.
          * @param {number} numSimulations - The total number of simulations to run.
-         * @param {function(number, number)} [progressCallback] - Optional callback for progress updates.
+         * @param {function(number, number, object)} [progressCallback] - Optional callback for progress updates,
+         *     called after every run with the number of runs done, the total and the run's record.
          * @returns {Promise<object>} A promise that resolves with the final statistics object.
          */
         async runSimulationsAsync(numSimulations, progressCallback) {
             this.results = [];
+            this.records = [];
+            this.cancelled = false;
 
-            // This function runs a small "chunk" of simulations, then yields
-            // to the event loop to prevent freezing the UI.
-            const runChunk = (start) => {
-                return new Promise(resolve => {
-                    const chunkSize = 5; // Number of simulations per chunk
-                    const end = Math.min(start + chunkSize, numSimulations);
-
-                    for (let i = start; i < end; i++) {
-                        const lineCount = this.runSingleSimulation();
-                        this.results.push(lineCount);
-                        if (progressCallback) {
-                            progressCallback(i + 1, numSimulations);
-                        }
-                    }
-
-                    if (end < numSimulations) {
-                        // Schedule the next chunk
-                        setTimeout(() => runChunk(end).then(resolve), 0);
-                    } else {
-                        // All simulations are complete
-                        resolve();
-                    }
-                });
-            };
-
-            await runChunk(0);
+            await runInChunks(numSimulations, i => {
+                const record = this.runSingleSimulation(i);
+                this.records.push(record);
+                this.results.push(record.lineCount);
+                if (progressCallback) {
+                    progressCallback(i + 1, numSimulations, record);
+                }
+            }, () => this.cancelled);
             return this.calculateStatistics();
         }
 
         /**
-         * Calculates statistics from the collected simulation results.
-         * @returns {{mean: number, median: number, min: number, max: number, count: number}}
+         * Runs one fixed-density trial: places up to `lineCount` lines with the run's seed and notes
+         * when they first span. The lines do not depend on whether earlier ones spanned, so the
+         * first N lines of the trial are exactly the N lines a fixed-density run of N lines places
+         * with the same seed, and the trial answers whether those span for every N up to `lineCount`.
+         * Adding lines never breaks a spanning cluster, so the trial stops once its lines span.
+         * @param {number} runIndex - The index of the trial within the batch, which selects its seed.
+         * @param {number} lineCount - The largest number of lines to place; at most `maxSteps`.
+         * @returns {{run: number, seed: number, spanningAt: (number|null)}} The trial's record;
+         *     `spanningAt` is the line count at which its lines first spanned, or null if they
+         *     did not span within `lineCount` lines.
+         * @throws {Error} If `lineCount` is above `maxSteps`.
          */
-        calculateStatistics() {
-            const count = this.results.length;
-            if (count === 0) {
-                return { mean: 0, median: 0, min: 0, max: 0, count: 0 };
+        runSpanningTrial(runIndex, lineCount) {
+            if (lineCount > this.maxSteps) {
+                throw new Error(`A trial places at most maxSteps (${this.maxSteps}) lines (got a line count of ${lineCount}).`);
             }
+            const record = { run: runIndex, seed: this.getRunSeed(runIndex), spanningAt: null };
+            const engine = new SimulationEngine(this.canvasDimensions, { ...this.simulationParameters, seed: record.seed, fixedLineCount: lineCount });
+            engine.on('bridge-formed', ({ lineCount: spanningAt }) => {
+                record.spanningAt = spanningAt;
+                engine.isRunning = false;
+            });
+            // The engine stops by itself once it has placed `lineCount` lines.
+            engine.isRunning = true;
+            while (engine.isRunning) engine.runStep();
+            return record;
+        }
+
+        /**
+         * Runs fixed-density trials asynchronously and builds the spanning probability curve P(N):
+         * the fraction of trials whose first N lines span, at each of the line counts N. Every trial
+         * covers every line count (see `runSpanningTrial`), so the curve never falls.
+         * Check `cancelled` afterwards to tell a cancelled batch from a complete one.
+         * @param {number[]} lineCounts - The line counts N (positive integers, in any order).
+         * @param {number} numTrials - The number of trials.
+         * @param {function(number, number, object)} [progressCallback] - Called after every trial with
+         *     the number of trials done, the total and the trial's record.
+         * @returns {Promise<object>} The result of `calculateSpanningProbability`.
+         */
+        async runSpanningProbabilityAsync(lineCounts, numTrials, progressCallback) {
+            const counts = [...new Set(lineCounts)].sort((a, b) => a - b);
+            const maxLineCount = counts[counts.length - 1];
+            this.spanningRecords = [];
+            this.cancelled = false;
+
+            await runInChunks(numTrials, i => {
+                const record = this.runSpanningTrial(i, maxLineCount);
+                this.spanningRecords.push(record);
+                if (progressCallback) {
+                    progressCallback(i + 1, numTrials, record);
+                }
+            }, () => this.cancelled);
+            return this.calculateSpanningProbability(counts);
+        }
 
+        /**
+         * Builds the spanning probability curve from the fixed-density trials run so far.
+         * @param {number[]} lineCounts - The line counts N, in ascending order.
+         * @returns {{trials: number, seed: number, curve: object[], crossing: (object|null)}} The curve
+         *     from `spanningProbabilityCurve` and its 50% crossing from `findSpanningCrossing`.
+         */
+        calculateSpanningProbability(lineCounts) {
+            const curve = spanningProbabilityCurve(this.spanningRecords.map(record => record.spanningAt), lineCounts);
+            return {
+                trials: this.spanningRecords.length,
+                seed: this.masterSeed,
+                curve,
+                crossing: findSpanningCrossing(curve),
+            };
+        }
+
+        /**
+         * Calculates statistics from the collected simulation results.
+         * Runs stopped by the `maxSteps` safeguard never formed a bridge, so they are counted
+         * in `censored` and left out of every other figure.
+         * Note that this sorts `results`; `records` keeps the runs in order.
+         * @param {object} [options=this.statisticsOptions] - See the constructor.
+         * @returns {object} The summary: `count`, `completed`, `censored`, `mean`, `median`, `min`, `max`,
+         *     `stdDev`, `stdError`, `ci95`, `percentiles`, `histogram`, `seed` and, when requested,
+         *     `bootstrapCi95`.
+         */
+        calculateStatistics(options = this.statisticsOptions) {
             this.results.sort((a, b) => a - b);
 
-            const sum = this.results.reduce((total, val) => total + val, 0);
-            const mean = sum / count;
-            const min = this.results[0];
-            const max = this.results[count - 1];
-
-            let median;
-            const mid = Math.floor(count / 2);
-            if (count % 2 === 0) {
-                median = (this.results[mid - 1] + this.results[mid]) / 2;
-            } else {
-                median = this.results[mid];
-            }
+            // Without records (e.g. when `results` was filled directly) every run counts as completed.
+            const completedValues = this.records.length > 0
+                ? this.records.filter(record => !record.hitMaxSteps).map(record => record.lineCount).sort((a, b) => a - b)
+                : this.results;
+            const count = this.records.length > 0 ? this.records.length : this.results.length;
 
+            // Bootstrap resampling gets its own stream so it never overlaps a run's seed.
+            const random = createSeededRandom(deriveSeed(this.masterSeed, -1));
             return {
-                mean: parseFloat(mean.toFixed(2)),
-                median,
-                min,
-                max,
                 count,
+                completed: completedValues.length,
+                censored: count - completedValues.length,
+                ...describeSample(completedValues, options, random),
+                seed: this.masterSeed,
             };
         }
     }
@@ -119,10 +464,13 @@
     // --- Module Export ---
     if (typeof module !== 'undefined' && module.exports) {
         // Node.js
-        module.exports = { StatisticsEngine };
+        module.exports = { StatisticsEngine, describeSample, percentile, spanningProbabilityCurve, findSpanningCrossing };
     } else {
         // Browser
         global.StatisticsEngine = StatisticsEngine;
+        global.describeSample = describeSample;
+        global.spanningProbabilityCurve = spanningProbabilityCurve;
+        global.findSpanningCrossing = findSpanningCrossing;
     }
 
 })(typeof window !== 'undefined' ? window : this);
\ No newline at end of file
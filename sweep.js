@@ -0,0 +1,141 @@
+(function(global) {
+    'use strict';
+
+    // --- Dependency Loading ---
+    // This pattern allows the module to work in both Node.js and the browser.
+    let StatisticsEngine, generateSeed;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        // We are in a Node.js environment, so we load dependencies with require.
+        StatisticsEngine = require('./statistics.js').StatisticsEngine;
+        generateSeed = require('./utils.js').generateSeed;
+    } else {
+        // We are in a browser environment, so we'll use the global variables.
+        StatisticsEngine = global.StatisticsEngine;
+        generateSeed = global.generateSeed;
+    }
+
+    // Module 8: Parameter Sweeps (`sweep.js`)
+    // Runs a StatisticsEngine batch at every point of a parameter grid.
+
+    // Sweep keys that belong to the canvas rather than to the simulation parameters.
+    const CANVAS_KEYS = ['width', 'height'];
+
+    /**
+     * Parses the values of one sweep axis.
+     * Accepts an array, a range `start:end:step` (inclusive of `end`) or a comma-separated list.
+     * List items that look like numbers become numbers; anything else stays a string.
+     * @param {string|Array} spec - The axis specification.
+     * @returns {Array<number|string>} The values along the axis.
+     */
+    function parseSweepValues(spec) {
+        if (Array.isArray(spec)) return spec.slice();
+        const text = String(spec).trim();
+        const range = text.match(/^(-?[\d.]+):(-?[\d.]+):([\d.]+)$/);
+        if (range) {
+            const [start, end, step] = range.slice(1).map(Number);
+            if (!(step > 0)) throw new Error(`The step of sweep range "${text}" must be positive.`);
+            if (end < start) throw new Error(`Sweep range "${text}" ends before it starts.`);
+            const values = [];
+            // Round away floating-point drift (0.1 + 0.2 ...) to the step's precision.
+            const decimals = (String(step).split('.')[1] || '').length;
+            for (let i = 0; start + i * step <= end + step * 1e-9; i++) {
+                values.push(Number((start + i * step).toFixed(decimals)));
+            }
+            return values;
+        }
+        const items = text.split(',').map(item => item.trim());
+        if (items.some(item => item === '')) throw new Error(`Sweep values "${text}" contain an empty item.`);
+        return items.map(item => (item !== '' && Number.isFinite(Number(item)) ? Number(item) : item));
+    }
+
+    /**
+     * Builds the Cartesian product of the sweep axes.
+     * The first axis varies slowest, so the points come out in nested-loop order.
+     * @param {object} axes - Maps a parameter name to its values (or a spec for `parseSweepValues`).
+     * @returns {object[]} One object per grid point, mapping each parameter to its value.
+     */
+    function expandGrid(axes) {
+        return Object.entries(axes).reduce((points, [name, spec]) => {
+            const values = parseSweepValues(spec);
+            if (values.length === 0) throw new Error(`Sweep axis "${name}" has no values.`);
+            const expanded = [];
+            points.forEach(point => values.forEach(value => expanded.push({ ...point, [name]: value })));
+            return expanded;
+        }, [{}]);
+    }
+
+    /**
+     * The default way to run one grid point: an in-process StatisticsEngine batch.
+     * @returns {Promise<{statsEngine: StatisticsEngine, stats: object}>}
+     */
+    async function runBatchInProcess(canvasDimensions, simulationParameters, runs, statisticsOptions, progressCallback) {
+        const statsEngine = new StatisticsEngine(canvasDimensions, simulationParameters, statisticsOptions);
+        const stats = await statsEngine.runSimulationsAsync(runs, progressCallback);
+        return { statsEngine, stats };
+    }
+
+    /**
+     * Runs `runsPerPoint` simulations at every point of the sweep grid.
+     * Every point reuses the same master seed (common random numbers), which keeps
+     * run-to-run noise out of the differences between neighbouring points.
+     * @param {object} canvasDimensions - The base canvas dimensions ({ width, height }).
+     * @param {object} baseParameters - The simulation parameters shared by every point, including the master `seed`.
+     * @param {object} axes - The sweep axes, as for `expandGrid`. `width` and `height` vary the canvas.
+     * @param {number} runsPerPoint - The number of simulations per grid point.
+     * @param {object} [options] - `statisticsOptions`; `progressCallback(completedRuns, totalRuns)`;
+     *     `isCancelled()` to stop before the next point; and `runBatch` to replace the in-process
+     *     batch runner (e.g. with worker threads). `runBatch` takes the same arguments as a
+     *     StatisticsEngine batch and resolves with `{ statsEngine, stats }`.
+     * @returns {Promise<object[]>} One row per grid point: the point's values followed by its statistics.
+     */
+    async function runSweep(canvasDimensions, baseParameters, axes, runsPerPoint, options = {}) {
+        const { statisticsOptions = {}, progressCallback, isCancelled = () => false, runBatch = runBatchInProcess } = options;
+        const points = expandGrid(axes);
+        const seed = (baseParameters.seed === undefined || baseParameters.seed === null) ? generateSeed() : baseParameters.seed;
+        const totalRuns = points.length * runsPerPoint;
+        const rows = [];
+
+        for (let i = 0; i < points.length && !isCancelled(); i++) {
+            const point = points[i];
+            const pointCanvas = { ...canvasDimensions };
+            const pointParameters = { ...baseParameters, seed };
+            Object.entries(point).forEach(([name, value]) => {
+                if (CANVAS_KEYS.includes(name)) pointCanvas[name] = value;
+                else pointParameters[name] = value;
+            });
+
+            const { stats } = await runBatch(pointCanvas, pointParameters, runsPerPoint, statisticsOptions, current => {
+                if (progressCallback) progressCallback(i * runsPerPoint + current, totalRuns);
+            });
+            rows.push({
+                ...point,
+                runs: stats.count,
+                completed: stats.completed,
+                censored: stats.censored,
+                mean: stats.mean,
+                stdDev: stats.stdDev,
+                stdError: stats.stdError,
+                ciLower: stats.ci95.lower,
+                ciUpper: stats.ci95.upper,
+                median: stats.median,
+                min: stats.min,
+                max: stats.max,
+                seed: stats.seed,
+            });
+        }
+        return rows;
+    }
+
+    // --- Module Export ---
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js
+        module.exports = { parseSweepValues, expandGrid, runSweep };
+    } else {
+        // Browser
+        global.parseSweepValues = parseSweepValues;
+        global.expandGrid = expandGrid;
+        global.runSweep = runSweep;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
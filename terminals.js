@@ -0,0 +1,363 @@
+(function(global) {
+    'use strict';
+
+    // --- Dependency Loading ---
+    // This pattern allows the module to work in both Node.js and the browser.
+    let getShapeGeometry, overlapsObstacle;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        // We are in a Node.js environment, so we load dependencies with require.
+        getShapeGeometry = require('./shapes.js').getShapeGeometry;
+        overlapsObstacle = require('./obstacles.js').overlapsObstacle;
+    } else {
+        // We are in a browser environment, so we'll use the global variables.
+        getShapeGeometry = global.getShapeGeometry;
+        overlapsObstacle = global.overlapsObstacle;
+    }
+
+    // --- Module Definition ---
+    // Module 16: Terminals (`terminals.js`)
+    // The regions a bridge joins, and the rule that decides when it has joined them.
+    // The `terminals` simulation parameter lists regions, with `units` either 'px' (the
+    // default) or 'fraction' of the canvas, and an optional `name` (A, B, C, ... by default):
+    //   { type: 'segment', x1, y1, x2, y2 }          an edge: lines touch it by crossing it
+    //   { type: 'rectangle', x, y, width, height }   lines touch it by overlapping it
+    //   { type: 'circle', cx, cy, radius }            lines touch it by coming within the radius
+    //                                                 of the centre (a fractional radius is
+    //                                                 relative to the shorter side)
+    // The `stopRule` parameter decides when the run stops:
+    //   'a-to-b' (the default)  one cluster touches both terminals (there must be exactly two)
+    //   'all'                   one cluster touches every terminal
+    //   'any-two'               one cluster touches two terminals, whichever they are
+    //   'four-sides'            one cluster touches all four sides of the (rectangular) bridge area
+    // Without `terminals`, the terminals are the bridge area's start and finish edges
+    // (see `bridge-area.js`), which add two region types of their own:
+    //   { type: 'side', side, at }                   a side of a rectangle: lines touch it by
+    //                                                 reaching or passing `at` ('left', 'right',
+    //                                                 'top' or 'bottom')
+    //   { type: 'arc', cx, cy, radius, from, to }    an arc of a circle: lines touch it by crossing it
+
+    const TERMINAL_TYPES = ['segment', 'rectangle', 'circle'];
+    const TERMINAL_UNITS = ['px', 'fraction'];
+    const STOP_RULES = ['a-to-b', 'all', 'any-two', 'four-sides'];
+
+    // The named numbers of each terminal type, in the order the text form lists them.
+    const TERMINAL_FIELDS = {
+        segment: ['x1', 'y1', 'x2', 'y2'],
+        rectangle: ['x', 'y', 'width', 'height'],
+        circle: ['cx', 'cy', 'radius'],
+    };
+
+    // Shapes other than segments are tested against an arc one chord of this many degrees at a time.
+    const ARC_CHORD_DEGREES = 2;
+
+    const TOLERANCE = 1e-9;
+
+    /**
+     * The default name of the terminal at an index: A, B, C, ..., then T27, T28, ...
+     * @param {number} index - The terminal's index.
+     * @returns {string}
+     */
+    function defaultTerminalName(index) {
+        return index < 26 ? String.fromCharCode(65 + index) : `T${index + 1}`;
+    }
+
+    /**
+     * The bounding box of a terminal region given by the `terminals` parameter.
+     * @param {object} region - A resolved segment, rectangle or circle.
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+     */
+    function regionBounds(region) {
+        if (region.type === 'segment') {
+            return {
+                minX: Math.min(region.x1, region.x2), minY: Math.min(region.y1, region.y2),
+                maxX: Math.max(region.x1, region.x2), maxY: Math.max(region.y1, region.y2),
+            };
+        }
+        if (region.type === 'circle') {
+            return { minX: region.cx - region.radius, minY: region.cy - region.radius, maxX: region.cx + region.radius, maxY: region.cy + region.radius };
+        }
+        return { minX: region.x, minY: region.y, maxX: region.x + region.width, maxY: region.y + region.height };
+    }
+
+    /**
+     * Checks the `terminals` parameter and converts it into pixel geometry.
+     * @param {object[]} spec - The terminals (see the module comment).
+     * @param {{width: number, height: number}} canvasDimensions - The canvas they are placed on.
+     * @returns {{name: string, regions: object[]}[]} The terminals, each with one region.
+     * @throws {Error} If a terminal is malformed, does not reach the canvas, or shares another's name.
+     */
+    function resolveTerminals(spec, canvasDimensions) {
+        if (!Array.isArray(spec) || spec.length === 0) {
+            throw new Error('Terminals must be a list of regions, e.g. [{ "type": "circle", "cx": 100, "cy": 300, "radius": 20 }].');
+        }
+        const { width, height } = canvasDimensions;
+        const names = new Set();
+        return spec.map((terminal, index) => {
+            if (!terminal || typeof terminal !== 'object' || !TERMINAL_TYPES.includes(terminal.type)) {
+                throw new Error(`Terminal ${index + 1} must be a region of type ${TERMINAL_TYPES.join(', ')}.`);
+            }
+            const name = terminal.name === undefined || terminal.name === null ? defaultTerminalName(index) : String(terminal.name);
+            if (names.has(name)) throw new Error(`Two terminals are named "${name}".`);
+            names.add(name);
+            const units = terminal.units === undefined ? 'px' : terminal.units;
+            if (!TERMINAL_UNITS.includes(units)) {
+                throw new Error(`The units of terminal ${name} must be one of ${TERMINAL_UNITS.join(', ')} (got "${units}").`);
+            }
+            const scale = units === 'fraction' ? { x: width, y: height, r: Math.min(width, height) } : { x: 1, y: 1, r: 1 };
+            const number = (field, factor) => {
+                const value = terminal[field];
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    throw new Error(`The ${terminal.type} terminal ${name} needs a number for "${field}" (got ${JSON.stringify(value)}).`);
+                }
+                return value * factor;
+            };
+
+            let region;
+            if (terminal.type === 'segment') {
+                region = { type: 'segment', x1: number('x1', scale.x), y1: number('y1', scale.y), x2: number('x2', scale.x), y2: number('y2', scale.y) };
+                if (region.x1 === region.x2 && region.y1 === region.y2) throw new Error(`The segment terminal ${name} needs two different end points.`);
+                // Lines stay within the canvas, so (but for a chance in zero) none crosses its own edges.
+                if ((region.x1 === region.x2 && (region.x1 <= 0 || region.x1 >= width)) ||
+                    (region.y1 === region.y2 && (region.y1 <= 0 || region.y1 >= height))) {
+                    throw new Error(`The segment terminal ${name} lies along the edge of the canvas, which no line crosses; move it inside the canvas.`);
+                }
+            } else if (terminal.type === 'rectangle') {
+                region = { type: 'rectangle', x: number('x', scale.x), y: number('y', scale.y), width: number('width', scale.x), height: number('height', scale.y) };
+                if (!(region.width > 0 && region.height > 0)) throw new Error(`The rectangle terminal ${name} must have a positive width and height.`);
+                const { x, y } = region;
+                const right = x + region.width;
+                const bottom = y + region.height;
+                // Kept in the form `overlapsObstacle` tests against.
+                region.outline = {
+                    points: [{ x, y }, { x: right, y }, { x: right, y: bottom }, { x, y: bottom }],
+                    bounds: regionBounds(region),
+                };
+            } else {
+                region = { type: 'circle', cx: number('cx', scale.x), cy: number('cy', scale.y), radius: number('radius', scale.r) };
+                if (!(region.radius > 0)) throw new Error(`The circle terminal ${name} must have a positive radius.`);
+            }
+
+            const bounds = regionBounds(region);
+            if (bounds.maxX < -TOLERANCE || bounds.maxY < -TOLERANCE || bounds.minX > width + TOLERANCE || bounds.minY > height + TOLERANCE) {
+                throw new Error(`Terminal ${name} must reach the ${width}x${height} canvas.`);
+            }
+            return { name, regions: [region] };
+        });
+    }
+
+    /**
+     * Checks a stop rule against the number of terminals it joins.
+     * @param {string} [stopRule] - The rule (see the module comment); 'a-to-b' if left out.
+     * @param {number} terminalCount - The number of terminals.
+     * @returns {string} The rule.
+     * @throws {Error} If the rule is unknown or cannot be met with that many terminals.
+     */
+    function checkStopRule(stopRule, terminalCount) {
+        const resolved = stopRule === undefined || stopRule === null ? 'a-to-b' : stopRule;
+        if (!STOP_RULES.includes(resolved)) {
+            throw new Error(`The stop rule must be one of ${STOP_RULES.join(', ')} (got "${stopRule}").`);
+        }
+        if (resolved === 'a-to-b' && terminalCount !== 2) {
+            throw new Error(`The a-to-b stop rule joins exactly two terminals (got ${terminalCount}); use all or any-two for more.`);
+        }
+        if (terminalCount < 2) {
+            throw new Error(`The ${resolved} stop rule needs at least two terminals (got ${terminalCount}).`);
+        }
+        return resolved;
+    }
+
+    /**
+     * Tells whether an angle lies on an arc running clockwise (on screen) from `from` to `to`.
+     * @param {number} angle - The angle in degrees.
+     * @param {{from: number, to: number}} arc - The arc.
+     * @returns {boolean}
+     */
+    function isOnArc(angle, arc) {
+        const span = arc.to - arc.from;
+        if (span >= 360) return true;
+        const normalize = value => ((value % 360) + 360) % 360;
+        return normalize(angle - arc.from) <= normalize(span) + TOLERANCE;
+    }
+
+    /**
+     * Finds where a line crosses a circle, as angles around the circle's centre.
+     * @param {{x1: number, y1: number, x2: number, y2: number}} line - The line.
+     * @param {{cx: number, cy: number, radius: number}} circle - The circle.
+     * @returns {number[]} The angles in degrees (none, one or two).
+     */
+    function circleCrossings(line, circle) {
+        const d = { x: line.x2 - line.x1, y: line.y2 - line.y1 };
+        const f = { x: line.x1 - circle.cx, y: line.y1 - circle.cy };
+        const a = d.x * d.x + d.y * d.y;
+        const b = 2 * (f.x * d.x + f.y * d.y);
+        const c = f.x * f.x + f.y * f.y - circle.radius * circle.radius;
+        const discriminant = b * b - 4 * a * c;
+        if (a === 0 || discriminant < 0) return [];
+        const root = Math.sqrt(discriminant);
+        return [(-b - root) / (2 * a), (-b + root) / (2 * a)]
+            .filter(t => t >= -TOLERANCE && t <= 1 + TOLERANCE)
+            .map(t => Math.atan2(f.y + t * d.y, f.x + t * d.x) * 180 / Math.PI);
+    }
+
+    /**
+     * Splits an arc of a circle into short chords, for testing shapes other than segments
+     * against it.
+     * @param {{cx: number, cy: number, radius: number}} circle - The circle.
+     * @param {{from: number, to: number}} arc - The arc.
+     * @returns {{x1: number, y1: number, x2: number, y2: number}[]}
+     */
+    function arcChords(circle, arc) {
+        const span = arc.to - arc.from >= 360 ? 360 : ((arc.to - arc.from) % 360 + 360) % 360;
+        const steps = Math.max(1, Math.ceil(span / ARC_CHORD_DEGREES));
+        const point = i => {
+            const angle = (arc.from + span * i / steps) * Math.PI / 180;
+            return { x: circle.cx + circle.radius * Math.cos(angle), y: circle.cy + circle.radius * Math.sin(angle) };
+        };
+        return Array.from({ length: steps }, (_, i) => {
+            const p = point(i);
+            const q = point(i + 1);
+            return { x1: p.x, y1: p.y, x2: q.x, y2: q.y };
+        });
+    }
+
+    /**
+     * Tells whether a line (or other shape) touches one region of a terminal.
+     * @param {object} region - The region (see the module comment).
+     * @param {{x1: number, y1: number, x2: number, y2: number}} line - The line or other shape.
+     * @param {object} geometry - The shape's entry in the shape registry.
+     * @returns {boolean}
+     */
+    function touchesRegion(region, line, geometry) {
+        switch (region.type) {
+            case 'segment':
+                return geometry.intersectsSegment(line, region);
+            case 'rectangle':
+                return overlapsObstacle(region.outline, line, geometry);
+            case 'circle':
+                return geometry.nearPoint(line, { x: region.cx, y: region.cy }, region.radius);
+            case 'arc':
+                if (geometry === getShapeGeometry('segment')) {
+                    return circleCrossings(line, region).some(angle => isOnArc(angle, region));
+                }
+                return arcChords(region, region).some(chord => geometry.intersectsSegment(line, chord));
+            case 'side': {
+                // For a segment these are its endpoints' extremes.
+                const bounds = geometry.bounds(line);
+                if (region.side === 'left') return bounds.minX <= region.at + TOLERANCE;
+                if (region.side === 'right') return bounds.maxX >= region.at - TOLERANCE;
+                if (region.side === 'top') return bounds.minY <= region.at + TOLERANCE;
+                return bounds.maxY >= region.at - TOLERANCE;
+            }
+            default:
+                throw new Error(`Unknown terminal region type "${region.type}".`);
+        }
+    }
+
+    /**
+     * Tells whether a line (or other shape) touches a terminal: any of its regions.
+     * @param {{name: string, regions: object[]}} terminal - The resolved terminal.
+     * @param {{x1: number, y1: number, x2: number, y2: number}} line - The line or other shape.
+     * @param {object} [geometry] - The shape's entry in the shape registry; a line segment by default.
+     * @returns {boolean}
+     */
+    function touchesTerminal(terminal, line, geometry = getShapeGeometry('segment')) {
+        return terminal.regions.some(region => touchesRegion(region, line, geometry));
+    }
+
+    /**
+     * Finds a cluster that meets a stop rule.
+     * @param {string} stopRule - The rule.
+     * @param {Set<number>[]} terminalLines - For each terminal, the lines touching it, in the order they were placed.
+     * @param {function(number): number} find - Maps a line to its cluster's union-find root.
+     * @returns {{root: number, startLine: number, joined: number[]}|null} The cluster's root, the terminals
+     *     it joins (in order) and the first line it has on the first of them; null if no cluster meets the rule.
+     */
+    function findJoiningCluster(stopRule, terminalLines, find) {
+        // For each terminal, the clusters touching it, each with its first line there.
+        const rootsByTerminal = terminalLines.map(lines => {
+            const roots = new Map();
+            for (const line of lines) {
+                const root = find(line);
+                if (!roots.has(root)) roots.set(root, line);
+            }
+            return roots;
+        });
+        const joining = root => {
+            const joined = [];
+            rootsByTerminal.forEach((roots, index) => {
+                if (roots.has(root)) joined.push(index);
+            });
+            return { root, startLine: rootsByTerminal[joined[0]].get(root), joined };
+        };
+
+        if (stopRule === 'any-two') {
+            for (let index = 1; index < rootsByTerminal.length; index++) {
+                for (const root of rootsByTerminal[index].keys()) {
+                    if (rootsByTerminal.slice(0, index).some(roots => roots.has(root))) return joining(root);
+                }
+            }
+            return null;
+        }
+        // Every other rule needs a cluster on every terminal.
+        if (rootsByTerminal.some(roots => roots.size === 0)) return null;
+        for (const root of rootsByTerminal[rootsByTerminal.length - 1].keys()) {
+            if (rootsByTerminal.every(roots => roots.has(root))) return joining(root);
+        }
+        return null;
+    }
+
+    /**
+     * Parses the text form of a terminal, `[name=]type:numbers`, as used by the `--terminal`
+     * flag: `segment:x1,y1,x2,y2`, `rectangle:x,y,width,height` (or `rect:`) or `circle:cx,cy,radius`,
+     * in pixels, e.g. `A=circle:100,300,20`.
+     * @param {string} text - The text form.
+     * @returns {object} A terminal specification.
+     * @throws {Error} If the text is malformed.
+     */
+    function parseTerminal(text) {
+        const match = String(text).trim().match(/^(?:([^=:]+)=)?(\w+)\s*:(.*)$/);
+        const type = match && (match[2] === 'rect' ? 'rectangle' : match[2]);
+        if (!match || !TERMINAL_TYPES.includes(type)) {
+            throw new Error(`A terminal is written [name=]type:numbers with type ${TERMINAL_TYPES.join(', ')}, e.g. A=circle:100,300,20 (got "${text}").`);
+        }
+        const numbers = match[3].split(',').map(item => (item.trim() === '' ? NaN : Number(item)));
+        const fields = TERMINAL_FIELDS[type];
+        if (numbers.length !== fields.length || numbers.some(value => !Number.isFinite(value))) {
+            throw new Error(`A ${type} terminal needs the numbers ${fields.join(',')} (got "${text}").`);
+        }
+        const spec = { type, ...Object.fromEntries(fields.map((field, i) => [field, numbers[i]])) };
+        if (match[1] !== undefined) spec.name = match[1].trim();
+        return spec;
+    }
+
+    /**
+     * Writes a terminal specification in the text form read by `parseTerminal`.
+     * @param {object} spec - The specification.
+     * @returns {string}
+     */
+    function formatTerminal(spec) {
+        const name = spec.name === undefined || spec.name === null ? '' : `${spec.name}=`;
+        return `${name}${spec.type}:${TERMINAL_FIELDS[spec.type].map(field => spec[field]).join(',')}`;
+    }
+
+    // --- Module Export ---
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js
+        module.exports = {
+            TERMINAL_TYPES, TERMINAL_UNITS, STOP_RULES, resolveTerminals, checkStopRule, touchesTerminal,
+            findJoiningCluster, parseTerminal, formatTerminal,
+        };
+    } else {
+        // Browser
+        global.TERMINAL_TYPES = TERMINAL_TYPES;
+        global.STOP_RULES = STOP_RULES;
+        global.resolveTerminals = resolveTerminals;
+        global.checkStopRule = checkStopRule;
+        global.touchesTerminal = touchesTerminal;
+        global.findJoiningCluster = findJoiningCluster;
+        global.parseTerminal = parseTerminal;
+        global.formatTerminal = formatTerminal;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -1,5 +1,19 @@
-const { SimulationEngine } = require('./engine.js');
-const { intersects } = require('./utils.js'); // Also test intersects directly
+const { SimulationEngine, SNAPSHOT_FORMAT, SNAPSHOT_VERSION } = require('./engine.js');
+const { StatisticsEngine, percentile, spanningProbabilityCurve, findSpanningCrossing } = require('./statistics.js');
+const { parseArguments, CliError } = require('./cli.js');
+const { buildReport, reportToCSV, reportToJSON } = require('./export.js');
+const { runSimulationsParallel, runSpanningProbabilityParallel } = require('./parallel.js');
+const { renderToSVG } = require('./renderer.js');
+const { parseSweepValues, expandGrid, runSweep } = require('./sweep.js');
+const { intersects, createSeededRandom, deriveSeed, PeriodicUnionFind } = require('./utils.js'); // Also test intersects directly
+const { resolveBridgeArea, getEdgeContacts } = require('./bridge-area.js');
+const { resolveTerminals, touchesTerminal, findJoiningCluster } = require('./terminals.js');
+const { createDistributionSampler, normalizeDistribution } = require('./distributions.js');
+const { SHAPES, normalizeShape } = require('./shapes.js');
+const { resolveObstacles, overlapsObstacle, placeAmongObstacles } = require('./obstacles.js');
+const { clipToCanvas } = require('./placement.js');
+const { ParameterError, validateParameters, checkParameters } = require('./validation.js');
+const { meanSquaredLength, fitWeightedLine, fitFiniteSizeScaling, runScalingStudy } = require('./scaling.js');
 
 let failures = 0;
 
@@ -47,18 +61,9 @@ function testBridgeScenario(testName, lines, expectedPath, boundaryCondition = '
     const engine = new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, boundaryCondition });
     engine.isRunning = true; // Pretend the simulation is running
 
-    // Manually override the line generation for predictable tests
-    let lineCounter = 0;
-    engine._generateRandomLine = () => {
-        if (lineCounter < lines.length) {
-            return lines[lineCounter++];
-        }
-        return { x1: 0, y1: 0, x2: 0, y2: 0 }; // Default fallback
-    };
-
-    // Run a step for each line to be added
-    for (let i = 0; i < lines.length; i++) {
-        engine.runStep();
+    // Place the lines by hand for predictable tests, stopping at a bridge as a run would
+    for (let i = 0; i < lines.length && engine.isRunning; i++) {
+        engine.addLine(lines[i]);
     }
 
     const pathFound = engine.connectingPath.length > 0;
@@ -67,7 +72,7 @@ function testBridgeScenario(testName, lines, expectedPath, boundaryCondition = '
     runTest(`${testName} - Bridge Found`, pathFound === expectedPathFound);
 
     if (expectedPathFound) {
-        const pathIsCorrect = JSON.stringify(engine.connectingPath.map(l => lines.indexOf(l))) === JSON.stringify(expectedPath);
+        const pathIsCorrect = JSON.stringify(engine.connectingPath.map(l => engine.lines.indexOf(l))) === JSON.stringify(expectedPath);
         runTest(`${testName} - Correct Path`, pathIsCorrect);
     }
 }
@@ -101,10 +106,930 @@ const shortBridgeLine = [{ x1: 10, y1: 50, x2: 460, y2: 50 }];
 testBridgeScenario('Test 7 (Short Bridge)', shortBridgeLine, [0]);
 
 
-if (failures > 0) {
-    console.error(`\n${failures} test(s) failed.`);
-    process.exit(1); // Exit with a failure code
-} else {
-    console.log('\nAll tests passed!');
-    process.exit(0); // Exit with a success code
-}
\ No newline at end of file
+console.log('\n--- Running Tests for Seeded Random Number Generation ---');
+
+// Test Case 8: Identical seeds produce identical streams
+const randomA = createSeededRandom(12345);
+const randomB = createSeededRandom(12345);
+const streamA = Array.from({ length: 5 }, () => randomA());
+const streamB = Array.from({ length: 5 }, () => randomB());
+runTest('Test 8 (Same Seed, Same Stream)', JSON.stringify(streamA) === JSON.stringify(streamB));
+runTest('Test 8 (Values In [0, 1))', streamA.every(v => v >= 0 && v < 1));
+
+// Test Case 9: Derived seeds differ per index and are stable
+runTest('Test 9 (Derived Seeds Differ)', deriveSeed(7, 0) !== deriveSeed(7, 1));
+runTest('Test 9 (Derived Seeds Stable)', deriveSeed(7, 3) === deriveSeed(7, 3));
+
+// Test Case 10: Re-running an engine with the same seed replays the same lines
+function runSeededEngine(seed) {
+    const engine = new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed });
+    engine.isRunning = true;
+    while (engine.isRunning) engine.runStep();
+    return engine;
+}
+const seededRunA = runSeededEngine(2024);
+const seededRunB = runSeededEngine(2024);
+runTest('Test 10 (Same Seed, Same Lines)', JSON.stringify(seededRunA.lines) === JSON.stringify(seededRunB.lines));
+runTest('Test 10 (Same Seed, Same Bridge Count)', seededRunA.lineCount === seededRunB.lineCount);
+runTest('Test 10 (Seed Reported)', seededRunA.seed === 2024);
+
+// Test Case 11: A statistics batch is reproducible from its master seed
+function runSeededBatch(seed) {
+    const statsEngine = new StatisticsEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed });
+    for (let i = 0; i < 3; i++) statsEngine.results.push(statsEngine.runSingleSimulation(i).lineCount);
+    return statsEngine.results;
+}
+runTest('Test 11 (Same Master Seed, Same Results)', JSON.stringify(runSeededBatch(99)) === JSON.stringify(runSeededBatch(99)));
+
+
+console.log('\n--- Running Tests for Spatial Indexing ---');
+
+// Test Case 12: Every index strategy yields the same union-find result and path
+function runWithIndex(spatialIndex, params = {}) {
+    const engine = new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, ...params, seed: 31337, spatialIndex });
+    engine.isRunning = true;
+    while (engine.isRunning) engine.runStep();
+    const roots = engine.lines.map((_, i) => engine.unionFind.find(i));
+    return JSON.stringify({ count: engine.lineCount, roots, path: engine.connectingPath });
+}
+const bruteForceResult = runWithIndex('none');
+runTest('Test 12 (Grid Matches Brute Force)', runWithIndex('grid') === bruteForceResult);
+runTest('Test 12 (Quadtree Matches Brute Force)', runWithIndex('quadtree') === bruteForceResult);
+const mixedLengths = { minLength: 2, maxLength: 120 };
+runTest('Test 12 (Quadtree Matches Brute Force, Mixed Lengths)',
+    runWithIndex('quadtree', mixedLengths) === runWithIndex('none', mixedLengths));
+
+
+console.log('\n--- Running Tests for Command-Line Parsing ---');
+
+// Test Case 13: Flags, positional arguments and defaults
+const parsedFlags = parseArguments(['250', '--width', '1000', '--max-length=80', '--boundary', 'top-to-bottom', '--seed', '9']);
+runTest('Test 13 (Positional Run Count)', parsedFlags.runs === 250);
+runTest('Test 13 (Canvas Flag)', parsedFlags.canvasDimensions.width === 1000 && parsedFlags.canvasDimensions.height === 600);
+runTest('Test 13 (Parameter Flags)', parsedFlags.simulationParameters.maxLength === 80 &&
+    parsedFlags.simulationParameters.boundaryCondition === 'top-to-bottom' && parsedFlags.simulationParameters.seed === 9);
+runTest('Test 13 (Benchmark Command)', parseArguments(['benchmark']).command === 'benchmark');
+
+// Test Case 14: Invalid values are rejected with a CliError
+function throwsCliError(argv) {
+    try {
+        parseArguments(argv);
+        return false;
+    } catch (error) {
+        return error instanceof CliError;
+    }
+}
+runTest('Test 14 (Rejects Non-Numeric Value)', throwsCliError(['--min-length', 'abc']));
+runTest('Test 14 (Rejects Min Above Max)', throwsCliError(['--min-length', '60', '--max-length', '50']));
+runTest('Test 14 (Rejects Unknown Option)', throwsCliError(['--colour', 'red']));
+runTest('Test 14 (Rejects Unknown Boundary)', throwsCliError(['--boundary', 'diagonal']));
+
+
+console.log('\n--- Running Tests for Result Export ---');
+
+// Test Case 15: Reports carry per-run records and a summary
+const exportStatsEngine = new StatisticsEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 5 });
+exportStatsEngine.records = [0, 1, 2].map(i => exportStatsEngine.runSingleSimulation(i));
+exportStatsEngine.results = exportStatsEngine.records.map(r => r.lineCount);
+const exportReport = buildReport(exportStatsEngine, exportStatsEngine.calculateStatistics());
+runTest('Test 15 (Records In Run Order)', exportReport.runs.map(r => r.run).join() === '0,1,2');
+runTest('Test 15 (Record Seeds Match Derivation)', exportReport.runs[1].seed === exportStatsEngine.getRunSeed(1));
+const exportedJSON = JSON.parse(reportToJSON(exportReport));
+runTest('Test 15 (JSON Summary)', exportedJSON.summary.count === 3 && exportedJSON.simulationParameters.seed === 5);
+const csvLines = reportToCSV(exportReport).trim().split('\n');
+const csvHeader = csvLines.find(line => !line.startsWith('#')).split(',');
+runTest('Test 15 (CSV Summary Block)', csvLines.some(line => line.startsWith('# mean,')));
+runTest('Test 15 (CSV Columns)', ['run', 'seed', 'lineCount', 'pathLength', 'hitMaxSteps', 'maxLength'].every(c => csvHeader.includes(c)));
+runTest('Test 15 (CSV Row Per Run)', csvLines.filter(line => !line.startsWith('#')).length === 4);
+
+// Test Case 16: Worker threads reproduce the single-threaded batch
+async function testParallelBatch() {
+    console.log('\n--- Running Tests for Parallel Batches ---');
+    const parallelParams = { ...SIMULATION_PARAMS, seed: 77 };
+    const sequential = new StatisticsEngine(CANVAS_DIMENSIONS, parallelParams);
+    const sequentialRecords = [0, 1, 2, 3, 4].map(i => sequential.runSingleSimulation(i));
+    const parallel = await runSimulationsParallel(CANVAS_DIMENSIONS, parallelParams, 5, 2);
+    runTest('Test 16 (Parallel Matches Sequential)', JSON.stringify(parallel.records) === JSON.stringify(sequentialRecords));
+    runTest('Test 16 (Parallel Results In Run Order)', parallel.results.join() === sequentialRecords.map(r => r.lineCount).join());
+    // A line count of 0 is rejected inside the worker threads.
+    const failure = await runSpanningProbabilityParallel(CANVAS_DIMENSIONS, parallelParams, [0], 4, 2).then(() => null, error => error);
+    runTest('Test 16 (A Failing Worker Rejects The Batch)', failure instanceof Error);
+}
+
+console.log('\n--- Running Tests for Summary Statistics ---');
+
+// Test Case 17: Spread, intervals, percentiles and histogram of a known sample
+const summaryEngine = new StatisticsEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 1 }, { percentiles: [25, 90], binWidth: 5, bootstrap: 200 });
+summaryEngine.records = [10, 12, 14, 16, 18].map((lineCount, run) => ({ run, seed: 0, lineCount, pathLength: 1, hitMaxSteps: false }))
+    .concat([{ run: 5, seed: 0, lineCount: 100000, pathLength: 0, hitMaxSteps: true }]);
+summaryEngine.results = summaryEngine.records.map(r => r.lineCount);
+const summary = summaryEngine.calculateStatistics();
+const approx = (a, b) => Math.abs(a - b) < 1e-9;
+runTest('Test 17 (Censored Runs Counted Separately)', summary.count === 6 && summary.completed === 5 && summary.censored === 1);
+runTest('Test 17 (Mean Excludes Censored Runs)', summary.mean === 14 && summary.max === 18);
+runTest('Test 17 (Sample Standard Deviation)', approx(summary.stdDev, Math.sqrt(10)));
+runTest('Test 17 (Standard Error)', approx(summary.stdError, Math.sqrt(10) / Math.sqrt(5)));
+runTest('Test 17 (Normal CI Brackets Mean)', summary.ci95.lower < 14 && summary.ci95.upper > 14);
+runTest('Test 17 (Bootstrap CI Brackets Mean)', summary.bootstrapCi95.lower <= 14 && summary.bootstrapCi95.upper >= 14);
+runTest('Test 17 (Percentiles)', summary.percentiles.p25 === 12 && approx(summary.percentiles.p90, 17.2));
+runTest('Test 17 (Histogram Bins)', JSON.stringify(summary.histogram.bins.map(b => b.count)) === '[3,2]' && summary.histogram.bins[0].start === 10);
+runTest('Test 17 (Median Interpolates Even Samples)', percentile([1, 2, 3, 4], 50) === 2.5);
+
+
+console.log('\n--- Running Tests for Parameter Sweeps ---');
+
+// Test Case 18: Sweep axes expand to a grid, and each point reuses the master seed
+runTest('Test 18 (Range Includes End)', parseSweepValues('20:100:20').join() === '20,40,60,80,100');
+runTest('Test 18 (Fractional Range Rounds)', parseSweepValues('0.1:0.3:0.1').join() === '0.1,0.2,0.3');
+runTest('Test 18 (List Values)', JSON.stringify(parseSweepValues('10, left-to-right')) === '[10,"left-to-right"]');
+const sweepGrid = expandGrid({ maxLength: [20, 40], boundaryCondition: 'left-to-right,top-to-bottom' });
+runTest('Test 18 (Grid Is Cartesian Product)', sweepGrid.length === 4 &&
+    sweepGrid[1].maxLength === 20 && sweepGrid[1].boundaryCondition === 'top-to-bottom');
+const sweepArgs = parseArguments(['sweep', '--vary', 'maxLength=20:60:20', '--vary', 'width=400,800']);
+runTest('Test 18 (CLI Sweep Axes)', sweepArgs.command === 'sweep' &&
+    sweepArgs.sweep.maxLength.join() === '20,40,60' && sweepArgs.sweep.width.join() === '400,800');
+runTest('Test 18 (CLI Rejects Unknown Sweep Parameter)', throwsCliError(['sweep', '--vary', 'colour=1,2']));
+
+async function testSweep() {
+    const sweepParams = { ...SIMULATION_PARAMS, seed: 31 };
+    const rows = await runSweep(CANVAS_DIMENSIONS, sweepParams, { maxLength: [40, 60] }, 3);
+    const direct = new StatisticsEngine(CANVAS_DIMENSIONS, { ...sweepParams, maxLength: 60 });
+    const directStats = await direct.runSimulationsAsync(3);
+    runTest('Test 18 (One Row Per Point)', rows.length === 2 && rows[0].maxLength === 40 && rows[0].runs === 3);
+    runTest('Test 18 (Points Share Master Seed)', rows.every(row => row.seed === 31) && rows[1].mean === directStats.mean);
+}
+
+// Test Case 19: Progress updates carry each run's record, so charts can update live
+async function testProgressRecords() {
+    console.log('\n--- Running Tests for Progress Updates ---');
+    const progressEngine = new StatisticsEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 12 });
+    const progressRecords = [];
+    await progressEngine.runSimulationsAsync(4, (current, total, record) => progressRecords.push({ current, total, record }));
+    runTest('Test 19 (Progress Record Per Run)', progressRecords.length === 4 &&
+        progressRecords.every((update, i) => update.current === i + 1 && update.total === 4 && update.record === progressEngine.records[i]));
+}
+
+
+console.log('\n--- Running Tests for Snapshots ---');
+
+// Test Case 20: A snapshot restores the full state, and a resumed run continues exactly as before
+function runToBridge(engine) {
+    engine.isRunning = true;
+    while (engine.isRunning) engine.runStep();
+    return engine;
+}
+const uninterrupted = runToBridge(new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 2024 }));
+const paused = new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 2024 });
+paused.isRunning = true;
+for (let i = 0; i < 500; i++) paused.runStep();
+const pausedSnapshot = JSON.parse(JSON.stringify(paused.serialize()));
+const restored = SimulationEngine.fromSnapshot(pausedSnapshot);
+runTest('Test 20 (Snapshot Is Versioned)', pausedSnapshot.format === SNAPSHOT_FORMAT && pausedSnapshot.version === SNAPSHOT_VERSION);
+runTest('Test 20 (Restores Lines And Sets)', restored.lineCount === 500 && !restored.isRunning &&
+    restored.terminalLines.every((lines, t) => [...lines].join() === [...paused.terminalLines[t]].join()));
+runTest('Test 20 (Rebuilds Clusters)', JSON.stringify(restored.clusters) === JSON.stringify(paused.clusters));
+runToBridge(restored);
+runTest('Test 20 (Resumed Run Matches Uninterrupted Run)', restored.lineCount === uninterrupted.lineCount &&
+    JSON.stringify(restored.connectingPath) === JSON.stringify(uninterrupted.connectingPath));
+const finished = SimulationEngine.fromSnapshot(uninterrupted.serialize());
+runTest('Test 20 (Restores Connecting Path)', finished.connectingPath.length === uninterrupted.connectingPath.length && finished.connectingPath.length > 0);
+function throwsOnLoad(snapshot) {
+    try {
+        SimulationEngine.fromSnapshot(snapshot);
+        return false;
+    } catch (error) {
+        return true;
+    }
+}
+runTest('Test 20 (Rejects Other Versions)', throwsOnLoad({ ...pausedSnapshot, version: SNAPSHOT_VERSION + 1 }) && throwsOnLoad({ lines: [] }));
+const replayEngine = new StatisticsEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 8 });
+runTest('Test 20 (Replayed Run Matches Record)', replayEngine.replayRun(2).lineCount === replayEngine.runSingleSimulation(2).lineCount);
+runTest('Test 20 (CLI Dump Runs)', parseArguments(['10', '--dump-runs', '0,9']).dumpRuns.join() === '0,9' &&
+    throwsCliError(['10', '--dump-runs', '10']) && throwsCliError(['--dump-runs', '1.5']));
+
+
+console.log('\n--- Running Tests for Replay History ---');
+
+// Test Case 21: The recorded history reproduces the clusters seen at every earlier line count
+const replayed = new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 99 });
+const liveClusters = [];
+replayed.isRunning = true;
+while (replayed.isRunning) {
+    replayed.runStep();
+    if (replayed.lineCount % 250 === 0) liveClusters.push([replayed.lineCount, JSON.stringify(replayed.clusters)]);
+}
+runTest('Test 21 (Past Clusters Match Live Clusters)', liveClusters.length > 0 &&
+    liveClusters.every(([count, clusters]) => JSON.stringify(replayed.getStateAt(count).clusters) === clusters));
+runTest('Test 21 (Path Appears Once Bridged)', replayed.getStateAt(replayed.lineCount).connectingPath.length > 0 &&
+    replayed.getStateAt(replayed.lineCount - 1).connectingPath.length === 0);
+runTest('Test 21 (Position Is Clamped)', replayed.getStateAt(-5).lines.length === 0 &&
+    replayed.getStateAt(replayed.lineCount + 10).lineCount === replayed.lineCount);
+
+
+console.log('\n--- Running Tests for SVG Export ---');
+
+// Test Case 22: The SVG exporter draws the same elements as the canvas renderer
+const figure = renderToSVG(replayed, replayed.canvasDimensions, replayed.bridgeArea);
+runTest('Test 22 (Standalone SVG Document)', figure.startsWith('<?xml') && figure.includes('xmlns="http://www.w3.org/2000/svg"') &&
+    figure.includes(`viewBox="0 0 ${CANVAS_DIMENSIONS.width} ${CANVAS_DIMENSIONS.height}"`));
+runTest('Test 22 (One Path Per Line Plus Highlighted Path)',
+    (figure.match(/<path /g) || []).length === replayed.lineCount + replayed.connectingPath.length);
+runTest('Test 22 (Background And Bridge Area)', (figure.match(/<rect /g) || []).length === 2 && figure.includes('stroke-opacity="0.5"'));
+runTest('Test 22 (Highlighted Path In Blue)', (figure.match(/stroke="blue"/g) || []).length === replayed.connectingPath.length);
+
+
+console.log('\n--- Running Tests for Periodic Boundaries ---');
+
+// Test Case 23: Clusters span a periodic canvas by wrapping around it
+const periodicUnionFind = new PeriodicUnionFind();
+[0, 1, 2].forEach(() => periodicUnionFind.add());
+periodicUnionFind.union(0, 1);
+periodicUnionFind.union(1, 2);
+const closingWinding = periodicUnionFind.union(0, 2, { x: -1, y: 0 });
+runTest('Test 23 (Union-Find Detects Winding)', closingWinding.x === -1 && closingWinding.y === 0 &&
+    periodicUnionFind.getWraps(1).x && !periodicUnionFind.getWraps(1).y);
+runTest('Test 23 (Union-Find Ignores Plain Loops)', periodicUnionFind.union(0, 2) === null);
+
+const PERIODIC_PARAMS = { ...SIMULATION_PARAMS, maxLength: 150, periodic: true };
+const wrappingLines = [
+    { x1: 10, y1: 90, x2: 150, y2: 110 },    // 0
+    { x1: 140, y1: 110, x2: 280, y2: 90 },   // 1: crosses 0
+    { x1: 270, y1: 90, x2: 410, y2: 110 },   // 2: crosses 1
+    { x1: 400, y1: 110, x2: 540, y2: 90 },   // 3: crosses 2, and 0 after wrapping past the right edge
+];
+const periodicEngine = new SimulationEngine(CANVAS_DIMENSIONS, PERIODIC_PARAMS);
+periodicEngine.isRunning = true;
+wrappingLines.slice(0, 3).forEach(line => periodicEngine.addLine(line));
+runTest('Test 23 (No Span Before Wrapping)', periodicEngine.isRunning && periodicEngine.connectingPath.length === 0);
+periodicEngine.addLine(wrappingLines[3]);
+runTest('Test 23 (Span Detected By Winding)', !periodicEngine.isRunning &&
+    JSON.stringify(periodicEngine.connectingPath.map(l => periodicEngine.lines.indexOf(l))) === '[3,0,1,2]');
+const verticalEngine = new SimulationEngine(CANVAS_DIMENSIONS, { ...PERIODIC_PARAMS, boundaryCondition: 'top-to-bottom' });
+verticalEngine.isRunning = true;
+wrappingLines.forEach(line => verticalEngine.addLine(line));
+runTest('Test 23 (Horizontal Wrap Does Not Span Vertically)', verticalEngine.isRunning);
+
+const randomPeriodic = runToBridge(new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, periodic: true, seed: 5 }));
+const crossesEdge = line => [line.x1, line.x2].some(x => x < 0 || x > CANVAS_DIMENSIONS.width) ||
+    [line.y1, line.y2].some(y => y < 0 || y > CANVAS_DIMENSIONS.height);
+runTest('Test 23 (Lines Run Past The Edges)', randomPeriodic.lines.some(crossesEdge));
+runTest('Test 23 (Random Run Wraps Around)', randomPeriodic.connectingPath.length > 0 &&
+    randomPeriodic.unionFind.getWraps(randomPeriodic.lineCount - 1).x);
+const wrappedFigure = renderToSVG(periodicEngine, CANVAS_DIMENSIONS, periodicEngine.bridgeArea);
+runTest('Test 23 (Wrapped Pieces Drawn)', (wrappedFigure.match(/<path /g) || []).length === 2 * (4 + 1) &&
+    !wrappedFigure.includes('stroke-opacity="0.5"'));
+function throwsForLongPeriodicLines() {
+    try {
+        new SimulationEngine(CANVAS_DIMENSIONS, { ...PERIODIC_PARAMS, maxLength: 200 });
+        return false;
+    } catch (error) {
+        return true;
+    }
+}
+runTest('Test 23 (Rejects Lines Longer Than Half The Canvas)', throwsForLongPeriodicLines() &&
+    throwsCliError(['--periodic', '--width', '100', '--max-length', '50']));
+
+
+
+console.log('\n--- Running Tests for Bridge Area Geometry ---');
+
+// Test Case 24: The bridge area can be placed explicitly, as a rectangle, circle or polygon
+runTest('Test 24 (Default Area Keeps The 10% Margin)', JSON.stringify(new SimulationEngine(CANVAS_DIMENSIONS, SIMULATION_PARAMS).bridgeArea) ===
+    JSON.stringify({ shape: 'rectangle', x: 50, y: 40, width: 400, height: 320 }));
+const fractionArea = resolveBridgeArea({ shape: 'rectangle', units: 'fraction', x: 0.2, y: 0.25, width: 0.5, height: 0.5 }, CANVAS_DIMENSIONS);
+runTest('Test 24 (Fractions Scale To The Canvas)', fractionArea.x === 100 && fractionArea.y === 100 &&
+    fractionArea.width === 250 && fractionArea.height === 200);
+
+const circleArea = resolveBridgeArea({ shape: 'circle', cx: 250, cy: 200, radius: 100 }, CANVAS_DIMENSIONS, 'left-to-right');
+const leftCrossing = getEdgeContacts(circleArea, { x1: 140, y1: 200, x2: 160, y2: 200 }, 'left-to-right');
+const topCrossing = getEdgeContacts(circleArea, { x1: 250, y1: 90, x2: 250, y2: 110 }, 'left-to-right');
+const inside = getEdgeContacts(circleArea, { x1: 200, y1: 200, x2: 300, y2: 200 }, 'left-to-right');
+runTest('Test 24 (Circle Start Arc Faces The Start Side)', leftCrossing.touchesStart && !leftCrossing.touchesFinish);
+runTest('Test 24 (Circle Outline Outside The Arcs Is Neither Edge)', !topCrossing.touchesStart && !topCrossing.touchesFinish &&
+    !inside.touchesStart && !inside.touchesFinish);
+const topArcArea = resolveBridgeArea({ shape: 'circle', cx: 250, cy: 200, radius: 100, start: [{ from: 240, to: 300 }] }, CANVAS_DIMENSIONS);
+runTest('Test 24 (Circle Arcs Can Be Given)', getEdgeContacts(topArcArea, { x1: 250, y1: 90, x2: 250, y2: 110 }).touchesStart);
+
+const SQUARE_AREA = { shape: 'polygon', points: [[100, 100], [400, 100], [400, 300], [100, 300]] };
+runTest('Test 24 (Polygon Edges Default To The Facing Sides)',
+    JSON.stringify(resolveBridgeArea(SQUARE_AREA, CANVAS_DIMENSIONS, 'left-to-right')) ===
+    JSON.stringify({ shape: 'polygon', points: [{ x: 100, y: 100 }, { x: 400, y: 100 }, { x: 400, y: 300 }, { x: 100, y: 300 }], start: [3], finish: [1] }));
+const polygonLines = [
+    { x1: 90, y1: 200, x2: 250, y2: 200 },  // Crosses the left edge
+    { x1: 240, y1: 150, x2: 240, y2: 250 }, // Crosses the first line
+    { x1: 230, y1: 180, x2: 410, y2: 180 }, // Crosses the second line and the right edge
+];
+function runScriptedLines(simulationParameters, lines) {
+    const engine = new SimulationEngine(CANVAS_DIMENSIONS, simulationParameters);
+    engine.isRunning = true;
+    for (let i = 0; i < lines.length && engine.isRunning; i++) engine.addLine(lines[i]);
+    return engine;
+}
+const polygonEngine = runScriptedLines({ ...SIMULATION_PARAMS, bridgeArea: SQUARE_AREA }, polygonLines);
+runTest('Test 24 (Polygon Bridge Detected)', !polygonEngine.isRunning && polygonEngine.connectingPath.length === 3);
+const topToBottomEdges = runScriptedLines({ ...SIMULATION_PARAMS, bridgeArea: { ...SQUARE_AREA, start: [0], finish: [2] } }, polygonLines);
+runTest('Test 24 (Polygon Edges Can Be Given)', topToBottomEdges.isRunning);
+runTest('Test 24 (Snapshot Keeps The Bridge Area)',
+    JSON.stringify(SimulationEngine.fromSnapshot(polygonEngine.serialize()).bridgeArea) === JSON.stringify(polygonEngine.bridgeArea));
+
+function throwsForArea(bridgeArea) {
+    try {
+        new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, bridgeArea });
+        return false;
+    } catch (error) {
+        return true;
+    }
+}
+runTest('Test 24 (Rejects Areas Off The Canvas)', throwsForArea({ shape: 'circle', cx: 250, cy: 200, radius: 250 }) &&
+    throwsForArea({ shape: 'rectangle', units: 'fraction', x: 0.5, y: 0, width: 0.6, height: 1 }));
+runTest('Test 24 (Rejects Malformed Areas)', throwsForArea({ shape: 'hexagon' }) &&
+    throwsForArea({ shape: 'polygon', points: [[0, 0], [10, 10]] }) &&
+    throwsForArea({ ...SQUARE_AREA, start: [4] }));
+const cliArea = parseArguments(['--bridge-area', 'circle:0.5,0.5,0.4', '--bridge-units', 'fraction', '--start-edges', '135:225']).simulationParameters.bridgeArea;
+runTest('Test 24 (CLI Reads The Bridge Area)', JSON.stringify(cliArea) ===
+    JSON.stringify({ shape: 'circle', cx: 0.5, cy: 0.5, radius: 0.4, units: 'fraction', start: [{ from: 135, to: 225 }] }));
+runTest('Test 24 (CLI Rejects Bad Areas)', throwsCliError(['--bridge-area', 'circle:400,300,400']) &&
+    throwsCliError(['--bridge-area', 'square:1,2']) && throwsCliError(['--start-edges', '0']));
+
+
+console.log('\n--- Running Tests for Length and Angle Distributions ---');
+
+// Test Case 25: Lengths and angles follow the selected distribution
+function drawSamples(kind, spec, bounds, count = 2000) {
+    const sample = createDistributionSampler(kind, spec, bounds);
+    const random = createSeededRandom(11);
+    return Array.from({ length: count }, () => sample(random));
+}
+const LENGTH_BOUNDS = { min: 10, max: 50 };
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+const withinBounds = values => values.every(value => value >= LENGTH_BOUNDS.min && value <= LENGTH_BOUNDS.max);
+const normalLengths = drawSamples('length', { type: 'normal', mean: 30, stdDev: 5 }, LENGTH_BOUNDS);
+runTest('Test 25 (Normal Lengths Centre On The Mean)', withinBounds(normalLengths) && Math.abs(mean(normalLengths) - 30) < 0.5);
+const lognormalLengths = drawSamples('length', { type: 'lognormal', mu: Math.log(20), sigma: 0.3 }, LENGTH_BOUNDS);
+runTest('Test 25 (Log-normal Median Is exp(mu))', withinBounds(lognormalLengths) &&
+    Math.abs(percentile(lognormalLengths.slice().sort((a, b) => a - b), 50) - 20) < 1);
+const exponentialLengths = drawSamples('length', { type: 'exponential', mean: 10 }, LENGTH_BOUNDS);
+const powerLawLengths = drawSamples('length', { type: 'power-law', exponent: 2 }, LENGTH_BOUNDS);
+const shortShare = values => values.filter(value => value < 20).length / values.length;
+runTest('Test 25 (Exponential And Power-Law Favour Short Lines)', withinBounds(exponentialLengths) && withinBounds(powerLawLengths) &&
+    shortShare(exponentialLengths) > 0.6 && Math.abs(shortShare(powerLawLengths) - 0.625) < 0.03);
+runTest('Test 25 (Fixed Length)', drawSamples('length', { type: 'fixed', length: 25 }, LENGTH_BOUNDS, 10).every(value => value === 25));
+const vonMisesAngles = drawSamples('angle', { type: 'von-mises', mean: 90, kappa: 10 }, { min: 0, max: 360 });
+const meanDirection = {
+    x: mean(vonMisesAngles.map(angle => Math.cos(angle * Math.PI / 180))),
+    y: mean(vonMisesAngles.map(angle => Math.sin(angle * Math.PI / 180))),
+};
+runTest('Test 25 (Von Mises Angles Concentrate On The Mean)',
+    Math.abs(Math.atan2(meanDirection.y, meanDirection.x) * 180 / Math.PI - 90) < 2 && Math.hypot(meanDirection.x, meanDirection.y) > 0.9);
+
+const fixedLengthEngine = new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 3, lengthDistribution: { type: 'fixed', length: 25 } });
+const fixedLengthLines = [0, 1, 2, 3, 4].map(() => fixedLengthEngine._generateRandomLine());
+runTest('Test 25 (Engine Draws From The Distribution)', fixedLengthLines.every(line => Math.abs(Math.hypot(line.x2 - line.x1, line.y2 - line.y1) - 25) < 1e-9));
+runTest('Test 25 (Defaults Filled In)', JSON.stringify(normalizeDistribution('length', { type: 'lognormal', mu: 3 })) ===
+    JSON.stringify({ type: 'lognormal', mu: 3, sigma: 0.5 }) && normalizeDistribution('angle', undefined).type === 'uniform');
+function throwsForDistribution(lengthDistribution) {
+    try {
+        new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, lengthDistribution });
+        return false;
+    } catch (error) {
+        return true;
+    }
+}
+runTest('Test 25 (Rejects Bad Distributions)', throwsForDistribution({ type: 'gamma' }) &&
+    throwsForDistribution({ type: 'normal', sd: 5 }) && throwsForDistribution({ type: 'fixed', length: 80 }) &&
+    throwsForDistribution({ type: 'normal', mean: 1000, stdDev: 1 }));
+const cliDistributions = parseArguments(['--length-dist', 'lognormal:mu=3,sigma=0.4', '--angle-dist', 'von-mises:kappa=4']).simulationParameters;
+runTest('Test 25 (CLI Reads Distributions)', JSON.stringify(cliDistributions.lengthDistribution) === JSON.stringify({ type: 'lognormal', mu: 3, sigma: 0.4 }) &&
+    cliDistributions.angleDistribution.kappa === 4);
+runTest('Test 25 (CLI Rejects Bad Distributions)', throwsCliError(['--length-dist', 'lognormal:mu']) &&
+    throwsCliError(['--angle-dist', 'von-mises:kappa=-1']));
+runTest('Test 25 (Reports Name The Distributions)', exportReport.simulationParameters['lengthDistribution.type'] === 'uniform' &&
+    exportReport.simulationParameters['angleDistribution.type'] === 'uniform');
+
+// Test Case 26: Disks, thick sticks and ellipses connect when their outlines overlap
+const stick = (y, width) => ({ x1: 0, y1: y, x2: 100, y2: y, width });
+runTest('Test 26 (Sticks Overlap Within Their Width)', SHAPES.stick.overlaps(stick(0, 6), stick(5, 6)) &&
+    !SHAPES.stick.overlaps(stick(0, 6), stick(7, 6)) && !intersects(stick(0, 6), stick(5, 6)));
+const disk = (cx, cy, radius) => ({ x1: cx - radius, y1: cy, x2: cx + radius, y2: cy });
+runTest('Test 26 (Disks Overlap Within Their Radii)', SHAPES.disk.overlaps(disk(0, 0, 10), { x1: 15, y1: -5, x2: 15, y2: 5 }) &&
+    !SHAPES.disk.overlaps(disk(0, 0, 10), disk(0, 21, 10)));
+const ellipse = (x1, y1, x2, y2) => ({ x1, y1, x2, y2, aspectRatio: 0.5 });
+runTest('Test 26 (Ellipses Overlap Along Their Outlines)', SHAPES.ellipse.overlaps(ellipse(0, 0, 20, 0), ellipse(10, 4, 10, 24)) &&
+    !SHAPES.ellipse.overlaps(ellipse(0, 0, 20, 0), ellipse(10, 6, 10, 26)) && SHAPES.ellipse.overlaps(ellipse(0, 0, 20, 0), ellipse(2, 0, 18, 0)));
+runTest('Test 26 (Ellipse Bounds)', JSON.stringify(SHAPES.ellipse.bounds(ellipse(0, 0, 20, 0))) ===
+    JSON.stringify({ minX: 0, minY: -5, maxX: 20, maxY: 5 }));
+runTest('Test 26 (Segments Come Near Points Along Their Length)',
+    SHAPES.segment.nearPoint({ x1: 0, y1: 0, x2: 100, y2: 0 }, { x: 50, y: 4 }, 5) &&
+    !SHAPES.segment.nearPoint({ x1: 0, y1: 0, x2: 100, y2: 0 }, { x: 50, y: 6 }, 5));
+
+const stickEngine = new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 8, shape: { type: 'stick', width: 12 } });
+const generatedSticks = Array.from({ length: 50 }, () => stickEngine._generateRandomLine());
+runTest('Test 26 (Generated Shapes Stay On The Canvas)', generatedSticks.every(s => {
+    const bounds = SHAPES.stick.bounds(s);
+    return s.width === 12 && bounds.minX >= 0 && bounds.minY >= 0 && bounds.maxX <= CANVAS_DIMENSIONS.width && bounds.maxY <= CANVAS_DIMENSIONS.height;
+}));
+
+// Upright diameters of overlapping disks, from the left edge of the default area to its right edge.
+// As plain segments they are parallel and never meet.
+const diskChain = [70, 125, 180, 235, 290, 345, 400, 430].map(cx => ({ x1: cx, y1: 170, x2: cx, y2: 230 }));
+const diskEngine = runScriptedLines({ ...SIMULATION_PARAMS, shape: { type: 'disk' } }, diskChain);
+runTest('Test 26 (Disks Bridge The Area)', !diskEngine.isRunning && diskEngine.connectingPath.length === diskChain.length);
+runTest('Test 26 (The Same Segments Do Not)', runScriptedLines(SIMULATION_PARAMS, diskChain).isRunning);
+runTest('Test 26 (Disks Touch Polygon Edges With Their Outline)',
+    getEdgeContacts(resolveBridgeArea(SQUARE_AREA, CANVAS_DIMENSIONS, 'left-to-right'), disk(108, 200, 10), 'left-to-right', SHAPES.disk).touchesStart);
+diskEngine.updateSimulationParameters({ ...SIMULATION_PARAMS, maxLength: 60, shape: { type: 'ellipse', aspectRatio: 0.5 } });
+runTest('Test 26 (Updates Keep The Run\'s Shape)', diskEngine.simulationParameters.shape.type === 'disk' &&
+    diskEngine.simulationParameters.maxLength === 60);
+runTest('Test 26 (Snapshots Restore The Run\'s Shape)',
+    SimulationEngine.fromSnapshot(diskEngine.serialize()).connectingPath.length === diskChain.length);
+runTest('Test 26 (Renderer Draws Outlines)', (renderToSVG(diskEngine, CANVAS_DIMENSIONS, diskEngine.bridgeArea).match(/fill-opacity/g) || []).length >= diskChain.length);
+
+stickEngine.isRunning = true;
+for (let i = 0; i < 200; i++) stickEngine.runStep();
+const restoredSticks = SimulationEngine.fromSnapshot(stickEngine.serialize());
+runTest('Test 26 (Snapshot Keeps The Shape)', restoredSticks.lines.every(s => s.width === 12) &&
+    JSON.stringify(restoredSticks.clusters) === JSON.stringify(stickEngine.clusters));
+runTest('Test 26 (Rejects Bad Shapes)', [{ type: 'triangle' }, { type: 'stick', width: 0 }, { type: 'ellipse', aspectRatio: 2 }, { type: 'disk', radius: 4 }]
+    .every(shape => { try { normalizeShape(shape); return false; } catch (error) { return true; } }) &&
+    throwsCliError(['--periodic', '--max-length', '100', '--shape', 'stick:width=300']));
+runTest('Test 26 (CLI Reads The Shape)', JSON.stringify(parseArguments(['--shape', 'ellipse:aspectRatio=0.25']).simulationParameters.shape) ===
+    JSON.stringify({ type: 'ellipse', aspectRatio: 0.25 }) && throwsCliError(['--shape', 'stick:width']));
+runTest('Test 26 (Reports Name The Shape)', exportReport.simulationParameters['shape.type'] === 'segment');
+
+// Test Case 27: No line overlaps an obstacle, so no bridge can pass through one
+const BLOCK = [[200, 100], [300, 100], [300, 300], [200, 300]];
+const blockObstacles = resolveObstacles([BLOCK], CANVAS_DIMENSIONS);
+const obstacleEngine = new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 4, obstacles: [BLOCK] });
+const obstacleLines = Array.from({ length: 500 }, () => obstacleEngine._generateRandomLine());
+runTest('Test 27 (Rejected Lines Miss The Obstacle)', obstacleLines.every(line => !overlapsObstacle(blockObstacles[0], line, SHAPES.segment)));
+const clipped = placeAmongObstacles(blockObstacles, { x1: 150, y1: 150, x2: 250, y2: 250 }, SHAPES.segment, 'clip', null);
+runTest('Test 27 (Clipped Lines Stop At The Obstacle)', Math.abs(clipped.x2 - 200) < 1e-9 && Math.abs(clipped.y2 - 200) < 1e-9 &&
+    placeAmongObstacles(blockObstacles, { x1: 250, y1: 250, x2: 350, y2: 250 }, SHAPES.segment, 'clip', null) === null);
+runTest('Test 27 (Shapes Containing An Obstacle Overlap It)',
+    overlapsObstacle(resolveObstacles([[[240, 190], [260, 190], [250, 210]]], CANVAS_DIMENSIONS)[0], disk(250, 200, 40), SHAPES.disk));
+runTest('Test 27 (Obstacles Wrap With Periodic Edges)',
+    placeAmongObstacles(resolveObstacles([[[0, 50], [20, 50], [20, 150], [0, 150]]], CANVAS_DIMENSIONS), { x1: 490, y1: 100, x2: 530, y2: 100 },
+        SHAPES.segment, 'reject', CANVAS_DIMENSIONS) === null);
+
+const walledEngine = new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 4, obstacles: [[[240, 0], [260, 0], [260, 400], [240, 400]]] });
+walledEngine.isRunning = true;
+for (let i = 0; i < 3000 && walledEngine.isRunning; i++) walledEngine.runStep();
+runTest('Test 27 (A Wall Blocks Every Bridge)', walledEngine.isRunning && walledEngine.lines.every(line => Math.max(line.x1, line.x2) <= 240 || Math.min(line.x1, line.x2) >= 260));
+runTest('Test 27 (Obstacles Are Drawn And Saved)', renderToSVG(walledEngine, CANVAS_DIMENSIONS, walledEngine.bridgeArea).includes('fill="rgb(70, 70, 70)"') &&
+    JSON.stringify(SimulationEngine.fromSnapshot(walledEngine.serialize()).obstacles) === JSON.stringify(walledEngine.obstacles));
+runTest('Test 27 (Rejects Bad Obstacles)', [[[[0, 0], [10, 0]]], [[[0, 0], [600, 0], [0, 10]]], 'square']
+    .every(obstacles => { try { new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, obstacles }); return false; } catch (error) { return true; } }) &&
+    throwsCliError(['--shape', 'disk', '--obstacle-policy', 'clip']));
+runTest('Test 27 (CLI Reads Obstacles)', parseArguments(['--obstacle', '0,0,10,0,10,10', '--obstacle', '20,20,30,20,30,30']).simulationParameters.obstacles.length === 2 &&
+    throwsCliError(['--obstacle', '0,0,10,0']));
+
+console.log('\n--- Running Tests for Editing Lines ---');
+
+// Test Case 28: Lines can be added and removed by hand, with clusters and bridge updated at once
+function throwsFor(action) {
+    try {
+        action();
+        return false;
+    } catch (error) {
+        return true;
+    }
+}
+const editedEngine = new SimulationEngine(CANVAS_DIMENSIONS, SIMULATION_PARAMS);
+runTest('Test 28 (Added Lines Get The Next Index)', bridgeLines.map(line => editedEngine.addLine(line)).join() === '0,1,2' &&
+    editedEngine.lines[0] !== bridgeLines[0]);
+runTest('Test 28 (Adding The Last Line Forms The Bridge)', editedEngine.connectingPath.length === 3 && editedEngine.bridgeFormedAt === 3 &&
+    editedEngine.clusters.length === 1);
+const removedLine = editedEngine.removeLine(1);
+runTest('Test 28 (Removing A Line Breaks The Bridge)', removedLine.x1 === 90 && editedEngine.lineCount === 2 &&
+    editedEngine.connectingPath.length === 0 && editedEngine.bridgeFormedAt === null && !editedEngine.isRunning);
+runTest('Test 28 (Removing A Line Splits Its Cluster)', editedEngine.clusters.length === 2 &&
+    editedEngine.clusters.every(cluster => cluster.length === 1));
+editedEngine.addLine(bridgeLines[1]);
+runTest('Test 28 (Adding It Back Restores The Bridge)', editedEngine.connectingPath.length === 3);
+const runningEngine = new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 6 });
+runningEngine.isRunning = true;
+[0, 1, 2].forEach(() => runningEngine.runStep());
+runningEngine.removeLine(0);
+runTest('Test 28 (Removing A Line Keeps A Run Going)', runningEngine.isRunning && runningEngine.lineCount === 2 &&
+    runningEngine.intersectionHistory.length === 2);
+const periodicEdits = new SimulationEngine(CANVAS_DIMENSIONS, PERIODIC_PARAMS);
+[...wrappingLines, { x1: 100, y1: 300, x2: 200, y2: 300 }, { x1: 300, y1: 300, x2: 400, y2: 300 }]
+    .forEach(line => periodicEdits.addLine(line));
+periodicEdits.removeLine(4);
+runTest('Test 28 (Removing A Line Keeps A Wrapping Bridge)', periodicEdits.bridgeFormedAt === 4 &&
+    periodicEdits.connectingPath.length === 4 && !periodicEdits.isRunning);
+runTest('Test 28 (Rejects Bad Edits)', throwsFor(() => editedEngine.addLine({ x1: 0, y1: 0, x2: 'far' })) &&
+    throwsFor(() => editedEngine.removeLine(3)) && throwsFor(() => editedEngine.removeLine(-1)));
+const blockedEngine = new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, obstacles: [BLOCK] });
+runTest('Test 28 (Added Lines Respect Obstacles)', throwsFor(() => blockedEngine.addLine({ x1: 150, y1: 250, x2: 250, y2: 250 })) &&
+    blockedEngine.lineCount === 0);
+
+console.log('\n--- Running Tests for Engine Events ---');
+
+// Test Case 29: The engine reports lines, merges, edge contacts, bridges and resets as events
+function recordEvents(engine) {
+    const events = [];
+    ['line-added', 'boundary-touched', 'clusters-merged', 'bridge-formed', 'line-removed', 'reset']
+        .forEach(name => engine.on(name, details => events.push({ name, ...details })));
+    return events;
+}
+const observedEngine = new SimulationEngine(CANVAS_DIMENSIONS, SIMULATION_PARAMS);
+const observedEvents = recordEvents(observedEngine);
+bridgeLines.forEach(line => observedEngine.addLine(line));
+runTest('Test 29 (Events Come In Order)', observedEvents.map(event => event.name).join() ===
+    'line-added,boundary-touched,line-added,clusters-merged,line-added,boundary-touched,clusters-merged,bridge-formed');
+runTest('Test 29 (Edge Contacts Are Reported)', observedEvents[1].start && !observedEvents[1].finish &&
+    !observedEvents[5].start && observedEvents[5].finish);
+runTest('Test 29 (Merges Report Cluster Sizes)', JSON.stringify(observedEvents[6].sizes) === '[1,2]' && observedEvents[6].size === 3);
+runTest('Test 29 (Bridge Reports Its Path)', observedEvents[7].lineCount === 3 && observedEvents[7].path.length === 3);
+observedEvents.length = 0;
+observedEngine.removeLine(1);
+observedEngine.reset();
+runTest('Test 29 (Removal Replays Silently)', observedEvents.map(event => event.name).join() === 'line-removed,reset' &&
+    observedEvents[0].lineCount === 2 && observedEvents[1].seed === observedEngine.seed);
+const keptBridgeEngine = new SimulationEngine(CANVAS_DIMENSIONS, SIMULATION_PARAMS);
+[...bridgeLines, { x1: 10, y1: 10, x2: 20, y2: 20 }].forEach(line => keptBridgeEngine.addLine(line));
+const keptBridgeEvents = recordEvents(keptBridgeEngine);
+keptBridgeEngine.removeLine(3);
+runTest('Test 29 (Removal Says Whether The Bridge Holds)', observedEvents[0].bridged === false &&
+    keptBridgeEvents[0].bridged === true);
+const mergingEngine = new SimulationEngine(CANVAS_DIMENSIONS, SIMULATION_PARAMS);
+const mergeEvents = recordEvents(mergingEngine);
+[{ x1: 200, y1: 100, x2: 200, y2: 150 }, { x1: 190, y1: 110, x2: 230, y2: 110 }, { x1: 300, y1: 100, x2: 300, y2: 150 },
+    { x1: 180, y1: 140, x2: 320, y2: 140 }].forEach(line => mergingEngine.addLine(line));
+runTest('Test 29 (Joining Two Clusters Lists Both)', JSON.stringify(mergeEvents.filter(event => event.name === 'clusters-merged').pop().sizes) === '[1,2,1]');
+const unsubscribe = mergingEngine.on('line-added', () => { throw new Error('Still subscribed'); });
+unsubscribe();
+mergingEngine.addLine({ x1: 10, y1: 10, x2: 20, y2: 20 });
+runTest('Test 29 (Listeners Can Unsubscribe)', mergingEngine.lineCount === 5);
+const eventRecord = new StatisticsEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 11 }).runSingleSimulation(2);
+const replayedRun = new StatisticsEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 11 }).replayRun(2);
+runTest('Test 29 (Run Records Come From Events)', eventRecord.lineCount === replayedRun.lineCount &&
+    eventRecord.pathLength === replayedRun.connectingPath.length && !eventRecord.hitMaxSteps);
+runTest('Test 29 (Figures Default To The Run\'s Bridge Area)',
+    renderToSVG(replayedRun, CANVAS_DIMENSIONS) === renderToSVG(replayedRun, CANVAS_DIMENSIONS, replayedRun.bridgeArea));
+
+console.log('\n--- Running Tests for Cluster Metrics ---');
+
+// Test Case 30: The engine keeps per-line cluster metrics from the union-find sizes
+const metricsEngine = new SimulationEngine(CANVAS_DIMENSIONS, SIMULATION_PARAMS);
+[{ x1: 200, y1: 100, x2: 200, y2: 150 }, { x1: 190, y1: 110, x2: 230, y2: 110 }, { x1: 300, y1: 100, x2: 300, y2: 150 },
+    { x1: 400, y1: 300, x2: 420, y2: 300 }, { x1: 180, y1: 140, x2: 320, y2: 140 }].forEach(line => metricsEngine.addLine(line));
+const clusterSeries = metricsEngine.getClusterMetrics();
+runTest('Test 30 (One Entry Per Line)', clusterSeries.length === 5 && clusterSeries.map(entry => entry.lineCount).join() === '1,2,3,4,5');
+runTest('Test 30 (Cluster Counts)', clusterSeries.map(entry => entry.clusterCount).join() === '1,1,2,3,2');
+runTest('Test 30 (Largest Cluster)', clusterSeries.map(entry => entry.largestCluster).join() === '1,2,2,2,4' &&
+    clusterSeries[4].largestFraction === 0.8);
+runTest('Test 30 (Mean Of The Other Clusters)', clusterSeries[0].meanOtherClusterSize === 0 &&
+    clusterSeries[3].meanOtherClusterSize === 1 && clusterSeries[4].meanOtherClusterSize === 1);
+runTest('Test 30 (Series Can Stop Early)', metricsEngine.getClusterMetrics(2).length === 2);
+const randomMetricsEngine = runToBridge(new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 12 }));
+const finalMetrics = randomMetricsEngine.getClusterMetrics().pop();
+runTest('Test 30 (Matches A Full Regrouping)', finalMetrics.clusterCount === randomMetricsEngine.clusters.length &&
+    finalMetrics.largestCluster === Math.max(...randomMetricsEngine.clusters.map(cluster => cluster.length)));
+randomMetricsEngine.removeLine(0);
+runTest('Test 30 (Rebuilt After Removing A Line)', randomMetricsEngine.getClusterMetrics().pop().clusterCount === randomMetricsEngine.clusters.length);
+runTest('Test 30 (CLI Cluster Runs)', parseArguments(['10', '--cluster-runs', '0,9']).clusterRuns.join() === '0,9' &&
+    throwsCliError(['10', '--cluster-runs', '10']));
+
+console.log('\n--- Running Tests for Finite-Size Scaling ---');
+
+// Test Case 31: Threshold densities at several sizes give the exponent and the infinite-size threshold
+const lineFit = fitWeightedLine([{ x: 0, y: 1, error: 0.1 }, { x: 1, y: 3, error: 0.1 }, { x: 2, y: 5, error: 0.1 }]);
+runTest('Test 31 (Straight-Line Fit)', Math.abs(lineFit.slope - 2) < 1e-9 && Math.abs(lineFit.intercept - 1) < 1e-9 &&
+    lineFit.slopeError > 0 && lineFit.reducedChiSquared < 1e-9);
+runTest('Test 31 (Mean Squared Length)', meanSquaredLength({ minLength: 30, maxLength: 30 }) === 900 &&
+    Math.abs(meanSquaredLength({ minLength: 10, maxLength: 50 }) - (50 ** 3 - 10 ** 3) / 120) < 5);
+// Rows that follow density = 5.6 + 3·L^(-0.75) and spread = 2·L^(-0.75) exactly.
+const scalingRows = [5, 10, 20, 40].map(size => ({
+    size, completed: 100, density: 5.6 + 3 * size ** -0.75, densityError: 0.2 * size ** -0.75, densityStdDev: 2 * size ** -0.75,
+}));
+const scalingFit = fitFiniteSizeScaling(scalingRows);
+runTest('Test 31 (Recovers The Exponent)', Math.abs(scalingFit.inverseNu - 0.75) < 1e-9 && Math.abs(scalingFit.nu - 4 / 3) < 1e-9 &&
+    scalingFit.inverseNuError > 0 && scalingFit.nuError > 0);
+runTest('Test 31 (Recovers The Threshold)', Math.abs(scalingFit.threshold - 5.6) < 1e-9 && scalingFit.thresholdError > 0 &&
+    Math.abs(scalingFit.amplitude - 3) < 1e-9);
+runTest('Test 31 (Needs A Shrinking Spread)', (() => {
+    try {
+        fitFiniteSizeScaling(scalingRows.map(row => ({ ...row, densityStdDev: row.size })));
+        return false;
+    } catch (error) {
+        return true;
+    }
+})());
+runTest('Test 31 (CLI Scaling Command)', parseArguments(['scaling', '--sizes', '4,8,16']).sizes.join() === '4,8,16' &&
+    parseArguments(['scaling']).command === 'scaling' && throwsCliError(['scaling', '--sizes', '4,8']) &&
+    throwsCliError(['scaling', '--sizes', '0,4,8']) && throwsCliError(['scaling', '--periodic', '--sizes', '2,4,8']));
+
+async function testScalingStudy() {
+    const study = await runScalingStudy(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 3 }, [8, 4, 6], 4);
+    runTest('Test 31 (One Row Per Size, Smallest First)', study.rows.map(row => row.size).join() === '4,6,8' &&
+        study.rows.every(row => row.runs === 4 && Math.abs(row.width / row.height - 5 / 4) < 0.02));
+    const row = study.rows[0];
+    runTest('Test 31 (Density Is N l^2 / A)', Math.abs(row.density - row.meanLineCount * study.meanSquaredLength / (row.width * row.height)) < 1e-9 &&
+        Math.abs(study.rmsLength ** 2 - study.meanSquaredLength) < 1e-6);
+    runTest('Test 31 (Study Reports A Fit Or Why Not)', (study.fit !== null) !== (study.fitError !== null));
+}
+
+console.log('\n--- Running Tests for Terminals and Stop Rules ---');
+
+// Test Case 32: Bridges join terminal regions of any shape, as the stop rule asks
+const TERMINAL_A = { type: 'circle', cx: 60, cy: 200, radius: 20 };
+const TERMINAL_B = { type: 'segment', x1: 440, y1: 100, x2: 440, y2: 300 };
+const TERMINAL_C = { type: 'rectangle', x: 200, y: 20, width: 40, height: 40 };
+const terminalLines = [
+    { x1: 50, y1: 200, x2: 150, y2: 200 },  // 0: Inside A
+    { x1: 140, y1: 150, x2: 140, y2: 250 }, // 1: Crosses 0
+    { x1: 130, y1: 240, x2: 450, y2: 240 }, // 2: Crosses 1 and B
+    { x1: 220, y1: 30, x2: 220, y2: 250 },  // 3: Crosses 2 and overlaps C
+];
+const resolvedTerminals = resolveTerminals([TERMINAL_A, { ...TERMINAL_C, name: 'roof' },
+    { type: 'circle', units: 'fraction', cx: 0.5, cy: 0.5, radius: 0.1 }], CANVAS_DIMENSIONS);
+runTest('Test 32 (Terminals Are Named)', resolvedTerminals.map(terminal => terminal.name).join() === 'A,roof,C');
+runTest('Test 32 (Fraction Terminals Are Scaled)',
+    JSON.stringify(resolvedTerminals[2].regions[0]) === JSON.stringify({ type: 'circle', cx: 250, cy: 200, radius: 40 }));
+const segmentTerminal = resolveTerminals([TERMINAL_B], CANVAS_DIMENSIONS)[0];
+runTest('Test 32 (Lines Crossing A Segment Touch It)', touchesTerminal(segmentTerminal, terminalLines[2]));
+runTest('Test 32 (Lines Away From A Segment Miss It)', !touchesTerminal(segmentTerminal, terminalLines[0]));
+runTest('Test 32 (Lines Along A Rectangle Edge Touch It)', touchesTerminal(resolvedTerminals[1], { x1: 210, y1: 30, x2: 230, y2: 30 }));
+runTest('Test 32 (Lines Leaving A Rectangle Touch It)', touchesTerminal(resolvedTerminals[1], terminalLines[3]));
+runTest('Test 32 (Lines Away From A Rectangle Miss It)', !touchesTerminal(resolvedTerminals[1], terminalLines[2]));
+runTest('Test 32 (Lines Leaving A Circle Touch It)', touchesTerminal(resolvedTerminals[0], terminalLines[0]));
+runTest('Test 32 (Disks Touch A Circle With Their Outline)', touchesTerminal(resolvedTerminals[0], disk(100, 200, 25), SHAPES.disk));
+runTest('Test 32 (Lines Away From A Circle Miss It)', !touchesTerminal(resolvedTerminals[0], terminalLines[1]));
+const smallCircle = resolveTerminals([{ type: 'circle', cx: 100, cy: 100, radius: 20 }], CANVAS_DIMENSIONS)[0];
+runTest('Test 32 (Lines Crossing A Circle Touch It)', touchesTerminal(smallCircle, { x1: 50, y1: 100, x2: 150, y2: 100 }));
+runTest('Test 32 (Lines Passing A Circle Miss It)', !touchesTerminal(smallCircle, { x1: 50, y1: 121, x2: 150, y2: 121 }));
+const diagonalArea = resolveBridgeArea(undefined, CANVAS_DIMENSIONS, 'top-left-to-bottom-right');
+const cornerLine = { x1: diagonalArea.x + 30, y1: diagonalArea.y + 5, x2: 300, y2: 300 };
+runTest('Test 32 (Diagonal Corners Are Circle Terminals)',
+    getEdgeContacts(diagonalArea, { x1: diagonalArea.x - 30, y1: diagonalArea.y + 30, x2: diagonalArea.x + 30, y2: diagonalArea.y - 30 }, 'top-left-to-bottom-right').touchesStart);
+runTest('Test 32 (Lines Beside A Corner Miss It)', !getEdgeContacts(diagonalArea, cornerLine, 'top-left-to-bottom-right').touchesStart);
+const wideCorners = new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, boundaryCondition: 'top-left-to-bottom-right', cornerRadius: 40 });
+runTest('Test 32 (Corner Radius Can Be Set)', wideCorners.terminals.every(terminal => terminal.regions[0].radius === 40));
+runTest('Test 32 (Wider Corners Reach Lines Beside Them)', touchesTerminal(wideCorners.terminals[0], cornerLine));
+runTest('Test 32 (Corner Radius Is Validated)', fieldErrors({ ...SIMULATION_PARAMS, cornerRadius: 0 }) === 'cornerRadius');
+runTest('Test 32 (CLI Reads The Corner Radius)', parseArguments(['--corner-radius', '25']).simulationParameters.cornerRadius === 25);
+runTest('Test 32 (CLI Rejects Negative Corner Radii)', throwsCliError(['--corner-radius', '-1']));
+// Line 0 touches terminals 0 and 1, line 1 terminal 1 and line 2 terminal 2; lines 0 and 2 share a cluster.
+const clusterOf = line => (line === 1 ? 1 : 0);
+runTest('Test 32 (A-To-B Joins The First Two Terminals)',
+    JSON.stringify(findJoiningCluster('a-to-b', [new Set([0]), new Set([1, 0])], clusterOf)) === '{"root":0,"startLine":0,"joined":[0,1]}');
+runTest('Test 32 (All Needs Every Terminal)',
+    findJoiningCluster('all', [new Set([0]), new Set([1]), new Set([2])], clusterOf) === null);
+runTest('Test 32 (Any Two Joins Whichever Pair Connects)',
+    JSON.stringify(findJoiningCluster('any-two', [new Set([0]), new Set([1]), new Set([2])], clusterOf)) === '{"root":0,"startLine":0,"joined":[0,2]}');
+const abEngine = runScriptedLines({ ...SIMULATION_PARAMS, terminals: [TERMINAL_A, TERMINAL_B] }, terminalLines);
+runTest('Test 32 (A Connects To B)', !abEngine.isRunning && abEngine.lineCount === 3 && abEngine.connectingPath.length === 3);
+runTest('Test 32 (Terminals Replace The Bridge Area)', abEngine.bridgeArea === null);
+runTest('Test 32 (Stop Rule Defaults To A-To-B)', abEngine.stopRule === 'a-to-b');
+const allEngine = runScriptedLines({ ...SIMULATION_PARAMS, stopRule: 'all', terminals: [TERMINAL_A, TERMINAL_B, TERMINAL_C] }, terminalLines);
+runTest('Test 32 (All Terminals Joined)', !allEngine.isRunning && allEngine.lineCount === 4 && allEngine.connectingPath.length === 4);
+runTest('Test 32 (The Path Touches Every Terminal)',
+    allEngine.terminals.every(terminal => allEngine.connectingPath.some(line => touchesTerminal(terminal, line))));
+const anyTwoEngine = runScriptedLines({ ...SIMULATION_PARAMS, stopRule: 'any-two', terminals: [TERMINAL_A, TERMINAL_B, TERMINAL_C] },
+    [terminalLines[0], terminalLines[1], { x1: 130, y1: 160, x2: 230, y2: 160 }, terminalLines[3]]);
+runTest('Test 32 (Any Two Terminals Joined)', !anyTwoEngine.isRunning && anyTwoEngine.lineCount === 4 &&
+    anyTwoEngine.connectingPath.length === 4);
+const sidesLines = [{ x1: 40, y1: 200, x2: 460, y2: 200 }, { x1: 250, y1: 30, x2: 250, y2: 370 }];
+const sidesEngine = runScriptedLines({ ...SIMULATION_PARAMS, stopRule: 'four-sides' }, sidesLines.slice(0, 1));
+runTest('Test 32 (Four Sides Make Four Terminals)', sidesEngine.terminals.length === 4);
+runTest('Test 32 (Four Sides Need Both Directions)', sidesEngine.isRunning);
+sidesEngine.addLine(sidesLines[1]);
+runTest('Test 32 (Four Sides Joined)', !sidesEngine.isRunning && sidesEngine.connectingPath.length === 2);
+const touchingEngine = new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, terminals: [TERMINAL_A, TERMINAL_B] });
+const terminalEvents = recordEvents(touchingEngine);
+touchingEngine.addLine(terminalLines[0]);
+runTest('Test 32 (Events Name The Terminals Touched)', terminalEvents[1].name === 'boundary-touched' &&
+    terminalEvents[1].terminals.join() === 'A');
+runTest('Test 32 (Events Say Which End Was Touched)', terminalEvents[1].start && !terminalEvents[1].finish);
+runTest('Test 32 (Rejects A Single Terminal)',
+    throwsFor(() => new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, terminals: [TERMINAL_A] })));
+runTest('Test 32 (Rejects Terminals Off The Canvas)',
+    throwsFor(() => new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, terminals: [TERMINAL_A, { ...TERMINAL_B, x1: 500, x2: 500 }] })));
+runTest('Test 32 (Rejects Terminals With A Bridge Area)',
+    throwsFor(() => new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, terminals: [TERMINAL_A, TERMINAL_B], bridgeArea: SQUARE_AREA })));
+runTest('Test 32 (Rejects Four Sides Of A Polygon)',
+    throwsFor(() => new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, stopRule: 'four-sides', bridgeArea: SQUARE_AREA })));
+runTest('Test 32 (Rejects Terminal Stop Rules With Periodic Edges)',
+    throwsFor(() => new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, periodic: true, stopRule: 'all' })));
+runTest('Test 32 (Rejects Duplicate Terminal Names)',
+    throwsFor(() => new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, terminals: [{ ...TERMINAL_A, name: 'X' }, { ...TERMINAL_B, name: 'X' }] })));
+const terminalSvg = renderToSVG(abEngine, CANVAS_DIMENSIONS, abEngine.bridgeArea);
+runTest('Test 32 (Renderer Draws The Terminals)', terminalSvg.includes('M440 100 L440 300'));
+runTest('Test 32 (Renderer Leaves Out The Bridge Area)', !terminalSvg.includes('<rect x="50"'));
+const cliTerminals = parseArguments(['--terminal', 'A=circle:100,300,40', '--terminal', 'rect:380,0,40,40', '--stop-rule', 'any-two']).simulationParameters;
+runTest('Test 32 (CLI Reads Terminals)', JSON.stringify(cliTerminals.terminals) === JSON.stringify([
+    { type: 'circle', cx: 100, cy: 300, radius: 40, name: 'A' }, { type: 'rectangle', x: 380, y: 0, width: 40, height: 40 }]));
+runTest('Test 32 (CLI Reads The Stop Rule)', cliTerminals.stopRule === 'any-two');
+runTest('Test 32 (CLI Rejects Incomplete Terminals)', throwsCliError(['--terminal', 'circle:1,2']));
+runTest('Test 32 (CLI Rejects A Single Terminal)', throwsCliError(['--terminal', 'circle:100,300,40']));
+runTest('Test 32 (CLI Rejects Unknown Stop Rules)', throwsCliError(['--stop-rule', 'most']));
+runTest('Test 32 (CLI Rejects Four Sides Of A Circle)', throwsCliError(['--stop-rule', 'four-sides', '--bridge-area', 'circle:400,300,100']));
+
+console.log('\n--- Running Tests for Edge Policies ---');
+
+// Test Case 33: Lines are placed without being drawn again, keeping their length and angle distributions
+function placedLines(simulationParameters, count) {
+    const placingEngine = new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 33, ...simulationParameters });
+    return Array.from({ length: count }, () => placingEngine._generateRandomLine());
+}
+const lineLength = line => Math.hypot(line.x2 - line.x1, line.y2 - line.y1);
+const onCanvas = line => [line.x1, line.x2].every(x => x >= -1e-9 && x <= CANVAS_DIMENSIONS.width + 1e-9) &&
+    [line.y1, line.y2].every(y => y >= -1e-9 && y <= CANVAS_DIMENSIONS.height + 1e-9);
+const longLines = placedLines({ maxLength: 450, minAngle: 0, maxAngle: 20 }, 4000);
+const meanLongLength = longLines.reduce((sum, line) => sum + lineLength(line), 0) / longLines.length;
+runTest('Test 33 (Long Lines Stay On The Canvas)', longLines.every(onCanvas));
+runTest('Test 33 (Long Lines Keep Their Length Distribution)', Math.abs(meanLongLength - 230) < 8);
+runTest('Test 33 (Rejects Lines Longer Than The Canvas)',
+    throwsFor(() => new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, maxLength: 700 })));
+runTest('Test 33 (Rejects Lines Too Long For Some Angles)',
+    throwsFor(() => new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, maxLength: 450 })));
+runTest('Test 33 (Rejects Angle Distributions That Cannot Fit)',
+    throwsFor(() => new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, maxLength: 450, minAngle: 0, maxAngle: 20,
+        angleDistribution: { type: 'von-mises', mean: 0, kappa: 50 } })));
+runTest('Test 33 (Rejects Sticks Too Wide To Fit)',
+    throwsFor(() => new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, maxLength: 390, shape: { type: 'stick', width: 100 } })));
+const clippedLines = placedLines({ maxLength: 450, edgePolicy: 'clip' }, 500);
+runTest('Test 33 (Clipped Lines Stay On The Canvas)', clippedLines.every(onCanvas));
+runTest('Test 33 (Clipped Lines End At The Edge)',
+    clippedLines.some(line => line.x2 === 0 || line.y2 === 0 || Math.abs(line.x2 - 500) < 1e-9 || Math.abs(line.y2 - 400) < 1e-9));
+runTest('Test 33 (Clipping Cuts A Line At The Edge)',
+    JSON.stringify(clipToCanvas({ x1: 400, y1: 100, x2: 600, y2: 300 }, CANVAS_DIMENSIONS)) === '{"x1":400,"y1":100,"x2":500,"y2":200}');
+const extendedLines = placedLines({ maxLength: 450, edgePolicy: 'extend' }, 500);
+runTest('Test 33 (Extended Lines Run Past The Edge)', !extendedLines.every(onCanvas));
+runTest('Test 33 (Extended Lines Keep Their Length)', extendedLines.every(line => lineLength(line) >= 10 - 1e-9 && lineLength(line) <= 450 + 1e-9));
+runTest('Test 33 (Rejects Unknown Edge Policies)',
+    throwsFor(() => new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, edgePolicy: 'wrap' })));
+runTest('Test 33 (Rejects Clipped Disks)',
+    throwsFor(() => new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, edgePolicy: 'clip', shape: { type: 'disk' } })));
+runTest('Test 33 (Rejects Added Lines Inside Obstacles)',
+    throwsFor(() => new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS,
+        obstacles: [[[0, 0], [500, 0], [500, 400], [0, 400]]] }).addLine({ x1: 1, y1: 1, x2: 2, y2: 2 })));
+runTest('Test 33 (Periodic Edges Accept Lines That Fit)',
+    !throwsFor(() => new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, maxLength: 100, periodic: true })));
+const coveredEngine = new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, obstacles: [[[0, 0], [500, 0], [500, 400], [0, 400]]] });
+runTest('Test 33 (Obstacles That Leave No Room Stop The Run)', throwsFor(() => coveredEngine._generateRandomLine()));
+const updatedEngine = new SimulationEngine(CANVAS_DIMENSIONS, SIMULATION_PARAMS);
+runTest('Test 33 (Updates Reject Lines That Cannot Fit)', throwsFor(() => updatedEngine.updateSimulationParameters({ ...SIMULATION_PARAMS, maxLength: 700 })));
+runTest('Test 33 (A Rejected Update Keeps The Old Lengths)', updatedEngine.simulationParameters.maxLength === 50);
+runTest('Test 33 (CLI Reads The Edge Policy)', parseArguments(['--edge-policy', 'clip', '--max-length', '700']).simulationParameters.edgePolicy === 'clip');
+runTest('Test 33 (CLI Rejects Lines That Cannot Fit)', throwsCliError(['--max-length', '700']));
+runTest('Test 33 (CLI Rejects Unknown Edge Policies)', throwsCliError(['--edge-policy', 'wrap']));
+runTest('Test 33 (CLI Rejects Clipped Disks)', throwsCliError(['--edge-policy', 'clip', '--shape', 'disk']));
+
+// Test Case 34: Parameters are validated in one place, with every problem filed under its field
+function fieldErrors(simulationParameters, canvasDimensions = CANVAS_DIMENSIONS) {
+    return validateParameters(simulationParameters, canvasDimensions).errors.map(error => error.field).join();
+}
+function parameterErrorFor(action) {
+    try {
+        action();
+        return null;
+    } catch (error) {
+        return error instanceof ParameterError ? error : null;
+    }
+}
+const typedValues = checkParameters({ ...SIMULATION_PARAMS, minLength: '10', maxLength: ' 50 ', minAngle: '0', maxAngle: '360', seed: '7' }, CANVAS_DIMENSIONS);
+runTest('Test 34 (Numbers Typed As Text Are Parsed)', typedValues.minLength === 10 && typedValues.maxLength === 50 &&
+    typedValues.maxAngle === 360 && typedValues.seed === 7);
+runTest('Test 34 (Valid Parameters Pass)', validateParameters(SIMULATION_PARAMS, CANVAS_DIMENSIONS).valid);
+runTest('Test 34 (Min Length Above Max Is Filed Under The Minimum)', fieldErrors({ ...SIMULATION_PARAMS, minLength: 60 }) === 'minLength');
+runTest('Test 34 (Min Angle Above Max Is Filed Under The Minimum)', fieldErrors({ ...SIMULATION_PARAMS, minAngle: 90, maxAngle: 45 }) === 'minAngle');
+runTest('Test 34 (Zero Lengths Are Rejected)', fieldErrors({ ...SIMULATION_PARAMS, minLength: 0 }) === 'minLength');
+runTest('Test 34 (Negative Lengths Are Rejected)', fieldErrors({ ...SIMULATION_PARAMS, minLength: -20, maxLength: -5 }) === 'minLength,maxLength');
+runTest('Test 34 (Missing Values Are Rejected)', fieldErrors({ ...SIMULATION_PARAMS, maxLength: '' }) === 'maxLength');
+runTest('Test 34 (Non-Numeric Values Are Rejected)', fieldErrors({ ...SIMULATION_PARAMS, minAngle: 'abc' }) === 'minAngle');
+runTest('Test 34 (NaN Is Rejected)', fieldErrors({ ...SIMULATION_PARAMS, maxAngle: NaN }) === 'maxAngle');
+runTest('Test 34 (Rejects Fractional Seeds)', fieldErrors({ ...SIMULATION_PARAMS, seed: 1.5 }) === 'seed');
+runTest('Test 34 (Rejects Negative Seeds)', fieldErrors({ ...SIMULATION_PARAMS, seed: -1 }) === 'seed');
+runTest('Test 34 (Rejects Unknown Bridge Types)', fieldErrors({ ...SIMULATION_PARAMS, boundaryCondition: 'diagonal' }) === 'boundaryCondition');
+runTest('Test 34 (Rejects Non-Boolean Periodic Edges)', fieldErrors({ ...SIMULATION_PARAMS, periodic: 'yes' }) === 'periodic');
+runTest('Test 34 (Rejects Empty Canvases)', fieldErrors(SIMULATION_PARAMS, { width: 0, height: 400 }) === 'width');
+runTest('Test 34 (Reports Every Problem At Once)',
+    fieldErrors({ ...SIMULATION_PARAMS, minLength: 'abc', minAngle: 90, maxAngle: 45, seed: 'x', stopRule: 'never' }) ===
+    'minLength,minAngle,seed,stopRule');
+const invalidEngineError = parameterErrorFor(() => new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, minLength: 60, maxLength: 0 }));
+runTest('Test 34 (Engine Throws A ParameterError)', invalidEngineError !== null);
+runTest('Test 34 (The Error Lists Each Field)', invalidEngineError !== null && invalidEngineError.errors.map(error => error.field).join() === 'maxLength');
+const keptEngine = new SimulationEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 3 });
+keptEngine.addLine({ x1: 100, y1: 100, x2: 150, y2: 100 });
+keptEngine.simulationParameters = { ...SIMULATION_PARAMS, minLength: 60 };
+runTest('Test 34 (A Reset With Bad Parameters Is Rejected)', parameterErrorFor(() => keptEngine.reset()) !== null);
+runTest('Test 34 (A Rejected Reset Leaves The Engine As It Was)', keptEngine.lineCount === 1 && keptEngine.seed === 3);
+runTest('Test 34 (Engines Accept Numbers Typed As Text)',
+    new SimulationEngine(CANVAS_DIMENSIONS, { minLength: '10', maxLength: '50', minAngle: '0', maxAngle: '360' }).simulationParameters.maxLength === 50);
+runTest('Test 34 (StatisticsEngine Rejects Bad Lengths)',
+    parameterErrorFor(() => new StatisticsEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, maxLength: -1 })) !== null);
+runTest('Test 34 (StatisticsEngine Rejects Bad Seeds)',
+    parameterErrorFor(() => new StatisticsEngine(CANVAS_DIMENSIONS, { ...SIMULATION_PARAMS, seed: 'abc' })) !== null);
+let cliErrorLines = [];
+try {
+    parseArguments(['--min-length', '60', '--max-length', '50', '--min-angle', '90', '--max-angle', '45']);
+} catch (error) {
+    cliErrorLines = error instanceof CliError ? error.message.split('\n') : [];
+}
+runTest('Test 34 (CLI Reports Every Problem)', cliErrorLines.length === 2);
+
+// Test Case 35: Fixed-density mode places exactly N lines; trials give the spanning probability P(N)
+const SMALL_CANVAS = { width: 200, height: 160 };
+function runFixedDensity(seed, fixedLineCount) {
+    const engine = new SimulationEngine(SMALL_CANVAS, { ...SIMULATION_PARAMS, seed, fixedLineCount });
+    engine.isRunning = true;
+    while (engine.isRunning) engine.runStep();
+    return engine;
+}
+const pastBridge = runFixedDensity(11, 400);
+const fewLines = runFixedDensity(11, 5);
+runTest('Test 35 (Places Exactly N Lines)', pastBridge.lineCount === 400);
+runTest('Test 35 (Keeps Placing Past The Bridge)', pastBridge.bridgeFormedAt !== null && pastBridge.bridgeFormedAt < 400 &&
+    pastBridge.connectingPath.length > 0);
+const completedRun = new SimulationEngine(SMALL_CANVAS, { ...SIMULATION_PARAMS, seed: 11, fixedLineCount: 400 });
+const completions = [];
+completedRun.on('run-complete', details => completions.push(details));
+completedRun.isRunning = true;
+while (completedRun.isRunning) completedRun.runStep();
+runTest('Test 35 (The Last Line Completes The Run)', completions.length === 1 && completions[0].lineCount === 400);
+runTest('Test 35 (Completion Says When The Bridge Formed)', completions[0].bridgeFormedAt === pastBridge.bridgeFormedAt);
+const restoredPastBridge = SimulationEngine.fromSnapshot(JSON.parse(JSON.stringify(pastBridge.serialize())));
+runTest('Test 35 (Snapshots Keep Every Line)', restoredPastBridge.lineCount === 400);
+runTest('Test 35 (Snapshots Keep When The Bridge Formed)', restoredPastBridge.bridgeFormedAt === pastBridge.bridgeFormedAt);
+runTest('Test 35 (Snapshots Show The Bridge At That Line)', restoredPastBridge.getStateAt(pastBridge.bridgeFormedAt).connectingPath.length > 0);
+const periodicFixed = new SimulationEngine(CANVAS_DIMENSIONS, { ...PERIODIC_PARAMS, fixedLineCount: 6 });
+periodicFixed.isRunning = true;
+[...wrappingLines, { x1: 100, y1: 300, x2: 200, y2: 300 }].forEach(line => periodicFixed.addLine(line));
+const restoredPeriodicFixed = SimulationEngine.fromSnapshot(JSON.parse(JSON.stringify(periodicFixed.serialize())));
+runTest('Test 35 (Wrapping Lines Form A Bridge)', periodicFixed.connectingPath.length === 4);
+runTest('Test 35 (Snapshots Keep When A Wrapping Bridge Formed)', restoredPeriodicFixed.bridgeFormedAt === 4);
+runTest('Test 35 (Snapshots Keep A Wrapping Bridge)',
+    JSON.stringify(restoredPeriodicFixed.connectingPath) === JSON.stringify(periodicFixed.connectingPath));
+runTest('Test 35 (Too Few Lines Do Not Span)', fewLines.bridgeFormedAt === null);
+runTest('Test 35 (Too Few Lines Still Finish The Run)', fewLines.lineCount === 5 && !fewLines.isRunning);
+fewLines.isRunning = true;
+fewLines.runStep();
+runTest('Test 35 (A Finished Run Places No More Lines)', fewLines.lineCount === 5 && !fewLines.isRunning);
+runTest('Test 35 (Rejects A Line Count Of Zero)', fieldErrors({ ...SIMULATION_PARAMS, fixedLineCount: 0 }) === 'fixedLineCount');
+runTest('Test 35 (Rejects Fractional Line Counts)', fieldErrors({ ...SIMULATION_PARAMS, fixedLineCount: 2.5 }) === 'fixedLineCount');
+runTest('Test 35 (Line Counts Typed As Text Are Parsed)',
+    checkParameters({ ...SIMULATION_PARAMS, fixedLineCount: '30' }, CANVAS_DIMENSIONS).fixedLineCount === 30);
+const spanningEngine = new StatisticsEngine(SMALL_CANVAS, { ...SIMULATION_PARAMS, seed: 11 });
+const trial = spanningEngine.runSpanningTrial(0, 400);
+const trialSeed = spanningEngine.getRunSeed(0);
+runTest('Test 35 (A Trial Finds Where The Lines Span)', trial.spanningAt !== null);
+runTest('Test 35 (One Line Fewer Does Not Span)', trial.spanningAt !== null && runFixedDensity(trialSeed, trial.spanningAt - 1).bridgeFormedAt === null);
+runTest('Test 35 (As Many Lines Span At The Last One)', runFixedDensity(trialSeed, trial.spanningAt).bridgeFormedAt === trial.spanningAt);
+runTest('Test 35 (More Lines Span At The Same Line)', runFixedDensity(trialSeed, trial.spanningAt + 50).bridgeFormedAt === trial.spanningAt);
+runTest('Test 35 (First-Passage Runs Ignore The Line Count)',
+    new StatisticsEngine(SMALL_CANVAS, { ...SIMULATION_PARAMS, seed: 11, fixedLineCount: 5 }).runSingleSimulation(0).lineCount === trial.spanningAt);
+const cappedEngine = new StatisticsEngine(SMALL_CANVAS, { ...SIMULATION_PARAMS, seed: 11 });
+cappedEngine.maxSteps = 399;
+runTest('Test 35 (Trials Reject Line Counts Above maxSteps)', throwsFor(() => cappedEngine.runSpanningTrial(0, 400)));
+runTest('Test 35 (Trials Place Up To maxSteps Lines)', cappedEngine.runSpanningTrial(0, 399).spanningAt === trial.spanningAt);
+const syntheticCurve = spanningProbabilityCurve([150, 150, 150, 250, null], [100, 200, 300]);
+runTest('Test 35 (Spanning Probability Curve)', syntheticCurve.map(row => row.probability).join() === '0,0.6,0.8');
+runTest('Test 35 (Every Point Counts Every Trial)', syntheticCurve.every(row => row.trials === 5));
+runTest('Test 35 (Intervals Bracket Each Probability)', syntheticCurve.every(row => row.ciLower <= row.probability &&
+    row.probability <= row.ciUpper && row.ciLower >= 0 && row.ciUpper <= 1));
+runTest('Test 35 (No Spans Still Leave An Upper Bound)', syntheticCurve[0].ciUpper > 0);
+const syntheticCrossing = findSpanningCrossing(syntheticCurve);
+runTest('Test 35 (50% Crossing Is Interpolated)', Math.abs(syntheticCrossing.lineCount - (100 + 100 * 0.5 / 0.6)) < 1e-9);
+runTest('Test 35 (Crossing Has A Lower Bound)', syntheticCrossing.lower !== null && syntheticCrossing.lower <= syntheticCrossing.lineCount);
+runTest('Test 35 (No Crossing Below 50%)', findSpanningCrossing(spanningProbabilityCurve([50, 50], [100, 200])) === null);
+runTest('Test 35 (CLI Reads A Line Count Range)', parseArguments(['spanning', '--line-counts', '100:300:100']).lineCounts.join() === '100,200,300');
+runTest('Test 35 (CLI Sorts Line Counts And Drops Repeats)', parseArguments(['spanning', '--line-counts', '300,100,300']).lineCounts.join() === '100,300');
+runTest('Test 35 (CLI Needs Line Counts)', throwsCliError(['spanning']));
+runTest('Test 35 (CLI Rejects A Line Count Of Zero)', throwsCliError(['spanning', '--line-counts', '0,10']));
+runTest('Test 35 (CLI Rejects Fractional Line Counts)', throwsCliError(['spanning', '--line-counts', '10.5']));
+runTest('Test 35 (CLI Rejects Line Counts Above The Limit)', throwsCliError(['spanning', '--line-counts', '100000:100100:100']));
+
+// Test Case 35 (continued): Trials build the curve, in one thread or several
+async function testSpanningProbability() {
+    console.log('\n--- Running Tests for Spanning Probability ---');
+    const spanningParams = { ...SIMULATION_PARAMS, seed: 21 };
+    const lineCounts = [50, 100, 150, 200, 250, 300, 400];
+    const sequential = new StatisticsEngine(SMALL_CANVAS, spanningParams);
+    const result = await sequential.runSpanningProbabilityAsync(lineCounts, 12);
+    const probabilities = result.curve.map(row => row.probability);
+    runTest('Test 35 (Results Carry The Trials And Seed)', result.trials === 12 && result.seed === 21);
+    runTest('Test 35 (Curve Rises From 0 To 1)', probabilities[0] === 0 && probabilities[probabilities.length - 1] === 1 &&
+        probabilities.every((p, i) => i === 0 || p >= probabilities[i - 1]));
+    runTest('Test 35 (Crossing Lies Within The Curve)', result.crossing !== null &&
+        result.crossing.lineCount > lineCounts[0] && result.crossing.lineCount < lineCounts[lineCounts.length - 1]);
+    const parallel = await runSpanningProbabilityParallel(SMALL_CANVAS, spanningParams, lineCounts, 12, 2);
+    runTest('Test 35 (Parallel Trials Match Sequential)', JSON.stringify(parallel.spanningRecords) === JSON.stringify(sequential.spanningRecords));
+    runTest('Test 35 (Parallel Curve Matches Sequential)', JSON.stringify(parallel.calculateSpanningProbability(lineCounts)) === JSON.stringify(result));
+}
+
+// Asynchronous tests run last; report once they have all finished.
+testParallelBatch().then(testSweep).then(testProgressRecords).then(testScalingStudy).then(testSpanningProbability).catch(error => {
+    console.error(`FAIL: Asynchronous tests stopped with ${error.stack || error}`);
+    failures++;
+}).then(() => {
+    if (failures > 0) {
+        console.error(`\n${failures} test(s) failed.`);
+        process.exit(1); // Exit with a failure code
+    } else {
+        console.log('\nAll tests passed!');
+        process.exit(0); // Exit with a success code
+    }
+});
@@ -3,12 +3,30 @@
 document.addEventListener('DOMContentLoaded', () => {
     // --- DOM Element References ---
     const canvasEl = document.getElementById('simulation-canvas');
+    const controlsContainer = document.getElementById('controls-container');
     const startButton = document.getElementById('start-button');
     const pauseButton = document.getElementById('pause-button');
     const resetButton = document.getElementById('reset-button');
     const lineCountDisplay = document.getElementById('line-count');
     const resultMessageDisplay = document.getElementById('result-message');
     const bridgeAreaSizeDisplay = document.getElementById('bridge-area-size');
+    const currentSeedDisplay = document.getElementById('current-seed');
+    const saveSnapshotButton = document.getElementById('save-snapshot-button');
+    const loadSnapshotButton = document.getElementById('load-snapshot-button');
+    const snapshotFileInput = document.getElementById('snapshot-file-input');
+
+    // Replay Controls
+    const timelineSlider = document.getElementById('timeline-slider');
+    const timelinePositionDisplay = document.getElementById('timeline-position');
+    const stepBackButton = document.getElementById('step-back-button');
+    const playReplayButton = document.getElementById('play-replay-button');
+    const stepForwardButton = document.getElementById('step-forward-button');
+    const replaySpeedInput = document.getElementById('replay-speed');
+
+    // Figure Export Controls
+    const exportSvgButton = document.getElementById('export-svg-button');
+    const exportPngButton = document.getElementById('export-png-button');
+    const pngScaleInput = document.getElementById('png-scale');
 
     // Parameter Controls
     const minLengthInput = document.getElementById('min-length');
@@ -16,6 +34,34 @@ document.addEventListener('DOMContentLoaded', () => {
     const minAngleInput = document.getElementById('min-angle');
     const maxAngleInput = document.getElementById('max-angle');
     const boundaryConditionInput = document.getElementById('boundary-condition');
+    const cornerRadiusInput = document.getElementById('corner-radius');
+    const lengthDistributionInput = document.getElementById('length-distribution');
+    const lengthDistributionParameters = document.getElementById('length-distribution-parameters');
+    const angleDistributionInput = document.getElementById('angle-distribution');
+    const angleDistributionParameters = document.getElementById('angle-distribution-parameters');
+    const shapeInput = document.getElementById('shape');
+    const shapeParameters = document.getElementById('shape-parameters');
+    const periodicInput = document.getElementById('periodic');
+    const edgePolicyInput = document.getElementById('edge-policy');
+    const bridgeAreaShapeInput = document.getElementById('bridge-area-shape');
+    const bridgeAreaUnitsInput = document.getElementById('bridge-area-units');
+    const bridgeAreaGeometryGroup = document.getElementById('bridge-area-geometry-group');
+    const bridgeAreaGeometryInput = document.getElementById('bridge-area-geometry');
+    const bridgeAreaGeometryHint = document.getElementById('bridge-area-geometry-hint');
+    const bridgeAreaEdgesGroup = document.getElementById('bridge-area-edges-group');
+    const bridgeAreaEdgesHint = document.getElementById('bridge-area-edges-hint');
+    const bridgeAreaStartInput = document.getElementById('bridge-area-start');
+    const bridgeAreaFinishInput = document.getElementById('bridge-area-finish');
+    const stopRuleInput = document.getElementById('stop-rule');
+    const terminalsInput = document.getElementById('terminals');
+    const obstaclesInput = document.getElementById('obstacles');
+    const obstaclePolicyInput = document.getElementById('obstacle-policy');
+    const drawObstacleButton = document.getElementById('draw-obstacle-button');
+    const clearObstaclesButton = document.getElementById('clear-obstacles-button');
+    const editLinesButton = document.getElementById('edit-lines-button');
+    const seedInput = document.getElementById('seed');
+    const fixedLineCountInput = document.getElementById('fixed-line-count');
+    const parameterErrorsList = document.getElementById('parameter-errors');
 
     const minLengthSlider = document.getElementById('min-length-slider');
     const maxLengthSlider = document.getElementById('max-length-slider');
@@ -24,16 +70,58 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Statistical Analysis UI Elements
     const runAnalysisButton = document.getElementById('run-analysis-button');
+    const cancelAnalysisButton = document.getElementById('cancel-analysis-button');
     const numSimulationsInput = document.getElementById('num-simulations');
+    const binWidthInput = document.getElementById('bin-width');
+    const bootstrapInput = document.getElementById('bootstrap-ci');
     const analysisProgressContainer = document.getElementById('analysis-progress-container');
     const analysisProgressText = document.getElementById('analysis-progress-text');
     const analysisProgressBar = document.getElementById('analysis-progress-bar');
     const analysisResultsContainer = document.getElementById('analysis-results-container');
+    const analysisChartContainer = document.getElementById('analysis-chart-container');
+    const analysisChartCanvas = document.getElementById('analysis-chart');
+    const analysisChartViewInputs = document.querySelectorAll('input[name="analysis-chart-view"]');
     const analysisRunsDisplay = document.getElementById('analysis-runs');
+    const analysisSeedDisplay = document.getElementById('analysis-seed');
+    const analysisCensoredDisplay = document.getElementById('analysis-censored');
     const analysisMeanDisplay = document.getElementById('analysis-mean');
+    const analysisStdDevDisplay = document.getElementById('analysis-std-dev');
+    const analysisStdErrorDisplay = document.getElementById('analysis-std-error');
+    const analysisCiDisplay = document.getElementById('analysis-ci');
+    const analysisPercentilesDisplay = document.getElementById('analysis-percentiles');
     const analysisMedianDisplay = document.getElementById('analysis-median');
     const analysisMinDisplay = document.getElementById('analysis-min');
     const analysisMaxDisplay = document.getElementById('analysis-max');
+    const downloadCsvButton = document.getElementById('download-csv-button');
+    const downloadJsonButton = document.getElementById('download-json-button');
+
+    // Parameter Sweep UI Elements
+    const sweepParameterInput = document.getElementById('sweep-parameter');
+    const sweepFromInput = document.getElementById('sweep-from');
+    const sweepToInput = document.getElementById('sweep-to');
+    const sweepStepInput = document.getElementById('sweep-step');
+    const sweepRunsInput = document.getElementById('sweep-runs');
+    const runSweepButton = document.getElementById('run-sweep-button');
+    const sweepResultsContainer = document.getElementById('sweep-results-container');
+    const sweepSeedDisplay = document.getElementById('sweep-seed');
+    const sweepChartCanvas = document.getElementById('sweep-chart');
+    const downloadSweepCsvButton = document.getElementById('download-sweep-csv-button');
+
+    // Spanning Probability UI Elements
+    const spanningFromInput = document.getElementById('spanning-from');
+    const spanningToInput = document.getElementById('spanning-to');
+    const spanningStepInput = document.getElementById('spanning-step');
+    const spanningTrialsInput = document.getElementById('spanning-trials');
+    const runSpanningButton = document.getElementById('run-spanning-button');
+    const spanningResultsContainer = document.getElementById('spanning-results-container');
+    const spanningSeedDisplay = document.getElementById('spanning-seed');
+    const spanningCrossingDisplay = document.getElementById('spanning-crossing');
+    const spanningChartCanvas = document.getElementById('spanning-chart');
+    const downloadSpanningCsvButton = document.getElementById('download-spanning-csv-button');
+
+    // Cluster Growth UI Elements
+    const clusterMetricInput = document.getElementById('cluster-metric');
+    const clusterChartCanvas = document.getElementById('cluster-chart');
 
 
     // --- Canvas & Renderer Setup ---
@@ -44,45 +132,118 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // --- Simulation Engine Initialization ---
+    // The engine reads the numbers from the inputs' text itself.
     const initialParams = {
-        minLength: parseInt(minLengthInput.value),
-        maxLength: parseInt(maxLengthInput.value),
-        minAngle: parseInt(minAngleInput.value),
-        maxAngle: parseInt(maxAngleInput.value),
+        minLength: minLengthInput.value,
+        maxLength: maxLengthInput.value,
+        minAngle: minAngleInput.value,
+        maxAngle: maxAngleInput.value,
     };
-    const engine = new SimulationEngine({ width: canvas.width, height: canvas.height }, initialParams);
+    // Replaced when a snapshot is loaded.
+    let engine = new SimulationEngine({ width: canvas.width, height: canvas.height }, initialParams);
+
+    /**
+     * Shows the shape and size of the engine's red bridge area.
+     */
+    function updateBridgeAreaDisplay() {
+        if (engine.periodic) {
+            bridgeAreaSizeDisplay.textContent = 'none (periodic edges)';
+        } else if (engine.bridgeArea) {
+            bridgeAreaSizeDisplay.textContent = describeBridgeArea(engine.bridgeArea);
+        } else {
+            bridgeAreaSizeDisplay.textContent = `none (terminals ${engine.terminals.map(terminal => terminal.name).join(', ')}; stop rule ${engine.stopRule})`;
+        }
+    }
+    updateBridgeAreaDisplay();
 
-    // Update the newly added display for the red area size on initial load
-    if (engine.bridgeArea) {
-        bridgeAreaSizeDisplay.textContent = `${engine.bridgeArea.width} x ${engine.bridgeArea.height}`;
+    /**
+     * Keeps the status displays in step with an engine through its events.
+     * @param {SimulationEngine} observed - The engine, when it is created or loaded.
+     */
+    function observeEngine(observed) {
+        observed.on('line-added', updateDisplays);
+        observed.on('line-removed', ({ lineCount, bridged }) => {
+            plottedLineCount = null; // The same count may now describe different lines
+            isBridged = bridged;
+            updateDisplays();
+            showEditResult(lineCount);
+        });
+        observed.on('bridge-formed', ({ lineCount }) => {
+            isBridged = true;
+            updateTimelineDisplay(); // The run has stopped, so it can be replayed
+            resultMessageDisplay.textContent = `Bridge formed with ${lineCount} lines!`;
+        });
+        observed.on('run-complete', showFixedDensityResult);
+        observed.on('reset', () => {
+            isBridged = false;
+            plottedLineCount = null;
+            updateBridgeAreaDisplay();
+            updateDisplays();
+            resultMessageDisplay.textContent = 'Not started';
+        });
     }
+    // Whether the engine's lines form a bridge, as its events last reported.
+    let isBridged = false;
+    observeEngine(engine);
 
     // --- Main Application State & Logic ---
     let animationFrameId = null;
 
+    // The line count shown by the replay timeline, or null while showing the live simulation.
+    let replayPosition = null;
+    let isReplayPlaying = false;
+    let replayFrame = null; // The cached state at Math.floor(replayPosition)
+    let lastFrameTime = null;
+
     /**
      * The main loop for the simulation, run on every animation frame.
+     * @param {DOMHighResTimeStamp} [timestamp] The frame time passed by `requestAnimationFrame`.
      */
-    function mainLoop() {
-        if (engine.isRunning) {
-            engine.runStep();
-            updateDisplays();
+    function mainLoop(timestamp) {
+        advanceReplay(timestamp);
+
+        // The engine stops itself, and reports the bridge (or the end of a fixed-density run).
+        if (engine.isRunning) engine.runStep();
 
-            // If a bridge was found in the last step, stop the simulation
-            if (!engine.isRunning) {
-                resultMessageDisplay.textContent = `Bridge formed with ${engine.lineCount} lines!`;
+        if (replayPosition !== null) {
+            const position = Math.floor(replayPosition);
+            if (!replayFrame || replayFrame.lineCount !== position) {
+                replayFrame = engine.getStateAt(position);
             }
+            renderTimelineFrame(ctx, canvas, replayFrame, engine.bridgeArea);
+        } else {
+            // Render the current state, highlighting the final path if one was found.
+            renderWithPath(ctx, canvas, engine, engine.bridgeArea);
         }
+        if (obstacleDraft) drawObstacleDraft();
+        if (lineDraft) drawLineDraft();
+        drawClusterChart();
 
-        render(ctx, canvas, engine, engine.bridgeArea); // Render the current state
+        animationFrameId = requestAnimationFrame(mainLoop);
+    }
 
-        // Highlight the final path if one was found.
-        if (engine.connectingPath && engine.connectingPath.length > 0) {
-            // The connectingPath is now an array of line objects, not indices.
-            highlightPath(ctx, engine.connectingPath, 'blue');
-        }
+    /**
+     * Reports the end of a fixed-density run, which stops after its lines whether or not they span.
+     * @param {{lineCount: number, bridgeFormedAt: (number|null)}} result - The 'run-complete' event's details.
+     */
+    function showFixedDensityResult({ lineCount, bridgeFormedAt }) {
+        updateTimelineDisplay();
+        resultMessageDisplay.textContent = bridgeFormedAt !== null
+            ? `Placed ${lineCount} lines; they span (from line ${bridgeFormedAt} on).`
+            : `Placed ${lineCount} lines; they do not span.`;
+    }
 
-        animationFrameId = requestAnimationFrame(mainLoop);
+    /**
+     * Moves the replay forward by the time since the last frame, at the selected speed.
+     * @param {DOMHighResTimeStamp} [timestamp] The current frame time.
+     */
+    function advanceReplay(timestamp) {
+        if (isReplayPlaying && lastFrameTime !== null && timestamp !== undefined) {
+            const linesPerSecond = parseFloat(replaySpeedInput.value);
+            setReplayPosition(replayPosition + (timestamp - lastFrameTime) / 1000 * linesPerSecond);
+            if (replayPosition >= engine.lineCount) stopReplayPlayback();
+        }
+        lastFrameTime = timestamp === undefined ? null : timestamp;
     }
 
     /**
@@ -90,39 +251,264 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     function updateDisplays() {
         lineCountDisplay.textContent = engine.lineCount;
+        currentSeedDisplay.textContent = engine.seed === null ? 'custom' : engine.seed;
+        updateTimelineDisplay();
+    }
+
+    /**
+     * Syncs the replay controls with the engine. The timeline can be used whenever
+     * the simulation is stopped (paused or bridged) and has at least one line.
+     */
+    function updateTimelineDisplay() {
+        const position = replayPosition === null ? engine.lineCount : Math.floor(replayPosition);
+        timelineSlider.max = engine.lineCount;
+        timelineSlider.value = position;
+        timelinePositionDisplay.textContent = `${position} / ${engine.lineCount}`;
+        const isEnabled = !engine.isRunning && engine.lineCount > 0;
+        [timelineSlider, stepBackButton, playReplayButton, stepForwardButton].forEach(control => control.disabled = !isEnabled);
+    }
+
+    /**
+     * Shows the simulation as it was after `position` lines. Reaching the last line
+     * returns to the live view.
+     * @param {number} position The line count to show (may be fractional while playing).
+     */
+    function setReplayPosition(position) {
+        replayPosition = Math.max(0, Math.min(position, engine.lineCount));
+        if (replayPosition >= engine.lineCount && !isReplayPlaying) replayPosition = null;
+        updateTimelineDisplay();
+    }
+
+    function stopReplayPlayback() {
+        isReplayPlaying = false;
+        playReplayButton.textContent = 'Play';
+    }
+
+    /**
+     * Leaves the replay and shows the live simulation again.
+     */
+    function exitReplay() {
+        stopReplayPlayback();
+        replayPosition = null;
+        replayFrame = null;
+        updateTimelineDisplay();
     }
 
     /**
      * Resets the entire simulation and UI to the initial state.
      */
     function resetSimulation() {
+        exitReplay();
         engine.isRunning = false;
-        engine.reset();
-        engine.simulationParameters = getParametersFromUI(); // Re-read UI params
-        updateDisplays();
-        resultMessageDisplay.textContent = 'Not started';
+        resetWithParametersFromUI(); // Reset after reading params so the seed input takes effect
 
         render(ctx, canvas, engine, engine.bridgeArea); // Re-render the cleared state
     }
 
+    /**
+     * Reads the bridge area controls into a `bridgeArea` specification.
+     * @returns {object|undefined} The specification, or undefined for the default area.
+     * @throws {Error} If the geometry or edge lists cannot be parsed.
+     */
+    function getBridgeAreaFromUI() {
+        const shape = bridgeAreaShapeInput.value;
+        if (shape === 'default') return undefined;
+        const spec = { ...parseBridgeArea(`${shape}:${bridgeAreaGeometryInput.value}`), units: bridgeAreaUnitsInput.value };
+        if (shape !== 'rectangle') {
+            if (bridgeAreaStartInput.value.trim() !== '') spec.start = parseEdgeList(bridgeAreaStartInput.value);
+            if (bridgeAreaFinishInput.value.trim() !== '') spec.finish = parseEdgeList(bridgeAreaFinishInput.value);
+        }
+        return spec;
+    }
+
+    /**
+     * Reads the terminals text area, a JSON list of regions.
+     * @returns {Array|undefined} The terminals, or undefined to use the red area's edges.
+     * @throws {Error} If the text is not valid JSON.
+     */
+    function getTerminalsFromUI() {
+        const text = terminalsInput.value.trim();
+        if (text === '') return undefined;
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`The terminals are not valid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reads the obstacles text area, a JSON list of polygons.
+     * @returns {Array|undefined} The obstacles, or undefined if there are none.
+     * @throws {Error} If the text is not valid JSON.
+     */
+    function getObstaclesFromUI() {
+        const text = obstaclesInput.value.trim();
+        if (text === '') return undefined;
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`The obstacles are not valid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reads a distribution or shape select and its parameter inputs into a specification.
+     * @param {HTMLSelectElement} select - The distribution or shape select.
+     * @param {HTMLElement} container - The element holding its parameter inputs.
+     * @returns {object} The specification ({ type, ...parameters }).
+     */
+    function getSelectionFromUI(select, container) {
+        const spec = { type: select.value };
+        container.querySelectorAll('input[data-parameter]').forEach(input => {
+            spec[input.dataset.parameter] = parseFloat(input.value);
+        });
+        return spec;
+    }
+
+    // The controls to mark when a parameter is invalid, by parameter name (see `validation.js`).
+    const PARAMETER_CONTROLS = {
+        minLength: [minLengthInput],
+        maxLength: [maxLengthInput],
+        minAngle: [minAngleInput],
+        maxAngle: [maxAngleInput],
+        boundaryCondition: [boundaryConditionInput],
+        cornerRadius: [cornerRadiusInput],
+        lengthDistribution: [lengthDistributionInput, lengthDistributionParameters],
+        angleDistribution: [angleDistributionInput, angleDistributionParameters],
+        shape: [shapeInput, shapeParameters],
+        periodic: [periodicInput],
+        edgePolicy: [edgePolicyInput],
+        bridgeArea: [bridgeAreaGeometryInput, bridgeAreaStartInput, bridgeAreaFinishInput],
+        stopRule: [stopRuleInput],
+        terminals: [terminalsInput],
+        obstacles: [obstaclesInput],
+        obstaclePolicy: [obstaclePolicyInput],
+        seed: [seedInput],
+        fixedLineCount: [fixedLineCountInput],
+    };
+
+    // Whether the controls currently hold valid parameters, and whether a batch is running;
+    // either one keeps the buttons that start something disabled.
+    let parametersAreValid = true;
+    let isBatchRunning = false;
+
+    function updateRunButtons() {
+        startButton.disabled = !parametersAreValid;
+        [runAnalysisButton, runSweepButton, runSpanningButton].forEach(button => button.disabled = !parametersAreValid || isBatchRunning);
+    }
+
+    /**
+     * Marks the controls of the invalid parameters, lists the problems under the controls and
+     * blocks starting a run or an analysis until they are fixed.
+     * @param {{field: string, message: string}[]} errors - The problems; none when all is well.
+     */
+    function showParameterErrors(errors) {
+        Object.entries(PARAMETER_CONTROLS).forEach(([field, controls]) => {
+            const messages = errors.filter(error => error.field === field).map(error => error.message);
+            controls.forEach(control => {
+                control.classList.toggle('invalid', messages.length > 0);
+                control.title = messages.join('\n');
+            });
+        });
+        parameterErrorsList.innerHTML = '';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error.message;
+            parameterErrorsList.appendChild(item);
+        });
+        parametersAreValid = errors.length === 0;
+        updateRunButtons();
+    }
+
+    /**
+     * Reads the UI input controls and validates them, marking any invalid ones.
+     * Numbers are passed on as typed, so text that is not a number is reported rather than read as NaN.
+     * @returns {{valid: boolean, errors: {field: string, message: string}[], values: object}}
+     *     The result of `validateParameters`, plus any controls whose text could not be parsed.
+     */
+    function validateParametersInUI() {
+        const readErrors = [];
+        // Reads a control whose text is parsed here, filing a parse error under its parameter.
+        const read = (field, reader) => {
+            try {
+                return reader();
+            } catch (error) {
+                readErrors.push({ field, message: error.message });
+                return undefined;
+            }
+        };
+        const result = validateParameters({
+            minLength: minLengthInput.value,
+            maxLength: maxLengthInput.value,
+            minAngle: minAngleInput.value,
+            maxAngle: maxAngleInput.value,
+            boundaryCondition: boundaryConditionInput.value,
+            cornerRadius: cornerRadiusInput.value === '' ? undefined : cornerRadiusInput.value,
+            lengthDistribution: getSelectionFromUI(lengthDistributionInput, lengthDistributionParameters),
+            angleDistribution: getSelectionFromUI(angleDistributionInput, angleDistributionParameters),
+            shape: getSelectionFromUI(shapeInput, shapeParameters),
+            periodic: periodicInput.checked,
+            edgePolicy: edgePolicyInput.value,
+            bridgeArea: read('bridgeArea', getBridgeAreaFromUI),
+            terminals: read('terminals', getTerminalsFromUI),
+            stopRule: stopRuleInput.value,
+            obstacles: read('obstacles', getObstaclesFromUI),
+            obstaclePolicy: obstaclePolicyInput.value,
+            seed: seedInput.value === '' ? undefined : seedInput.value,
+            fixedLineCount: fixedLineCountInput.value === '' ? undefined : fixedLineCountInput.value,
+        }, { width: canvas.width, height: canvas.height });
+        // A control that could not be parsed is reported by its parse error alone.
+        const errors = readErrors.concat(result.errors.filter(error => !readErrors.some(readError => readError.field === error.field)));
+        showParameterErrors(errors);
+        return { valid: errors.length === 0, errors, values: result.values };
+    }
+
     /**
      * Reads the current values from all UI input controls.
-     * @returns {object} The simulation parameters.
+     * @returns {object} The simulation parameters, validated and with their numbers parsed.
+     * @throws {ParameterError} If any are invalid (the invalid controls are marked too).
      */
     function getParametersFromUI() {
-        return {
-            minLength: parseInt(minLengthInput.value),
-            maxLength: parseInt(maxLengthInput.value),
-            minAngle: parseInt(minAngleInput.value),
-            maxAngle: parseInt(maxAngleInput.value),
-            boundaryCondition: boundaryConditionInput.value,
-        };
+        const { errors, values } = validateParametersInUI();
+        if (errors.length > 0) throw new ParameterError(errors);
+        return values;
+    }
+
+    /**
+     * Reads the parameters for a background batch.
+     * @returns {object|null} The simulation parameters, or null (after telling the user) if they are invalid.
+     */
+    function getBatchParametersFromUI() {
+        try {
+            return getParametersFromUI();
+        } catch (error) {
+            alert(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Resets the engine with the parameters currently in the UI controls.
+     * @returns {boolean} False if the engine rejected the parameters; it then keeps its current lines.
+     */
+    function resetWithParametersFromUI() {
+        try {
+            engine.simulationParameters = getParametersFromUI();
+            engine.reset();
+        } catch (error) {
+            alert(error.message);
+            return false;
+        }
+        return true;
     }
 
     // --- Event Listeners ---
 
     startButton.addEventListener('click', () => {
         if (!engine.isRunning) {
+            exitReplay();
+            // A fresh run picks up the current seed; a paused run simply resumes.
+            if (engine.lineCount === 0 && !resetWithParametersFromUI()) return;
             engine.isRunning = true;
             resultMessageDisplay.textContent = 'Running...';
         }
@@ -130,6 +516,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     pauseButton.addEventListener('click', () => {
         engine.isRunning = false;
+        updateTimelineDisplay();
         if (engine.lineCount > 0) {
             resultMessageDisplay.textContent = 'Paused';
         }
@@ -137,6 +524,146 @@ document.addEventListener('DOMContentLoaded', () => {
 
     resetButton.addEventListener('click', resetSimulation);
 
+    // --- Figure Export ---
+
+    /**
+     * Returns what the canvas currently shows: the replayed frame or the live state,
+     * with the function that draws it.
+     * @returns {{state: object, draw: function}}
+     */
+    function getDisplayedView() {
+        if (replayPosition !== null) {
+            return { state: engine.getStateAt(Math.floor(replayPosition)), draw: renderTimelineFrame };
+        }
+        return { state: engine, draw: renderWithPath };
+    }
+
+    /**
+     * Builds a file name for an exported figure from the seed and the line count shown.
+     * @param {object} state - The state being exported.
+     * @param {string} extension - The file extension.
+     * @returns {string}
+     */
+    function getFigureFilename(state, extension) {
+        return `line-bridge-${engine.seed}-${state.lineCount}-lines.${extension}`;
+    }
+
+    exportSvgButton.addEventListener('click', () => {
+        const { state, draw } = getDisplayedView();
+        const dimensions = { width: canvas.width, height: canvas.height };
+        downloadFile(renderToSVG(state, dimensions, engine.bridgeArea, draw), getFigureFilename(state, 'svg'), 'image/svg+xml');
+    });
+
+    exportPngButton.addEventListener('click', () => {
+        const { state, draw } = getDisplayedView();
+        const scale = parseInt(pngScaleInput.value, 10);
+        // Redraw at the chosen resolution rather than upscaling the on-screen pixels.
+        const exportCanvas = document.createElement('canvas');
+        exportCanvas.width = canvas.width * scale;
+        exportCanvas.height = canvas.height * scale;
+        const exportCtx = exportCanvas.getContext('2d');
+        exportCtx.scale(scale, scale);
+        draw(exportCtx, { width: canvas.width, height: canvas.height }, state, engine.bridgeArea);
+        exportCanvas.toBlob(blob => downloadFile(blob, getFigureFilename(state, 'png'), 'image/png'), 'image/png');
+    });
+
+    // --- Replay Timeline ---
+
+    timelineSlider.addEventListener('input', () => {
+        stopReplayPlayback();
+        setReplayPosition(parseInt(timelineSlider.value, 10));
+    });
+
+    stepBackButton.addEventListener('click', () => {
+        stopReplayPlayback();
+        const position = replayPosition === null ? engine.lineCount : Math.floor(replayPosition);
+        setReplayPosition(position - 1);
+    });
+
+    stepForwardButton.addEventListener('click', () => {
+        stopReplayPlayback();
+        if (replayPosition !== null) setReplayPosition(Math.floor(replayPosition) + 1);
+    });
+
+    playReplayButton.addEventListener('click', () => {
+        if (isReplayPlaying) {
+            stopReplayPlayback();
+            return;
+        }
+        // Playing from the end of the run (or the live view) starts over from the first line.
+        if (replayPosition === null || replayPosition >= engine.lineCount) replayPosition = 0;
+        isReplayPlaying = true;
+        playReplayButton.textContent = 'Pause Replay';
+    });
+
+    // --- Snapshots ---
+
+    /**
+     * Copies simulation parameters into the UI controls, e.g. after loading a snapshot.
+     * @param {object} params - The simulation parameters.
+     */
+    function setParametersInUI(params) {
+        [[minLengthInput, minLengthSlider, params.minLength], [maxLengthInput, maxLengthSlider, params.maxLength],
+         [minAngleInput, minAngleSlider, params.minAngle], [maxAngleInput, maxAngleSlider, params.maxAngle]].forEach(([input, slider, value]) => {
+            input.value = value;
+            slider.value = value;
+        });
+        boundaryConditionInput.value = params.boundaryCondition || 'left-to-right';
+        cornerRadiusInput.value = params.cornerRadius === null || params.cornerRadius === undefined ? '' : params.cornerRadius;
+        setSelectionInUI(lengthDistributionInput, lengthDistributionParameters, LENGTH_DISTRIBUTIONS, params.lengthDistribution);
+        setSelectionInUI(angleDistributionInput, angleDistributionParameters, ANGLE_DISTRIBUTIONS, params.angleDistribution);
+        setSelectionInUI(shapeInput, shapeParameters, SHAPES, params.shape);
+        periodicInput.checked = Boolean(params.periodic);
+        edgePolicyInput.value = params.edgePolicy || 'reject';
+        const { bridgeArea } = params;
+        bridgeAreaShapeInput.value = bridgeArea ? bridgeArea.shape : 'default';
+        bridgeAreaUnitsInput.value = bridgeArea && bridgeArea.units ? bridgeArea.units : 'px';
+        bridgeAreaGeometryInput.value = bridgeArea ? formatBridgeArea(bridgeArea).replace(/^\w+:/, '') : '';
+        bridgeAreaStartInput.value = bridgeArea && bridgeArea.start ? formatEdgeList(bridgeArea.start) : '';
+        bridgeAreaFinishInput.value = bridgeArea && bridgeArea.finish ? formatEdgeList(bridgeArea.finish) : '';
+        updateBridgeAreaControls();
+        terminalsInput.value = params.terminals ? JSON.stringify(params.terminals) : '';
+        stopRuleInput.value = params.stopRule || 'a-to-b';
+        obstaclesInput.value = params.obstacles ? JSON.stringify(params.obstacles) : '';
+        obstaclePolicyInput.value = params.obstaclePolicy || 'reject';
+        seedInput.value = params.seed === null || params.seed === undefined ? '' : params.seed;
+        fixedLineCountInput.value = params.fixedLineCount === null || params.fixedLineCount === undefined ? '' : params.fixedLineCount;
+        validateParametersInUI();
+    }
+
+    saveSnapshotButton.addEventListener('click', () => {
+        downloadFile(JSON.stringify(engine.serialize()), `line-bridge-snapshot-${engine.seed}-${engine.lineCount}.json`, 'application/json');
+    });
+
+    loadSnapshotButton.addEventListener('click', () => snapshotFileInput.click());
+
+    snapshotFileInput.addEventListener('change', async () => {
+        const file = snapshotFileInput.files[0];
+        snapshotFileInput.value = ''; // Allow loading the same file again
+        if (!file) return;
+        let loadedEngine;
+        try {
+            loadedEngine = SimulationEngine.fromSnapshot(JSON.parse(await file.text()));
+        } catch (error) {
+            alert(`Could not load snapshot "${file.name}": ${error.message}`);
+            return;
+        }
+        engine.isRunning = false;
+        exitReplay();
+        engine = loadedEngine;
+        observeEngine(engine);
+        isBridged = engine.connectingPath.length > 0; // Restored without sending events
+        plottedLineCount = null;
+        canvas.width = engine.canvasDimensions.width;
+        canvas.height = engine.canvasDimensions.height;
+        setParametersInUI(engine.simulationParameters);
+        updateBridgeAreaDisplay();
+        updateDisplays();
+        resultMessageDisplay.textContent = isBridged
+            ? `Loaded a bridged run with ${engine.lineCount} lines.`
+            : `Loaded ${engine.lineCount} lines. Press Start to resume.`;
+    });
+
     // Sync sliders and number inputs
     const setupSliderSync = (slider, input) => {
         slider.addEventListener('input', () => input.value = slider.value);
@@ -148,87 +675,772 @@ document.addEventListener('DOMContentLoaded', () => {
     setupSliderSync(minAngleSlider, minAngleInput);
     setupSliderSync(maxAngleSlider, maxAngleInput);
 
+    // --- Distribution and Shape Controls ---
+
+    /**
+     * Shows one number input per parameter of the selected distribution or shape.
+     * @param {HTMLElement} container - The element to hold the inputs.
+     * @param {object} entry - The registry entry of the selected distribution or shape.
+     * @param {object} [values={}] - Parameter values to show instead of the defaults.
+     */
+    function renderSelectionParameters(container, entry, values = {}) {
+        container.innerHTML = '';
+        if (container === angleDistributionParameters && entry !== ANGLE_DISTRIBUTIONS.uniform) {
+            const note = document.createElement('p');
+            note.textContent = 'The min and max angle do not apply.';
+            container.appendChild(note);
+        }
+        entry.parameters.forEach(parameter => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.dataset.parameter = parameter.name;
+            input.value = values[parameter.name] === undefined ? parameter.default : values[parameter.name];
+            if (parameter.min !== undefined) input.min = parameter.min;
+            if (parameter.max !== undefined) input.max = parameter.max;
+            label.append(`${parameter.label}: `, input);
+            container.appendChild(label);
+        });
+    }
+
+    /**
+     * Selects a distribution or shape and shows its parameters, e.g. after loading a snapshot.
+     * @param {HTMLSelectElement} select - The distribution or shape select.
+     * @param {HTMLElement} container - The element holding its parameter inputs.
+     * @param {object} registry - `LENGTH_DISTRIBUTIONS`, `ANGLE_DISTRIBUTIONS` or `SHAPES`.
+     * @param {object} [spec] - The specification; the registry's first entry (uniform, segment) if left out.
+     */
+    function setSelectionInUI(select, container, registry, spec) {
+        select.value = spec && registry[spec.type] ? spec.type : Object.keys(registry)[0];
+        renderSelectionParameters(container, registry[select.value], spec || {});
+    }
+
+    [[lengthDistributionInput, lengthDistributionParameters, LENGTH_DISTRIBUTIONS],
+     [angleDistributionInput, angleDistributionParameters, ANGLE_DISTRIBUTIONS],
+     [shapeInput, shapeParameters, SHAPES]].forEach(([select, container, registry]) => {
+        Object.entries(registry).forEach(([type, distribution]) => select.add(new Option(distribution.label, type)));
+        select.addEventListener('change', () => renderSelectionParameters(container, registry[select.value]));
+        setSelectionInUI(select, container, registry);
+    });
+
     // Update engine parameters when any control changes
     [minLengthInput, maxLengthInput, minAngleInput, maxAngleInput,
-     minLengthSlider, maxLengthSlider, minAngleSlider, maxAngleSlider, boundaryConditionInput].forEach(input => {
+     minLengthSlider, maxLengthSlider, minAngleSlider, maxAngleSlider,
+     lengthDistributionInput, angleDistributionInput, lengthDistributionParameters, angleDistributionParameters,
+     shapeInput, shapeParameters].forEach(input => {
         input.addEventListener('change', () => {
-            engine.simulationParameters = getParametersFromUI();
+            try {
+                engine.updateSimulationParameters(getParametersFromUI());
+            } catch (error) {
+                // An unfinished entry (e.g. the bridge area); it is reported when the next run starts.
+            }
+        });
+    });
+
+    // Obstacles, the bridge type, its corner radius and periodic edges only take effect on reset,
+    // so changing them resets the simulation, as drawing or clearing an obstacle does. Entries
+    // that are not valid yet are only marked.
+    [obstaclesInput, obstaclePolicyInput, boundaryConditionInput, cornerRadiusInput, periodicInput].forEach(input => {
+        input.addEventListener('change', () => {
+            if (validateParametersInUI().valid) resetSimulation();
+        });
+    });
+
+    // --- Bridge Area Controls ---
+
+    // Example geometry filled in when a shape is picked, per shape and units.
+    const EXAMPLE_BRIDGE_AREAS = {
+        rectangle: { px: '80,60,640,480', fraction: '0.1,0.1,0.8,0.8' },
+        circle: { px: '400,300,250', fraction: '0.5,0.5,0.4' },
+        polygon: { px: '400,60,720,300,400,540,80,300', fraction: '0.5,0.1,0.9,0.5,0.5,0.9,0.1,0.5' },
+    };
+    const GEOMETRY_HINTS = {
+        rectangle: 'x, y, width, height',
+        circle: 'centre x, centre y, radius',
+        polygon: 'x1, y1, x2, y2, ... around the outline',
+    };
+
+    /**
+     * Shows the geometry and edge inputs that apply to the selected shape.
+     */
+    function updateBridgeAreaControls() {
+        const shape = bridgeAreaShapeInput.value;
+        bridgeAreaUnitsInput.disabled = shape === 'default';
+        bridgeAreaGeometryGroup.style.display = shape === 'default' ? 'none' : 'block';
+        bridgeAreaEdgesGroup.style.display = shape === 'circle' || shape === 'polygon' ? 'block' : 'none';
+        if (GEOMETRY_HINTS[shape]) bridgeAreaGeometryHint.textContent = GEOMETRY_HINTS[shape];
+        bridgeAreaEdgesHint.textContent = shape === 'polygon'
+            ? 'edge numbers, edge 0 runs from the first point to the second'
+            : 'arcs from:to in degrees, clockwise from the right';
+    }
+
+    [bridgeAreaShapeInput, bridgeAreaUnitsInput].forEach(input => {
+        input.addEventListener('change', () => {
+            const shape = bridgeAreaShapeInput.value;
+            if (EXAMPLE_BRIDGE_AREAS[shape]) {
+                bridgeAreaGeometryInput.value = EXAMPLE_BRIDGE_AREAS[shape][bridgeAreaUnitsInput.value];
+                bridgeAreaStartInput.value = '';
+                bridgeAreaFinishInput.value = '';
+            }
+            updateBridgeAreaControls();
+        });
+    });
+    updateBridgeAreaControls();
+
+    // --- Obstacle Drawing ---
+
+    // The points of the obstacle being drawn on the canvas, or null when not drawing.
+    let obstacleDraft = null;
+
+    /**
+     * Draws the obstacle in progress over the simulation: its outline so far and its points.
+     */
+    function drawObstacleDraft() {
+        if (obstacleDraft.length === 0) return;
+        ctx.strokeStyle = '#222';
+        ctx.lineWidth = 2;
+        strokePolyline(ctx, obstacleDraft);
+        ctx.fillStyle = '#222';
+        obstacleDraft.forEach(point => ctx.fillRect(point.x - 3, point.y - 3, 6, 6));
+        ctx.lineWidth = 1;
+    }
+
+    /**
+     * Stops drawing an obstacle. A finished outline with at least three points is added
+     * to the obstacles list, and the simulation is reset so that it takes effect.
+     * @param {boolean} keep - Whether to keep the outline drawn so far.
+     */
+    function finishObstacleDraft(keep) {
+        const points = obstacleDraft;
+        obstacleDraft = null;
+        canvasEl.classList.remove('drawing');
+        drawObstacleButton.textContent = 'Draw Obstacle';
+        if (!keep || points.length < 3) return;
+        let obstacles;
+        try {
+            obstacles = getObstaclesFromUI() || [];
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        const round = value => Math.round(value * 10) / 10;
+        obstacles.push(points.map(point => [round(point.x), round(point.y)]));
+        obstaclesInput.value = JSON.stringify(obstacles);
+        resetSimulation();
+    }
+
+    drawObstacleButton.addEventListener('click', () => {
+        if (isEditingLines) setEditingLines(false);
+        if (obstacleDraft) {
+            finishObstacleDraft(true);
+            return;
+        }
+        obstacleDraft = [];
+        canvasEl.classList.add('drawing');
+        drawObstacleButton.textContent = 'Finish Obstacle';
+    });
+
+    canvasEl.addEventListener('click', event => {
+        if (!obstacleDraft) return;
+        // The canvas may be displayed at a different size than its drawing resolution.
+        const rect = canvasEl.getBoundingClientRect();
+        obstacleDraft.push({
+            x: (event.clientX - rect.left) * canvas.width / rect.width,
+            y: (event.clientY - rect.top) * canvas.height / rect.height,
         });
     });
 
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape' && obstacleDraft) finishObstacleDraft(false);
+        if (event.key === 'Escape' && isEditingLines) setEditingLines(false);
+    });
+
+    clearObstaclesButton.addEventListener('click', () => {
+        if (obstacleDraft) finishObstacleDraft(false);
+        obstaclesInput.value = '';
+        resetSimulation();
+    });
+
+    // --- Cluster Growth Chart ---
+
+    // At most this many points are plotted; longer runs are thinned out evenly.
+    const CLUSTER_CHART_POINTS = 300;
+
+    // The line count the cluster chart shows, or null when it must be redrawn.
+    let plottedLineCount = null;
+
+    /**
+     * Plots the chosen cluster metric against the number of lines, up to the line shown on
+     * the canvas (the replayed one while replaying). Only redraws when that line changes.
+     */
+    function drawClusterChart() {
+        const lineCount = replayPosition === null ? engine.lineCount : Math.floor(replayPosition);
+        if (lineCount === plottedLineCount) return;
+        plottedLineCount = lineCount;
+
+        const metrics = engine.getClusterMetrics(lineCount);
+        const stride = Math.ceil(metrics.length / CLUSTER_CHART_POINTS);
+        const metric = clusterMetricInput.value;
+        const points = metrics
+            .filter((entry, i) => i % stride === 0 || i === metrics.length - 1)
+            .map(entry => ({ x: entry.lineCount, y: entry[metric] }));
+        drawLineChart(clusterChartCanvas.getContext('2d'), clusterChartCanvas, [{ label: metric, color: 'blue', points }], {
+            xLabel: 'Lines placed',
+            title: clusterMetricInput.options[clusterMetricInput.selectedIndex].text,
+            markers: false,
+        });
+    }
+
+    clusterMetricInput.addEventListener('change', () => { plottedLineCount = null; });
+
+    // --- Line Editing ---
+
+    // How far, in canvas pixels, a press may move and still count as a click rather than a drag.
+    const CLICK_DISTANCE = 4;
+
+    // Whether the canvas is in edit mode, and the line being dragged out (null when not dragging).
+    let isEditingLines = false;
+    let lineDraft = null;
+
+    /**
+     * Converts the position of a mouse event into canvas coordinates.
+     * The canvas may be displayed at a different size than its drawing resolution.
+     * @param {MouseEvent} event
+     * @returns {{x: number, y: number}}
+     */
+    function canvasPoint(event) {
+        const rect = canvasEl.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * canvas.width / rect.width,
+            y: (event.clientY - rect.top) * canvas.height / rect.height,
+        };
+    }
+
+    /**
+     * Draws the line being dragged out, as the shape it will become.
+     */
+    function drawLineDraft() {
+        const { x1, y1, x2, y2 } = lineDraft;
+        if (Math.hypot(x2 - x1, y2 - y1) < CLICK_DISTANCE) return;
+        drawShape(ctx, engine.geometry.create({ x1, y1, x2, y2 }, engine.shape), '#222', engine.geometry);
+    }
+
+    /**
+     * Shows the outcome of an edit that left no bridge (a new bridge is reported by its event).
+     * @param {number} lineCount - The number of lines after the edit.
+     */
+    function showEditResult(lineCount) {
+        if (isBridged || engine.isRunning) return;
+        resultMessageDisplay.textContent = lineCount > 0 ? 'Edited. Press Start to add random lines.' : 'Not started';
+    }
+
+    /**
+     * Deletes the most recently placed line within a few pixels of a point, if any.
+     * @param {{x: number, y: number}} point - The point clicked, in canvas coordinates.
+     */
+    function deleteLineAt(point) {
+        for (let index = engine.lineCount - 1; index >= 0; index--) {
+            if (engine.geometry.nearPoint(engine.lines[index], point, CLICK_DISTANCE)) {
+                engine.removeLine(index); // Its event reports the result
+                return;
+            }
+        }
+    }
+
+    function setEditingLines(isEditing) {
+        isEditingLines = isEditing;
+        lineDraft = null;
+        canvasEl.classList.toggle('drawing', isEditing);
+        editLinesButton.textContent = isEditing ? 'Stop Editing' : 'Edit Lines';
+    }
+
+    editLinesButton.addEventListener('click', () => {
+        if (obstacleDraft) finishObstacleDraft(false);
+        setEditingLines(!isEditingLines);
+    });
+
+    canvasEl.addEventListener('mousedown', event => {
+        if (!isEditingLines || obstacleDraft) return;
+        exitReplay();
+        const start = canvasPoint(event);
+        lineDraft = { x1: start.x, y1: start.y, x2: start.x, y2: start.y };
+    });
+
+    canvasEl.addEventListener('mousemove', event => {
+        if (!lineDraft) return;
+        const end = canvasPoint(event);
+        lineDraft.x2 = end.x;
+        lineDraft.y2 = end.y;
+    });
+
+    // A release outside the canvas still ends the drag.
+    document.addEventListener('mouseup', event => {
+        if (!lineDraft) return;
+        const end = canvasPoint(event);
+        const { x1, y1 } = lineDraft;
+        lineDraft = null;
+        if (Math.hypot(end.x - x1, end.y - y1) < CLICK_DISTANCE) {
+            deleteLineAt({ x: x1, y: y1 });
+            return;
+        }
+        let index;
+        try {
+            index = engine.addLine({ x1, y1, x2: end.x, y2: end.y });
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        showEditResult(index + 1);
+    });
+
     // --- Statistical Analysis Logic ---
 
+    // The report of the most recent analysis, kept for the download buttons.
+    let lastAnalysisReport = null;
+
+    // Cancels the analysis in progress, if any.
+    let cancelAnalysis = null;
+
+    // Line counts of the bridged runs of the current analysis, charted as they arrive.
+    let analysisChartValues = [];
+    let analysisChartFrameId = null;
+
     /**
-     * Toggles the disabled state of all simulation controls.
+     * Toggles the disabled state of the analysis controls. The live simulation
+     * controls stay usable because the analysis runs in a background worker.
      * @param {boolean} isEnabled - Whether the controls should be enabled.
      */
-    function setControlsEnabled(isEnabled) {
-        const controls = [
-            startButton, pauseButton, resetButton,
-            minLengthInput, maxLengthInput, minAngleInput, maxAngleInput,
-            minLengthSlider, maxLengthSlider, minAngleSlider, maxAngleSlider,
-            boundaryConditionInput, runAnalysisButton, numSimulationsInput
-        ];
-        controls.forEach(control => control.disabled = !isEnabled);
+    function setAnalysisControlsEnabled(isEnabled) {
+        [numSimulationsInput, binWidthInput, bootstrapInput, sweepParameterInput,
+         sweepFromInput, sweepToInput, sweepStepInput, sweepRunsInput, spanningFromInput, spanningToInput,
+         spanningStepInput, spanningTrialsInput].forEach(control => control.disabled = !isEnabled);
+        isBatchRunning = !isEnabled;
+        updateRunButtons();
+        cancelAnalysisButton.style.display = isEnabled ? 'none' : 'inline-block';
+    }
+
+    /**
+     * Runs a task from `analysis-worker.js` in a Web Worker. Where workers are
+     * unavailable (some browsers block them for pages opened from file://), the
+     * task runs on the main thread instead, with the same messages.
+     * @param {object} message - The start message ({ task, ...payload }).
+     * @param {function(object)} onProgress - Receives each progress message.
+     * @returns {{promise: Promise<object>, cancel: function()}} The task's result and a cancel function.
+     */
+    function startBackgroundTask(message, onProgress) {
+        let cancel = () => {};
+        const promise = new Promise((resolve, reject) => {
+            const handleMessage = data => {
+                if (data.type === 'progress') onProgress(data);
+                else if (data.type === 'complete') resolve(data.result);
+                else if (data.type === 'error') reject(new Error(data.message));
+            };
+            const runOnMainThread = () => {
+                const runner = createTaskRunner(handleMessage);
+                cancel = () => runner.cancel();
+                runner.start(message);
+            };
+
+            let worker;
+            try {
+                worker = new Worker('analysis-worker.js');
+            } catch (error) {
+                console.warn('Web Worker unavailable, running the analysis on the main thread:', error);
+                runOnMainThread();
+                return;
+            }
+
+            let hasResponded = false;
+            worker.onmessage = event => {
+                hasResponded = true;
+                handleMessage(event.data);
+                if (event.data.type !== 'progress') worker.terminate();
+            };
+            worker.onerror = event => {
+                event.preventDefault();
+                worker.terminate();
+                if (hasResponded) {
+                    reject(new Error(event.message));
+                } else {
+                    // The worker script could not be loaded at all.
+                    console.warn('Web Worker failed to start, running the analysis on the main thread:', event.message);
+                    runOnMainThread();
+                }
+            };
+            cancel = () => worker.postMessage({ type: 'cancel' });
+            worker.postMessage({ type: 'start', ...message });
+        });
+        return { promise, cancel: () => cancel() };
+    }
+
+    /**
+     * Reads the statistics options from the analysis controls.
+     * @returns {object} Options for `StatisticsEngine.calculateStatistics`.
+     */
+    function getStatisticsOptionsFromUI() {
+        const binWidth = parseFloat(binWidthInput.value);
+        return {
+            binWidth: binWidth > 0 ? binWidth : undefined,
+            bootstrap: bootstrapInput.checked ? 1000 : 0,
+        };
+    }
+
+    /**
+     * Formats a statistic for display, keeping integers as they are.
+     * @param {number} value - The value to format.
+     * @returns {string}
+     */
+    function formatStatistic(value) {
+        return Number.isInteger(value) ? String(value) : value.toFixed(2);
+    }
+
+    /**
+     * Fills the results panel from an analysis summary.
+     * @param {object} stats - The summary from `StatisticsEngine.calculateStatistics`.
+     */
+    function displayAnalysisResults(stats) {
+        analysisRunsDisplay.textContent = stats.count;
+        analysisSeedDisplay.textContent = stats.seed;
+        analysisCensoredDisplay.textContent = `${stats.completed} / ${stats.censored}`;
+        analysisMeanDisplay.textContent = formatStatistic(stats.mean);
+        analysisStdDevDisplay.textContent = formatStatistic(stats.stdDev);
+        analysisStdErrorDisplay.textContent = formatStatistic(stats.stdError);
+        const intervals = [`[${formatStatistic(stats.ci95.lower)}, ${formatStatistic(stats.ci95.upper)}] (normal)`];
+        if (stats.bootstrapCi95) {
+            intervals.push(`[${formatStatistic(stats.bootstrapCi95.lower)}, ${formatStatistic(stats.bootstrapCi95.upper)}] (bootstrap)`);
+        }
+        analysisCiDisplay.textContent = intervals.join(', ');
+        analysisMedianDisplay.textContent = formatStatistic(stats.median);
+        analysisMinDisplay.textContent = stats.min;
+        analysisMaxDisplay.textContent = stats.max;
+        analysisPercentilesDisplay.textContent = Object.entries(stats.percentiles)
+            .map(([name, value]) => `${name.toUpperCase()}: ${formatStatistic(value)}`)
+            .join(', ');
+    }
+
+    /**
+     * Draws the distribution of the analysis's line counts, as a histogram or an
+     * empirical CDF depending on the selected view, with mean and median markers.
+     */
+    function drawAnalysisChart() {
+        analysisChartFrameId = null;
+        const sorted = analysisChartValues.slice().sort((a, b) => a - b);
+        const stats = describeSample(sorted, { ...getStatisticsOptionsFromUI(), percentiles: [], bootstrap: 0 });
+        const markers = sorted.length > 0 ? [
+            { value: stats.mean, label: `Mean ${formatStatistic(stats.mean)}`, color: 'red' },
+            { value: stats.median, label: `Median ${formatStatistic(stats.median)}`, color: 'green' },
+        ] : [];
+        const view = document.querySelector('input[name="analysis-chart-view"]:checked').value;
+        const ctx = analysisChartCanvas.getContext('2d');
+        if (view === 'ecdf') {
+            drawECDF(ctx, analysisChartCanvas, sorted, markers, { xLabel: 'Lines to bridge', yLabel: 'Fraction of runs' });
+        } else {
+            drawHistogram(ctx, analysisChartCanvas, stats.histogram, markers, { xLabel: 'Lines to bridge', yLabel: 'Runs' });
+        }
+    }
+
+    /**
+     * Redraws the analysis chart on the next animation frame. Progress messages
+     * arrive in bursts, so this keeps the chart to one redraw per frame.
+     */
+    function scheduleAnalysisChart() {
+        if (analysisChartFrameId === null) {
+            analysisChartFrameId = requestAnimationFrame(drawAnalysisChart);
+        }
     }
 
+    analysisChartViewInputs.forEach(input => input.addEventListener('change', drawAnalysisChart));
+
     /**
      * Handles the "Run Analysis" button click event.
      */
     async function handleRunAnalysis() {
-        // 1. Stop any running simulation and disable controls
-        engine.isRunning = false;
-        setControlsEnabled(false);
-        resultMessageDisplay.textContent = 'Preparing analysis...';
-
-        // 2. Get parameters
+        // 1. Get parameters
         const numSimulations = parseInt(numSimulationsInput.value, 10);
         if (isNaN(numSimulations) || numSimulations <= 0) {
             alert("Please enter a valid number of simulations.");
-            setControlsEnabled(true);
             return;
         }
-        const simulationParameters = getParametersFromUI();
+        const simulationParameters = getBatchParametersFromUI();
+        if (!simulationParameters) return;
+        const statisticsOptions = getStatisticsOptionsFromUI();
         const canvasDimensions = { width: canvas.width, height: canvas.height };
 
-        // 3. Setup UI for analysis
+        // 2. Setup UI for analysis
+        setAnalysisControlsEnabled(false);
+        resultMessageDisplay.textContent = 'Analysis in progress...';
         analysisProgressContainer.style.display = 'block';
         analysisResultsContainer.style.display = 'none';
+        analysisProgressText.textContent = `Running 0/${numSimulations}...`;
         analysisProgressBar.value = 0;
         analysisProgressBar.max = numSimulations;
+        analysisChartValues = [];
+        analysisChartContainer.style.display = 'block';
+        drawAnalysisChart();
 
-        const progressCallback = (current, total) => {
+        const progressCallback = ({ current, total, record }) => {
             analysisProgressText.textContent = `Running ${current}/${total}...`;
             analysisProgressBar.value = current;
-            resultMessageDisplay.textContent = 'Analysis in progress...';
+            if (record && !record.hitMaxSteps) {
+                analysisChartValues.push(record.lineCount);
+                scheduleAnalysisChart();
+            }
         };
 
-        // 4. Run the analysis
+        // 3. Run the analysis in the background
         try {
-            const statsEngine = new StatisticsEngine(canvasDimensions, simulationParameters);
-            const stats = await statsEngine.runSimulationsAsync(numSimulations, progressCallback);
+            const task = startBackgroundTask({ task: 'analysis', canvasDimensions, simulationParameters, statisticsOptions, numSimulations }, progressCallback);
+            cancelAnalysis = task.cancel;
+            const { report, cancelled } = await task.promise;
+            const stats = report.summary;
 
-            // 5. Display results
+            // 4. Display results
             analysisResultsContainer.style.display = 'block';
-            analysisRunsDisplay.textContent = stats.count;
-            analysisMeanDisplay.textContent = stats.mean;
-            analysisMedianDisplay.textContent = stats.median;
-            analysisMinDisplay.textContent = stats.min;
-            analysisMaxDisplay.textContent = stats.max;
-            resultMessageDisplay.textContent = 'Analysis complete!';
+            displayAnalysisResults(stats);
+            analysisChartValues = report.runs.filter(run => !run.hitMaxSteps).map(run => run.lineCount);
+            drawAnalysisChart();
+            lastAnalysisReport = report;
+            resultMessageDisplay.textContent = cancelled
+                ? `Analysis cancelled after ${stats.count} runs.`
+                : 'Analysis complete!';
 
         } catch (error) {
             console.error("An error occurred during statistical analysis:", error);
             resultMessageDisplay.textContent = 'Analysis failed. See console for details.';
         } finally {
-            // 6. Re-enable controls
-            setControlsEnabled(true);
+            // 5. Re-enable controls
+            cancelAnalysis = null;
+            setAnalysisControlsEnabled(true);
             analysisProgressContainer.style.display = 'none';
         }
     }
 
     runAnalysisButton.addEventListener('click', handleRunAnalysis);
 
+    // --- Parameter Sweep Logic ---
+
+    // The rows of the most recent sweep, kept for the download button.
+    let lastSweepRows = null;
+
+    /**
+     * Plots the mean line count of each sweep point with its 95% confidence interval.
+     * @param {object[]} rows - The rows returned by `runSweep`.
+     * @param {string} parameter - The swept parameter.
+     */
+    function drawSweepChart(rows, parameter) {
+        const points = rows
+            .filter(row => row.completed > 0)
+            .map(row => ({ x: row[parameter], y: row.mean, yLower: row.ciLower, yUpper: row.ciUpper }));
+        const label = sweepParameterInput.options[sweepParameterInput.selectedIndex].text;
+        drawLineChart(sweepChartCanvas.getContext('2d'), sweepChartCanvas, [{ label, color: 'blue', points }], {
+            xLabel: label,
+            yLabel: 'Lines to bridge',
+        });
+    }
+
+    /**
+     * Handles the "Run Sweep" button click event.
+     */
+    async function handleRunSweep() {
+        const parameter = sweepParameterInput.value;
+        const [from, to, step] = [sweepFromInput, sweepToInput, sweepStepInput].map(input => parseFloat(input.value));
+        const runsPerPoint = parseInt(sweepRunsInput.value, 10);
+        if (![from, to, step].every(Number.isFinite) || step <= 0 || to < from) {
+            alert("Please enter a sweep range with From <= To and a positive Step.");
+            return;
+        }
+        if (isNaN(runsPerPoint) || runsPerPoint <= 0) {
+            alert("Please enter a valid number of runs per point.");
+            return;
+        }
+        const simulationParameters = getBatchParametersFromUI();
+        if (!simulationParameters) return;
+        // Share one seed across the sweep (and show it) so the sweep can be repeated.
+        if (simulationParameters.seed === undefined) simulationParameters.seed = generateSeed();
+        const axes = { [parameter]: `${from}:${to}:${step}` };
+        const totalRuns = expandGrid(axes).length * runsPerPoint;
+
+        setAnalysisControlsEnabled(false);
+        resultMessageDisplay.textContent = 'Sweep in progress...';
+        analysisProgressContainer.style.display = 'block';
+        sweepResultsContainer.style.display = 'none';
+        analysisProgressText.textContent = `Running 0/${totalRuns}...`;
+        analysisProgressBar.value = 0;
+        analysisProgressBar.max = totalRuns;
+
+        const progressCallback = ({ current, total }) => {
+            analysisProgressText.textContent = `Running ${current}/${total}...`;
+            analysisProgressBar.value = current;
+        };
+
+        try {
+            const task = startBackgroundTask({
+                task: 'sweep',
+                canvasDimensions: { width: canvas.width, height: canvas.height },
+                simulationParameters,
+                statisticsOptions: getStatisticsOptionsFromUI(),
+                axes,
+                runsPerPoint,
+            }, progressCallback);
+            cancelAnalysis = task.cancel;
+            const { rows, cancelled } = await task.promise;
+
+            sweepResultsContainer.style.display = 'block';
+            sweepSeedDisplay.textContent = simulationParameters.seed;
+            drawSweepChart(rows, parameter);
+            lastSweepRows = rows;
+            resultMessageDisplay.textContent = cancelled
+                ? `Sweep cancelled after ${rows.length} points.`
+                : 'Sweep complete!';
+        } catch (error) {
+            console.error("An error occurred during the parameter sweep:", error);
+            resultMessageDisplay.textContent = 'Sweep failed. See console for details.';
+        } finally {
+            cancelAnalysis = null;
+            setAnalysisControlsEnabled(true);
+            analysisProgressContainer.style.display = 'none';
+        }
+    }
+
+    runSweepButton.addEventListener('click', handleRunSweep);
+
+    // --- Spanning Probability Logic ---
+
+    // The result of the most recent spanning probability run, kept for the download button.
+    let lastSpanningResult = null;
+
+    /**
+     * Plots the spanning probability at each line count with its 95% confidence interval,
+     * marking the 50% crossing.
+     * @param {object} result - The result of `runSpanningProbabilityAsync`.
+     */
+    function drawSpanningChart(result) {
+        const points = result.curve.map(row => ({ x: row.lineCount, y: row.probability, yLower: row.ciLower, yUpper: row.ciUpper }));
+        const frame = drawLineChart(spanningChartCanvas.getContext('2d'), spanningChartCanvas, [{ label: 'P(N)', color: 'blue', points }], {
+            xLabel: 'Lines placed (N)',
+            yLabel: 'Spanning probability',
+        });
+        if (result.crossing) {
+            drawMarkers(spanningChartCanvas.getContext('2d'), frame, [{ value: result.crossing.lineCount, label: '50%', color: 'red' }]);
+        }
+    }
+
+    /**
+     * Handles the "Run Spanning Probability" button click event.
+     */
+    async function handleRunSpanning() {
+        const [from, to, step] = [spanningFromInput, spanningToInput, spanningStepInput].map(input => Number(input.value));
+        const numTrials = parseInt(spanningTrialsInput.value, 10);
+        if (![from, to, step].every(value => Number.isInteger(value) && value >= 1) || to < from) {
+            alert("Please enter whole line counts with From <= To and a positive Step.");
+            return;
+        }
+        if (to > 100000) {
+            alert("Trials place at most 100000 lines (the maxSteps safeguard); please lower To.");
+            return;
+        }
+        if (isNaN(numTrials) || numTrials <= 0) {
+            alert("Please enter a valid number of trials.");
+            return;
+        }
+        const simulationParameters = getBatchParametersFromUI();
+        if (!simulationParameters) return;
+        const lineCounts = parseSweepValues(`${from}:${to}:${step}`);
+
+        setAnalysisControlsEnabled(false);
+        resultMessageDisplay.textContent = 'Spanning probability in progress...';
+        analysisProgressContainer.style.display = 'block';
+        spanningResultsContainer.style.display = 'none';
+        analysisProgressText.textContent = `Running 0/${numTrials}...`;
+        analysisProgressBar.value = 0;
+        analysisProgressBar.max = numTrials;
+
+        const progressCallback = ({ current, total }) => {
+            analysisProgressText.textContent = `Running ${current}/${total}...`;
+            analysisProgressBar.value = current;
+        };
+
+        try {
+            const task = startBackgroundTask({
+                task: 'spanning',
+                canvasDimensions: { width: canvas.width, height: canvas.height },
+                simulationParameters,
+                lineCounts,
+                numTrials,
+            }, progressCallback);
+            cancelAnalysis = task.cancel;
+            const result = await task.promise;
+
+            spanningResultsContainer.style.display = 'block';
+            spanningSeedDisplay.textContent = result.seed;
+            const { crossing } = result;
+            const formatEnd = value => (value === null ? '?' : value.toFixed(0));
+            spanningCrossingDisplay.textContent = crossing
+                ? `${crossing.lineCount.toFixed(1)} lines (95% range ${formatEnd(crossing.lower)} to ${formatEnd(crossing.upper)})`
+                : 'not within these line counts';
+            drawSpanningChart(result);
+            lastSpanningResult = result;
+            resultMessageDisplay.textContent = result.cancelled
+                ? `Spanning probability cancelled after ${result.trials} trials.`
+                : 'Spanning probability complete!';
+        } catch (error) {
+            console.error("An error occurred while measuring the spanning probability:", error);
+            resultMessageDisplay.textContent = 'Spanning probability failed. See console for details.';
+        } finally {
+            cancelAnalysis = null;
+            setAnalysisControlsEnabled(true);
+            analysisProgressContainer.style.display = 'none';
+        }
+    }
+
+    runSpanningButton.addEventListener('click', handleRunSpanning);
+
+    cancelAnalysisButton.addEventListener('click', () => {
+        if (cancelAnalysis) {
+            analysisProgressText.textContent = 'Cancelling...';
+            cancelAnalysis();
+        }
+    });
+
+    /**
+     * Offers content to the user as a file download.
+     * @param {string|Blob} content - The file content.
+     * @param {string} filename - The suggested file name.
+     * @param {string} mimeType - The content's MIME type.
+     */
+    function downloadFile(content, filename, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    downloadCsvButton.addEventListener('click', () => {
+        if (!lastAnalysisReport) return;
+        downloadFile(reportToCSV(lastAnalysisReport), `line-bridge-analysis-${lastAnalysisReport.summary.seed}.csv`, 'text/csv');
+    });
+
+    downloadJsonButton.addEventListener('click', () => {
+        if (!lastAnalysisReport) return;
+        downloadFile(reportToJSON(lastAnalysisReport), `line-bridge-analysis-${lastAnalysisReport.summary.seed}.json`, 'application/json');
+    });
+
+    downloadSweepCsvButton.addEventListener('click', () => {
+        if (!lastSweepRows || lastSweepRows.length === 0) return;
+        downloadFile(tableToCSV(lastSweepRows), `line-bridge-sweep-${lastSweepRows[0].seed}.csv`, 'text/csv');
+    });
+
+    downloadSpanningCsvButton.addEventListener('click', () => {
+        if (!lastSpanningResult) return;
+        downloadFile(tableToCSV(lastSpanningResult.curve), `line-bridge-spanning-${lastSpanningResult.seed}.csv`, 'text/csv');
+    });
+
+
+    // Checks the parameters as they are typed, so problems show (and block Start) straight away.
+    ['input', 'change'].forEach(type => controlsContainer.addEventListener(type, validateParametersInUI));
 
     // --- Initial Setup ---
     resetSimulation(); // Set the initial state correctly
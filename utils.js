@@ -40,6 +40,135 @@
         }
     }
 
+    /**
+     * A union-find for periodic (toroidal) boundaries. Besides the clusters it tracks,
+     * for every element, its offset in whole periods from the root's copy, so it can
+     * tell when a cluster connects to one of its own periodic images, i.e. wraps around.
+     */
+    class PeriodicUnionFind extends UnionFind {
+        constructor() {
+            super();
+            this.offset = {}; // Relative to the parent; roots have { x: 0, y: 0 }
+            this.wraps = {};  // Per root: whether the cluster wraps horizontally / vertically
+        }
+
+        add() {
+            this.offset[this.elementCount] = { x: 0, y: 0 };
+            this.wraps[this.elementCount] = { x: false, y: false };
+            super.add();
+        }
+
+        find(i) {
+            const parent = this.parent[i];
+            if (parent === i) return i;
+            const root = this.find(parent);
+            // The parent now hangs directly off the root, so its offset is relative to the root.
+            this.offset[i] = { x: this.offset[i].x + this.offset[parent].x, y: this.offset[i].y + this.offset[parent].y };
+            this.parent[i] = root;
+            return root;
+        }
+
+        /**
+         * Connects element `j`'s copy shifted by `shift` periods to element `i`.
+         * Roots are linked exactly as by `UnionFind.union`, so both produce the same clusters.
+         * @param {number} i - The first element.
+         * @param {number} j - The second element.
+         * @param {{x: number, y: number}} [shift={x: 0, y: 0}] - The periodic image of `j` that touches `i`.
+         * @returns {{x: number, y: number}|null} The winding (in periods) of the loop this
+         *     connection closes, or null if it closes none.
+         */
+        union(i, j, shift = { x: 0, y: 0 }) {
+            const rootI = this.find(i);
+            const rootJ = this.find(j);
+            // Where j's root sits relative to i's root once j is placed at i + shift.
+            const dx = this.offset[i].x + shift.x - this.offset[j].x;
+            const dy = this.offset[i].y + shift.y - this.offset[j].y;
+            if (rootI === rootJ) {
+                if (dx === 0 && dy === 0) return null;
+                this.wraps[rootI] = { x: this.wraps[rootI].x || dx !== 0, y: this.wraps[rootI].y || dy !== 0 };
+                return { x: dx, y: dy };
+            }
+            const wraps = { x: this.wraps[rootI].x || this.wraps[rootJ].x, y: this.wraps[rootI].y || this.wraps[rootJ].y };
+            if (this.size[rootI] < this.size[rootJ]) {
+                this.parent[rootI] = rootJ;
+                this.offset[rootI] = { x: -dx, y: -dy };
+                this.size[rootJ] += this.size[rootI];
+                this.wraps[rootJ] = wraps;
+            } else {
+                this.parent[rootJ] = rootI;
+                this.offset[rootJ] = { x: dx, y: dy };
+                this.size[rootI] += this.size[rootJ];
+                this.wraps[rootI] = wraps;
+            }
+            return null;
+        }
+
+        /**
+         * Reports whether the cluster containing `i` wraps around the torus.
+         * @param {number} i - An element of the cluster.
+         * @returns {{x: boolean, y: boolean}}
+         */
+        getWraps(i) {
+            return this.wraps[this.find(i)];
+        }
+    }
+
+    /**
+     * A minimal event emitter, the same under Node.js and in the browser.
+     * Listeners are called synchronously, in the order they were added.
+     */
+    class EventEmitter {
+        constructor() {
+            this.listeners = new Map();
+        }
+
+        /**
+         * Adds a listener for an event.
+         * @param {string} event - The event name.
+         * @param {function(object): void} listener - Called with the event's details.
+         * @returns {function(): void} A function that removes the listener again.
+         */
+        on(event, listener) {
+            if (!this.listeners.has(event)) this.listeners.set(event, []);
+            this.listeners.get(event).push(listener);
+            return () => this.off(event, listener);
+        }
+
+        /**
+         * Removes a listener added with `on`.
+         * @param {string} event - The event name.
+         * @param {function(object): void} listener - The listener to remove.
+         */
+        off(event, listener) {
+            const listeners = this.listeners.get(event);
+            if (!listeners) return;
+            const index = listeners.indexOf(listener);
+            if (index !== -1) listeners.splice(index, 1);
+        }
+
+        /**
+         * Tells whether an event has any listeners, so callers can skip building its details.
+         * @param {string} event - The event name.
+         * @returns {boolean}
+         */
+        hasListeners(event) {
+            const listeners = this.listeners.get(event);
+            return listeners !== undefined && listeners.length > 0;
+        }
+
+        /**
+         * Calls every listener of an event.
+         * @param {string} event - The event name.
+         * @param {object} details - Passed to each listener.
+         */
+        emit(event, details) {
+            const listeners = this.listeners.get(event);
+            if (!listeners) return;
+            // A copy, so listeners may remove themselves while being called.
+            listeners.slice().forEach(listener => listener(details));
+        }
+    }
+
     function intersects(lineA, lineB) {
         const p1 = { x: lineA.x1, y: lineA.y1 };
         const q1 = { x: lineA.x2, y: lineA.y2 };
@@ -72,14 +201,61 @@
         );
     }
 
+    /**
+     * Creates a seeded pseudo-random number generator (mulberry32).
+     * The returned function can be used anywhere `Math.random` is expected.
+     * @param {number} seed - An integer seed; it is reduced to an unsigned 32-bit value.
+     * @returns {function(): number} A generator returning floats in [0, 1).
+     */
+    function createSeededRandom(seed) {
+        let state = seed >>> 0;
+        const random = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        random.getState = () => state;
+        random.setState = (newState) => { state = newState >>> 0; };
+        return random;
+    }
+
+    /**
+     * Derives an independent seed from a master seed and an index, so that
+     * run `i` of a batch always receives the same seed regardless of run order.
+     * @param {number} masterSeed - The batch's master seed.
+     * @param {number} index - The index of the derived stream (e.g. the run index).
+     * @returns {number} An unsigned 32-bit seed.
+     */
+    function deriveSeed(masterSeed, index) {
+        let h = ((masterSeed >>> 0) ^ Math.imul(index + 1, 0x9E3779B9)) >>> 0;
+        h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+        h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+
+    /**
+     * Picks a fresh, non-reproducible seed for runs where none was supplied.
+     * @returns {number} An unsigned 32-bit seed.
+     */
+    function generateSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
     // --- Module Export ---
     if (typeof module !== 'undefined' && module.exports) {
         // Node.js
-        module.exports = { intersects, UnionFind };
+        module.exports = { intersects, UnionFind, PeriodicUnionFind, EventEmitter, createSeededRandom, deriveSeed, generateSeed };
     } else {
         // Browser
         global.UnionFind = UnionFind;
+        global.PeriodicUnionFind = PeriodicUnionFind;
+        global.EventEmitter = EventEmitter;
         global.intersects = intersects;
+        global.createSeededRandom = createSeededRandom;
+        global.deriveSeed = deriveSeed;
+        global.generateSeed = generateSeed;
     }
 
 })(typeof window !== 'undefined' ? window : this);
\ No newline at end of file
@@ -0,0 +1,251 @@
+(function(global) {
+    'use strict';
+
+    // --- Dependency Loading ---
+    // This pattern allows the module to work in both Node.js and the browser.
+    let createSpatialIndex, BOUNDARY_CONDITIONS, resolveBridgeArea, resolveBridgeTerminals, STOP_RULES;
+    let normalizeDistribution, createDistributionSampler, normalizeShape, getShapeGeometry;
+    let resolveObstacles, checkObstaclePolicy, checkEdgePolicy, resolveEdgePolicy;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        // We are in a Node.js environment, so we load dependencies with require.
+        createSpatialIndex = require('./spatial.js').createSpatialIndex;
+        const bridgeArea = require('./bridge-area.js');
+        BOUNDARY_CONDITIONS = bridgeArea.BOUNDARY_CONDITIONS;
+        resolveBridgeArea = bridgeArea.resolveBridgeArea;
+        resolveBridgeTerminals = bridgeArea.resolveBridgeTerminals;
+        STOP_RULES = require('./terminals.js').STOP_RULES;
+        const distributions = require('./distributions.js');
+        normalizeDistribution = distributions.normalizeDistribution;
+        createDistributionSampler = distributions.createDistributionSampler;
+        const shapes = require('./shapes.js');
+        normalizeShape = shapes.normalizeShape;
+        getShapeGeometry = shapes.getShapeGeometry;
+        const obstacles = require('./obstacles.js');
+        resolveObstacles = obstacles.resolveObstacles;
+        checkObstaclePolicy = obstacles.checkObstaclePolicy;
+        const placement = require('./placement.js');
+        checkEdgePolicy = placement.checkEdgePolicy;
+        resolveEdgePolicy = placement.resolveEdgePolicy;
+    } else {
+        // We are in a browser environment, so we'll use the global variables.
+        createSpatialIndex = global.createSpatialIndex;
+        BOUNDARY_CONDITIONS = global.BOUNDARY_CONDITIONS;
+        resolveBridgeArea = global.resolveBridgeArea;
+        resolveBridgeTerminals = global.resolveBridgeTerminals;
+        STOP_RULES = global.STOP_RULES;
+        normalizeDistribution = global.normalizeDistribution;
+        createDistributionSampler = global.createDistributionSampler;
+        normalizeShape = global.normalizeShape;
+        getShapeGeometry = global.getShapeGeometry;
+        resolveObstacles = global.resolveObstacles;
+        checkObstaclePolicy = global.checkObstaclePolicy;
+        checkEdgePolicy = global.checkEdgePolicy;
+        resolveEdgePolicy = global.resolveEdgePolicy;
+    }
+
+    // --- Module Definition ---
+    // Module 18: Parameter Validation (`validation.js`)
+    // Checks the parameters of a run in one place, before anything uses them: the UI before it
+    // starts a run or an analysis, the engines when they are created or reset, and the headless
+    // runner when it reads its flags and config file. Each problem is reported against the
+    // parameter (the field) it concerns, so the UI can mark the control to fix, e.g.
+    //   { field: 'maxLength', message: 'The maximum length must be greater than 0 (got -5).' }
+    // Numbers may be given as text, as read from form inputs; the normalized values hold numbers.
+
+    // The numeric parameters every run needs.
+    const NUMBER_FIELDS = [
+        { field: 'minLength', label: 'minimum length', positive: true },
+        { field: 'maxLength', label: 'maximum length', positive: true },
+        { field: 'minAngle', label: 'minimum angle' },
+        { field: 'maxAngle', label: 'maximum angle' },
+    ];
+
+    // Seeds are unsigned 32-bit integers.
+    const MAX_SEED = 0xFFFFFFFF;
+
+    /**
+     * Thrown when parameters fail validation. `errors` lists every problem found.
+     */
+    class ParameterError extends Error {
+        /**
+         * @param {{field: string, message: string}[]} errors - The problems, at least one.
+         */
+        constructor(errors) {
+            super(errors.map(error => error.message).join(' '));
+            this.name = 'ParameterError';
+            this.errors = errors;
+        }
+    }
+
+    /**
+     * Reads a number given as a number or as text.
+     * @param {*} value
+     * @returns {number|undefined} The number (NaN if it is not one), or undefined if no value was given.
+     */
+    function readNumber(value) {
+        if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) return undefined;
+        if (typeof value === 'number') return value;
+        return typeof value === 'string' ? Number(value) : NaN;
+    }
+
+    const isGiven = value => value !== undefined && value !== null;
+
+    /**
+     * Checks simulation parameters against a canvas.
+     * Problems that follow from another (e.g. a length distribution that cannot be checked
+     * while the maximum length is missing) are reported only once the first is fixed.
+     * @param {object} simulationParameters - The parameters, as for `SimulationEngine`.
+     * @param {{width: number, height: number}} canvasDimensions - The canvas they will run on.
+     * @returns {{valid: boolean, errors: {field: string, message: string}[], values: object}}
+     *     Whether they passed, every problem found (`field` is the parameter, or `width` or
+     *     `height` for the canvas), and the parameters with their numbers parsed.
+     */
+    function validateParameters(simulationParameters, canvasDimensions) {
+        const params = simulationParameters || {};
+        const values = { ...params };
+        const errors = [];
+        const fail = (field, message) => errors.push({ field, message });
+        const failed = (...fields) => errors.some(error => fields.includes(error.field));
+        // Runs a check that reports its problem by throwing, filing it under the field.
+        const attempt = (field, check) => {
+            try {
+                return check();
+            } catch (error) {
+                fail(field, error.message);
+                return undefined;
+            }
+        };
+
+        const canvas = canvasDimensions || {};
+        ['width', 'height'].forEach(field => {
+            if (typeof canvas[field] !== 'number' || !Number.isFinite(canvas[field]) || canvas[field] <= 0) {
+                fail(field, `The canvas ${field} must be a number greater than 0 (got ${JSON.stringify(canvas[field])}).`);
+            }
+        });
+        const canvasIsValid = !failed('width', 'height');
+
+        NUMBER_FIELDS.forEach(({ field, label, positive }) => {
+            const value = readNumber(params[field]);
+            if (value === undefined) {
+                fail(field, `The ${label} needs a value.`);
+            } else if (!Number.isFinite(value)) {
+                fail(field, `The ${label} must be a number (got ${JSON.stringify(params[field])}).`);
+            } else if (positive && value <= 0) {
+                fail(field, `The ${label} must be greater than 0 (got ${value}).`);
+            } else {
+                values[field] = value;
+            }
+        });
+        if (!failed('minLength', 'maxLength') && values.minLength > values.maxLength) {
+            fail('minLength', `The minimum length (${values.minLength}) must not exceed the maximum length (${values.maxLength}).`);
+        }
+        if (!failed('minAngle', 'maxAngle') && values.minAngle > values.maxAngle) {
+            fail('minAngle', `The minimum angle (${values.minAngle}) must not exceed the maximum angle (${values.maxAngle}).`);
+        }
+        const lengthsAreValid = !failed('minLength', 'maxLength');
+        const anglesAreValid = !failed('minAngle', 'maxAngle');
+
+        if (isGiven(params.seed)) {
+            const seed = readNumber(params.seed);
+            if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+                fail('seed', `The seed must be a whole number from 0 to ${MAX_SEED} (got ${JSON.stringify(params.seed)}).`);
+            } else {
+                values.seed = seed;
+            }
+        }
+        if (isGiven(params.fixedLineCount)) {
+            const fixedLineCount = readNumber(params.fixedLineCount);
+            if (!Number.isInteger(fixedLineCount) || fixedLineCount < 1) {
+                fail('fixedLineCount', `The number of lines to place must be a whole number of at least 1 (got ${JSON.stringify(params.fixedLineCount)}).`);
+            } else {
+                values.fixedLineCount = fixedLineCount;
+            }
+        }
+        if (isGiven(params.random) && typeof params.random !== 'function') {
+            fail('random', 'The random generator must be a function returning numbers in [0, 1).');
+        }
+        if (isGiven(params.periodic) && typeof params.periodic !== 'boolean') {
+            fail('periodic', `The periodic setting must be true or false (got ${JSON.stringify(params.periodic)}).`);
+        }
+        if (isGiven(params.boundaryCondition) && !BOUNDARY_CONDITIONS.includes(params.boundaryCondition)) {
+            fail('boundaryCondition', `The bridge type must be one of ${BOUNDARY_CONDITIONS.join(', ')} (got "${params.boundaryCondition}").`);
+        }
+        if (isGiven(params.cornerRadius)) {
+            const cornerRadius = readNumber(params.cornerRadius);
+            if (!Number.isFinite(cornerRadius) || cornerRadius <= 0) {
+                fail('cornerRadius', `The corner radius must be a number greater than 0 (got ${JSON.stringify(params.cornerRadius)}).`);
+            } else {
+                values.cornerRadius = cornerRadius;
+            }
+        }
+        if (isGiven(params.spatialIndex) && lengthsAreValid && canvasIsValid) {
+            attempt('spatialIndex', () => createSpatialIndex(canvas, values));
+        }
+
+        attempt('lengthDistribution', () => (lengthsAreValid
+            ? createDistributionSampler('length', params.lengthDistribution, { min: values.minLength, max: values.maxLength })
+            : normalizeDistribution('length', params.lengthDistribution)));
+        attempt('angleDistribution', () => (anglesAreValid
+            ? createDistributionSampler('angle', params.angleDistribution, { min: values.minAngle, max: values.maxAngle })
+            : normalizeDistribution('angle', params.angleDistribution)));
+        const shape = attempt('shape', () => normalizeShape(params.shape));
+
+        if (isGiven(params.stopRule) && !STOP_RULES.includes(params.stopRule)) {
+            fail('stopRule', `The stop rule must be one of ${STOP_RULES.join(', ')} (got "${params.stopRule}").`);
+        }
+        if (canvasIsValid) {
+            const boundaryCondition = failed('boundaryCondition') ? undefined : params.boundaryCondition;
+            const bridgeArea = attempt('bridgeArea', () => resolveBridgeArea(params.bridgeArea, canvas, boundaryCondition));
+            if (bridgeArea && !failed('stopRule', 'periodic', 'boundaryCondition', 'cornerRadius')) {
+                attempt(isGiven(params.terminals) ? 'terminals' : 'stopRule', () => resolveBridgeTerminals(values, canvas, bridgeArea));
+            }
+            attempt('obstacles', () => resolveObstacles(params.obstacles, canvas));
+        }
+
+        if (shape) {
+            attempt('obstaclePolicy', () => checkObstaclePolicy(params.obstaclePolicy, shape.type));
+            const edgePolicyIsValid = attempt('edgePolicy', () => checkEdgePolicy(params.edgePolicy, shape.type)) !== undefined;
+            const linesCanBeChecked = canvasIsValid && lengthsAreValid && !failed('periodic');
+            if (edgePolicyIsValid && linesCanBeChecked && anglesAreValid && !failed('angleDistribution')) {
+                // The lines' size is set by the maximum length, so that is the field to change.
+                attempt('maxLength', () => resolveEdgePolicy(values, canvas, shape));
+            }
+            const halfCanvas = Math.min(canvas.width, canvas.height) / 2;
+            const extent = getShapeGeometry(shape.type).extent(values.maxLength, shape);
+            if (params.periodic && linesCanBeChecked && extent >= halfCanvas) {
+                // Longer lines could meet their own periodic image, which the wrap detection does not handle.
+                fail('maxLength', shape.type === 'segment'
+                    ? `With periodic boundaries the maximum line length (${values.maxLength}) must be less than half the canvas size (${halfCanvas}).`
+                    : `With periodic boundaries the largest ${shape.type} (${extent.toFixed(1)} across) must be less than half the canvas size (${halfCanvas}).`);
+            }
+        }
+
+        return { valid: errors.length === 0, errors, values };
+    }
+
+    /**
+     * Validates simulation parameters, throwing if any are invalid.
+     * @param {object} simulationParameters - The parameters, as for `SimulationEngine`.
+     * @param {{width: number, height: number}} canvasDimensions - The canvas they will run on.
+     * @returns {object} The parameters with their numbers parsed.
+     * @throws {ParameterError} Listing every problem found.
+     */
+    function checkParameters(simulationParameters, canvasDimensions) {
+        const { errors, values } = validateParameters(simulationParameters, canvasDimensions);
+        if (errors.length > 0) throw new ParameterError(errors);
+        return values;
+    }
+
+    // --- Module Export ---
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js
+        module.exports = { ParameterError, validateParameters, checkParameters };
+    } else {
+        // Browser
+        global.ParameterError = ParameterError;
+        global.validateParameters = validateParameters;
+        global.checkParameters = checkParameters;
+    }
+
+})(typeof window !== 'undefined' ? window : this);